@@ -11,8 +11,12 @@
  * WhatsApp uses ML-based behavioral analysis to detect bots.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { existsSync, mkdirSync, cpSync, rmSync, readdirSync, statSync } from 'fs';
 import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage.js';
+import { buildWebhookHeaders, generateEventId } from './webhook-signature.js';
+import { Histogram } from './metrics.js';
 
 // =============================================================================
 // HUMAN-LIKE DELAY UTILITIES
@@ -98,11 +102,11 @@ const MAX_ROTATION_INTERVAL = 48 * 60 * 60 * 1000; // 48 hours
  * @returns {string[]} Browser fingerprint array [OS, Browser, Version]
  */
 export function getBrowserFingerprint(sessionsDir) {
-  const fingerprintFile = join(sessionsDir, '.browser-fingerprint.json');
+  const storage = getStorage(sessionsDir);
 
   try {
-    if (existsSync(fingerprintFile)) {
-      const stored = JSON.parse(readFileSync(fingerprintFile, 'utf-8'));
+    const stored = storage.load('browser-fingerprint');
+    if (stored) {
       const rotationInterval = stored.rotationInterval || MIN_ROTATION_INTERVAL;
 
       // Check if rotation is needed
@@ -125,7 +129,7 @@ export function getBrowserFingerprint(sessionsDir) {
         rotationCount: (stored.rotationCount || 0) + 1,
       };
 
-      writeFileSync(fingerprintFile, JSON.stringify(data, null, 2));
+      storage.save('browser-fingerprint', data);
       console.log(`[Anti-Ban] Browser fingerprint rotated to: ${newBrowser.join('/')}`);
       return newBrowser;
     }
@@ -144,7 +148,7 @@ export function getBrowserFingerprint(sessionsDir) {
   };
 
   try {
-    writeFileSync(fingerprintFile, JSON.stringify(data, null, 2));
+    storage.save('browser-fingerprint', data);
     console.log('[Anti-Ban] Using legacy fingerprint for session continuity. Will rotate in 24-48h.');
   } catch (err) {
     console.warn('Could not save browser fingerprint:', err.message);
@@ -176,6 +180,7 @@ export class MessageRateLimiter {
     this.lastMessageTime = 0;
     this.accountAgeWeeks = options.accountAgeWeeks || 1;
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     // Load persisted stats if available
     this.loadStats();
@@ -238,6 +243,7 @@ export class MessageRateLimiter {
       return {
         allowed: false,
         reason: `Hourly limit reached (${limits.hourly}). Reset in ${Math.ceil(waitMs / 60000)} minutes.`,
+        limitType: 'hourly',
         waitMs,
       };
     }
@@ -248,6 +254,7 @@ export class MessageRateLimiter {
       return {
         allowed: false,
         reason: `Daily limit reached (${limits.daily}). Reset in ${Math.ceil(waitMs / 3600000)} hours.`,
+        limitType: 'daily',
         waitMs,
       };
     }
@@ -259,6 +266,7 @@ export class MessageRateLimiter {
       return {
         allowed: false,
         reason: `Too fast. Wait ${Math.ceil(waitMs / 1000)} seconds.`,
+        limitType: 'interval',
         waitMs,
       };
     }
@@ -268,14 +276,27 @@ export class MessageRateLimiter {
 
   /**
    * Record a sent message
+   * @param {Object} [options]
+   * @param {boolean} [options.reserved] - Counted by reserve() when it was accepted;
+   *   only restarts the minimum interval
    */
-  recordSend() {
-    this.hourlyCount++;
-    this.dailyCount++;
+  recordSend(options = {}) {
+    if (!options.reserved) {
+      this.hourlyCount++;
+      this.dailyCount++;
+    }
     this.lastMessageTime = Date.now();
     this.saveStats();
   }
 
+  /**
+   * Take the budget of a send that is delivered later (async sends), so
+   * sends accepted in the meantime see it in canSend(). Kept if the send fails.
+   */
+  reserve() {
+    this.recordSend();
+  }
+
   /**
    * Get current stats
    */
@@ -304,15 +325,14 @@ export class MessageRateLimiter {
   }
 
   /**
-   * Load persisted stats from file
+   * Load persisted stats
    */
   loadStats() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const statsFile = join(this.sessionsDir, '.rate-limit-stats.json');
     try {
-      if (existsSync(statsFile)) {
-        const data = JSON.parse(readFileSync(statsFile, 'utf-8'));
+      const data = this.storage.load('rate-limit-stats');
+      if (data) {
 
         // Only restore if data is from today
         const today = new Date().toDateString();
@@ -338,12 +358,11 @@ export class MessageRateLimiter {
   }
 
   /**
-   * Save stats to file for persistence across restarts
+   * Save stats for persistence across restarts
    */
   saveStats() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const statsFile = join(this.sessionsDir, '.rate-limit-stats.json');
     try {
       const data = {
         date: new Date().toDateString(),
@@ -354,7 +373,7 @@ export class MessageRateLimiter {
         accountAgeWeeks: this.accountAgeWeeks,
         lastSaved: Date.now(),
       };
-      writeFileSync(statsFile, JSON.stringify(data, null, 2));
+      this.storage.save('rate-limit-stats', data);
     } catch (err) {
       // Ignore save errors
     }
@@ -496,6 +515,7 @@ export function checkMessageSafety(text) {
 export class ActivityTracker {
   constructor(sessionsDir) {
     this.sessionsDir = sessionsDir;
+    this.storage = getStorage(sessionsDir);
     this.sent = 0;
     this.received = 0;
     this.uniqueRecipients = new Set();
@@ -548,12 +568,11 @@ export class ActivityTracker {
   }
 
   loadStats() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const statsFile = join(this.sessionsDir, '.activity-stats.json');
     try {
-      if (existsSync(statsFile)) {
-        const data = JSON.parse(readFileSync(statsFile, 'utf-8'));
+      const data = this.storage.load('activity-stats');
+      if (data) {
         // Only load today's stats
         if (data.date === new Date().toDateString()) {
           this.sent = data.sent || 0;
@@ -568,17 +587,16 @@ export class ActivityTracker {
   }
 
   saveStats() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const statsFile = join(this.sessionsDir, '.activity-stats.json');
     try {
-      writeFileSync(statsFile, JSON.stringify({
+      this.storage.save('activity-stats', {
         date: new Date().toDateString(),
         sent: this.sent,
         received: this.received,
         uniqueRecipients: [...this.uniqueRecipients],
         uniqueSenders: [...this.uniqueSenders],
-      }, null, 2));
+      });
     } catch (err) {
       // Ignore
     }
@@ -618,6 +636,7 @@ export class PresenceManager {
     this.nextPresenceChange = null;
     this.presenceInterval = null;
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     this.loadState();
   }
@@ -777,12 +796,11 @@ export class PresenceManager {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const stateFile = join(this.sessionsDir, '.presence-state.json');
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('presence-state');
+      if (data) {
         this.isOnline = data.isOnline || false;
         this.lastPresenceChange = data.lastPresenceChange || Date.now();
       }
@@ -792,15 +810,14 @@ export class PresenceManager {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const stateFile = join(this.sessionsDir, '.presence-state.json');
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('presence-state', {
         isOnline: this.isOnline,
         lastPresenceChange: this.lastPresenceChange,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {
       // Ignore
     }
@@ -824,6 +841,7 @@ export class PresenceManager {
 export class BanWarningSystem {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.onWarning = options.onWarning || ((warning) => console.warn('[BAN WARNING]', warning));
     this.onCritical = options.onCritical || ((warning) => console.error('[BAN CRITICAL]', warning));
 
@@ -1004,6 +1022,8 @@ export class BanWarningSystem {
     if (this.hibernationMode) {
       return {
         allowed: false,
+        code: 'HIBERNATION',
+        riskLevel: this.currentLevel,
         reason: 'Hibernation mode active due to ban risk. Only respond to incoming messages.',
       };
     }
@@ -1011,6 +1031,8 @@ export class BanWarningSystem {
     if (this.currentLevel === this.WARNING_LEVELS.CRITICAL) {
       return {
         allowed: false,
+        code: 'BAN_RISK_CRITICAL',
+        riskLevel: this.currentLevel,
         reason: 'Critical ban risk detected. Sending blocked.',
       };
     }
@@ -1053,12 +1075,11 @@ export class BanWarningSystem {
   }
 
   loadMetrics() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const metricsFile = join(this.sessionsDir, '.ban-warning-metrics.json');
     try {
-      if (existsSync(metricsFile)) {
-        const data = JSON.parse(readFileSync(metricsFile, 'utf-8'));
+      const data = this.storage.load('ban-warning-metrics');
+      if (data) {
 
         // Only load if from today
         const today = new Date().toDateString();
@@ -1074,17 +1095,16 @@ export class BanWarningSystem {
   }
 
   saveMetrics() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const metricsFile = join(this.sessionsDir, '.ban-warning-metrics.json');
     try {
-      writeFileSync(metricsFile, JSON.stringify({
+      this.storage.save('ban-warning-metrics', {
         date: new Date().toDateString(),
         metrics: this.metrics,
         currentLevel: this.currentLevel,
         hibernationMode: this.hibernationMode,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {
       // Ignore
     }
@@ -1526,6 +1546,9 @@ export class MessageScheduler {
 // DELIVERY STATUS TRACKING
 // =============================================================================
 
+// Lifecycle stages in order; 'failed' can follow any of them
+const MESSAGE_STAGES = ['queued', 'typing', 'sent', 'delivered', 'read'];
+
 /**
  * Tracks message delivery status to detect blocks/failures early
  * WhatsApp shows: ✓ (sent) → ✓✓ (delivered) → ✓✓ blue (read)
@@ -1535,6 +1558,13 @@ export class DeliveryTracker {
     this.sessionsDir = options.sessionsDir;
     this.messages = new Map(); // messageId -> status
 
+    // Bridge message lifecycle (queued → typing → sent → delivered → read, or failed)
+    this.lifecycles = new Map();   // bridge ID -> record
+    this.bridgeIds = new Map();    // WhatsApp message ID -> bridge ID
+
+    // Called with (record, historyEntry) on every lifecycle transition
+    this.onTransition = options.onTransition || null;
+
     // Track stats
     this.stats = {
       sent: 0,
@@ -1552,10 +1582,84 @@ export class DeliveryTracker {
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
   }
 
+  /**
+   * Start tracking a send before it reaches WhatsApp
+   * @param {string} to
+   * @param {Object} [meta] - { type }
+   * @returns {Object} Lifecycle record with a bridge message ID and status 'queued'
+   */
+  track(to, meta = {}) {
+    const now = Date.now();
+    const record = {
+      id: `msg_${randomBytes(8).toString('hex')}`,
+      to,
+      type: meta.type || 'text',
+      status: 'queued',
+      whatsappMessageIds: [],
+      error: null,
+      errorCode: null,
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: 'queued', at: now }],
+    };
+    this.lifecycles.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Move a tracked send forward; stages never go backwards
+   * @param {string} bridgeId
+   * @param {'typing'|'sent'|'delivered'|'read'} status
+   */
+  advance(bridgeId, status) {
+    const record = this.lifecycles.get(bridgeId);
+    if (!record || record.status === 'failed') return null;
+    if (MESSAGE_STAGES.indexOf(status) <= MESSAGE_STAGES.indexOf(record.status)) return record;
+
+    const now = Date.now();
+    record.status = status;
+    record.updatedAt = now;
+    record.history.push({ status, at: now });
+    this.onTransition?.(record, record.history.at(-1));
+    return record;
+  }
+
+  /**
+   * Mark a tracked send as failed
+   * @param {string} bridgeId
+   * @param {Error|string} error
+   */
+  fail(bridgeId, error) {
+    const record = this.lifecycles.get(bridgeId);
+    if (!record || record.status === 'failed') return record || null;
+
+    const now = Date.now();
+    record.status = 'failed';
+    record.error = typeof error === 'string' ? error : error?.message || 'Unknown error';
+    record.errorCode = error?.code || null;
+    record.updatedAt = now;
+    record.history.push({ status: 'failed', at: now, reason: record.error });
+    this.onTransition?.(record, record.history.at(-1));
+    return record;
+  }
+
+  /**
+   * Lifecycle of a send by bridge ID or WhatsApp message ID
+   * @returns {Object|null}
+   */
+  getMessage(id) {
+    const record = this.lifecycles.get(id) || this.lifecycles.get(this.bridgeIds.get(id));
+    if (!record) return null;
+    return { ...record, whatsappMessageIds: [...record.whatsappMessageIds], history: [...record.history] };
+  }
+
   /**
    * Record a sent message
+   * @param {string} messageId - WhatsApp message ID
+   * @param {string} to
+   * @param {string} [bridgeId] - Lifecycle this message belongs to (see track())
    */
-  recordSent(messageId, to) {
+  recordSent(messageId, to, bridgeId = null) {
     this.messages.set(messageId, {
       id: messageId,
       to,
@@ -1566,12 +1670,27 @@ export class DeliveryTracker {
     });
     this.stats.sent++;
     this.stats.pending++;
+
+    if (bridgeId && this.lifecycles.has(bridgeId)) {
+      this.bridgeIds.set(messageId, bridgeId);
+      this.lifecycles.get(bridgeId).whatsappMessageIds.push(messageId);
+      this.advance(bridgeId, 'sent');
+    }
   }
 
   /**
    * Update message status
    */
   updateStatus(messageId, status) {
+    const bridgeId = this.bridgeIds.get(messageId);
+    if (bridgeId) {
+      if (status === 'failed') {
+        this.fail(bridgeId, 'WhatsApp reported a delivery error');
+      } else {
+        this.advance(bridgeId, status);
+      }
+    }
+
     const msg = this.messages.get(messageId);
     if (!msg) return;
 
@@ -1663,6 +1782,15 @@ export class DeliveryTracker {
         this.messages.delete(messageId);
       }
     }
+
+    for (const [bridgeId, record] of this.lifecycles) {
+      if (now - record.createdAt > maxAge) {
+        this.lifecycles.delete(bridgeId);
+        for (const messageId of record.whatsappMessageIds) {
+          this.bridgeIds.delete(messageId);
+        }
+      }
+    }
   }
 
   destroy() {
@@ -1683,6 +1811,7 @@ export class DeliveryTracker {
 export class ActivityRamper {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.lastActiveTime = Date.now();
     this.currentMultiplier = 1.0; // 1.0 = normal, 0.5 = half speed, etc.
 
@@ -1760,12 +1889,11 @@ export class ActivityRamper {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const stateFile = join(this.sessionsDir, '.activity-ramp-state.json');
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('activity-ramp-state');
+      if (data) {
         this.lastActiveTime = data.lastActiveTime || Date.now();
       }
     } catch (err) {
@@ -1774,14 +1902,13 @@ export class ActivityRamper {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const stateFile = join(this.sessionsDir, '.activity-ramp-state.json');
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('activity-ramp-state', {
         lastActiveTime: this.lastActiveTime,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {
       // Ignore
     }
@@ -1923,11 +2050,9 @@ export class TypingSimulator {
    * Execute typing sequence on socket
    */
   async executeSequence(socket, jid, sequence) {
-    const { delay } = await import('@whiskeysockets/baileys');
-
     for (const step of sequence) {
       await socket.sendPresenceUpdate(step.action, jid);
-      await delay(step.duration);
+      await new Promise(resolve => setTimeout(resolve, step.duration));
     }
   }
 }
@@ -2008,6 +2133,7 @@ export class EmojiEnhancer {
 export class ContactWarmup {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.contacts = new Map(); // phone -> { firstContact, messageCount, lastMessage }
 
     // Warmup settings
@@ -2016,6 +2142,13 @@ export class ContactWarmup {
     this.warmupDailyLimit = options.warmupDailyLimit || 5;                // 5 msgs/day during warmup
     this.normalDailyLimit = options.normalDailyLimit || 20;               // 20 msgs/day after warmup
 
+    // Contact lookups (on WhatsApp? profile?), cached so repeats don't hit WhatsApp
+    this.lookups = new Map(); // phone -> { exists, jid, checkedAt, profile, profileFetchedAt }
+    this.lookupTtl = options.lookupTtl || 7 * 24 * 60 * 60 * 1000;      // 7 days for on-WhatsApp checks
+    this.profileTtl = options.profileTtl || 24 * 60 * 60 * 1000;        // 24 hours for profiles
+    this.lookupLimits = { hourly: 200, daily: 1000, ...options.lookupLimits };
+    this.lookupLog = []; // { at, count } of uncached lookups in the last 24 hours
+
     this.loadContacts();
   }
 
@@ -2079,15 +2212,19 @@ export class ContactWarmup {
       dailyLimit = this.normalDailyLimit;
     }
 
-    if (contact.messagesThisPeriod >= dailyLimit) {
+    // The period counter only resets on the next recordContact()
+    const periodExpired = now - contact.periodStart > 24 * 60 * 60 * 1000;
+    if (!periodExpired && contact.messagesThisPeriod >= dailyLimit) {
       return {
         allowed: false,
         reason: `Daily limit for this contact reached (${dailyLimit}/day during warmup)`,
         contactAge: Math.floor(contactAge / (24 * 60 * 60 * 1000)),
+        waitMs: contact.periodStart + 24 * 60 * 60 * 1000 - now,
       };
     }
 
-    return { allowed: true, dailyLimit, remaining: dailyLimit - contact.messagesThisPeriod };
+    const sentThisPeriod = periodExpired ? 0 : contact.messagesThisPeriod;
+    return { allowed: true, dailyLimit, remaining: dailyLimit - sentThisPeriod };
   }
 
   /**
@@ -2112,14 +2249,100 @@ export class ContactWarmup {
     };
   }
 
+  /**
+   * Check whether `count` uncached lookups are within the lookup limits
+   * @returns {{allowed: boolean, reason?: string, limitType?: string, waitMs?: number}}
+   */
+  canLookup(count = 1) {
+    const now = Date.now();
+    this.lookupLog = this.lookupLog.filter(entry => now - entry.at < 86400000);
+
+    const windows = [
+      { name: 'hourly', ms: 3600000, max: this.lookupLimits.hourly },
+      { name: 'daily', ms: 86400000, max: this.lookupLimits.daily },
+    ];
+    for (const window of windows) {
+      const inWindow = this.lookupLog.filter(entry => now - entry.at < window.ms);
+      const used = inWindow.reduce((sum, entry) => sum + entry.count, 0);
+      if (used + count > window.max) {
+        const waitMs = inWindow.length > 0 ? inWindow[0].at + window.ms - now : window.ms;
+        return {
+          allowed: false,
+          reason: `Contact lookup ${window.name} limit reached (${used}/${window.max})`,
+          limitType: `lookup_${window.name}`,
+          waitMs,
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count uncached lookups against the limits
+   */
+  recordLookup(count = 1) {
+    this.lookupLog.push({ at: Date.now(), count });
+  }
+
+  /**
+   * Cached lookup for a phone, or null if unknown or expired
+   * @param {string} phone
+   * @param {Object} [options]
+   * @param {boolean} [options.profile] - Also require a fresh profile
+   */
+  getLookup(phone, options = {}) {
+    const entry = this.lookups.get(phone);
+    const now = Date.now();
+    if (!entry || now - entry.checkedAt > this.lookupTtl) return null;
+    if (options.profile && entry.exists && (!entry.profile || now - entry.profileFetchedAt > this.profileTtl)) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Store lookup results for a phone
+   * @param {string} phone
+   * @param {Object} fields - { exists, jid } and/or { profile }
+   */
+  saveLookup(phone, fields) {
+    const now = Date.now();
+    const entry = { ...this.lookups.get(phone), ...fields, checkedAt: now };
+    if (fields.profile) entry.profileFetchedAt = now;
+    this.lookups.set(phone, entry);
+    this.saveContacts();
+    return entry;
+  }
+
+  getLookupStats() {
+    const now = Date.now();
+    const used = (ms) => this.lookupLog
+      .filter(entry => now - entry.at < ms)
+      .reduce((sum, entry) => sum + entry.count, 0);
+    return {
+      cached: this.lookups.size,
+      hourly: used(3600000),
+      hourlyLimit: this.lookupLimits.hourly,
+      daily: used(86400000),
+      dailyLimit: this.lookupLimits.daily,
+    };
+  }
+
   loadContacts() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const contactsFile = join(this.sessionsDir, '.contact-warmup.json');
     try {
-      if (existsSync(contactsFile)) {
-        const data = JSON.parse(readFileSync(contactsFile, 'utf-8'));
+      const data = this.storage.load('contact-warmup');
+      if (data) {
         this.contacts = new Map(Object.entries(data.contacts || {}));
+
+        const now = Date.now();
+        for (const [phone, entry] of Object.entries(data.lookups || {})) {
+          if (now - entry.checkedAt <= this.lookupTtl) {
+            this.lookups.set(phone, entry);
+          }
+        }
       }
     } catch (err) {
       // Ignore
@@ -2127,15 +2350,20 @@ export class ContactWarmup {
   }
 
   saveContacts() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const contactsFile = join(this.sessionsDir, '.contact-warmup.json');
     try {
       const obj = {};
       for (const [k, v] of this.contacts) {
         obj[k] = v;
       }
-      writeFileSync(contactsFile, JSON.stringify({ contacts: obj, savedAt: Date.now() }, null, 2));
+      this.storage.save('contact-warmup', {
+        contacts: obj,
+        lookups: Object.fromEntries(
+          [...this.lookups].filter(([, entry]) => Date.now() - entry.checkedAt <= this.lookupTtl)
+        ),
+        savedAt: Date.now(),
+      });
     } catch (err) {
       // Ignore
     }
@@ -2159,6 +2387,98 @@ export class GroupBehavior {
     this.groupDelayMultiplier = options.groupDelayMultiplier || 2.0;   // 2x slower in groups
     this.groupResponseProbability = options.groupResponseProbability || 0.7; // 70% response rate in groups
     this.groupTypingMultiplier = options.groupTypingMultiplier || 1.3;  // Slightly longer typing
+
+    // Admin actions: mass group creation and participant adds are strong spam signals.
+    // Participant limits count participants, not calls.
+    this.actionLimits = {
+      create: { hourly: 2, daily: 5 },
+      participants: { hourly: 20, daily: 50 },
+      settings: { hourly: 10, daily: 40 },    // Subject, description, invite links
+      metadata: { hourly: 60, daily: 500 },   // Uncached group lookups
+      ...options.actionLimits,
+    };
+    this.minActionIntervalMs = options.minActionIntervalMs ?? 5000;
+    this.actions = [];  // { type, count, at } from the last 24 hours
+    this.lastActionAt = 0;
+  }
+
+  /**
+   * Check whether a group admin action is within limits
+   * @param {'create'|'participants'|'settings'|'metadata'} type
+   * @param {number} [count=1] - Participants affected (for 'participants')
+   * @returns {{allowed: boolean, reason?: string, limitType?: string, waitMs?: number}}
+   */
+  canPerformAction(type, count = 1) {
+    const limits = this.actionLimits[type];
+    if (!limits) return { allowed: true };
+
+    const now = Date.now();
+    this.actions = this.actions.filter(action => now - action.at < 86400000);
+
+    if (count > limits.hourly) {
+      return {
+        allowed: false,
+        reason: `At most ${limits.hourly} per hour for ${type} actions, split the request`,
+        limitType: `group_${type}_batch`,
+        waitMs: null,
+      };
+    }
+
+    const ofType = this.actions.filter(action => action.type === type);
+    const windows = [
+      { name: 'hourly', ms: 3600000, max: limits.hourly },
+      { name: 'daily', ms: 86400000, max: limits.daily },
+    ];
+    for (const window of windows) {
+      const inWindow = ofType.filter(action => now - action.at < window.ms);
+      const used = inWindow.reduce((sum, action) => sum + action.count, 0);
+      if (used + count > window.max) {
+        const waitMs = inWindow[0].at + window.ms - now;
+        return {
+          allowed: false,
+          reason: `Group ${type} ${window.name} limit reached (${window.max}). Retry in ${Math.ceil(waitMs / 60000)} minutes.`,
+          limitType: `group_${type}_${window.name}`,
+          waitMs,
+        };
+      }
+    }
+
+    // Lookups don't need spacing; changes do
+    const elapsed = now - this.lastActionAt;
+    if (type !== 'metadata' && this.lastActionAt > 0 && elapsed < this.minActionIntervalMs) {
+      const waitMs = this.minActionIntervalMs - elapsed;
+      return {
+        allowed: false,
+        reason: `Too fast. Wait ${Math.ceil(waitMs / 1000)} seconds between group changes.`,
+        limitType: 'group_interval',
+        waitMs,
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Record a performed admin action
+   */
+  recordAction(type, count = 1) {
+    const now = Date.now();
+    this.actions.push({ type, count, at: now });
+    if (type !== 'metadata') this.lastActionAt = now;
+  }
+
+  /**
+   * Admin action usage by type for the last hour and day
+   */
+  getActionStats() {
+    const now = Date.now();
+    const stats = {};
+    for (const [type, limits] of Object.entries(this.actionLimits)) {
+      const ofType = this.actions.filter(action => action.type === type);
+      const sum = (ms) => ofType.filter(action => now - action.at < ms).reduce((total, action) => total + action.count, 0);
+      stats[type] = { hourly: sum(3600000), hourlyLimit: limits.hourly, daily: sum(86400000), dailyLimit: limits.daily };
+    }
+    return stats;
   }
 
   /**
@@ -2170,8 +2490,11 @@ export class GroupBehavior {
 
   /**
    * Should we respond to this group message?
+   * Being @mentioned or replied to always gets a response.
+   * @param {Object} [context] - { isMentioned, isReplyToMe }
    */
-  shouldRespondInGroup() {
+  shouldRespondInGroup(context = {}) {
+    if (context.isMentioned || context.isReplyToMe) return true;
     return Math.random() < this.groupResponseProbability;
   }
 
@@ -2217,6 +2540,7 @@ export class GroupBehavior {
 export class NetworkFingerprint {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.lastKnownIP = null;
     this.ipHistory = [];
     this.maxHistorySize = 100;
@@ -2323,12 +2647,11 @@ export class NetworkFingerprint {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const stateFile = join(this.sessionsDir, '.network-fingerprint.json');
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('network-fingerprint');
+      if (data) {
         this.lastKnownIP = data.lastKnownIP;
         this.ipHistory = data.ipHistory || [];
       }
@@ -2338,15 +2661,14 @@ export class NetworkFingerprint {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
+    if (!this.storage) return;
 
-    const stateFile = join(this.sessionsDir, '.network-fingerprint.json');
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('network-fingerprint', {
         lastKnownIP: this.lastKnownIP,
         ipHistory: this.ipHistory,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {
       // Ignore
     }
@@ -2502,6 +2824,8 @@ export class ReplyProbability {
 
   /**
    * Determine if we should reply to a message
+   * @param {Object} message - { text, from }
+   * @param {Object} [context] - { isMentioned, isReplyToMe } (group mentions, replies quoting our message)
    */
   shouldReply(message, context = {}) {
     const text = message.text || '';
@@ -2511,6 +2835,12 @@ export class ReplyProbability {
 
     let probability = this.baseReplyRate;
 
+    // Someone addressing us directly expects an answer
+    if (context.isMentioned || context.isReplyToMe) {
+      this.updateContactPattern(from);
+      return { shouldReply: true, reason: context.isMentioned ? 'mentioned' : 'direct_reply', probability: 100 };
+    }
+
     // Direct questions always get replies
     if (text.includes('?') || /^(apa|siapa|kapan|dimana|bagaimana|kenapa|berapa)/i.test(text)) {
       return { shouldReply: true, reason: 'direct_question', probability: 1.0 };
@@ -2701,6 +3031,7 @@ export class StatusViewer {
   constructor(options = {}) {
     this.socket = null;
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     // Viewing schedule
     this.viewInterval = options.viewInterval || 2 * 60 * 60 * 1000; // Check every 2 hours
@@ -2785,24 +3116,22 @@ export class StatusViewer {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.status-viewer-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('status-viewer-state');
+      if (data) {
         this.lastViewTime = data.lastViewTime || 0;
       }
     } catch (err) {}
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.status-viewer-state.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('status-viewer-state', {
         lastViewTime: this.lastViewTime,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -2818,6 +3147,7 @@ export class StatusViewer {
 export class SpamReportDetector {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.onSpamWarning = options.onSpamWarning || (() => {});
 
     // Tracking windows
@@ -2999,11 +3329,10 @@ export class SpamReportDetector {
   }
 
   loadMetrics() {
-    if (!this.sessionsDir) return;
-    const metricsFile = join(this.sessionsDir, '.spam-detection-metrics.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(metricsFile)) {
-        const data = JSON.parse(readFileSync(metricsFile, 'utf-8'));
+      const data = this.storage.load('spam-detection-metrics');
+      if (data) {
         if (data.date === new Date().toDateString()) {
           this.metrics = data.metrics || this.metrics;
           this.historicalDeliveryRate = data.historicalDeliveryRate || 0.95;
@@ -3013,15 +3342,14 @@ export class SpamReportDetector {
   }
 
   saveMetrics() {
-    if (!this.sessionsDir) return;
-    const metricsFile = join(this.sessionsDir, '.spam-detection-metrics.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(metricsFile, JSON.stringify({
+      this.storage.save('spam-detection-metrics', {
         date: new Date().toDateString(),
         metrics: this.metrics,
         historicalDeliveryRate: this.historicalDeliveryRate,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -3146,6 +3474,7 @@ export class ProfileViewer {
     this.viewProbability = options.viewProbability || 0.1; // 10% chance per new contact
     this.viewedProfiles = new Set();
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     this.loadState();
   }
@@ -3203,11 +3532,10 @@ export class ProfileViewer {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.profile-viewer-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('profile-viewer-state');
+      if (data) {
         if (data.date === new Date().toDateString()) {
           this.viewedProfiles = new Set(data.viewedProfiles || []);
         }
@@ -3216,14 +3544,13 @@ export class ProfileViewer {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.profile-viewer-state.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('profile-viewer-state', {
         date: new Date().toDateString(),
         viewedProfiles: [...this.viewedProfiles],
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -3311,6 +3638,7 @@ export class ForwardHandler {
 export class ConversationMemory {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.maxMessages = options.maxMessages || 20;  // Keep last 20 messages per contact
     this.conversations = new Map();
 
@@ -3452,11 +3780,10 @@ export class ConversationMemory {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.conversation-memory.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('conversation-memory');
+      if (data) {
         // Only load if within last 24 hours
         if (data.savedAt > Date.now() - 24 * 60 * 60 * 1000) {
           this.conversations = new Map(Object.entries(data.conversations || {}));
@@ -3466,17 +3793,16 @@ export class ConversationMemory {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.conversation-memory.json');
+    if (!this.storage) return;
     try {
       const obj = {};
       for (const [k, v] of this.conversations) {
         obj[k] = v;
       }
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('conversation-memory', {
         conversations: obj,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -3492,6 +3818,7 @@ export class ConversationMemory {
 export class BlockDetector {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.socket = null;
     this.onBlock = options.onBlock || (() => {});
 
@@ -3625,11 +3952,10 @@ export class BlockDetector {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.block-detector-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('block-detector-state');
+      if (data) {
         this.confirmedBlocks = new Set(data.confirmedBlocks || []);
         // Don't load suspected blocks - they're time-sensitive
       }
@@ -3637,13 +3963,12 @@ export class BlockDetector {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.block-detector-state.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('block-detector-state', {
         confirmedBlocks: [...this.confirmedBlocks],
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -3673,7 +3998,6 @@ export class SessionManager {
   ensureBackupDir() {
     try {
       if (!existsSync(this.backupDir)) {
-        const { mkdirSync } = require('fs');
         mkdirSync(this.backupDir, { recursive: true });
       }
     } catch (err) {
@@ -3715,7 +4039,6 @@ export class SessionManager {
       const backupPath = join(this.backupDir, `backup-${timestamp}`);
 
       // Copy session files
-      const { cpSync } = require('fs');
       cpSync(this.sessionsDir, backupPath, { recursive: true });
 
       this.lastBackupTime = Date.now();
@@ -3740,8 +4063,6 @@ export class SessionManager {
     }
 
     try {
-      const { cpSync, rmSync } = require('fs');
-
       // Remove current session
       if (existsSync(this.sessionsDir)) {
         rmSync(this.sessionsDir, { recursive: true });
@@ -3763,7 +4084,6 @@ export class SessionManager {
     try {
       if (!existsSync(this.backupDir)) return [];
 
-      const { readdirSync, statSync } = require('fs');
       const backups = readdirSync(this.backupDir)
         .filter(name => name.startsWith('backup-'))
         .map(name => {
@@ -3788,7 +4108,6 @@ export class SessionManager {
    */
   getDirSize(dirPath) {
     try {
-      const { readdirSync, statSync } = require('fs');
       let size = 0;
       const files = readdirSync(dirPath);
       for (const file of files) {
@@ -3814,7 +4133,6 @@ export class SessionManager {
     if (backups.length <= this.maxBackups) return;
 
     const toDelete = backups.slice(this.maxBackups);
-    const { rmSync } = require('fs');
 
     for (const backup of toDelete) {
       try {
@@ -3858,11 +4176,13 @@ export class SessionManager {
 export class PersistentQueue {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
-    this.queueFile = join(this.sessionsDir, '.message-queue.json');
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.queue = [];
     this.processing = false;
     this.sendFunction = options.sendFunction;
     this.logger = options.logger || console;
+    // Recipients who opted out are dropped unless the message is a reply
+    this.isOptedOut = options.isOptedOut || (() => false);
 
     // Recovery settings
     this.maxRetries = options.maxRetries || 3;
@@ -3918,6 +4238,13 @@ export class PersistentQueue {
     while (this.queue.length > 0) {
       const message = this.queue[0];
 
+      if (!message.replyTo && this.isOptedOut(message.to)) {
+        this.queue.shift();
+        this.saveQueue();
+        this.logger.info({ messageId: message.id, to: message.to }, 'Queued message dropped (recipient opted out)');
+        continue;
+      }
+
       // Skip if recently attempted
       if (message.lastAttempt && Date.now() - message.lastAttempt < this.retryDelay) {
         await new Promise(resolve => setTimeout(resolve, 5000));
@@ -4005,9 +4332,10 @@ export class PersistentQueue {
   }
 
   loadQueue() {
+    if (!this.storage) return;
     try {
-      if (existsSync(this.queueFile)) {
-        const data = JSON.parse(readFileSync(this.queueFile, 'utf-8'));
+      const data = this.storage.load('message-queue');
+      if (data) {
         this.queue = data.queue || [];
 
         // Reset sending status on load (interrupted sends)
@@ -4021,11 +4349,12 @@ export class PersistentQueue {
   }
 
   saveQueue() {
+    if (!this.storage) return;
     try {
-      writeFileSync(this.queueFile, JSON.stringify({
+      this.storage.save('message-queue', {
         queue: this.queue,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -4034,17 +4363,35 @@ export class PersistentQueue {
 // PHASE 4: WEBHOOK RETRY LOGIC
 // =============================================================================
 
+// Response bodies kept for failed deliveries (dead letters, retry queue)
+const MAX_WEBHOOK_RESPONSE_BODY = 2000;
+
+// 4xx responses other than 429 are not retried
+function isClientError(status) {
+  return status >= 400 && status < 500 && status !== 429;
+}
+
 /**
  * Manages webhook delivery with retry logic
  * Ensures messages are forwarded even during temporary failures
+ *
+ * Deliveries are signed with HMAC-SHA256 when a webhook secret is set
+ * (see webhook-signature.js). Each payload gets one event ID that is kept
+ * across retries so receivers can deduplicate.
  */
 export class WebhookManager {
   constructor(options = {}) {
     this.webhookUrl = options.webhookUrl;
-    this.apiSecret = options.apiSecret;
+    this.webhookSecret = options.webhookSecret;
+    this.headers = options.headers || {}; // Extra headers sent with every delivery
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
+    this.queueName = options.queueName || 'webhook-failed-queue';
     this.logger = options.logger || console;
 
+    // Called with deliveries that will not be retried again (see webhook-dead-letters.js)
+    this.onDeadLetter = options.onDeadLetter || null;
+
     // Retry settings
     this.maxRetries = options.maxRetries || 5;
     this.baseDelay = options.baseDelay || 1000;
@@ -4053,43 +4400,97 @@ export class WebhookManager {
     // Queue for failed webhooks
     this.failedQueue = [];
     this.retryTimer = null;
+    this.maxQueueAttempts = options.maxQueueAttempts || 10;
+
+    this.stats = {
+      delivered: 0,
+      failed: 0,
+      queued: 0,
+      retried: 0,
+      permanentlyFailed: 0,
+      deadLettered: 0,
+      lastDeliveryAt: null,
+      lastError: null,
+    };
+
+    // Duration of every delivery attempt, for GET /metrics
+    this.latency = new Histogram(options.latencyBuckets);
 
     this.loadFailedQueue();
   }
 
+  /**
+   * POST one signed delivery attempt
+   * @returns {Promise<Response>}
+   */
+  async deliver(payload, eventId) {
+    const body = JSON.stringify(payload);
+    return fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: {
+        ...this.headers,
+        ...buildWebhookHeaders({ body, eventId, secret: this.webhookSecret }),
+      },
+      body,
+    });
+  }
+
+  /**
+   * One delivery attempt, never throws
+   * @returns {Promise<{ok: boolean, status: number|null, responseBody: string|null, error: string|null}>}
+   */
+  async attempt(payload, eventId) {
+    const startedAt = Date.now();
+    try {
+      const response = await this.deliver(payload, eventId);
+      this.latency.observe((Date.now() - startedAt) / 1000);
+      if (response.ok) {
+        this.stats.delivered++;
+        this.stats.lastDeliveryAt = Date.now();
+        return { ok: true, status: response.status, responseBody: null, error: null };
+      }
+
+      let responseBody = null;
+      try {
+        responseBody = (await response.text()).slice(0, MAX_WEBHOOK_RESPONSE_BODY);
+      } catch (err) {
+        // Body unreadable - status is enough
+      }
+      return { ok: false, status: response.status, responseBody, error: `HTTP ${response.status}` };
+    } catch (err) {
+      this.latency.observe((Date.now() - startedAt) / 1000);
+      return { ok: false, status: null, responseBody: null, error: err.message };
+    }
+  }
+
   /**
    * Send webhook with automatic retry
+   * @param {Object} payload
+   * @param {Object} [options]
+   * @param {string} [options.eventId] - Reuse an existing event ID (default: new one)
    */
-  async send(payload) {
+  async send(payload, options = {}) {
     if (!this.webhookUrl) {
       return { success: false, reason: 'no_webhook_url' };
     }
 
-    let lastError = null;
+    const eventId = options.eventId || generateEventId();
+    const firstFailedAt = Date.now();
+    let result = null;
 
     for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-      try {
-        const response = await fetch(this.webhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiSecret}`,
-          },
-          body: JSON.stringify(payload),
-        });
+      result = await this.attempt(payload, eventId);
 
-        if (response.ok) {
-          return { success: true, status: response.status };
-        }
-
-        // Non-retryable errors
-        if (response.status >= 400 && response.status < 500 && response.status !== 429) {
-          return { success: false, status: response.status, reason: 'client_error' };
-        }
+      if (result.ok) {
+        return { success: true, status: result.status, eventId };
+      }
 
-        lastError = `HTTP ${response.status}`;
-      } catch (err) {
-        lastError = err.message;
+      // Non-retryable errors
+      if (isClientError(result.status)) {
+        this.stats.failed++;
+        this.stats.lastError = result.error;
+        this.deadLetter({ payload, eventId, reason: 'client_error', attempts: attempt + 1, firstFailedAt, ...result });
+        return { success: false, status: result.status, reason: 'client_error', eventId };
       }
 
       // Exponential backoff
@@ -4100,25 +4501,60 @@ export class WebhookManager {
     }
 
     // All retries failed - add to failed queue for later
-    this.addToFailedQueue(payload);
+    this.stats.failed++;
+    this.stats.lastError = result.error;
+    this.addToFailedQueue(payload, eventId, result);
 
-    return { success: false, reason: lastError, queued: true };
+    return { success: false, reason: result.error, queued: true, eventId };
   }
 
   /**
    * Add to failed queue for background retry
+   * @param {Object} payload
+   * @param {string} [eventId]
+   * @param {Object} [lastAttempt] - { status, responseBody, error } of the last failed attempt
    */
-  addToFailedQueue(payload) {
+  addToFailedQueue(payload, eventId = generateEventId(), lastAttempt = {}) {
     this.failedQueue.push({
+      eventId,
       payload,
       addedAt: Date.now(),
       attempts: 0,
+      lastStatus: lastAttempt.status ?? null,
+      lastResponse: lastAttempt.responseBody ?? null,
+      lastError: lastAttempt.error ?? null,
     });
+    this.stats.queued++;
 
     this.saveFailedQueue();
     this.startRetryTimer();
   }
 
+  /**
+   * Hand a delivery that will not be retried again to the dead-letter handler
+   */
+  deadLetter({ payload, eventId, reason, attempts, firstFailedAt, status, responseBody, error }) {
+    this.stats.deadLettered++;
+    this.logger.error({ eventId, reason, error }, 'Webhook moved to dead letters');
+
+    if (!this.onDeadLetter) return;
+    try {
+      this.onDeadLetter({
+        eventId,
+        event: payload?.event || null,
+        payload,
+        reason,
+        attempts,
+        statusCode: status ?? null,
+        responseBody: responseBody ?? null,
+        error: error ?? null,
+        firstFailedAt: firstFailedAt ?? null,
+      });
+    } catch (err) {
+      this.logger.error({ eventId, error: err.message }, 'Failed to store dead letter');
+    }
+  }
+
   /**
    * Start background retry timer
    */
@@ -4138,60 +4574,96 @@ export class WebhookManager {
   }
 
   /**
-   * Process failed queue in background
+   * Process failed queue in background.
+   * Deliveries that reach maxQueueAttempts or get a 4xx go to the dead letters.
+   * @returns {Promise<{processed: number, delivered: number, remaining: number}>}
    */
   async processFailedQueue() {
     if (this.failedQueue.length === 0) {
       this.stopRetryTimer();
-      return;
+      return { processed: 0, delivered: 0, remaining: 0 };
     }
 
     const toProcess = [...this.failedQueue];
     this.failedQueue = [];
+    let delivered = 0;
 
     for (const item of toProcess) {
       item.attempts++;
+      this.stats.retried++;
 
-      try {
-        const response = await fetch(this.webhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiSecret}`,
-          },
-          body: JSON.stringify(item.payload),
-        });
+      // Items queued before event IDs existed get one now
+      item.eventId = item.eventId || generateEventId();
 
-        if (!response.ok && item.attempts < 10) {
-          // Re-add to queue if under max attempts
-          this.failedQueue.push(item);
-        }
-      } catch (err) {
-        if (item.attempts < 10) {
-          this.failedQueue.push(item);
-        } else {
-          this.logger.error({ payload: item.payload.messageId }, 'Webhook permanently failed');
-        }
+      const result = await this.attempt(item.payload, item.eventId);
+      if (result.ok) {
+        delivered++;
+        continue;
+      }
+      item.lastStatus = result.status;
+      item.lastResponse = result.responseBody;
+      item.lastError = result.error;
+
+      const clientError = isClientError(result.status);
+      if (!clientError && item.attempts < this.maxQueueAttempts) {
+        // Re-add to queue if under max attempts
+        this.failedQueue.push(item);
+      } else {
+        this.stats.permanentlyFailed++;
+        this.deadLetter({
+          payload: item.payload,
+          eventId: item.eventId,
+          reason: clientError ? 'client_error' : 'max_attempts',
+          attempts: item.attempts,
+          firstFailedAt: item.addedAt,
+          ...result,
+        });
       }
     }
 
     this.saveFailedQueue();
+
+    return { processed: toProcess.length, delivered, remaining: this.failedQueue.length };
+  }
+
+  /**
+   * Deliveries waiting for a background retry
+   */
+  getPendingRetries() {
+    return this.failedQueue.map(item => ({
+      eventId: item.eventId || null,
+      event: item.payload?.event || null,
+      addedAt: item.addedAt,
+      attempts: item.attempts,
+      lastStatus: item.lastStatus ?? null,
+      lastError: item.lastError || null,
+    }));
+  }
+
+  /**
+   * Delivery counters plus queue status
+   */
+  getStats() {
+    return {
+      ...this.getStatus(),
+      ...this.stats,
+    };
   }
 
   getStatus() {
     return {
       webhookUrl: this.webhookUrl ? '***configured***' : null,
+      signed: !!this.webhookSecret,
       failedQueueSize: this.failedQueue.length,
       retryActive: this.retryTimer !== null,
     };
   }
 
   loadFailedQueue() {
-    if (!this.sessionsDir) return;
-    const queueFile = join(this.sessionsDir, '.webhook-failed-queue.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(queueFile)) {
-        const data = JSON.parse(readFileSync(queueFile, 'utf-8'));
+      const data = this.storage.load(this.queueName);
+      if (data) {
         this.failedQueue = data.queue || [];
         if (this.failedQueue.length > 0) {
           this.startRetryTimer();
@@ -4201,13 +4673,12 @@ export class WebhookManager {
   }
 
   saveFailedQueue() {
-    if (!this.sessionsDir) return;
-    const queueFile = join(this.sessionsDir, '.webhook-failed-queue.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(queueFile, JSON.stringify({
+      this.storage.save(this.queueName, {
         queue: this.failedQueue,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -4223,6 +4694,7 @@ export class WebhookManager {
 export class HealthMonitor {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.logger = options.logger || console;
     this.onAlert = options.onAlert || (() => {});
 
@@ -4420,11 +4892,10 @@ export class HealthMonitor {
   }
 
   loadMetrics() {
-    if (!this.sessionsDir) return;
-    const metricsFile = join(this.sessionsDir, '.health-metrics.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(metricsFile)) {
-        const data = JSON.parse(readFileSync(metricsFile, 'utf-8'));
+      const data = this.storage.load('health-metrics');
+      if (data) {
         // Only load if recent (within last hour)
         if (data.savedAt > Date.now() - 60 * 60 * 1000) {
           this.metrics = { ...this.metrics, ...data.metrics };
@@ -4434,13 +4905,12 @@ export class HealthMonitor {
   }
 
   saveMetrics() {
-    if (!this.sessionsDir) return;
-    const metricsFile = join(this.sessionsDir, '.health-metrics.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(metricsFile, JSON.stringify({
+      this.storage.save('health-metrics', {
         metrics: this.metrics,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -4456,6 +4926,7 @@ export class HealthMonitor {
 export class LanguageDetector {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.contactLanguages = new Map();
 
     // Language patterns
@@ -4602,28 +5073,26 @@ export class LanguageDetector {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.language-detector-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('language-detector-state');
+      if (data) {
         this.contactLanguages = new Map(Object.entries(data.contactLanguages || {}));
       }
     } catch (err) {}
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.language-detector-state.json');
+    if (!this.storage) return;
     try {
       const obj = {};
       for (const [k, v] of this.contactLanguages) {
         obj[k] = v;
       }
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('language-detector-state', {
         contactLanguages: obj,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -4639,6 +5108,7 @@ export class LanguageDetector {
 export class MessageAnalytics {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.contacts = new Map(); // contact -> stats
     this.hourlyStats = new Array(24).fill(0); // Messages per hour
     this.dailyStats = new Map(); // date -> count
@@ -4819,11 +5289,10 @@ export class MessageAnalytics {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.analytics-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('analytics-state');
+      if (data) {
         this.contacts = new Map(Object.entries(data.contacts || {}));
         this.hourlyStats = data.hourlyStats || new Array(24).fill(0);
         this.dailyStats = new Map(Object.entries(data.dailyStats || {}));
@@ -4833,8 +5302,7 @@ export class MessageAnalytics {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.analytics-state.json');
+    if (!this.storage) return;
     try {
       const contactsObj = {};
       for (const [k, v] of this.contacts) {
@@ -4844,13 +5312,13 @@ export class MessageAnalytics {
       for (const [k, v] of this.dailyStats) {
         dailyObj[k] = v;
       }
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('analytics-state', {
         contacts: contactsObj,
         hourlyStats: this.hourlyStats,
         dailyStats: dailyObj,
         responseTimeHistory: this.responseTimeHistory,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -4862,6 +5330,7 @@ export class MessageAnalytics {
 export class ContactScoring {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.weights = {
       replyRate: 30,        // How often they reply
       responseSpeed: 20,    // How fast they reply
@@ -5034,11 +5503,10 @@ export class ContactScoring {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.scoring-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('scoring-state');
+      if (data) {
         this.scores = new Map(Object.entries(data.scores || {}));
         this.contactData = new Map(Object.entries(data.contactData || {}));
       }
@@ -5046,16 +5514,15 @@ export class ContactScoring {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.scoring-state.json');
+    if (!this.storage) return;
     try {
       const scoresObj = Object.fromEntries(this.scores);
       const dataObj = Object.fromEntries(this.contactData);
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('scoring-state', {
         scores: scoresObj,
         contactData: dataObj,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -5101,6 +5568,7 @@ export class SentimentDetector {
 
     this.contactSentiment = new Map();
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     this.loadState();
   }
@@ -5272,22 +5740,20 @@ export class SentimentDetector {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.sentiment-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('sentiment-state');
+      if (data) {
         this.contactSentiment = new Map(Object.entries(data.contactSentiment || {}));
       }
     } catch (err) {}
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.sentiment-state.json');
+    if (!this.storage) return;
     try {
       const obj = Object.fromEntries(this.contactSentiment);
-      writeFileSync(stateFile, JSON.stringify({ contactSentiment: obj, savedAt: Date.now() }, null, 2));
+      this.storage.save('sentiment-state', { contactSentiment: obj, savedAt: Date.now() });
     } catch (err) {}
   }
 }
@@ -5308,6 +5774,7 @@ export class IPWhitelist {
     this.maxFailedAttempts = options.maxFailedAttempts || 5;
     this.blockDuration = options.blockDuration || 15 * 60 * 1000; // 15 minutes
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     // Always allow localhost
     this.whitelist.add('127.0.0.1');
@@ -5361,23 +5828,22 @@ export class IPWhitelist {
     existing.lastAttempt = Date.now();
     this.failedAttempts.set(normalizedIP, existing);
 
-    // Auto-blacklist if too many failures
+    // Temporary ban if too many failures (see isTemporarilyBlocked)
     if (existing.count >= this.maxFailedAttempts) {
-      this.blacklist.add(normalizedIP);
-      this.saveState();
-      return { blocked: true, reason: 'Too many failed attempts - IP blacklisted' };
+      const minutes = Math.ceil(this.blockDuration / 60000);
+      return { blocked: true, reason: `Too many failed attempts - blocked for ${minutes}m` };
     }
 
-    this.saveState();
     return { blocked: false, remainingAttempts: this.maxFailedAttempts - existing.count };
   }
 
   /**
    * Record successful authentication
+   * @returns {boolean} Whether earlier failed attempts were cleared
    */
   recordSuccess(ip) {
     const normalizedIP = this.normalizeIP(ip);
-    this.failedAttempts.delete(normalizedIP);
+    return this.failedAttempts.delete(normalizedIP);
   }
 
   /**
@@ -5492,15 +5958,15 @@ export class IPWhitelist {
       blacklistCount: this.blacklist.size,
       blockedIPs: [...this.blacklist],
       whitelist: [...this.whitelist],
+      tempBanned: [...this.failedAttempts.keys()].filter(ip => this.isTemporarilyBlocked(ip)),
     };
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.ipwhitelist-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('ipwhitelist-state');
+      if (data) {
         if (data.whitelist) this.whitelist = new Set([...this.whitelist, ...data.whitelist]);
         if (data.blacklist) this.blacklist = new Set(data.blacklist);
         if (data.enabled !== undefined) this.enabled = data.enabled;
@@ -5509,15 +5975,14 @@ export class IPWhitelist {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.ipwhitelist-state.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('ipwhitelist-state', {
         enabled: this.enabled,
         whitelist: [...this.whitelist],
         blacklist: [...this.blacklist],
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -5528,10 +5993,14 @@ export class IPWhitelist {
 export class AuditLogger {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.maxLogs = options.maxLogs || 1000;
     this.logs = [];
     this.enabled = options.enabled ?? true;
 
+    // Records in storage; trimmed back to maxLogs once 10% over
+    this.storedCount = 0;
+
     this.loadState();
   }
 
@@ -5554,7 +6023,7 @@ export class AuditLogger {
       this.logs = this.logs.slice(-this.maxLogs);
     }
 
-    this.saveState();
+    this.saveEntry(entry);
     return entry;
   }
 
@@ -5566,10 +6035,12 @@ export class AuditLogger {
       type: 'api_call',
       method: req.method,
       path: req.path,
+      session: req.sessionId,
       ip: req.ip || req.connection?.remoteAddress,
       userAgent: req.headers?.['user-agent'],
       statusCode: result.statusCode,
       duration: result.duration,
+      decision: result.decision || 'allowed',
     });
   }
 
@@ -5695,28 +6166,55 @@ export class AuditLogger {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.audit-logs.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
-        this.logs = data.logs || [];
-      }
+      this.migrateLegacyLogs();
+      this.logs = this.storage.query('audit-logs', { limit: this.maxLogs }).reverse();
+      this.storedCount = this.storage.count('audit-logs');
     } catch (err) {}
   }
 
-  saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.audit-logs.json');
+  /**
+   * Logs used to be one document rewritten on every event;
+   * move them into the append-only collection once
+   */
+  migrateLegacyLogs() {
+    const legacy = this.storage.load('audit-logs');
+    if (!legacy) return;
+
+    if (this.storage.count('audit-logs') === 0) {
+      for (const entry of legacy.logs || []) {
+        this.storage.append('audit-logs', entry, new Date(entry.timestamp).getTime() || Date.now());
+      }
+    }
+    this.storage.remove('audit-logs');
+  }
+
+  /**
+   * Append one entry without rewriting the history
+   */
+  saveEntry(entry) {
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
-        logs: this.logs,
-        savedAt: Date.now(),
-      }, null, 2));
+      this.storage.append('audit-logs', entry);
+      this.storedCount++;
+
+      if (this.storedCount > this.maxLogs * 1.1) {
+        this.storage.prune('audit-logs', { keep: this.maxLogs });
+        this.storedCount = this.maxLogs;
+      }
     } catch (err) {}
   }
 }
 
+// Built-in per-endpoint limits; 'default' covers every other path
+const DEFAULT_ENDPOINT_LIMITS = {
+  '/api/send': { windowMs: 60000, max: 30 },
+  '/api/queue': { windowMs: 60000, max: 50 },
+  '/api/persistent-queue': { windowMs: 60000, max: 50 },
+  'default': { windowMs: 60000, max: 100 },
+};
+
 /**
  * APIRateLimiter - Rate limit API calls per IP/token
  */
@@ -5726,17 +6224,16 @@ export class APIRateLimiter {
     this.maxRequests = options.maxRequests || 60; // 60 requests per minute
     this.clients = new Map(); // IP/token -> { count, resetTime }
     this.enabled = options.enabled ?? true;
+    this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
 
     // Different limits for different endpoints
-    this.endpointLimits = {
-      '/api/send': { windowMs: 60000, max: 30 },
-      '/api/queue': { windowMs: 60000, max: 50 },
-      '/api/persistent-queue': { windowMs: 60000, max: 50 },
-      'default': { windowMs: 60000, max: 100 },
-    };
+    this.endpointLimits = structuredClone(DEFAULT_ENDPOINT_LIMITS);
 
     // Cleanup old entries every minute
     this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+
+    this.loadState();
   }
 
   /**
@@ -5781,11 +6278,35 @@ export class APIRateLimiter {
     };
   }
 
+  /**
+   * Limit key for a request path: the path itself if it has its own limit
+   */
+  resolveEndpoint(path) {
+    return Object.hasOwn(this.endpointLimits, path) ? path : 'default';
+  }
+
   /**
    * Set custom limit for endpoint
    */
   setEndpointLimit(endpoint, windowMs, max) {
     this.endpointLimits[endpoint] = { windowMs, max };
+    this.saveState();
+  }
+
+  /**
+   * Drop a custom limit; built-in endpoints go back to their default
+   * @returns {boolean} False if the endpoint had no limit
+   */
+  removeEndpointLimit(endpoint) {
+    if (!Object.hasOwn(this.endpointLimits, endpoint)) return false;
+
+    if (DEFAULT_ENDPOINT_LIMITS[endpoint]) {
+      this.endpointLimits[endpoint] = { ...DEFAULT_ENDPOINT_LIMITS[endpoint] };
+    } else {
+      delete this.endpointLimits[endpoint];
+    }
+    this.saveState();
+    return true;
   }
 
   /**
@@ -5816,6 +6337,7 @@ export class APIRateLimiter {
    */
   setEnabled(enabled) {
     this.enabled = enabled;
+    this.saveState();
   }
 
   destroy() {
@@ -5823,6 +6345,28 @@ export class APIRateLimiter {
       clearInterval(this.cleanupInterval);
     }
   }
+
+  loadState() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('api-rate-limits');
+      if (data) {
+        if (data.endpointLimits) this.endpointLimits = { ...this.endpointLimits, ...data.endpointLimits };
+        if (data.enabled !== undefined) this.enabled = data.enabled;
+      }
+    } catch (err) {}
+  }
+
+  saveState() {
+    if (!this.storage) return;
+    try {
+      this.storage.save('api-rate-limits', {
+        enabled: this.enabled,
+        endpointLimits: this.endpointLimits,
+        savedAt: Date.now(),
+      });
+    } catch (err) {}
+  }
 }
 
 // =============================================================================
@@ -5835,6 +6379,7 @@ export class APIRateLimiter {
 export class AutoResponder {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.enabled = options.enabled ?? false;
     this.rules = [];
     this.ruleStats = new Map(); // ruleId -> { triggered, lastTriggered }
@@ -6040,11 +6585,10 @@ export class AutoResponder {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.autoresponder-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('autoresponder-state');
+      if (data) {
         this.rules = data.rules || [];
         this.enabled = data.enabled ?? false;
         this.ruleStats = new Map(Object.entries(data.ruleStats || {}));
@@ -6053,15 +6597,14 @@ export class AutoResponder {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.autoresponder-state.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('autoresponder-state', {
         enabled: this.enabled,
         rules: this.rules,
         ruleStats: Object.fromEntries(this.ruleStats),
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -6072,6 +6615,7 @@ export class AutoResponder {
 export class MessageTemplates {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.templates = new Map();
     this.usageStats = new Map();
 
@@ -6142,8 +6686,21 @@ export class MessageTemplates {
     const template = this.templates.get(name);
     if (!template) throw new Error('Template not found');
 
-    let content = template.content;
+    const content = this.renderContent(template.content, variables);
 
+    // Track usage
+    const stats = this.usageStats.get(name) || { used: 0 };
+    stats.used++;
+    stats.lastUsed = Date.now();
+    this.usageStats.set(name, stats);
+
+    return content;
+  }
+
+  /**
+   * Render template content (stored or not) with variables and built-ins
+   */
+  renderContent(content, variables = {}) {
     // Replace variables
     for (const [key, value] of Object.entries(variables)) {
       const regex = new RegExp(`\\{${key}\\}`, 'g');
@@ -6156,12 +6713,6 @@ export class MessageTemplates {
     content = content.replace(/\{day\}/g, ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'][new Date().getDay()]);
     content = content.replace(/\{greeting\}/g, this.getGreeting());
 
-    // Track usage
-    const stats = this.usageStats.get(name) || { used: 0 };
-    stats.used++;
-    stats.lastUsed = Date.now();
-    this.usageStats.set(name, stats);
-
     return content;
   }
 
@@ -6224,11 +6775,10 @@ export class MessageTemplates {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.templates-state.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('templates-state');
+      if (data) {
         this.templates = new Map(Object.entries(data.templates || {}));
         this.usageStats = new Map(Object.entries(data.usageStats || {}));
       }
@@ -6236,14 +6786,13 @@ export class MessageTemplates {
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.templates-state.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('templates-state', {
         templates: Object.fromEntries(this.templates),
         usageStats: Object.fromEntries(this.usageStats),
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
@@ -6254,8 +6803,11 @@ export class MessageTemplates {
 export class ScheduledMessages {
   constructor(options = {}) {
     this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
     this.sendFunction = options.sendFunction;
     this.logger = options.logger || console;
+    // Recipients who opted out are skipped unless the message is a reply
+    this.isOptedOut = options.isOptedOut || (() => false);
     this.scheduled = []; // { id, to, message, sendAt, status, ... }
     this.checkInterval = null;
 
@@ -6335,6 +6887,18 @@ export class ScheduledMessages {
     );
 
     for (const msg of toSend) {
+      if (!msg.replyTo && this.isOptedOut(msg.to)) {
+        msg.status = 'skipped';
+        msg.error = 'Recipient opted out';
+        this.logger.info({ to: msg.to, id: msg.id }, 'Scheduled message skipped (recipient opted out)');
+
+        // Later repeats still go out if they opt back in
+        if (msg.repeat) {
+          this.scheduleRepeat(msg);
+        }
+        continue;
+      }
+
       try {
         await this.sendFunction(msg.to, msg.message, msg.replyTo);
         msg.status = 'sent';
@@ -6406,7 +6970,7 @@ export class ScheduledMessages {
   }
 
   getStats() {
-    const byStatus = { pending: 0, sent: 0, failed: 0, cancelled: 0 };
+    const byStatus = { pending: 0, sent: 0, failed: 0, cancelled: 0, skipped: 0 };
     for (const msg of this.scheduled) {
       byStatus[msg.status] = (byStatus[msg.status] || 0) + 1;
     }
@@ -6424,24 +6988,22 @@ export class ScheduledMessages {
   }
 
   loadState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.scheduled-messages.json');
+    if (!this.storage) return;
     try {
-      if (existsSync(stateFile)) {
-        const data = JSON.parse(readFileSync(stateFile, 'utf-8'));
+      const data = this.storage.load('scheduled-messages');
+      if (data) {
         this.scheduled = data.scheduled || [];
       }
     } catch (err) {}
   }
 
   saveState() {
-    if (!this.sessionsDir) return;
-    const stateFile = join(this.sessionsDir, '.scheduled-messages.json');
+    if (!this.storage) return;
     try {
-      writeFileSync(stateFile, JSON.stringify({
+      this.storage.save('scheduled-messages', {
         scheduled: this.scheduled,
         savedAt: Date.now(),
-      }, null, 2));
+      });
     } catch (err) {}
   }
 }
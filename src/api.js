@@ -1,7 +1,31 @@
 import express from 'express';
 import crypto from 'crypto';
 import QRCode from 'qrcode';
+import multer from 'multer';
 import { setupSwagger } from './swagger.js';
+import { MediaError, MEDIA_TYPES, DEFAULT_MAX_DOCUMENT_BYTES } from './media.js';
+import { SessionPool, DEFAULT_SESSION_ID } from './session-pool.js';
+import { WebhookEndpointError } from './webhook-events.js';
+import { DeadLetterError, parseDeadLetterFilter } from './webhook-dead-letters.js';
+import { IPWhitelist, APIRateLimiter, AuditLogger } from './anti-ban.js';
+import { WA2BridgeError, errorHandler } from './errors.js';
+import { MessageStoreError, parseMessageFilter } from './message-store.js';
+import { GroupError, isGroupJid } from './groups.js';
+import { ContactError } from './contacts.js';
+import { MessageActionError } from './message-actions.js';
+import { RichMessageError, RICH_MESSAGE_TYPES } from './rich-messages.js';
+import { CampaignError } from './campaigns.js';
+import { ConsentError } from './consent.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { SimulatorError } from './fake-socket.js';
+import { verifyCloudSignature, CLOUD_SIGNATURE_HEADER } from './whatsapp-cloud.js';
+import {
+  IdempotencyStore,
+  IdempotencyError,
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER,
+  fingerprintRequest,
+} from './idempotency.js';
 
 /**
  * @typedef {import('../types/index.js').SendMessageRequest} SendMessageRequest
@@ -15,6 +39,15 @@ import { setupSwagger } from './swagger.js';
 /**
  * @typedef {Object} ApiServerOptions
  * @property {string} [apiSecret] - Bearer token for API authentication
+ * @property {string} [jsonLimit='25mb'] - Max JSON body size (base64 media uploads)
+ * @property {import('./session-pool.js').SessionPool} [sessionPool] - Enables /api/sessions (multi-session)
+ * @property {IPWhitelist} [ipWhitelist] - Default: the client's (enforced server-wide)
+ * @property {APIRateLimiter} [apiRateLimiter] - Default: the client's (enforced server-wide)
+ * @property {AuditLogger} [auditLogger] - Default: the client's
+ * @property {import('./errors.js').ErrorHandler} [errorHandler] - Responds to typed errors (default: shared instance)
+ * @property {IdempotencyStore} [idempotencyStore] - For clients without their own (default: in-memory)
+ * @property {{username: string, password: string}} [metricsAuth] - Basic auth for /metrics (default: open)
+ * @property {{appSecret: string, verifyToken: string}} [cloudWebhook] - Enables /webhooks/cloud (WA_BACKEND=cloud)
  */
 
 /**
@@ -33,8 +66,16 @@ import { setupSwagger } from './swagger.js';
 export function createApiServer(whatsappClient, options = {}) {
   const app = express();
   const apiSecret = options.apiSecret;
+  const sessionPool = options.sessionPool || null;
 
-  app.use(express.json());
+  // Base64 media needs a larger body limit than express' 100kb default.
+  // Cloud API webhooks are signed over the raw body, so keep it for them
+  app.use(express.json({
+    limit: options.jsonLimit || '25mb',
+    verify: (req, res, buffer) => {
+      if (req.url.startsWith('/webhooks/')) req.rawBody = buffer;
+    },
+  }));
 
   // ==========================================================================
   // CORS Configuration
@@ -43,9 +84,9 @@ export function createApiServer(whatsappClient, options = {}) {
     // Allow requests from any origin (configure CORS_ORIGIN env var for production)
     const allowedOrigin = process.env.CORS_ORIGIN || '*';
     res.set('Access-Control-Allow-Origin', allowedOrigin);
-    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-ID');
-    res.set('Access-Control-Expose-Headers', 'X-Request-ID');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.set('Access-Control-Allow-Headers', `Content-Type, Authorization, X-Request-ID, ${IDEMPOTENCY_HEADER}`);
+    res.set('Access-Control-Expose-Headers', `X-Request-ID, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, ${REPLAYED_HEADER}`);
 
     // Handle preflight requests
     if (req.method === 'OPTIONS') {
@@ -75,36 +116,14 @@ export function createApiServer(whatsappClient, options = {}) {
     res.on('finish', () => {
       const duration = Date.now() - start;
       const { statusCode } = res;
-      // Skip health checks to reduce noise
-      if (path === '/health' || path === '/health/ready') return;
+      // Skip health checks and scrapes to reduce noise
+      if (path === '/health' || path === '/health/ready' || path === '/metrics') return;
       console.log(`[${requestId}] ${method} ${path} ${statusCode} ${duration}ms [${ip}]`);
     });
 
     next();
   });
 
-  // ==========================================================================
-  // IP-based Rate Limiting
-  // ==========================================================================
-  const ipRateLimits = new Map();
-  const IP_RATE_LIMIT = 100;        // requests per window
-  const IP_RATE_WINDOW = 60 * 1000; // 1 minute window
-
-  /**
-   * Clean up expired rate limit entries
-   */
-  const cleanupRateLimits = () => {
-    const now = Date.now();
-    for (const [ip, data] of ipRateLimits.entries()) {
-      if (now - data.windowStart > IP_RATE_WINDOW) {
-        ipRateLimits.delete(ip);
-      }
-    }
-  };
-
-  // Cleanup every minute
-  setInterval(cleanupRateLimits, 60000);
-
   // ==========================================================================
   // Server-Sent Events (SSE) for Real-Time Dashboard Updates
   // ==========================================================================
@@ -130,44 +149,6 @@ export function createApiServer(whatsappClient, options = {}) {
   // Expose broadcast function on the app for external use
   app.broadcast = broadcast;
 
-  /**
-   * IP rate limiting middleware
-   */
-  const ipRateLimit = (req, res, next) => {
-    // Skip rate limiting for health checks
-    if (req.path === '/health' || req.path === '/health/ready') {
-      return next();
-    }
-
-    const ip = req.ip || req.connection?.remoteAddress || 'unknown';
-    const now = Date.now();
-
-    let data = ipRateLimits.get(ip);
-
-    if (!data || now - data.windowStart > IP_RATE_WINDOW) {
-      // New window
-      data = { count: 1, windowStart: now };
-      ipRateLimits.set(ip, data);
-      return next();
-    }
-
-    data.count++;
-
-    if (data.count > IP_RATE_LIMIT) {
-      const retryAfter = Math.ceil((IP_RATE_WINDOW - (now - data.windowStart)) / 1000);
-      res.set('Retry-After', String(retryAfter));
-      return res.status(429).json({
-        error: 'Too many requests',
-        message: `Rate limit exceeded. Try again in ${retryAfter} seconds.`,
-        retryAfter,
-      });
-    }
-
-    next();
-  };
-
-  app.use(ipRateLimit);
-
   // Security: Warn if no API secret configured
   if (!apiSecret) {
     console.warn('⚠️  WARNING: No API_SECRET configured!');
@@ -196,6 +177,37 @@ export function createApiServer(whatsappClient, options = {}) {
     return crypto.timingSafeEqual(a, b);
   };
 
+  // ==========================================================================
+  // Security: IP filtering, rate limiting, audit log
+  // ==========================================================================
+
+  // One set for the whole server (the default session's), so changes made
+  // through /api/security/* apply to every route and session
+  const ipWhitelist = options.ipWhitelist || whatsappClient?.ipWhitelist || new IPWhitelist();
+  const apiRateLimiter = options.apiRateLimiter || whatsappClient?.apiRateLimiter || new APIRateLimiter();
+  const auditLogger = options.auditLogger || whatsappClient?.auditLogger || new AuditLogger();
+
+  // Probes are never blocked, limited or logged
+  const isHealthCheck = (req) => req.path === '/health' || req.path === '/health/ready';
+  // Meta delivers from a few shared IPs and signs every call (X-Hub-Signature-256),
+  // so the IP filter and per-IP limits would only drop its webhooks
+  const isCloudWebhook = (req) => req.path === '/webhooks/cloud';
+  const clientIp = (req) => req.ip || req.connection?.remoteAddress || 'unknown';
+
+  // Failed Bearer (or /metrics Basic) auth counts towards a temporary IP ban
+  const rejectAuth = (req, res, reason, message, method = 'bearer') => {
+    const ip = clientIp(req);
+    res.locals.securityDecision = 'unauthorized';
+    auditLogger.logAuth(method, ip, false, { reason, path: req.path });
+
+    const attempt = ipWhitelist.recordFailedAttempt(ip);
+    if (attempt.blocked) {
+      auditLogger.logSecurity('ip_temp_banned', ip, { reason: attempt.reason, severity: 'high' });
+    }
+
+    return res.status(401).json({ error: 'Unauthorized', message });
+  };
+
   // Auth middleware
   const authenticate = (req, res, next) => {
     if (!apiSecret) {
@@ -204,17 +216,145 @@ export function createApiServer(whatsappClient, options = {}) {
 
     const auth = req.headers.authorization;
     if (!auth || !auth.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Unauthorized', message: 'Bearer token required' });
+      return rejectAuth(req, res, 'missing_token', 'Bearer token required');
     }
 
     const token = auth.slice(7);
     if (!safeCompare(token, apiSecret)) {
-      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid token' });
+      return rejectAuth(req, res, 'invalid_token', 'Invalid token');
+    }
+
+    // Only log success when it ends a run of failures
+    if (ipWhitelist.recordSuccess(clientIp(req))) {
+      auditLogger.logAuth('bearer', clientIp(req), true, { path: req.path });
     }
 
     next();
   };
 
+  // Basic auth for Prometheus scrapers, only when METRICS_USERNAME/PASSWORD are set
+  const metricsAuth = options.metricsAuth || null;
+  const authenticateMetrics = (req, res, next) => {
+    if (!metricsAuth) return next();
+
+    const auth = req.headers.authorization;
+    if (!auth || !auth.startsWith('Basic ')) {
+      res.set('WWW-Authenticate', 'Basic realm="metrics"');
+      return rejectAuth(req, res, 'missing_credentials', 'Basic credentials required', 'basic');
+    }
+
+    const decoded = Buffer.from(auth.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    // Both compared so a wrong username takes as long as a wrong password
+    const validUser = safeCompare(decoded.slice(0, separator), metricsAuth.username);
+    const validPassword = safeCompare(decoded.slice(separator + 1), metricsAuth.password);
+    if (separator < 0 || !validUser || !validPassword) {
+      res.set('WWW-Authenticate', 'Basic realm="metrics"');
+      return rejectAuth(req, res, 'invalid_credentials', 'Invalid credentials', 'basic');
+    }
+
+    next();
+  };
+
+  // Audit every API call with the decision taken for it
+  app.use((req, res, next) => {
+    if (!req.path.startsWith('/api/')) return next();
+
+    const start = Date.now();
+    res.on('finish', () => {
+      auditLogger.logAPICall(req, {
+        statusCode: res.statusCode,
+        duration: Date.now() - start,
+        decision: res.locals.securityDecision,
+      });
+    });
+
+    next();
+  });
+
+  // Blacklist, whitelist (when enabled) and temporary bans
+  app.use((req, res, next) => {
+    if (isHealthCheck(req) || isCloudWebhook(req)) return next();
+
+    const check = ipWhitelist.isAllowed(clientIp(req));
+    if (!check.allowed) {
+      res.locals.securityDecision = 'ip_blocked';
+      return res.status(403).json({ error: 'Forbidden', message: check.reason });
+    }
+
+    next();
+  });
+
+  // Per-IP rate limits; /api/sessions/:id/send counts as /api/send
+  app.use((req, res, next) => {
+    if (isHealthCheck(req) || isCloudWebhook(req)) return next();
+
+    const path = req.path.replace(/^\/api\/sessions\/[^/]+(?=\/)/, '/api');
+    const result = apiRateLimiter.checkLimit(clientIp(req), apiRateLimiter.resolveEndpoint(path));
+    if (result.limit !== undefined) {
+      res.set('X-RateLimit-Limit', String(result.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+    }
+
+    if (!result.allowed) {
+      res.locals.securityDecision = 'rate_limited';
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Rate limit exceeded. Try again in ${result.retryAfter} seconds.`,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    next();
+  });
+
+  // ==========================================================================
+  // Multi-Session Routing
+  // ==========================================================================
+
+  // Sub-paths handled by the session management routes themselves
+  const SESSION_MANAGEMENT_PATHS = ['', '/', '/start', '/stop'];
+
+  /**
+   * Resolve the WhatsApp client for a request.
+   * /api/sessions/:sessionId/<path> is served by the regular /api/<path>
+   * handler with that session's client; all other routes use the default.
+   */
+  app.use((req, res, next) => {
+    req.whatsapp = whatsappClient;
+    req.sessionId = whatsappClient?.sessionId || DEFAULT_SESSION_ID;
+
+    const match = req.path.match(/^\/api\/sessions\/([^/]+)(\/.*)?$/);
+    if (!match || SESSION_MANAGEMENT_PATHS.includes(match[2] || '')) {
+      return next();
+    }
+
+    let sessionId;
+    try {
+      sessionId = decodeURIComponent(match[1]);
+    } catch (err) {
+      return res.status(400).json({ error: 'Invalid session ID', message: 'Malformed percent-encoding' });
+    }
+
+    const client = sessionPool
+      ? sessionPool.getClient(sessionId)
+      : (sessionId === req.sessionId ? whatsappClient : null);
+
+    if (!client) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No session named "${sessionId}"`,
+      });
+    }
+
+    const queryIndex = req.url.indexOf('?');
+    req.whatsapp = client;
+    req.sessionId = sessionId;
+    req.url = '/api' + match[2] + (queryIndex >= 0 ? req.url.slice(queryIndex) : '');
+    next();
+  });
+
   // Liveness probe - is the process alive? (no auth required)
   app.get('/health', (req, res) => {
     const mem = process.memoryUsage();
@@ -232,151 +372,925 @@ export function createApiServer(whatsappClient, options = {}) {
 
   // Readiness probe - is it ready to handle requests? (no auth required)
   app.get('/health/ready', (req, res) => {
-    const status = whatsappClient.getStatus();
+    const status = req.whatsapp.getStatus();
     const banWarning = status.banWarning || {};
     const isHibernating = banWarning.hibernationMode === true;
     const isConnected = status.connected === true;
 
-    // Ready if connected and not hibernating
-    if (isConnected && !isHibernating) {
-      return res.json({
-        ready: true,
-        connected: true,
-        hibernating: false,
-        timestamp: new Date().toISOString(),
+    // Ready if connected and not hibernating
+    if (isConnected && !isHibernating) {
+      return res.json({
+        ready: true,
+        connected: true,
+        hibernating: false,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Not ready - return 503 Service Unavailable
+    res.status(503).json({
+      ready: false,
+      connected: isConnected,
+      hibernating: isHibernating,
+      reason: !isConnected ? 'WhatsApp not connected' : 'In hibernation mode',
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Prometheus scrape target - every session, labelled by session
+  app.get('/metrics', authenticateMetrics, (req, res) => {
+    const sessions = sessionPool
+      ? sessionPool.list().map(({ id }) => ({ sessionId: id, client: sessionPool.getClient(id) }))
+      : [{ sessionId: req.sessionId, client: whatsappClient }];
+
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(renderMetrics(sessions.filter(session => session.client)));
+  });
+
+  // ==========================================================================
+  // Cloud API Webhooks (WA_BACKEND=cloud)
+  // ==========================================================================
+  const cloudWebhook = options.cloudWebhook || null;
+
+  const requireCloudWebhook = (req, res, next) => {
+    if (!cloudWebhook) {
+      return res.status(404).json({
+        error: 'Cloud API webhooks not enabled',
+        message: 'Set WA_CLOUD_APP_SECRET and WA_CLOUD_VERIFY_TOKEN to receive Cloud API webhooks',
+      });
+    }
+    next();
+  };
+
+  // Sessions on the Cloud API, by phone number ID
+  const findCloudClient = (phoneNumberId) => {
+    const clients = sessionPool
+      ? sessionPool.list().map(({ id }) => sessionPool.getClient(id))
+      : [whatsappClient];
+    return clients.find(client => client?.backend === 'cloud' && client.cloud?.phoneNumberId === phoneNumberId) || null;
+  };
+
+  // Subscription check from the Meta app dashboard: echo the challenge
+  app.get('/webhooks/cloud', requireCloudWebhook, (req, res) => {
+    if (req.query['hub.mode'] !== 'subscribe' || !safeCompare(req.query['hub.verify_token'], cloudWebhook.verifyToken)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Invalid verify token' });
+    }
+    res.type('text/plain').send(String(req.query['hub.challenge'] ?? ''));
+  });
+
+  // Inbound messages and status callbacks, signed with the app secret
+  app.post('/webhooks/cloud', requireCloudWebhook, (req, res) => {
+    if (!verifyCloudSignature(req.rawBody, req.get(CLOUD_SIGNATURE_HEADER), cloudWebhook.appSecret)) {
+      return res.status(401).json({ error: 'Unauthorized', message: `Invalid ${CLOUD_SIGNATURE_HEADER}` });
+    }
+
+    const targets = (req.body.entry || [])
+      .flatMap(entry => entry.changes || [])
+      .filter(change => change.field === 'messages' && change.value)
+      .map(change => ({ value: change.value, client: findCloudClient(change.value.metadata?.phone_number_id) }));
+
+    // Meta retries until it gets a 200, so a session that isn't started yet gets them later
+    if (targets.some(({ client }) => client && !client.socket?.receiveWebhook)) {
+      return res.status(503).json({ error: 'Session not started', message: 'Retry later' });
+    }
+
+    const received = { messages: 0, statuses: 0, ignored: 0 };
+    for (const { value, client } of targets) {
+      if (!client) {
+        received.ignored++;
+        continue;
+      }
+      const counts = client.socket.receiveWebhook(value);
+      received.messages += counts.messages;
+      received.statuses += counts.statuses;
+    }
+
+    res.json({ success: true, ...received });
+  });
+
+  // Get WhatsApp status
+  app.get('/api/status', authenticate, (req, res) => {
+    const status = req.whatsapp.getStatus();
+    res.json(status);
+  });
+
+  // Get QR code as JSON (no auth - for easy browser access during pairing)
+  app.get('/api/qr', (req, res) => {
+    const status = req.whatsapp.getStatus();
+
+    if (status.connected) {
+      return res.json({ status: 'connected', qr: null, phone: status.phone });
+    }
+
+    if (status.qr) {
+      return res.json({ status: 'waiting_scan', qr: status.qr });
+    }
+
+    res.json({ status: 'initializing', qr: null });
+  });
+
+  // QR code as HTML page (for easy scanning in browser)
+  app.get('/qr', async (req, res) => {
+    const status = req.whatsapp.getStatus();
+
+    if (status.connected) {
+      return res.send(`
+        <html>
+          <head><title>WA2Bridge - Connected</title></head>
+          <body style="font-family: sans-serif; text-align: center; padding: 50px;">
+            <h1>✅ WhatsApp Connected</h1>
+            <p>Phone: ${status.phone || 'Unknown'}</p>
+            <p>Name: ${status.name || 'Unknown'}</p>
+          </body>
+        </html>
+      `);
+    }
+
+    if (status.qr) {
+      try {
+        const qrDataUrl = await QRCode.toDataURL(status.qr, { width: 300, margin: 2 });
+        return res.send(`
+          <html>
+            <head><title>WA2Bridge - Scan QR</title></head>
+            <body style="font-family: sans-serif; text-align: center; padding: 50px;">
+              <h1>📱 Scan with WhatsApp</h1>
+              <p>Open WhatsApp → Settings → Linked Devices → Link a Device</p>
+              <img src="${qrDataUrl}" alt="QR Code" style="margin: 20px auto; display: block;" />
+              <p style="color: #666; margin-top: 20px;">QR refreshes automatically. Reload if expired.</p>
+            </body>
+          </html>
+        `);
+      } catch (err) {
+        console.error('QR generation error:', err);
+      }
+    }
+
+    res.send(`
+      <html>
+        <head><title>WA2Bridge - Loading</title><meta http-equiv="refresh" content="2"></head>
+        <body style="font-family: sans-serif; text-align: center; padding: 50px;">
+          <h1>⏳ Initializing...</h1>
+          <p>Please wait, generating QR code...</p>
+        </body>
+      </html>
+    `);
+  });
+
+  // Multipart uploads for /api/send (file field: "file"), kept in memory
+  const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: whatsappClient.maxDocumentBytes || DEFAULT_MAX_DOCUMENT_BYTES,
+      files: 1,
+    },
+  }).single('file');
+
+  const parseMultipart = (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    mediaUpload(req, res, (err) => {
+      if (!err) return next();
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      res.status(status).json({ error: 'Invalid upload', message: err.message });
+    });
+  };
+
+  // Sessions keep their own keys; this store serves clients without one
+  const fallbackIdempotencyStore = options.idempotencyStore || new IdempotencyStore();
+
+  /**
+   * Honor the Idempotency-Key header: replay the stored response for a
+   * repeated key, otherwise run the route and keep its 2xx response.
+   * Must run after body parsing (parseMultipart for /api/send).
+   */
+  const idempotent = (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return next();
+
+    const store = req.whatsapp.idempotencyStore || fallbackIdempotencyStore;
+    let stored;
+    try {
+      IdempotencyStore.validateKey(key);
+      stored = store.begin(key, fingerprintRequest({
+        method: req.method,
+        path: req.path,
+        body: req.body,
+        file: req.file?.buffer,
+      }));
+    } catch (error) {
+      if (error instanceof IdempotencyError) {
+        return res.status(error.statusCode).json({ error: 'Idempotency conflict', message: error.message });
+      }
+      return res.status(500).json({ error: error.message });
+    }
+
+    if (stored) {
+      res.set(REPLAYED_HEADER, 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Keep successful responses; anything else frees the key for a retry
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        store.complete(key, res.statusCode, body);
+      } else {
+        store.release(key);
+      }
+      return json(body);
+    };
+    // Responses sent without res.json() free it too. Not on 'close': a client
+    // that gave up must not free the key while its send is still running
+    res.on('finish', () => store.release(key));
+
+    next();
+  };
+
+  /**
+   * Send a text or media message
+   * @route POST /api/send
+   * @param {SendMessageRequest} req.body - Message details (JSON or multipart/form-data)
+   * @returns {SendMessageResponse} Send result
+   */
+  app.post('/api/send', authenticate, parseMultipart, idempotent, async (req, res, next) => {
+    try {
+      /** @type {SendMessageRequest} */
+      const { to, message, reply_to } = req.body;
+
+      // Async mode answers 202 before the typing/thinking simulation runs
+      const asyncMode = req.body.async === true || req.body.async === 'true';
+
+      // Media can come from a multipart file or a JSON "media" object
+      let media = null;
+      if (req.file) {
+        media = {
+          buffer: req.file.buffer,
+          mimetype: req.body.mimetype || req.file.mimetype,
+          filename: req.body.filename || req.file.originalname,
+          type: req.body.type,
+          caption: req.body.caption,
+          ptt: req.body.ptt === 'true' || req.body.ptt === true,
+        };
+      } else if (req.body.media) {
+        if (typeof req.body.media !== 'object') {
+          return res.status(400).json({ error: 'Invalid "media"', message: 'Expected an object with "url" or "base64"' });
+        }
+        media = req.body.media;
+      }
+
+      // Locations, contact cards and polls: { type, location | contact | poll }
+      const rich = !media && RICH_MESSAGE_TYPES.includes(req.body.type)
+        ? { type: req.body.type, payload: req.body[req.body.type] }
+        : null;
+
+      if (!to || (!message && !media && !rich)) {
+        return res.status(400).json({ error: 'Missing "to" or "message"' });
+      }
+
+      // Validate phone number format
+      // Accepts: +6281234567890, 6281234567890, 6281234567890@s.whatsapp.net, 120363...@g.us
+      const phoneRegex = /^\+?\d{10,15}(@s\.whatsapp\.net)?$/;
+      const cleanPhone = to.replace(/[\s-]/g, ''); // Remove spaces and dashes
+      if (!phoneRegex.test(cleanPhone) && !isGroupJid(to)) {
+        return res.status(400).json({
+          error: 'Invalid phone number format',
+          message: 'Use format: +6281234567890, 6281234567890 or a group JID (120363012345678901@g.us)',
+        });
+      }
+
+      if (media?.type && !MEDIA_TYPES.includes(media.type)) {
+        return res.status(400).json({
+          error: 'Invalid media type',
+          message: `Use one of: ${MEDIA_TYPES.join(', ')}`,
+        });
+      }
+
+      if (asyncMode) {
+        const tracked = await req.whatsapp.sendAsync(to, { text: message, media, rich, replyToMessageId: reply_to });
+
+        // Same prefix as the request, so session-scoped sends point at their session
+        const base = req.originalUrl.split('?')[0].replace(/\/send$/, '');
+        return res.status(202).json({
+          success: true,
+          id: tracked.id,
+          status: tracked.status,
+          to,
+          statusUrl: `${base}/messages/${tracked.id}`,
+        });
+      }
+
+      if (rich) {
+        const result = await req.whatsapp.sendRichMessage(to, rich.type, rich.payload, { replyToMessageId: reply_to });
+
+        return res.json({
+          success: true,
+          messageId: result.key.id,
+          to,
+        });
+      }
+
+      if (!media) {
+        const result = await req.whatsapp.sendMessage(to, message, reply_to);
+
+        return res.json({
+          success: true,
+          messageId: result.key.id,
+          to,
+        });
+      }
+
+      let result;
+      try {
+        result = await req.whatsapp.sendMedia(to, media, {
+          caption: media.caption || message,
+          replyToMessageId: reply_to,
+          ptt: media.ptt,
+        });
+      } catch (error) {
+        // Media resolution errors are client errors, everything else falls through
+        if (error instanceof MediaError) {
+          return res.status(400).json({ error: 'Invalid media', message: error.message });
+        }
+        throw error;
+      }
+
+      res.json({
+        success: true,
+        messageId: result.key.id,
+        to,
+      });
+    } catch (error) {
+      // Typed errors carry their own status, code and Retry-After
+      if (error instanceof WA2BridgeError) return next(error);
+
+      if (error instanceof RichMessageError) {
+        return res.status(error.statusCode).json({ error: `Invalid ${req.body.type}`, message: error.message });
+      }
+
+      console.error('Send error:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Message history, newest first
+   * @route GET /api/messages
+   * @param {string} [contact] - Phone number or group JID
+   * @param {string} [direction] - inbound | outbound
+   * @param {string} [status] - received | queued | typing | sent | delivered | read | failed
+   * @param {string} [from] - Created at or after (Unix ms or ISO date)
+   * @param {string} [to] - Created at or before
+   * @param {number} [limit=50] - Page size (max 500)
+   * @param {number} [offset=0]
+   */
+  app.get('/api/messages', authenticate, (req, res) => {
+    try {
+      const filter = parseMessageFilter(req.query);
+      res.json(req.whatsapp.queryMessages(filter));
+    } catch (error) {
+      if (error instanceof MessageStoreError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Lifecycle of a send: queued → typing → sent → delivered → read, or failed
+   * @route GET /api/messages/:messageId
+   * @param {string} messageId - Bridge message ID (async sends) or WhatsApp message ID
+   */
+  app.get('/api/messages/:messageId', authenticate, (req, res) => {
+    try {
+      const message = req.whatsapp.getMessageStatus(req.params.messageId);
+
+      if (!message) {
+        return res.status(404).json({
+          error: 'Message not found',
+          message: 'Unknown message ID, or the message is older than the history retention',
+        });
+      }
+
+      res.json(message);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  const sendMessageActionError = (res, next, error) => {
+    if (error instanceof MessageActionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof WA2BridgeError) return next(error);
+    res.status(500).json({ error: error.message });
+  };
+
+  // React to a sent or received message (body: { emoji }, "" removes the reaction)
+  app.post('/api/messages/:messageId/react', authenticate, async (req, res, next) => {
+    try {
+      const reaction = await req.whatsapp.reactToMessage(req.params.messageId, req.body.emoji);
+      res.json({ success: true, ...reaction });
+    } catch (error) {
+      sendMessageActionError(res, next, error);
+    }
+  });
+
+  // Edit a sent text message within 15 minutes (body: { text })
+  app.patch('/api/messages/:messageId', authenticate, async (req, res, next) => {
+    try {
+      const edit = await req.whatsapp.editMessage(req.params.messageId, req.body.text);
+      res.json({ success: true, ...edit });
+    } catch (error) {
+      sendMessageActionError(res, next, error);
+    }
+  });
+
+  // Delete a sent message for everyone
+  app.delete('/api/messages/:messageId', authenticate, async (req, res, next) => {
+    try {
+      const revoked = await req.whatsapp.revokeMessage(req.params.messageId);
+      res.json({ success: true, ...revoked });
+    } catch (error) {
+      sendMessageActionError(res, next, error);
+    }
+  });
+
+  // Send read receipts for a chat (phone number or group JID)
+  app.post('/api/chats/:jid/read', authenticate, async (req, res, next) => {
+    try {
+      const result = await req.whatsapp.markChatRead(req.params.jid);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendMessageActionError(res, next, error);
+    }
+  });
+
+  /**
+   * Download media from a received message.
+   * Served from the local media store, downloading from WhatsApp on first request.
+   * @route GET /api/media/:messageId
+   */
+  app.get('/api/media/:messageId', authenticate, async (req, res, next) => {
+    try {
+      const media = await req.whatsapp.getMedia(req.params.messageId);
+
+      if (!media) {
+        return res.status(404).json({
+          error: 'Media not found',
+          message: 'Unknown message, message has no media, or media has expired',
+        });
+      }
+
+      res.set('Content-Type', media.mimetype || 'application/octet-stream');
+      res.set('Content-Length', String(media.buffer.length));
+      if (media.sha256) {
+        res.set('X-Media-SHA256', media.sha256);
+      }
+      if (media.filename) {
+        res.attachment(media.filename);
+      }
+      res.send(media.buffer);
+    } catch (error) {
+      if (error instanceof WA2BridgeError) return next(error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Media store usage
+  app.get('/api/media', authenticate, (req, res) => {
+    try {
+      res.json(req.whatsapp.mediaStore.getStats());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==========================================================================
+  // Groups
+  // ==========================================================================
+
+  const sendGroupError = (res, next, error) => {
+    if (error instanceof GroupError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof WA2BridgeError) return next(error);
+    res.status(500).json({ error: error.message });
+  };
+
+  // Groups this account is a member of
+  app.get('/api/groups', authenticate, async (req, res, next) => {
+    try {
+      res.json({ groups: await req.whatsapp.listGroups() });
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // Create a group (body: { subject, participants })
+  app.post('/api/groups', authenticate, async (req, res, next) => {
+    try {
+      const group = await req.whatsapp.createGroup(req.body.subject, req.body.participants);
+      res.status(201).json({ success: true, group });
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // Group metadata and participants
+  app.get('/api/groups/:groupId', authenticate, async (req, res, next) => {
+    try {
+      res.json(await req.whatsapp.getGroup(req.params.groupId));
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // Update subject and/or description (body: { subject, description })
+  app.patch('/api/groups/:groupId', authenticate, async (req, res, next) => {
+    try {
+      const group = await req.whatsapp.updateGroup(req.params.groupId, req.body);
+      res.json({ success: true, group });
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // Add, remove, promote or demote participants (body: { action, participants })
+  app.post('/api/groups/:groupId/participants', authenticate, async (req, res, next) => {
+    try {
+      const { action, participants } = req.body;
+      if (!action) {
+        return res.status(400).json({ error: 'Missing "action"' });
+      }
+      const results = await req.whatsapp.updateGroupParticipants(req.params.groupId, participants, action);
+      res.json({ success: true, action, results });
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // Current invite link
+  app.get('/api/groups/:groupId/invite', authenticate, async (req, res, next) => {
+    try {
+      res.json(await req.whatsapp.getGroupInviteLink(req.params.groupId));
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // Revoke the invite link and get a new one
+  app.delete('/api/groups/:groupId/invite', authenticate, async (req, res, next) => {
+    try {
+      const invite = await req.whatsapp.revokeGroupInviteLink(req.params.groupId);
+      res.json({ success: true, ...invite });
+    } catch (error) {
+      sendGroupError(res, next, error);
+    }
+  });
+
+  // ==========================================================================
+  // Contacts
+  // ==========================================================================
+
+  const sendContactError = (res, next, error) => {
+    if (error instanceof ContactError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof WA2BridgeError) return next(error);
+    res.status(500).json({ error: error.message });
+  };
+
+  // Which numbers are on WhatsApp (body: { phones }, up to 50)
+  app.post('/api/contacts/check', authenticate, async (req, res, next) => {
+    try {
+      const results = await req.whatsapp.checkContacts(req.body.phones);
+      res.json({
+        results,
+        onWhatsApp: results.filter(result => result.exists).length,
+        cached: results.filter(result => result.cached).length,
+      });
+    } catch (error) {
+      sendContactError(res, next, error);
+    }
+  });
+
+  // Profile picture, about text and business profile (?refresh=true skips the cache)
+  app.get('/api/contacts/:phone', authenticate, async (req, res, next) => {
+    try {
+      res.json(await req.whatsapp.getContact(req.params.phone, { refresh: req.query.refresh === 'true' }));
+    } catch (error) {
+      sendContactError(res, next, error);
+    }
+  });
+
+  // ==========================================================================
+  // Campaigns
+  // ==========================================================================
+
+  const sendCampaignError = (res, next, error) => {
+    if (error instanceof CampaignError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof WA2BridgeError) return next(error);
+    res.status(500).json({ error: error.message });
+  };
+
+  // Campaigns, newest first, with per-status recipient counts
+  app.get('/api/campaigns', authenticate, (req, res, next) => {
+    try {
+      res.json({ campaigns: req.whatsapp.campaigns.list() });
+    } catch (error) {
+      sendCampaignError(res, next, error);
+    }
+  });
+
+  // Create a campaign (body: { name, template | text, recipients, startAt })
+  app.post('/api/campaigns', authenticate, idempotent, (req, res, next) => {
+    try {
+      const campaign = req.whatsapp.campaigns.create(req.body);
+      res.status(201).json({ success: true, campaign });
+    } catch (error) {
+      sendCampaignError(res, next, error);
+    }
+  });
+
+  app.get('/api/campaigns/:campaignId', authenticate, (req, res, next) => {
+    try {
+      res.json(req.whatsapp.campaigns.get(req.params.campaignId));
+    } catch (error) {
+      sendCampaignError(res, next, error);
+    }
+  });
+
+  // Per-recipient status (?status=&limit=&offset=)
+  app.get('/api/campaigns/:campaignId/recipients', authenticate, (req, res, next) => {
+    try {
+      res.json(req.whatsapp.campaigns.getRecipients(req.params.campaignId, req.query));
+    } catch (error) {
+      sendCampaignError(res, next, error);
+    }
+  });
+
+  // Pause, resume or cancel
+  for (const action of ['pause', 'resume', 'cancel']) {
+    app.post(`/api/campaigns/:campaignId/${action}`, authenticate, (req, res, next) => {
+      try {
+        const campaign = req.whatsapp.campaigns[action](req.params.campaignId);
+        res.json({ success: true, campaign });
+      } catch (error) {
+        sendCampaignError(res, next, error);
+      }
+    });
+  }
+
+  // ==========================================================================
+  // Consent
+  // ==========================================================================
+
+  const sendConsentError = (res, next, error) => {
+    if (error instanceof ConsentError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof WA2BridgeError) return next(error);
+    res.status(500).json({ error: error.message });
+  };
+
+  // Consent records, most recently changed first (?status=opted_in|opted_out)
+  app.get('/api/consent', authenticate, (req, res, next) => {
+    try {
+      const contacts = req.whatsapp.consent.list({ status: req.query.status });
+      res.json({ contacts, total: contacts.length });
+    } catch (error) {
+      sendConsentError(res, next, error);
+    }
+  });
+
+  app.get('/api/consent/:phone', authenticate, (req, res, next) => {
+    try {
+      const record = req.whatsapp.consent.get(req.params.phone);
+      if (!record) {
+        return res.status(404).json({ error: 'No consent recorded for this contact' });
+      }
+      res.json(record);
+    } catch (error) {
+      sendConsentError(res, next, error);
+    }
+  });
+
+  // Record consent collected elsewhere (body: { source, at })
+  app.post('/api/consent/:phone/opt-in', authenticate, (req, res, next) => {
+    try {
+      const { record, changed } = req.whatsapp.consent.optIn(req.params.phone, {
+        source: req.body.source,
+        at: req.body.at,
       });
+      res.json({ success: true, changed, consent: record });
+    } catch (error) {
+      sendConsentError(res, next, error);
     }
-
-    // Not ready - return 503 Service Unavailable
-    res.status(503).json({
-      ready: false,
-      connected: isConnected,
-      hibernating: isHibernating,
-      reason: !isConnected ? 'WhatsApp not connected' : 'In hibernation mode',
-      timestamp: new Date().toISOString(),
-    });
   });
 
-  // Get WhatsApp status
-  app.get('/api/status', authenticate, (req, res) => {
-    const status = whatsappClient.getStatus();
-    res.json(status);
+  // Stop messaging a contact (body: { source })
+  app.post('/api/consent/:phone/opt-out', authenticate, (req, res, next) => {
+    try {
+      const { record, changed } = req.whatsapp.consent.optOut(req.params.phone, { source: req.body.source });
+      res.json({ success: true, changed, consent: record });
+    } catch (error) {
+      sendConsentError(res, next, error);
+    }
   });
 
-  // Get QR code as JSON (no auth - for easy browser access during pairing)
-  app.get('/api/qr', (req, res) => {
-    const status = whatsappClient.getStatus();
+  // ==========================================================================
+  // Simulator (WA_BACKEND=fake)
+  // ==========================================================================
 
-    if (status.connected) {
-      return res.json({ status: 'connected', qr: null, phone: status.phone });
+  const requireSimulator = (req, res, next) => {
+    if (!req.whatsapp.sim) {
+      return res.status(404).json({
+        error: 'Simulator not enabled',
+        message: 'Start the bridge with WA_BACKEND=fake to use /api/_sim',
+      });
     }
+    next();
+  };
 
-    if (status.qr) {
-      return res.json({ status: 'waiting_scan', qr: status.qr });
+  /**
+   * Run a simulator command, mapping SimulatorError to its status
+   */
+  const simulate = (command) => (req, res, next) => {
+    try {
+      res.json({ success: true, ...command(req.whatsapp.sim, req.body || {}) });
+    } catch (error) {
+      if (error instanceof SimulatorError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      next(error);
     }
+  };
 
-    res.json({ status: 'initializing', qr: null });
-  });
+  // Pairing state, queued failures and recent sends (with their WhatsApp IDs)
+  app.get('/api/_sim', authenticate, requireSimulator, (req, res) => {
+    res.json(req.whatsapp.sim.getState());
+  });
+
+  // Scan the QR code (body: { phone, name })
+  app.post('/api/_sim/pair', authenticate, requireSimulator, simulate((sim, body) => ({
+    state: sim.pair({ phone: body.phone, name: body.name }),
+  })));
+
+  // Incoming message (body: { from, text, push_name, group_jid, reply_to })
+  app.post('/api/_sim/messages', authenticate, requireSimulator, simulate((sim, body) => ({
+    messageId: sim.receiveMessage({
+      from: body.from,
+      text: body.text,
+      pushName: body.push_name,
+      groupJid: body.group_jid,
+      replyTo: body.reply_to,
+    }).key.id,
+  })));
+
+  // Receipt for a sent message (body: { message_id, status })
+  app.post('/api/_sim/receipts', authenticate, requireSimulator, simulate((sim, body) => ({
+    message: sim.receipt(body.message_id, body.status),
+  })));
+
+  // Drop the connection (body: { reason })
+  app.post('/api/_sim/disconnect', authenticate, requireSimulator, simulate((sim, body) => ({
+    state: sim.disconnect(body.reason),
+  })));
+
+  // Fail the next sends (body: { count, error })
+  app.post('/api/_sim/failures', authenticate, requireSimulator, simulate((sim, body) => ({
+    state: sim.failSends({ count: body.count, error: body.error }),
+  })));
 
-  // QR code as HTML page (for easy scanning in browser)
-  app.get('/qr', async (req, res) => {
-    const status = whatsappClient.getStatus();
+  // ==========================================================================
+  // Session Management (multi-session)
+  // ==========================================================================
 
-    if (status.connected) {
-      return res.send(`
-        <html>
-          <head><title>WA2Bridge - Connected</title></head>
-          <body style="font-family: sans-serif; text-align: center; padding: 50px;">
-            <h1>✅ WhatsApp Connected</h1>
-            <p>Phone: ${status.phone || 'Unknown'}</p>
-            <p>Name: ${status.name || 'Unknown'}</p>
-          </body>
-        </html>
-      `);
+  const requireSessionPool = (req, res, next) => {
+    if (!sessionPool) {
+      return res.status(501).json({
+        error: 'Multi-session not enabled',
+        message: 'Start the bridge with a session pool to manage sessions',
+      });
     }
+    next();
+  };
 
-    if (status.qr) {
-      try {
-        const qrDataUrl = await QRCode.toDataURL(status.qr, { width: 300, margin: 2 });
-        return res.send(`
-          <html>
-            <head><title>WA2Bridge - Scan QR</title></head>
-            <body style="font-family: sans-serif; text-align: center; padding: 50px;">
-              <h1>📱 Scan with WhatsApp</h1>
-              <p>Open WhatsApp → Settings → Linked Devices → Link a Device</p>
-              <img src="${qrDataUrl}" alt="QR Code" style="margin: 20px auto; display: block;" />
-              <p style="color: #666; margin-top: 20px;">QR refreshes automatically. Reload if expired.</p>
-            </body>
-          </html>
-        `);
-      } catch (err) {
-        console.error('QR generation error:', err);
-      }
+  const findSession = (req, res, next) => {
+    if (!sessionPool.has(req.params.sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No session named "${req.params.sessionId}"`,
+      });
     }
+    next();
+  };
 
-    res.send(`
-      <html>
-        <head><title>WA2Bridge - Loading</title><meta http-equiv="refresh" content="2"></head>
-        <body style="font-family: sans-serif; text-align: center; padding: 50px;">
-          <h1>⏳ Initializing...</h1>
-          <p>Please wait, generating QR code...</p>
-        </body>
-      </html>
-    `);
+  // List sessions
+  app.get('/api/sessions', authenticate, requireSessionPool, (req, res) => {
+    try {
+      res.json({ sessions: sessionPool.list() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   });
 
-  /**
-   * Send a message
-   * @route POST /api/send
-   * @param {SendMessageRequest} req.body - Message details
-   * @returns {SendMessageResponse} Send result
-   */
-  app.post('/api/send', authenticate, async (req, res) => {
+  // Create a session (started immediately unless start: false)
+  app.post('/api/sessions', authenticate, requireSessionPool, async (req, res) => {
     try {
-      /** @type {SendMessageRequest} */
-      const { to, message, reply_to } = req.body;
+      const { id, start, ...config } = req.body;
 
-      if (!to || !message) {
-        return res.status(400).json({ error: 'Missing "to" or "message"' });
+      if (!id) {
+        return res.status(400).json({ error: 'Missing "id"' });
       }
-
-      // Validate phone number format
-      // Accepts: +6281234567890, 6281234567890, 6281234567890@s.whatsapp.net
-      const phoneRegex = /^\+?\d{10,15}(@s\.whatsapp\.net)?$/;
-      const cleanPhone = to.replace(/[\s-]/g, ''); // Remove spaces and dashes
-      if (!phoneRegex.test(cleanPhone)) {
+      if (!SessionPool.isValidId(id)) {
         return res.status(400).json({
-          error: 'Invalid phone number format',
-          message: 'Use format: +6281234567890 or 6281234567890',
+          error: 'Invalid session ID',
+          message: 'Use 1-32 letters, digits, "_" or "-" (reserved: default, media)',
         });
       }
+      if (sessionPool.has(id)) {
+        return res.status(409).json({ error: 'Session already exists', message: `Session "${id}" already exists` });
+      }
+      if (config.webhookUrl && !/^https?:\/\/.+/.test(config.webhookUrl)) {
+        return res.status(400).json({ error: 'Invalid "webhookUrl"', message: 'Must be an http(s) URL' });
+      }
+
+      let session = sessionPool.create(id, { ...config, autoStart: start !== false });
+      if (start !== false) {
+        session = await sessionPool.start(id);
+      }
 
-      const result = await whatsappClient.sendMessage(to, message, reply_to);
+      res.status(201).json({ success: true, session });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 
+  // Session details
+  app.get('/api/sessions/:sessionId', authenticate, requireSessionPool, findSession, (req, res) => {
+    try {
+      const client = sessionPool.getClient(req.params.sessionId);
+      const status = client.getStatus();
       res.json({
-        success: true,
-        messageId: result.key.id,
-        to,
+        ...sessionPool.getInfo(req.params.sessionId),
+        rateLimits: status.rateLimits,
+        banWarning: status.banWarning,
       });
     } catch (error) {
-      console.error('Send error:', error);
-      res.status(500).json({
-        success: false,
-        error: error.message,
-      });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Start (connect) a session
+  app.post('/api/sessions/:sessionId/start', authenticate, requireSessionPool, findSession, async (req, res) => {
+    try {
+      const session = await sessionPool.start(req.params.sessionId);
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Stop a session without logging out (stays paired)
+  app.post('/api/sessions/:sessionId/stop', authenticate, requireSessionPool, findSession, async (req, res) => {
+    try {
+      const session = await sessionPool.stop(req.params.sessionId);
+      res.json({ success: true, session });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Log out and delete a session with all its stored state
+  app.delete('/api/sessions/:sessionId', authenticate, requireSessionPool, findSession, async (req, res) => {
+    try {
+      if (req.params.sessionId === DEFAULT_SESSION_ID) {
+        return res.status(400).json({ error: 'The default session cannot be deleted' });
+      }
+
+      await sessionPool.delete(req.params.sessionId);
+      res.json({ success: true, deleted: req.params.sessionId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
   });
 
   // Reconnect (logout and reconnect)
   app.post('/api/reconnect', authenticate, async (req, res) => {
     try {
-      await whatsappClient.disconnect();
+      await req.whatsapp.disconnect();
 
       // Use humanized delay for reconnection (2-4 seconds with jitter)
       const { humanDelay } = await import('./anti-ban.js');
       const reconnectDelay = humanDelay(3000, 0.4);
 
-      setTimeout(() => whatsappClient.connect(), reconnectDelay);
+      setTimeout(() => req.whatsapp.connect(), reconnectDelay);
 
       res.json({ status: 'reconnecting', delayMs: reconnectDelay });
     } catch (error) {
@@ -386,7 +1300,7 @@ export function createApiServer(whatsappClient, options = {}) {
 
   // Get rate limit status
   app.get('/api/rate-limits', authenticate, (req, res) => {
-    const status = whatsappClient.getStatus();
+    const status = req.whatsapp.getStatus();
     res.json({
       rateLimits: status.rateLimits,
       activity: status.activity,
@@ -403,12 +1317,12 @@ export function createApiServer(whatsappClient, options = {}) {
         return res.status(400).json({ error: 'weeks must be a positive number' });
       }
 
-      whatsappClient.setAccountAge(weeks);
+      req.whatsapp.setAccountAge(weeks);
 
       res.json({
         success: true,
         accountAgeWeeks: weeks,
-        newLimits: whatsappClient.rateLimiter.getLimits(),
+        newLimits: req.whatsapp.rateLimiter.getLimits(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -417,7 +1331,7 @@ export function createApiServer(whatsappClient, options = {}) {
 
   // Get ban warning status
   app.get('/api/ban-warning', authenticate, (req, res) => {
-    const status = whatsappClient.getStatus();
+    const status = req.whatsapp.getStatus();
     res.json({
       banWarning: status.banWarning,
       presence: status.presence,
@@ -427,11 +1341,11 @@ export function createApiServer(whatsappClient, options = {}) {
   // Exit hibernation mode (manual override)
   app.post('/api/exit-hibernation', authenticate, (req, res) => {
     try {
-      whatsappClient.exitHibernation();
+      req.whatsapp.exitHibernation();
       res.json({
         success: true,
         message: 'Hibernation mode disabled. Proceed with caution.',
-        banWarning: whatsappClient.banWarning.getMetrics(),
+        banWarning: req.whatsapp.banWarning.getMetrics(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -441,11 +1355,11 @@ export function createApiServer(whatsappClient, options = {}) {
   // Reset ban warning metrics
   app.post('/api/reset-ban-warning', authenticate, (req, res) => {
     try {
-      whatsappClient.resetBanWarning();
+      req.whatsapp.resetBanWarning();
       res.json({
         success: true,
         message: 'Ban warning metrics reset',
-        banWarning: whatsappClient.banWarning.getMetrics(),
+        banWarning: req.whatsapp.banWarning.getMetrics(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -462,14 +1376,14 @@ export function createApiServer(whatsappClient, options = {}) {
       }
 
       if (status === 'online') {
-        await whatsappClient.presenceManager.goOnline();
+        await req.whatsapp.presenceManager.goOnline();
       } else {
-        await whatsappClient.presenceManager.goOffline();
+        await req.whatsapp.presenceManager.goOffline();
       }
 
       res.json({
         success: true,
-        presence: whatsappClient.presenceManager.getStatus(),
+        presence: req.whatsapp.presenceManager.getStatus(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -483,7 +1397,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get delivery health status
   app.get('/api/delivery-health', authenticate, (req, res) => {
     try {
-      const health = whatsappClient.deliveryTracker.checkDeliveryHealth();
+      const health = req.whatsapp.deliveryTracker.checkDeliveryHealth();
       res.json(health);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -494,8 +1408,8 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/contact-warmup/:phone', authenticate, (req, res) => {
     try {
       const { phone } = req.params;
-      const status = whatsappClient.contactWarmup.getContactStatus(phone);
-      const canMessage = whatsappClient.contactWarmup.canMessage(phone);
+      const status = req.whatsapp.contactWarmup.getContactStatus(phone);
+      const canMessage = req.whatsapp.contactWarmup.canMessage(phone);
       res.json({ ...status, ...canMessage });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -503,7 +1417,7 @@ export function createApiServer(whatsappClient, options = {}) {
   });
 
   // Queue a message for optimal timing (alternative to /api/send)
-  app.post('/api/queue', authenticate, async (req, res) => {
+  app.post('/api/queue', authenticate, idempotent, async (req, res) => {
     try {
       const { to, message, reply_to, priority } = req.body;
 
@@ -511,8 +1425,8 @@ export function createApiServer(whatsappClient, options = {}) {
         return res.status(400).json({ error: 'Missing "to" or "message"' });
       }
 
-      const messageId = whatsappClient.queueMessage(to, message, reply_to, priority || 'normal');
-      const queueStatus = whatsappClient.messageScheduler.getStatus();
+      const messageId = req.whatsapp.queueMessage(to, message, reply_to, priority || 'normal');
+      const queueStatus = req.whatsapp.messageScheduler.getStatus();
 
       res.json({
         success: true,
@@ -528,7 +1442,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get weekend/holiday pattern status
   app.get('/api/weekend-patterns', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.weekendPatterns.getStatus());
+      res.json(req.whatsapp.weekendPatterns.getStatus());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -537,7 +1451,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get activity ramp status (post-downtime)
   app.get('/api/activity-ramp', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.activityRamper.getStatus());
+      res.json(req.whatsapp.activityRamper.getStatus());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -546,8 +1460,8 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get network fingerprint health
   app.get('/api/network-health', authenticate, (req, res) => {
     try {
-      const health = whatsappClient.networkFingerprint.checkNetworkHealth();
-      const recommendations = whatsappClient.networkFingerprint.getRecommendations();
+      const health = req.whatsapp.networkFingerprint.checkNetworkHealth();
+      const recommendations = req.whatsapp.networkFingerprint.getRecommendations();
       res.json({ ...health, recommendations });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -557,7 +1471,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get message queue status
   app.get('/api/queue-status', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.messageScheduler.getStatus());
+      res.json(req.whatsapp.messageScheduler.getStatus());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -566,11 +1480,11 @@ export function createApiServer(whatsappClient, options = {}) {
   // Clear message queue
   app.post('/api/queue-clear', authenticate, (req, res) => {
     try {
-      whatsappClient.messageScheduler.clear();
+      req.whatsapp.messageScheduler.clear();
       res.json({
         success: true,
         message: 'Message queue cleared',
-        queueStatus: whatsappClient.messageScheduler.getStatus(),
+        queueStatus: req.whatsapp.messageScheduler.getStatus(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -584,7 +1498,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get spam detection status
   app.get('/api/spam-detection', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.spamDetector.getMetrics());
+      res.json(req.whatsapp.spamDetector.getMetrics());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -593,8 +1507,8 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get geo IP match status
   app.get('/api/geo-match', authenticate, async (req, res) => {
     try {
-      const status = whatsappClient.geoMatcher.getStatus();
-      const check = await whatsappClient.geoMatcher.checkIPCountry();
+      const status = req.whatsapp.geoMatcher.getStatus();
+      const check = await req.whatsapp.geoMatcher.checkIPCountry();
       res.json({ ...status, check });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -605,7 +1519,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/conversation/:phone', authenticate, (req, res) => {
     try {
       const { phone } = req.params;
-      const context = whatsappClient.conversationMemory.getContext(phone);
+      const context = req.whatsapp.conversationMemory.getContext(phone);
       res.json(context);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -615,7 +1529,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get all active conversations
   app.get('/api/conversations-active', authenticate, (req, res) => {
     try {
-      const active = whatsappClient.conversationMemory.getActiveConversations();
+      const active = req.whatsapp.conversationMemory.getActiveConversations();
       res.json({ count: active.length, conversations: active });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -625,7 +1539,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get status viewer status
   app.get('/api/status-viewer', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.statusViewer.getStatus());
+      res.json(req.whatsapp.statusViewer.getStatus());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -638,7 +1552,7 @@ export function createApiServer(whatsappClient, options = {}) {
       if (!text || !from) {
         return res.status(400).json({ error: 'Missing "text" or "from"' });
       }
-      const check = whatsappClient.replyProbability.shouldReply({ text, from });
+      const check = req.whatsapp.replyProbability.shouldReply({ text, from });
       res.json(check);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -652,7 +1566,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get block detection status
   app.get('/api/block-detection', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.blockDetector.getStats());
+      res.json(req.whatsapp.blockDetector.getStats());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -662,8 +1576,8 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/block-detection/:phone', authenticate, async (req, res) => {
     try {
       const { phone } = req.params;
-      const isBlocked = await whatsappClient.blockDetector.checkIfBlocked(phone);
-      const status = whatsappClient.blockDetector.getContactStatus(phone);
+      const isBlocked = await req.whatsapp.blockDetector.checkIfBlocked(phone);
+      const status = req.whatsapp.blockDetector.getContactStatus(phone);
       res.json({ phone, isBlocked, ...status });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -673,7 +1587,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get session backup info
   app.get('/api/session-backup', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.sessionManager.getBackupInfo());
+      res.json(req.whatsapp.sessionManager.getBackupInfo());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -682,12 +1596,12 @@ export function createApiServer(whatsappClient, options = {}) {
   // Trigger manual session backup
   app.post('/api/session-backup', authenticate, async (req, res) => {
     try {
-      const backupPath = await whatsappClient.sessionManager.backup();
+      const backupPath = await req.whatsapp.sessionManager.backup();
       res.json({
         success: true,
         message: 'Session backed up',
         backupPath,
-        backupInfo: whatsappClient.sessionManager.getBackupInfo(),
+        backupInfo: req.whatsapp.sessionManager.getBackupInfo(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -698,7 +1612,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.post('/api/session-restore', authenticate, async (req, res) => {
     try {
       const { backupName } = req.body;
-      const restored = await whatsappClient.sessionManager.restore(backupName);
+      const restored = await req.whatsapp.sessionManager.restore(backupName);
       res.json({
         success: restored,
         message: restored ? 'Session restored - restart required' : 'Restore failed',
@@ -711,14 +1625,14 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get persistent queue status
   app.get('/api/persistent-queue', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.persistentQueue.getStats());
+      res.json(req.whatsapp.persistentQueue.getStats());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
   // Queue a message to persistent queue (survives restart)
-  app.post('/api/persistent-queue', authenticate, (req, res) => {
+  app.post('/api/persistent-queue', authenticate, idempotent, (req, res) => {
     try {
       const { to, message, reply_to, priority } = req.body;
 
@@ -726,12 +1640,12 @@ export function createApiServer(whatsappClient, options = {}) {
         return res.status(400).json({ error: 'Missing "to" or "message"' });
       }
 
-      const messageId = whatsappClient.persistentQueue.enqueue(to, message, reply_to, priority || 'normal');
+      const messageId = req.whatsapp.persistentQueue.enqueue(to, message, reply_to, priority || 'normal');
       res.json({
         success: true,
         queued: true,
         queuedMessageId: messageId,
-        queueStats: whatsappClient.persistentQueue.getStats(),
+        queueStats: req.whatsapp.persistentQueue.getStats(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -741,20 +1655,20 @@ export function createApiServer(whatsappClient, options = {}) {
   // Process persistent queue manually
   app.post('/api/persistent-queue/process', authenticate, async (req, res) => {
     try {
-      await whatsappClient.persistentQueue.processQueue();
+      await req.whatsapp.persistentQueue.processQueue();
       res.json({
         success: true,
-        queueStats: whatsappClient.persistentQueue.getStats(),
+        queueStats: req.whatsapp.persistentQueue.getStats(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
-  // Get webhook retry queue status
+  // Get webhook delivery stats and retry queue status
   app.get('/api/webhook-retry', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.webhookManager.getStats());
+      res.json(req.whatsapp.webhookManager.getStats());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -763,10 +1677,11 @@ export function createApiServer(whatsappClient, options = {}) {
   // Retry all failed webhooks
   app.post('/api/webhook-retry', authenticate, async (req, res) => {
     try {
-      await whatsappClient.webhookManager.retryFailed();
+      const result = await req.whatsapp.webhookEmitter.processRetries();
       res.json({
         success: true,
-        webhookStats: whatsappClient.webhookManager.getStats(),
+        ...result,
+        webhookStats: req.whatsapp.webhookManager.getStats(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -776,7 +1691,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get health monitor status
   app.get('/api/health-monitor', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.healthMonitor.getStatus());
+      res.json(req.whatsapp.healthMonitor.getStatus());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -785,7 +1700,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get full health report
   app.get('/api/health-report', authenticate, (req, res) => {
     try {
-      const report = whatsappClient.healthMonitor.generateReport();
+      const report = req.whatsapp.healthMonitor.generateReport();
       res.json(report);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -796,8 +1711,8 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/language/:phone', authenticate, (req, res) => {
     try {
       const { phone } = req.params;
-      const language = whatsappClient.languageDetector.getContactLanguage(phone);
-      const confidence = whatsappClient.languageDetector.getLanguageConfidence(phone);
+      const language = req.whatsapp.languageDetector.getContactLanguage(phone);
+      const confidence = req.whatsapp.languageDetector.getLanguageConfidence(phone);
       res.json({ phone, language, confidence });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -807,7 +1722,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get all detected languages
   app.get('/api/languages', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.languageDetector.getAllLanguages());
+      res.json(req.whatsapp.languageDetector.getAllLanguages());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -820,7 +1735,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get analytics summary
   app.get('/api/analytics', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.analytics.getSummary());
+      res.json(req.whatsapp.analytics.getSummary());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -830,7 +1745,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/analytics/:phone', authenticate, (req, res) => {
     try {
       const { phone } = req.params;
-      const stats = whatsappClient.analytics.getContactStats(phone);
+      const stats = req.whatsapp.analytics.getContactStats(phone);
       res.json(stats || { error: 'Contact not found' });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -840,7 +1755,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get peak messaging hours
   app.get('/api/analytics/peak-hours', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.analytics.getPeakHours());
+      res.json(req.whatsapp.analytics.getPeakHours());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -849,7 +1764,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get contact scoring stats
   app.get('/api/scoring', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.contactScoring.getStats());
+      res.json(req.whatsapp.contactScoring.getStats());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -859,8 +1774,8 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/scoring/:phone', authenticate, (req, res) => {
     try {
       const { phone } = req.params;
-      const score = whatsappClient.contactScoring.getScore(phone);
-      const tier = whatsappClient.contactScoring.getTier(phone);
+      const score = req.whatsapp.contactScoring.getScore(phone);
+      const tier = req.whatsapp.contactScoring.getTier(phone);
       res.json({ phone, score, tier });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -871,7 +1786,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/scoring/top/:limit', authenticate, (req, res) => {
     try {
       const limit = parseInt(req.params.limit) || 10;
-      res.json(whatsappClient.contactScoring.getTopContacts(limit));
+      res.json(req.whatsapp.contactScoring.getTopContacts(limit));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -880,7 +1795,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get contacts needing attention
   app.get('/api/scoring/attention', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.contactScoring.getContactsNeedingAttention());
+      res.json(req.whatsapp.contactScoring.getContactsNeedingAttention());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -891,7 +1806,7 @@ export function createApiServer(whatsappClient, options = {}) {
     try {
       const { text } = req.body;
       if (!text) return res.status(400).json({ error: 'Missing "text"' });
-      res.json(whatsappClient.sentimentDetector.analyze(text));
+      res.json(req.whatsapp.sentimentDetector.analyze(text));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -901,7 +1816,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/sentiment/:phone', authenticate, (req, res) => {
     try {
       const { phone } = req.params;
-      res.json(whatsappClient.sentimentDetector.getContactSentiment(phone));
+      res.json(req.whatsapp.sentimentDetector.getContactSentiment(phone));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -914,7 +1829,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get IP whitelist status
   app.get('/api/security/ip-whitelist', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.ipWhitelist.getStatus());
+      res.json(ipWhitelist.getStatus());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -924,8 +1839,8 @@ export function createApiServer(whatsappClient, options = {}) {
   app.post('/api/security/ip-whitelist/toggle', authenticate, (req, res) => {
     try {
       const { enabled } = req.body;
-      whatsappClient.ipWhitelist.setEnabled(enabled);
-      res.json({ success: true, status: whatsappClient.ipWhitelist.getStatus() });
+      ipWhitelist.setEnabled(enabled);
+      res.json({ success: true, status: ipWhitelist.getStatus() });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -936,8 +1851,8 @@ export function createApiServer(whatsappClient, options = {}) {
     try {
       const { ip } = req.body;
       if (!ip) return res.status(400).json({ error: 'Missing "ip"' });
-      whatsappClient.ipWhitelist.addToWhitelist(ip);
-      res.json({ success: true, status: whatsappClient.ipWhitelist.getStatus() });
+      ipWhitelist.addToWhitelist(ip);
+      res.json({ success: true, status: ipWhitelist.getStatus() });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -948,8 +1863,8 @@ export function createApiServer(whatsappClient, options = {}) {
     try {
       const { ip } = req.body;
       if (!ip) return res.status(400).json({ error: 'Missing "ip"' });
-      whatsappClient.ipWhitelist.addToBlacklist(ip);
-      res.json({ success: true, status: whatsappClient.ipWhitelist.getStatus() });
+      ipWhitelist.addToBlacklist(ip);
+      res.json({ success: true, status: ipWhitelist.getStatus() });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -963,7 +1878,7 @@ export function createApiServer(whatsappClient, options = {}) {
       if (type) filter.type = type;
       if (limit) filter.limit = parseInt(limit);
       if (hours) filter.since = Date.now() - parseInt(hours) * 60 * 60 * 1000;
-      res.json(whatsappClient.auditLogger.getLogs(filter));
+      res.json(req.whatsapp.auditLogger.getLogs(filter));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -973,7 +1888,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/security/audit-stats', authenticate, (req, res) => {
     try {
       const hours = parseInt(req.query.hours) || 24;
-      res.json(whatsappClient.auditLogger.getStats(hours));
+      res.json(req.whatsapp.auditLogger.getStats(hours));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -983,7 +1898,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/security/events', authenticate, (req, res) => {
     try {
       const hours = parseInt(req.query.hours) || 24;
-      res.json(whatsappClient.auditLogger.getSecurityEvents(hours));
+      res.json(req.whatsapp.auditLogger.getSecurityEvents(hours));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -992,7 +1907,60 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get API rate limiter stats
   app.get('/api/security/rate-limiter', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.apiRateLimiter.getStats());
+      res.json(apiRateLimiter.getStats());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Enable/disable API rate limiting
+  app.post('/api/security/rate-limiter/toggle', authenticate, (req, res) => {
+    try {
+      const { enabled } = req.body;
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: '"enabled" must be a boolean' });
+      }
+      apiRateLimiter.setEnabled(enabled);
+      auditLogger.logSecurity('rate_limiter_toggled', clientIp(req), { enabled, severity: 'medium' });
+      res.json({ success: true, stats: apiRateLimiter.getStats() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Set the limit for one endpoint ("default" covers all others)
+  app.put('/api/security/rate-limiter/limits', authenticate, (req, res) => {
+    try {
+      const { endpoint, windowMs, max } = req.body;
+      if (!endpoint) return res.status(400).json({ error: 'Missing "endpoint"' });
+      if (endpoint !== 'default' && !/^\/api\/[\w\-/]+$/.test(endpoint)) {
+        return res.status(400).json({ error: '"endpoint" must be "default" or an /api/... path' });
+      }
+      if (!Number.isInteger(windowMs) || windowMs < 1000 || windowMs > 3600000) {
+        return res.status(400).json({ error: '"windowMs" must be an integer between 1000 and 3600000' });
+      }
+      if (!Number.isInteger(max) || max < 1 || max > 100000) {
+        return res.status(400).json({ error: '"max" must be an integer between 1 and 100000' });
+      }
+
+      apiRateLimiter.setEndpointLimit(endpoint, windowMs, max);
+      auditLogger.logSecurity('rate_limit_changed', clientIp(req), { endpoint, windowMs, max, severity: 'low' });
+      res.json({ success: true, endpointLimits: apiRateLimiter.getStats().endpointLimits });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Remove a custom endpoint limit (built-in endpoints are reset)
+  app.delete('/api/security/rate-limiter/limits', authenticate, (req, res) => {
+    try {
+      const { endpoint } = req.query;
+      if (!endpoint) return res.status(400).json({ error: 'Missing "endpoint"' });
+      if (!apiRateLimiter.removeEndpointLimit(endpoint)) {
+        return res.status(404).json({ error: 'No limit for this endpoint' });
+      }
+      auditLogger.logSecurity('rate_limit_removed', clientIp(req), { endpoint, severity: 'low' });
+      res.json({ success: true, endpointLimits: apiRateLimiter.getStats().endpointLimits });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -1006,8 +1974,8 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/auto-responder', authenticate, (req, res) => {
     try {
       res.json({
-        stats: whatsappClient.autoResponder.getStats(),
-        rules: whatsappClient.autoResponder.getRules(),
+        stats: req.whatsapp.autoResponder.getStats(),
+        rules: req.whatsapp.autoResponder.getRules(),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1018,7 +1986,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.post('/api/auto-responder/toggle', authenticate, (req, res) => {
     try {
       const { enabled } = req.body;
-      whatsappClient.autoResponder.setEnabled(enabled);
+      req.whatsapp.autoResponder.setEnabled(enabled);
       res.json({ success: true, enabled });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1028,7 +1996,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Add auto-responder rule
   app.post('/api/auto-responder/rules', authenticate, (req, res) => {
     try {
-      const rule = whatsappClient.autoResponder.addRule(req.body);
+      const rule = req.whatsapp.autoResponder.addRule(req.body);
       res.json({ success: true, rule });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1039,7 +2007,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.put('/api/auto-responder/rules/:id', authenticate, (req, res) => {
     try {
       const { id } = req.params;
-      const rule = whatsappClient.autoResponder.updateRule(id, req.body);
+      const rule = req.whatsapp.autoResponder.updateRule(id, req.body);
       res.json({ success: true, rule });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1050,7 +2018,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.delete('/api/auto-responder/rules/:id', authenticate, (req, res) => {
     try {
       const { id } = req.params;
-      const deleted = whatsappClient.autoResponder.deleteRule(id);
+      const deleted = req.whatsapp.autoResponder.deleteRule(id);
       res.json({ success: deleted });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1061,7 +2029,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/templates', authenticate, (req, res) => {
     try {
       const { category } = req.query;
-      res.json(whatsappClient.messageTemplates.list(category));
+      res.json(req.whatsapp.messageTemplates.list(category));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -1074,7 +2042,7 @@ export function createApiServer(whatsappClient, options = {}) {
       if (!name || !content) {
         return res.status(400).json({ error: 'Missing "name" or "content"' });
       }
-      const template = whatsappClient.messageTemplates.create(name, content, { category, language });
+      const template = req.whatsapp.messageTemplates.create(name, content, { category, language });
       res.json({ success: true, template });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1086,7 +2054,7 @@ export function createApiServer(whatsappClient, options = {}) {
     try {
       const { name, variables } = req.body;
       if (!name) return res.status(400).json({ error: 'Missing "name"' });
-      const rendered = whatsappClient.messageTemplates.render(name, variables || {});
+      const rendered = req.whatsapp.messageTemplates.render(name, variables || {});
       res.json({ success: true, rendered });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1097,7 +2065,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.delete('/api/templates/:name', authenticate, (req, res) => {
     try {
       const { name } = req.params;
-      const deleted = whatsappClient.messageTemplates.delete(name);
+      const deleted = req.whatsapp.messageTemplates.delete(name);
       res.json({ success: deleted });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1108,20 +2076,20 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/scheduled', authenticate, (req, res) => {
     try {
       const { status, to } = req.query;
-      res.json(whatsappClient.scheduledMessages.getScheduled({ status, to }));
+      res.json(req.whatsapp.scheduledMessages.getScheduled({ status, to }));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
   // Schedule a message
-  app.post('/api/scheduled', authenticate, (req, res) => {
+  app.post('/api/scheduled', authenticate, idempotent, (req, res) => {
     try {
       const { to, message, sendAt, replyTo, repeat } = req.body;
       if (!to || !message || !sendAt) {
         return res.status(400).json({ error: 'Missing "to", "message", or "sendAt"' });
       }
-      const scheduled = whatsappClient.scheduledMessages.schedule(to, message, sendAt, { replyTo, repeat });
+      const scheduled = req.whatsapp.scheduledMessages.schedule(to, message, sendAt, { replyTo, repeat });
       res.json({ success: true, scheduled });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1132,7 +2100,7 @@ export function createApiServer(whatsappClient, options = {}) {
   app.delete('/api/scheduled/:id', authenticate, (req, res) => {
     try {
       const { id } = req.params;
-      const cancelled = whatsappClient.scheduledMessages.cancel(id);
+      const cancelled = req.whatsapp.scheduledMessages.cancel(id);
       res.json({ success: cancelled });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1142,7 +2110,7 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get scheduled messages stats
   app.get('/api/scheduled/stats', authenticate, (req, res) => {
     try {
-      res.json(whatsappClient.scheduledMessages.getStats());
+      res.json(req.whatsapp.scheduledMessages.getStats());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -1155,10 +2123,10 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get webhook status and subscriptions
   app.get('/api/webhooks', authenticate, (req, res) => {
     try {
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.json({ enabled: false, message: 'Webhook emitter not initialized' });
       }
-      res.json(whatsappClient.webhookEmitter.getStats());
+      res.json(req.whatsapp.webhookEmitter.getStats());
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -1168,10 +2136,10 @@ export function createApiServer(whatsappClient, options = {}) {
   app.get('/api/webhooks/history', authenticate, (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 20;
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.json({ events: [] });
       }
-      res.json({ events: whatsappClient.webhookEmitter.getHistory(limit) });
+      res.json({ events: req.whatsapp.webhookEmitter.getHistory(limit) });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -1184,13 +2152,13 @@ export function createApiServer(whatsappClient, options = {}) {
       if (!events || !Array.isArray(events)) {
         return res.status(400).json({ error: 'Missing "events" array' });
       }
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.status(400).json({ error: 'Webhook emitter not initialized' });
       }
-      whatsappClient.webhookEmitter.subscribe(events);
+      req.whatsapp.webhookEmitter.subscribe(events);
       res.json({
         success: true,
-        subscriptions: Array.from(whatsappClient.webhookEmitter.subscriptions),
+        subscriptions: Array.from(req.whatsapp.webhookEmitter.subscriptions),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1204,13 +2172,13 @@ export function createApiServer(whatsappClient, options = {}) {
       if (!events || !Array.isArray(events)) {
         return res.status(400).json({ error: 'Missing "events" array' });
       }
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.status(400).json({ error: 'Webhook emitter not initialized' });
       }
-      whatsappClient.webhookEmitter.unsubscribe(events);
+      req.whatsapp.webhookEmitter.unsubscribe(events);
       res.json({
         success: true,
-        subscriptions: Array.from(whatsappClient.webhookEmitter.subscriptions),
+        subscriptions: Array.from(req.whatsapp.webhookEmitter.subscriptions),
       });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1224,10 +2192,10 @@ export function createApiServer(whatsappClient, options = {}) {
       if (typeof enabled !== 'boolean') {
         return res.status(400).json({ error: 'Missing "enabled" boolean' });
       }
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.status(400).json({ error: 'Webhook emitter not initialized' });
       }
-      whatsappClient.webhookEmitter.setEnabled(enabled);
+      req.whatsapp.webhookEmitter.setEnabled(enabled);
       res.json({ success: true, enabled });
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1237,10 +2205,10 @@ export function createApiServer(whatsappClient, options = {}) {
   // Get pending webhook retries
   app.get('/api/webhooks/retries', authenticate, (req, res) => {
     try {
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.json({ pending: [] });
       }
-      res.json({ pending: whatsappClient.webhookEmitter.getPendingRetries() });
+      res.json({ pending: req.whatsapp.webhookEmitter.getPendingRetries() });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -1249,10 +2217,10 @@ export function createApiServer(whatsappClient, options = {}) {
   // Process pending webhook retries
   app.post('/api/webhooks/retries', authenticate, async (req, res) => {
     try {
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.json({ processed: 0 });
       }
-      const result = await whatsappClient.webhookEmitter.processRetries();
+      const result = await req.whatsapp.webhookEmitter.processRetries();
       res.json(result);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -1262,10 +2230,10 @@ export function createApiServer(whatsappClient, options = {}) {
   // Test webhook (send test event)
   app.post('/api/webhooks/test', authenticate, async (req, res) => {
     try {
-      if (!whatsappClient.webhookEmitter) {
+      if (!req.whatsapp.webhookEmitter) {
         return res.status(400).json({ error: 'Webhook emitter not initialized' });
       }
-      const result = await whatsappClient.webhookEmitter.emit('webhook.test', {
+      const result = await req.whatsapp.webhookEmitter.emit('webhook.test', {
         message: 'Test webhook from wa2bridge',
         timestamp: Date.now(),
       });
@@ -1275,6 +2243,166 @@ export function createApiServer(whatsappClient, options = {}) {
     }
   });
 
+  // ==========================================================================
+  // WEBHOOK ENDPOINTS
+  // ==========================================================================
+
+  const sendEndpointError = (res, error) => {
+    if (error instanceof WebhookEndpointError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  };
+
+  // List registered webhook endpoints
+  app.get('/api/webhooks/endpoints', authenticate, (req, res) => {
+    try {
+      res.json({ endpoints: req.whatsapp.webhookEmitter.listEndpoints() });
+    } catch (error) {
+      sendEndpointError(res, error);
+    }
+  });
+
+  // Register a webhook endpoint
+  app.post('/api/webhooks/endpoints', authenticate, (req, res) => {
+    try {
+      if (!req.body.url) {
+        return res.status(400).json({ error: 'Missing "url"' });
+      }
+      const endpoint = req.whatsapp.webhookEmitter.addEndpoint(req.body);
+      res.status(201).json({ success: true, endpoint });
+    } catch (error) {
+      sendEndpointError(res, error);
+    }
+  });
+
+  // Get a webhook endpoint
+  app.get('/api/webhooks/endpoints/:endpointId', authenticate, (req, res) => {
+    try {
+      const endpoint = req.whatsapp.webhookEmitter.getEndpoint(req.params.endpointId);
+      if (!endpoint) {
+        return res.status(404).json({ error: 'Endpoint not found' });
+      }
+      res.json(endpoint);
+    } catch (error) {
+      sendEndpointError(res, error);
+    }
+  });
+
+  // Update a webhook endpoint (partial)
+  app.patch('/api/webhooks/endpoints/:endpointId', authenticate, (req, res) => {
+    try {
+      const endpoint = req.whatsapp.webhookEmitter.updateEndpoint(req.params.endpointId, req.body);
+      res.json({ success: true, endpoint });
+    } catch (error) {
+      sendEndpointError(res, error);
+    }
+  });
+
+  // Remove a webhook endpoint
+  app.delete('/api/webhooks/endpoints/:endpointId', authenticate, (req, res) => {
+    try {
+      if (!req.whatsapp.webhookEmitter.removeEndpoint(req.params.endpointId)) {
+        return res.status(404).json({ error: 'Endpoint not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      sendEndpointError(res, error);
+    }
+  });
+
+  // Send a test event to one endpoint
+  app.post('/api/webhooks/endpoints/:endpointId/test', authenticate, async (req, res) => {
+    try {
+      res.json(await req.whatsapp.webhookEmitter.testEndpoint(req.params.endpointId));
+    } catch (error) {
+      sendEndpointError(res, error);
+    }
+  });
+
+  // ==========================================================================
+  // WEBHOOK DEAD LETTERS
+  // ==========================================================================
+
+  const sendDeadLetterError = (res, error) => {
+    if (error instanceof DeadLetterError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  };
+
+  // List failed deliveries (?event=&endpoint=&status=&reason=&since=&until=&limit=)
+  app.get('/api/webhooks/dead-letters', authenticate, (req, res) => {
+    try {
+      const filter = parseDeadLetterFilter(req.query);
+      const emitter = req.whatsapp.webhookEmitter;
+      res.json({
+        deadLetters: emitter.listDeadLetters(filter),
+        stats: emitter.deadLetters.getStats(),
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error);
+    }
+  });
+
+  // Replay failed deliveries in bulk (body: { ids } or filter fields)
+  app.post('/api/webhooks/dead-letters/replay', authenticate, async (req, res) => {
+    try {
+      const { ids, ...rest } = req.body || {};
+      if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+        return res.status(400).json({ error: '"ids" must be an array of dead letter IDs' });
+      }
+      const filter = parseDeadLetterFilter(rest);
+      res.json(await req.whatsapp.webhookEmitter.replayDeadLetters(filter, ids));
+    } catch (error) {
+      sendDeadLetterError(res, error);
+    }
+  });
+
+  // Purge failed deliveries matching the query filter (all without one)
+  app.delete('/api/webhooks/dead-letters', authenticate, (req, res) => {
+    try {
+      const filter = parseDeadLetterFilter(req.query);
+      res.json({ success: true, purged: req.whatsapp.webhookEmitter.purgeDeadLetters(filter) });
+    } catch (error) {
+      sendDeadLetterError(res, error);
+    }
+  });
+
+  // Inspect one failed delivery, including payload and last response body
+  app.get('/api/webhooks/dead-letters/:deadLetterId', authenticate, (req, res) => {
+    try {
+      const entry = req.whatsapp.webhookEmitter.getDeadLetter(req.params.deadLetterId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      res.json(entry);
+    } catch (error) {
+      sendDeadLetterError(res, error);
+    }
+  });
+
+  // Replay one failed delivery
+  app.post('/api/webhooks/dead-letters/:deadLetterId/replay', authenticate, async (req, res) => {
+    try {
+      res.json(await req.whatsapp.webhookEmitter.replayDeadLetter(req.params.deadLetterId));
+    } catch (error) {
+      sendDeadLetterError(res, error);
+    }
+  });
+
+  // Delete one failed delivery
+  app.delete('/api/webhooks/dead-letters/:deadLetterId', authenticate, (req, res) => {
+    try {
+      if (!req.whatsapp.webhookEmitter.deadLetters.remove(req.params.deadLetterId)) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      sendDeadLetterError(res, error);
+    }
+  });
+
   // Get available webhook event types
   app.get('/api/webhooks/events', authenticate, (req, res) => {
     try {
@@ -1287,6 +2415,10 @@ export function createApiServer(whatsappClient, options = {}) {
             'message.delivered',
             'message.read',
             'message.failed',
+            'message.reaction',
+            'message.edited',
+            'message.revoked',
+            'message.poll_vote',
           ],
           presence: [
             'presence.online',
@@ -1304,6 +2436,8 @@ export function createApiServer(whatsappClient, options = {}) {
             'contact.profile_update',
             'contact.blocked',
             'contact.unblocked',
+            'contact.opted_out',
+            'contact.opted_in',
           ],
           status: [
             'status.view',
@@ -1360,19 +2494,19 @@ export function createApiServer(whatsappClient, options = {}) {
     });
 
     // Send initial connection event with current state
-    const status = whatsappClient.getStatus();
+    const status = req.whatsapp.getStatus();
     res.write(`event: connected\ndata: ${JSON.stringify({ message: 'SSE connection established' })}\n\n`);
     res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
 
     // Send rate limits if available
-    if (whatsappClient.rateLimiter?.getStats) {
-      const rateLimits = whatsappClient.rateLimiter.getStats();
+    if (req.whatsapp.rateLimiter?.getStats) {
+      const rateLimits = req.whatsapp.rateLimiter.getStats();
       res.write(`event: rate-limits\ndata: ${JSON.stringify(rateLimits)}\n\n`);
     }
 
     // Send ban warning if available
-    if (whatsappClient.banWarning?.getStatus) {
-      const banWarning = whatsappClient.banWarning.getStatus();
+    if (req.whatsapp.banWarning?.getStatus) {
+      const banWarning = req.whatsapp.banWarning.getStatus();
       res.write(`event: ban-warning\ndata: ${JSON.stringify(banWarning)}\n\n`);
     }
 
@@ -1397,8 +2531,15 @@ export function createApiServer(whatsappClient, options = {}) {
     });
   });
 
+  // Typed errors (src/errors.js): { success: false, error, code, statusCode, ... }
+  const typedErrors = (options.errorHandler || errorHandler).expressMiddleware();
+
   // Global error handler - catches unhandled errors
   app.use((err, req, res, next) => {
+    if (err instanceof WA2BridgeError) {
+      return typedErrors(err, req, res, next);
+    }
+
     console.error(`[${req.requestId}] Unhandled error:`, err);
 
     // Don't leak error details in production
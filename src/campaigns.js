@@ -0,0 +1,557 @@
+/**
+ * Broadcast campaigns
+ *
+ * A campaign is one template sent to a list of recipients, each with their
+ * own template variables. CampaignManager sends at most one message per tick
+ * and only while MessageRateLimiter and ContactWarmup allow it, so a list
+ * larger than today's budget simply carries on the next day.
+ *
+ * Per-recipient statuses after 'sent' (delivered, read, failed) are pushed in
+ * from the message lifecycle through recordMessageStatus().
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage.js';
+import { normalizeContact } from './message-store.js';
+import { isPhoneNumber } from './contacts.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const CAMPAIGN_STATUSES = ['running', 'paused', 'cancelled', 'completed'];
+
+export const RECIPIENT_STATUSES = ['pending', 'sent', 'delivered', 'read', 'failed', 'skipped_opted_out'];
+
+export const MAX_CAMPAIGN_RECIPIENTS = 5000;
+const MAX_NAME_LENGTH = 100;
+const MAX_CONTENT_LENGTH = 4096;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Sent → delivered → read never goes backwards
+const SENT_STAGES = ['sent', 'delivered', 'read'];
+
+// Send errors that mean "not now" rather than "never": rate limits and
+// warmup (429), hibernation and ban risk (423), not connected (503)
+const RETRY_STATUS_CODES = [423, 429, 503];
+
+/**
+ * Invalid campaigns and state changes
+ */
+export class CampaignError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CampaignError';
+    this.statusCode = statusCode;
+  }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+function validateVariables(variables, field) {
+  if (variables === undefined || variables === null) return {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new CampaignError(`"${field}.variables" must be an object`);
+  }
+  for (const [key, value] of Object.entries(variables)) {
+    if (!/^\w+$/.test(key) || !['string', 'number'].includes(typeof value)) {
+      throw new CampaignError(`"${field}.variables.${key}" must be a string or number`);
+    }
+  }
+  return variables;
+}
+
+/**
+ * @param {Array<Object|string>} recipients - Phone numbers or { phone, variables }
+ * @param {string[]} required - Template variables every recipient must provide
+ * @returns {Object[]} { phone, variables }, duplicates dropped (first one wins)
+ * @throws {CampaignError} 400 for invalid phones or missing variables
+ */
+export function validateRecipients(recipients, required = []) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new CampaignError('"recipients" must be a non-empty array');
+  }
+  if (recipients.length > MAX_CAMPAIGN_RECIPIENTS) {
+    throw new CampaignError(`At most ${MAX_CAMPAIGN_RECIPIENTS} recipients per campaign`);
+  }
+
+  const seen = new Map();
+  recipients.forEach((entry, i) => {
+    const field = `recipients[${i}]`;
+    const { phone, variables } = typeof entry === 'string' ? { phone: entry } : entry || {};
+    if (!isPhoneNumber(phone)) {
+      throw new CampaignError(`Invalid phone number in "${field}"`);
+    }
+
+    const values = validateVariables(variables, field);
+    const missing = required.filter(name => values[name] === undefined);
+    if (missing.length > 0) {
+      throw new CampaignError(`"${field}" is missing template variables: ${missing.join(', ')}`);
+    }
+
+    const contact = normalizeContact(phone);
+    if (!seen.has(contact)) seen.set(contact, { phone: contact, variables: values });
+  });
+
+  return [...seen.values()];
+}
+
+function parseStartAt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new CampaignError('"startAt" must be a Unix timestamp in ms or an ISO date');
+  }
+  return ms;
+}
+
+function parseCount(value, name, { min, max, fallback }) {
+  if (value === undefined || value === '') return fallback;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min || (max && count > max)) {
+    throw new CampaignError(`"${name}" must be an integer between ${min} and ${max || 'any'}`);
+  }
+  return count;
+}
+
+// =============================================================================
+// CAMPAIGN MANAGER
+// =============================================================================
+
+/**
+ * Campaigns, their recipients and the pacing loop
+ */
+export class CampaignManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.templates - MessageTemplates (named templates and rendering)
+   * @param {Function} options.send - async (phone, text) => bridge message ID
+   * @param {Object} [options.rateLimiter] - MessageRateLimiter, checked before each send
+   * @param {Object} [options.contactWarmup] - ContactWarmup, checked per recipient
+   * @param {Function} [options.getMessageStatus] - (messageId) => lifecycle record, read once per send
+   * @param {Function} [options.isOptedOut] - (phone) => true to skip a recipient
+   * @param {number} [options.tickMs=30000] - How often to try the next send
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || getStorage(options.sessionsDir);
+    this.templates = options.templates;
+    this.send = options.send;
+    this.rateLimiter = options.rateLimiter || null;
+    this.contactWarmup = options.contactWarmup || null;
+    this.getMessageStatus = options.getMessageStatus || (() => null);
+    this.isOptedOut = options.isOptedOut || (() => false);
+    this.logger = options.logger || console;
+    this.tickMs = options.tickMs || 30000;
+    this.retentionMs = options.retentionMs || 90 * 24 * 60 * 60 * 1000;   // 90 days after finishing
+
+    this.campaigns = new Map();   // id -> campaign, in creation order
+    this.sentMessages = new Map();   // message ID -> recipient awaiting delivered/read
+    this.waitUntil = 0;           // No sends before this (account-wide limit hit)
+    this.interval = null;
+    this.processing = false;
+
+    this.load();
+  }
+
+  /**
+   * Create a campaign; it starts sending on the next tick (or at startAt)
+   * @param {Object} input
+   * @param {string} input.name
+   * @param {string} [input.template] - Name of a stored template
+   * @param {string} [input.text] - Inline template content (instead of `template`)
+   * @param {Array<Object|string>} input.recipients - { phone, variables } or phone numbers
+   * @param {number|string} [input.startAt] - Don't send before (Unix ms or ISO date)
+   * @returns {Object} Campaign summary
+   * @throws {CampaignError} 400 for invalid input, 404 for unknown templates
+   */
+  create(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new CampaignError(`"name" must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!input.template === !input.text) {
+      throw new CampaignError('Provide either "template" (a stored template name) or "text"');
+    }
+    let content = input.text;
+    if (input.template) {
+      const template = this.templates.get(input.template);
+      if (!template) {
+        throw new CampaignError(`Template "${input.template}" not found`, 404);
+      }
+      content = template.content;
+    }
+    if (typeof content !== 'string' || !content.trim() || content.length > MAX_CONTENT_LENGTH) {
+      throw new CampaignError(`"text" must be 1-${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const recipients = validateRecipients(input.recipients, this.templates.extractVariables(content));
+    const now = Date.now();
+
+    const campaign = {
+      id: `camp_${randomBytes(8).toString('hex')}`,
+      name,
+      template: input.template || null,
+      // Copied so later template edits don't change a running campaign
+      content,
+      status: 'running',
+      startAt: parseStartAt(input.startAt),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      recipients: recipients.map(recipient => ({
+        ...recipient,
+        status: 'pending',
+        messageId: null,
+        error: null,
+        notBefore: 0,
+        updatedAt: now,
+      })),
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    this.save();
+    this.logger.info({ campaignId: campaign.id, recipients: recipients.length }, 'Campaign created');
+
+    return this.summarize(campaign);
+  }
+
+  /**
+   * @throws {CampaignError} 404 for unknown campaigns
+   */
+  _find(id) {
+    const campaign = this.campaigns.get(id);
+    if (!campaign) {
+      throw new CampaignError(`Campaign "${id}" not found`, 404);
+    }
+    return campaign;
+  }
+
+  /**
+   * @returns {Object} Campaign summary with per-status counts
+   * @throws {CampaignError} 404
+   */
+  get(id) {
+    return this.summarize(this._find(id));
+  }
+
+  /**
+   * @returns {Object[]} Campaign summaries, newest first
+   */
+  list() {
+    return [...this.campaigns.values()].reverse().map(campaign => this.summarize(campaign));
+  }
+
+  /**
+   * Per-recipient report
+   * @param {string} id
+   * @param {Object} [filter] - { status, limit, offset } (query strings accepted)
+   * @returns {{recipients: Object[], total: number, limit: number, offset: number, hasMore: boolean}}
+   * @throws {CampaignError} 400 for invalid filters, 404
+   */
+  getRecipients(id, filter = {}) {
+    const campaign = this._find(id);
+    if (filter.status && !RECIPIENT_STATUSES.includes(filter.status)) {
+      throw new CampaignError(`"status" must be one of: ${RECIPIENT_STATUSES.join(', ')}`);
+    }
+    const limit = parseCount(filter.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE, fallback: DEFAULT_PAGE_SIZE });
+    const offset = parseCount(filter.offset, 'offset', { min: 0, fallback: 0 });
+
+    const matched = campaign.recipients.filter(recipient => !filter.status || recipient.status === filter.status);
+
+    return {
+      recipients: matched.slice(offset, offset + limit).map(({ notBefore, ...recipient }) => recipient),
+      total: matched.length,
+      limit,
+      offset,
+      hasMore: offset + limit < matched.length,
+    };
+  }
+
+  /**
+   * @throws {CampaignError} 404, or 409 unless running
+   */
+  pause(id) {
+    return this._transition(id, ['running'], 'paused');
+  }
+
+  /**
+   * @throws {CampaignError} 404, or 409 unless paused
+   */
+  resume(id) {
+    return this._transition(id, ['paused'], 'running');
+  }
+
+  /**
+   * Stop for good; recipients not reached yet stay 'pending'
+   * @throws {CampaignError} 404, or 409 once completed or cancelled
+   */
+  cancel(id) {
+    return this._transition(id, ['running', 'paused'], 'cancelled');
+  }
+
+  _transition(id, from, to) {
+    const campaign = this._find(id);
+    if (!from.includes(campaign.status)) {
+      throw new CampaignError(`Campaign is ${campaign.status}`, 409);
+    }
+
+    campaign.status = to;
+    campaign.updatedAt = Date.now();
+    if (to === 'cancelled') campaign.finishedAt = campaign.updatedAt;
+    this.save();
+    this.logger.info({ campaignId: id, status: to }, 'Campaign status changed');
+
+    return this.summarize(campaign);
+  }
+
+  /**
+   * API shape of a campaign (recipients as counts)
+   */
+  summarize(campaign) {
+    const counts = Object.fromEntries(RECIPIENT_STATUSES.map(status => [status, 0]));
+    for (const recipient of campaign.recipients) {
+      counts[recipient.status]++;
+    }
+
+    const { recipients, ...summary } = campaign;
+    return {
+      ...summary,
+      total: recipients.length,
+      counts,
+      nextSendAt: this._nextSendAt(campaign),
+    };
+  }
+
+  /**
+   * Earliest time the campaign may send again, null if it won't
+   */
+  _nextSendAt(campaign) {
+    if (campaign.status !== 'running') return null;
+    const pending = campaign.recipients.filter(recipient => recipient.status === 'pending');
+    if (pending.length === 0) return null;
+
+    const earliest = Math.min(...pending.map(recipient => recipient.notBefore));
+    return Math.max(earliest, campaign.startAt || 0, this.waitUntil, Date.now());
+  }
+
+  /**
+   * Apply a lifecycle transition of a campaign message (delivered, read, failed)
+   * @param {string} messageId - Bridge message ID returned by `send`
+   * @param {string} status
+   * @returns {boolean} Whether a recipient changed
+   */
+  recordMessageStatus(messageId, status) {
+    const recipient = this.sentMessages.get(messageId);
+    if (!recipient || !this._advance(recipient, status)) return false;
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Move a sent recipient forward; sent → delivered → read, or failed
+   */
+  _advance(recipient, status) {
+    const advanced = SENT_STAGES.indexOf(status) > SENT_STAGES.indexOf(recipient.status);
+    if (!advanced && status !== 'failed') return false;
+
+    this._setStatus(recipient, status);
+    if (status === 'read' || status === 'failed') {
+      this.sentMessages.delete(recipient.messageId);
+    }
+    return true;
+  }
+
+  /**
+   * Remember a recipient's message until it is read or fails
+   */
+  _watch(recipient) {
+    if (recipient.messageId && ['sent', 'delivered'].includes(recipient.status)) {
+      this.sentMessages.set(recipient.messageId, recipient);
+    }
+  }
+
+  // ===========================================================================
+  // PACING
+  // ===========================================================================
+
+  start() {
+    if (this.interval) return;
+    this.interval = setInterval(() => this.tick(), this.tickMs);
+    this.interval.unref?.();
+    this.logger.info('Campaign processor started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Send to the next due recipient, if the budgets allow (one send per tick)
+   * @returns {Promise<boolean>} Whether a message was sent
+   */
+  async tick() {
+    if (this.processing) return false;
+    this.processing = true;
+    try {
+      return await this._sendNext();
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async _sendNext() {
+    const now = Date.now();
+    if (now < this.waitUntil) return false;
+
+    let changed = false;
+    try {
+      for (const campaign of this.campaigns.values()) {
+        if (campaign.status !== 'running' || campaign.startAt > now) continue;
+
+        for (const recipient of campaign.recipients) {
+          if (recipient.status !== 'pending' || recipient.notBefore > now) continue;
+
+          if (await this.isOptedOut(recipient.phone)) {
+            this._setStatus(recipient, 'skipped_opted_out');
+            changed = true;
+            continue;
+          }
+
+          // This contact's daily budget is used up; others may still go today
+          const warmup = this.contactWarmup?.canMessage(recipient.phone);
+          if (warmup && !warmup.allowed) {
+            recipient.notBefore = now + warmup.waitMs;
+            changed = true;
+            continue;
+          }
+
+          // Account-wide limits stop every campaign until they reset
+          const budget = await this.rateLimiter?.canSend();
+          if (budget && !budget.allowed) {
+            this.waitUntil = now + budget.waitMs;
+            changed = true;
+            this.logger.debug({ waitMs: budget.waitMs, limitType: budget.limitType }, 'Campaign sends waiting for rate limit');
+            return false;
+          }
+
+          changed = true;
+          await this._sendTo(campaign, recipient);
+          this._completeIfDone(campaign);
+          return recipient.status === 'sent';
+        }
+
+        changed = this._completeIfDone(campaign) || changed;
+      }
+      return false;
+    } finally {
+      if (changed) this.save();
+    }
+  }
+
+  async _sendTo(campaign, recipient) {
+    try {
+      const text = this.templates.renderContent(campaign.content, recipient.variables);
+      recipient.messageId = await this.send(recipient.phone, text);
+      this._setStatus(recipient, 'sent');
+      this._watch(recipient);
+
+      // Receipts that arrived while the send was still in flight
+      const status = this.getMessageStatus(recipient.messageId)?.status;
+      if (status) this._advance(recipient, status);
+    } catch (error) {
+      if (RETRY_STATUS_CODES.includes(error.statusCode)) {
+        // Limits or the connection changed since the checks above; try again later
+        const waitMs = error.waitMs || this.tickMs;
+        if (error.code === 'CONTACT_WARMUP') {
+          recipient.notBefore = Date.now() + waitMs;
+        } else {
+          this.waitUntil = Date.now() + waitMs;
+        }
+        this.logger.warn({ campaignId: campaign.id, phone: recipient.phone, error: error.message }, 'Campaign send deferred');
+        return;
+      }
+
+      recipient.error = error.message;
+      this._setStatus(recipient, 'failed');
+      this.logger.warn({ campaignId: campaign.id, phone: recipient.phone, error: error.message }, 'Campaign send failed');
+    }
+  }
+
+  _setStatus(recipient, status) {
+    recipient.status = status;
+    recipient.updatedAt = Date.now();
+  }
+
+  _completeIfDone(campaign) {
+    if (campaign.status !== 'running') return false;
+    if (campaign.recipients.some(recipient => recipient.status === 'pending')) return false;
+
+    campaign.status = 'completed';
+    campaign.updatedAt = Date.now();
+    campaign.finishedAt = campaign.updatedAt;
+    this.logger.info({ campaignId: campaign.id }, 'Campaign completed');
+    return true;
+  }
+
+  getStats() {
+    const byStatus = Object.fromEntries(CAMPAIGN_STATUSES.map(status => [status, 0]));
+    for (const campaign of this.campaigns.values()) {
+      byStatus[campaign.status]++;
+    }
+    return {
+      total: this.campaigns.size,
+      byStatus,
+      waitUntil: this.waitUntil > Date.now() ? this.waitUntil : null,
+      isRunning: !!this.interval,
+    };
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('campaigns');
+      const cutoff = Date.now() - this.retentionMs;
+      for (const campaign of data?.campaigns || []) {
+        if (!campaign.finishedAt || campaign.finishedAt > cutoff) {
+          this.campaigns.set(campaign.id, campaign);
+          campaign.recipients.forEach(recipient => this._watch(recipient));
+        }
+      }
+      this.waitUntil = data?.waitUntil || 0;
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.save('campaigns', {
+        campaigns: [...this.campaigns.values()],
+        waitUntil: this.waitUntil,
+        savedAt: Date.now(),
+      });
+    } catch (err) {
+      // Ignore
+    }
+  }
+}
+
+export default {
+  CAMPAIGN_STATUSES,
+  RECIPIENT_STATUSES,
+  MAX_CAMPAIGN_RECIPIENTS,
+  CampaignError,
+  validateRecipients,
+  CampaignManager,
+};
@@ -0,0 +1,267 @@
+/**
+ * Consent registry
+ *
+ * Who agreed to receive messages (and where that consent came from) and who
+ * asked us to stop. Customers opt out by replying a keyword such as STOP or
+ * BERHENTI and opt back in with START or MULAI; /api/consent records consent
+ * collected elsewhere (web forms, checkout, support).
+ *
+ * Opted-out contacts only get replies: sends without a quoted message are
+ * refused, and campaigns, scheduled messages and the persistent queue skip them.
+ */
+
+import { getStorage } from './storage.js';
+import { normalizeContact } from './message-store.js';
+import { isPhoneNumber } from './contacts.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+// Whole-message keywords (case and punctuation ignored), English and Indonesian
+export const OPT_OUT_KEYWORDS = [
+  'stop', 'stop all', 'unsubscribe', 'opt out', 'optout',
+  'berhenti', 'berhenti langganan', 'stop langganan', 'batal langganan', 'unreg',
+];
+export const OPT_IN_KEYWORDS = [
+  'start', 'unstop', 'subscribe', 'opt in', 'optin',
+  'mulai', 'mulai langganan', 'langganan',
+];
+
+export const DEFAULT_OPT_OUT_REPLY = 'Anda telah berhenti berlangganan dan tidak akan menerima pesan lagi. '
+  + 'Balas MULAI untuk berlangganan kembali.\n\n'
+  + 'You have been unsubscribed and will not receive further messages. Reply START to subscribe again.';
+export const DEFAULT_OPT_IN_REPLY = 'Terima kasih, Anda telah berlangganan kembali. Balas BERHENTI untuk berhenti.\n\n'
+  + 'Thanks, you are subscribed again. Reply STOP to unsubscribe.';
+
+const MAX_SOURCE_LENGTH = 100;
+
+/**
+ * Invalid consent requests
+ */
+export class ConsentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ConsentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Lowercase, without punctuation or emoji, single-spaced ("Stop!!" → "stop")
+ */
+export function normalizeKeyword(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @throws {ConsentError} 400 unless a phone number or user JID
+ * @returns {string} "+<digits>"
+ */
+export function validateConsentPhone(phone) {
+  if (!isPhoneNumber(phone)) {
+    throw new ConsentError(`Invalid phone number "${phone}"`);
+  }
+  return normalizeContact(phone);
+}
+
+function validateSource(source, fallback) {
+  if (source === undefined || source === null || source === '') return fallback;
+  if (typeof source !== 'string' || source.length > MAX_SOURCE_LENGTH) {
+    throw new ConsentError(`"source" must be a string of at most ${MAX_SOURCE_LENGTH} characters`);
+  }
+  return source.trim();
+}
+
+function validateAt(at) {
+  if (at === undefined || at === null || at === '') return Date.now();
+  const ms = /^\d+$/.test(String(at)) ? Number(at) : Date.parse(at);
+  if (Number.isNaN(ms) || ms > Date.now()) {
+    throw new ConsentError('"at" must be a past Unix timestamp in ms or ISO date');
+  }
+  return ms;
+}
+
+// =============================================================================
+// CONSENT REGISTRY
+// =============================================================================
+
+/**
+ * Latest consent per contact
+ */
+export class ConsentRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.optOutKeywords]
+   * @param {string[]} [options.optInKeywords]
+   * @param {string} [options.optOutReply] - Confirmation sent after a keyword opt-out
+   * @param {string} [options.optInReply] - Confirmation sent after a keyword opt-in
+   * @param {Function} [options.onChange] - (record) => void, when a contact's status changes
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || getStorage(options.sessionsDir);
+    this.optOutKeywords = new Set((options.optOutKeywords || OPT_OUT_KEYWORDS).map(normalizeKeyword));
+    this.optInKeywords = new Set((options.optInKeywords || OPT_IN_KEYWORDS).map(normalizeKeyword));
+    this.optOutReply = options.optOutReply ?? DEFAULT_OPT_OUT_REPLY;
+    this.optInReply = options.optInReply ?? DEFAULT_OPT_IN_REPLY;
+    this.onChange = options.onChange || (() => {});
+
+    // "+<digits>" -> { phone, status, optedInAt, optInSource, optedOutAt, optOutSource, keyword, updatedAt }
+    this.contacts = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Opt-out or opt-in keyword in an incoming message
+   * @returns {{action: 'opt_out'|'opt_in', keyword: string}|null}
+   */
+  matchKeyword(text) {
+    const keyword = normalizeKeyword(text);
+    if (this.optOutKeywords.has(keyword)) return { action: 'opt_out', keyword };
+    if (this.optInKeywords.has(keyword)) return { action: 'opt_in', keyword };
+    return null;
+  }
+
+  /**
+   * @returns {Object|null} Consent record, null if nothing is known
+   */
+  get(phone) {
+    return this.contacts.get(validateConsentPhone(phone)) || null;
+  }
+
+  /**
+   * Whether sends to this recipient must be skipped (group JIDs never are)
+   * @param {string} to - Phone number or JID
+   */
+  isOptedOut(to) {
+    return this.contacts.get(normalizeContact(to))?.status === 'opted_out';
+  }
+
+  /**
+   * Record consent to receive messages
+   * @param {string} phone
+   * @param {Object} [options]
+   * @param {string} [options.source='api'] - Where consent was given ('keyword' for START/MULAI)
+   * @param {number|string} [options.at] - When consent was given (default now)
+   * @returns {{record: Object, changed: boolean}}
+   * @throws {ConsentError} 400
+   */
+  optIn(phone, options = {}) {
+    const contact = validateConsentPhone(phone);
+    const source = validateSource(options.source, 'api');
+    const at = validateAt(options.at);
+
+    return this._update(contact, {
+      status: 'opted_in',
+      optedInAt: at,
+      optInSource: source,
+    });
+  }
+
+  /**
+   * Record a request to stop receiving messages
+   * @param {string} phone
+   * @param {Object} [options]
+   * @param {string} [options.source='api'] - 'keyword' for STOP/BERHENTI replies
+   * @param {string} [options.keyword] - The keyword that was sent
+   * @returns {{record: Object, changed: boolean}}
+   * @throws {ConsentError} 400
+   */
+  optOut(phone, options = {}) {
+    const contact = validateConsentPhone(phone);
+    const source = validateSource(options.source, 'api');
+
+    return this._update(contact, {
+      status: 'opted_out',
+      optedOutAt: validateAt(options.at),
+      optOutSource: source,
+      keyword: options.keyword || null,
+    });
+  }
+
+  _update(phone, fields) {
+    const existing = this.contacts.get(phone);
+    const record = {
+      phone,
+      optedInAt: null,
+      optInSource: null,
+      optedOutAt: null,
+      optOutSource: null,
+      keyword: null,
+      ...existing,
+      ...fields,
+      updatedAt: Date.now(),
+    };
+    this.contacts.set(phone, record);
+    this.save();
+
+    const changed = existing?.status !== record.status;
+    if (changed) this.onChange(record);
+    return { record, changed };
+  }
+
+  /**
+   * @param {Object} [filter] - { status }
+   * @returns {Object[]} Records, most recently changed first
+   * @throws {ConsentError} 400 for unknown statuses
+   */
+  list(filter = {}) {
+    if (filter.status && !CONSENT_STATUSES.includes(filter.status)) {
+      throw new ConsentError(`"status" must be one of: ${CONSENT_STATUSES.join(', ')}`);
+    }
+    return [...this.contacts.values()]
+      .filter(record => !filter.status || record.status === filter.status)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getStats() {
+    const records = [...this.contacts.values()];
+    return {
+      optedIn: records.filter(record => record.status === 'opted_in').length,
+      optedOut: records.filter(record => record.status === 'opted_out').length,
+    };
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('consent');
+      this.contacts = new Map(Object.entries(data?.contacts || {}));
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.save('consent', {
+        contacts: Object.fromEntries(this.contacts),
+        savedAt: Date.now(),
+      });
+    } catch (err) {
+      // Ignore
+    }
+  }
+}
+
+export default {
+  CONSENT_STATUSES,
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  ConsentError,
+  normalizeKeyword,
+  validateConsentPhone,
+  ConsentRegistry,
+};
@@ -0,0 +1,82 @@
+/**
+ * Contact lookup helpers
+ *
+ * Validation and response shapes for /api/contacts. Lookups run in
+ * WhatsAppClient; results are cached by ContactWarmup next to its warmup
+ * data, and uncached lookups count against its lookup limits.
+ */
+
+// Bulk checks are a classic scraping pattern, keep batches small
+export const MAX_CHECK_BATCH = 50;
+
+/**
+ * Invalid contact requests
+ */
+export class ContactError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ContactError';
+    this.statusCode = statusCode;
+  }
+}
+
+export function isPhoneNumber(value) {
+  return typeof value === 'string' && /^\+?\d{10,15}(@s\.whatsapp\.net)?$/.test(value.replace(/[\s-]/g, ''));
+}
+
+/**
+ * @throws {ContactError} 400 unless 1-50 phone numbers
+ * @returns {string[]} Unique phone numbers
+ */
+export function validatePhones(phones) {
+  if (!Array.isArray(phones) || phones.length === 0) {
+    throw new ContactError('"phones" must be a non-empty array of phone numbers');
+  }
+  if (phones.length > MAX_CHECK_BATCH) {
+    throw new ContactError(`At most ${MAX_CHECK_BATCH} phone numbers per request`);
+  }
+  for (const phone of phones) {
+    if (!isPhoneNumber(phone)) {
+      throw new ContactError(`Invalid phone number "${phone}"`);
+    }
+  }
+  return [...new Set(phones)];
+}
+
+/**
+ * About text from fetchStatus(), which returns an object in older Baileys
+ * versions and a list of results in newer ones
+ * @returns {{about: string|null, aboutSetAt: number|null}}
+ */
+export function formatStatus(result) {
+  const status = Array.isArray(result) ? result[0]?.status : result;
+  if (!status?.status) return { about: null, aboutSetAt: null };
+
+  const setAt = status.setAt ? new Date(status.setAt).getTime() : null;
+  return { about: status.status, aboutSetAt: Number.isNaN(setAt) ? null : setAt };
+}
+
+/**
+ * API shape of getBusinessProfile(), null for personal accounts
+ */
+export function formatBusinessProfile(profile) {
+  if (!profile) return null;
+
+  const websites = profile.website ? [].concat(profile.website) : [];
+  return {
+    description: profile.description || null,
+    category: profile.category || null,
+    email: profile.email || null,
+    websites,
+    address: profile.address || null,
+  };
+}
+
+export default {
+  MAX_CHECK_BATCH,
+  ContactError,
+  isPhoneNumber,
+  validatePhones,
+  formatStatus,
+  formatBusinessProfile,
+};
@@ -5,6 +5,13 @@
  * - Error categorization (operational vs programmer errors)
  * - HTTP status code mapping
  * - Error logging and tracking
+ *
+ * Send-path codes (see README "Error Responses"):
+ * - 503 NOT_CONNECTED
+ * - 409 CONTACT_BLOCKED, CONTACT_OPTED_OUT
+ * - 423 HIBERNATION, BAN_RISK_CRITICAL
+ * - 429 RATE_LIMITED, CONTACT_WARMUP, GROUP_ACTION_LIMIT, LOOKUP_LIMIT (with waitMs/retryAfter)
+ * - 500 SEND_FAILED
  */
 
 /**
@@ -12,12 +19,13 @@
  */
 export class WA2BridgeError extends Error {
   constructor(message, options = {}) {
-    super(message);
+    super(message, options.cause ? { cause: options.cause } : undefined);
     this.name = this.constructor.name;
     this.code = options.code || 'WA2BRIDGE_ERROR';
     this.statusCode = options.statusCode || 500;
     this.isOperational = options.isOperational !== false; // Default true
     this.context = options.context || {};
+    this.retryAfter = options.retryAfter ?? null; // Seconds, for the Retry-After header
     this.timestamp = new Date().toISOString();
 
     Error.captureStackTrace(this, this.constructor);
@@ -29,6 +37,7 @@ export class WA2BridgeError extends Error {
       code: this.code,
       statusCode: this.statusCode,
       context: this.context,
+      ...(this.retryAfter !== null && { retryAfter: this.retryAfter }),
       timestamp: this.timestamp,
     };
   }
@@ -65,12 +74,14 @@ export class ValidationError extends WA2BridgeError {
  */
 export class RateLimitError extends WA2BridgeError {
   constructor(message = 'Rate limit exceeded', options = {}) {
+    const waitMs = options.waitMs || 60000;
     super(message, {
       code: 'RATE_LIMIT_ERROR',
       statusCode: 429,
+      retryAfter: Math.ceil(waitMs / 1000),
       ...options,
     });
-    this.waitMs = options.waitMs || 60000;
+    this.waitMs = waitMs;
     this.limitType = options.limitType || 'unknown';
   }
 
@@ -135,13 +146,13 @@ export class WebhookError extends WA2BridgeError {
 }
 
 /**
- * Anti-ban protection triggered
+ * Anti-ban protection triggered (423: sending is locked until the risk drops)
  */
 export class AntiBanError extends WA2BridgeError {
   constructor(message = 'Anti-ban protection activated', options = {}) {
     super(message, {
       code: 'ANTIBAN_ERROR',
-      statusCode: 429,
+      statusCode: 423,
       ...options,
     });
     this.riskLevel = options.riskLevel || 'unknown';
@@ -158,17 +169,24 @@ export class AntiBanError extends WA2BridgeError {
 }
 
 /**
- * Block detection
+ * Block detection and opt-outs (409: conflicts with the contact's state, retrying won't help)
  */
 export class BlockedError extends WA2BridgeError {
   constructor(message = 'Contact appears to have blocked you', options = {}) {
     super(message, {
       code: 'BLOCKED_ERROR',
-      statusCode: 403,
+      statusCode: 409,
       ...options,
     });
     this.phone = options.phone;
   }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      phone: this.phone,
+    };
+  }
 }
 
 /**
@@ -330,7 +348,10 @@ export class ErrorHandler {
         ip: req.ip,
       });
 
-      res.status(handled.statusCode).json(handled.toJSON());
+      if (handled.retryAfter !== null) {
+        res.set('Retry-After', String(handled.retryAfter));
+      }
+      res.status(handled.statusCode).json({ success: false, ...handled.toJSON() });
     };
   }
 }
@@ -0,0 +1,372 @@
+/**
+ * Fake Baileys socket
+ *
+ * Offline stand-in for makeWASocket (WA_BACKEND=fake), for end-to-end
+ * tests without a phone or network. The socket implements the Baileys
+ * methods and events WhatsAppClient uses; a WhatsAppSimulator per session
+ * outlives reconnects and plays the WhatsApp side on command (/api/_sim/*):
+ * pairing, inbound messages, receipts, disconnects and send failures.
+ *
+ * Everything above the socket - anti-ban delays, rate limits, webhooks,
+ * message history - runs exactly as with a real connection.
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+
+import { DISCONNECT_CODES, RECEIPT_STATUSES } from './transport.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DEFAULT_SIM_PHONE = '6280000000001';
+export const DEFAULT_SIM_NAME = 'WA2Bridge Simulator';
+
+// Commands of /api/_sim/disconnect and /api/_sim/receipts
+export const SIM_DISCONNECT_REASONS = DISCONNECT_CODES;
+export const SIM_RECEIPT_STATUSES = RECEIPT_STATUSES;
+
+// Sent messages kept for GET /api/_sim
+const MAX_SENT_LOG = 200;
+
+/**
+ * Invalid simulator commands
+ */
+export class SimulatorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SimulatorError';
+    this.statusCode = statusCode;
+  }
+}
+
+function generateMessageId() {
+  return `3EB0${randomBytes(8).toString('hex').toUpperCase()}`;
+}
+
+function toUserJid(phone) {
+  const digits = String(phone || '').replace(/@.*$/, '').replace(/\D/g, '');
+  if (!/^\d{8,15}$/.test(digits)) {
+    throw new SimulatorError(`Invalid phone number "${phone}"`);
+  }
+  return `${digits}@s.whatsapp.net`;
+}
+
+function unsupported(method) {
+  return async () => {
+    throw new Error(`${method} is not supported by the fake backend`);
+  };
+}
+
+// =============================================================================
+// FAKE SOCKET
+// =============================================================================
+
+/**
+ * One connection, as returned by makeWASocket
+ */
+export class FakeSocket {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.ev = new EventEmitter();
+    this.user = null;
+    this.closed = false;
+
+    this.groupFetchAllParticipating = async () => ({});
+    this.groupMetadata = unsupported('groupMetadata');
+    this.groupCreate = unsupported('groupCreate');
+    this.groupUpdateSubject = unsupported('groupUpdateSubject');
+    this.groupUpdateDescription = unsupported('groupUpdateDescription');
+    this.groupParticipantsUpdate = unsupported('groupParticipantsUpdate');
+    this.groupInviteCode = unsupported('groupInviteCode');
+    this.groupRevokeInvite = unsupported('groupRevokeInvite');
+    this.downloadMedia = unsupported('downloadMedia');
+  }
+
+  _assertOpen() {
+    if (this.closed || !this.user) {
+      throw new Error('Connection Closed');
+    }
+  }
+
+  async sendMessage(jid, content, options = {}) {
+    this._assertOpen();
+    return this.simulator._recordSend(jid, content, options);
+  }
+
+  async sendPresenceUpdate() {
+    this._assertOpen();
+  }
+
+  async presenceSubscribe() {
+    this._assertOpen();
+  }
+
+  async readMessages() {
+    this._assertOpen();
+  }
+
+  // Every number is on WhatsApp
+  async onWhatsApp(...jids) {
+    this._assertOpen();
+    return jids.map(jid => ({ jid, exists: true }));
+  }
+
+  async profilePictureUrl() {
+    throw new Error('item-not-found');
+  }
+
+  async fetchStatus() {
+    return null;
+  }
+
+  async getBusinessProfile() {
+    return null;
+  }
+
+  async logout() {
+    this.simulator.paired = false;
+    this._close(SIM_DISCONNECT_REASONS.logged_out, 'Logged Out');
+  }
+
+  end() {
+    this._close(SIM_DISCONNECT_REASONS.connection_closed, 'Connection Closed');
+  }
+
+  _open(user) {
+    this.user = user;
+    this.ev.emit('connection.update', { connection: 'open' });
+  }
+
+  _close(statusCode, message) {
+    if (this.closed) return;
+    this.closed = true;
+    const error = new Error(message);
+    error.output = { statusCode };
+    this.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+  }
+}
+
+// =============================================================================
+// SIMULATOR
+// =============================================================================
+
+/**
+ * The WhatsApp side of a session: pairing state, sent messages and queued failures
+ */
+export class WhatsAppSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.autoPair=false] - Open connections without waiting for /api/_sim/pair
+   * @param {string} [options.phone] - Paired number
+   * @param {string} [options.name] - Paired profile name
+   */
+  constructor(options = {}) {
+    this.autoPair = options.autoPair || false;
+    this.phone = options.phone || DEFAULT_SIM_PHONE;
+    this.name = options.name || DEFAULT_SIM_NAME;
+    this.paired = false;
+
+    this.socket = null;
+    this.qr = null;
+    this.sent = [];
+    this.failures = [];
+  }
+
+  /**
+   * New connection; it opens right away once paired, otherwise shows a QR code
+   * @returns {FakeSocket}
+   */
+  createSocket() {
+    const socket = new FakeSocket(this);
+    this.socket = socket;
+
+    // After connect() has attached its listeners
+    setImmediate(() => {
+      if (socket.closed || this.socket !== socket) return;
+      if (this.paired || this.autoPair) {
+        this.paired = true;
+        this.qr = null;
+        socket._open(this._user());
+      } else {
+        this.qr = `sim-qr-${randomBytes(8).toString('hex')}`;
+        socket.ev.emit('connection.update', { qr: this.qr });
+      }
+    });
+
+    return socket;
+  }
+
+  get connected() {
+    return !!this.socket && !this.socket.closed && !!this.socket.user;
+  }
+
+  _user() {
+    return { id: `${this.phone}:1@s.whatsapp.net`, name: this.name };
+  }
+
+  _requireConnected() {
+    if (!this.connected) {
+      throw new SimulatorError('Session is not connected', 409);
+    }
+    return this.socket;
+  }
+
+  /**
+   * Scan the QR code
+   * @param {Object} [input] - { phone, name } of the paired account
+   */
+  pair(input = {}) {
+    if (!this.socket || this.socket.closed) {
+      throw new SimulatorError('Session is not started', 409);
+    }
+    if (this.connected) {
+      throw new SimulatorError('Session is already paired', 409);
+    }
+    if (input.phone !== undefined) this.phone = toUserJid(input.phone).split('@')[0];
+    if (input.name !== undefined) this.name = String(input.name);
+
+    this.paired = true;
+    this.qr = null;
+    this.socket._open(this._user());
+    return this.getState();
+  }
+
+  /**
+   * Deliver an incoming message
+   * @param {Object} input
+   * @param {string} input.from - Sender phone number
+   * @param {string} input.text
+   * @param {string} [input.pushName]
+   * @param {string} [input.groupJid] - Send to a group, from `from`
+   * @param {string} [input.replyTo] - WhatsApp ID of a quoted message
+   * @returns {Object} The Baileys message
+   */
+  receiveMessage(input = {}) {
+    const socket = this._requireConnected();
+    const sender = toUserJid(input.from);
+    if (typeof input.text !== 'string' || input.text === '') {
+      throw new SimulatorError('"text" is required');
+    }
+    if (input.groupJid !== undefined && !/^[\d-]+@g\.us$/.test(input.groupJid)) {
+      throw new SimulatorError(`Invalid group JID "${input.groupJid}"`);
+    }
+
+    const message = {
+      key: {
+        remoteJid: input.groupJid || sender,
+        fromMe: false,
+        id: generateMessageId(),
+        ...(input.groupJid && { participant: sender }),
+      },
+      message: input.replyTo
+        ? { extendedTextMessage: { text: input.text, contextInfo: { stanzaId: input.replyTo, participant: this._user().id } } }
+        : { conversation: input.text },
+      pushName: input.pushName || null,
+      messageTimestamp: Math.floor(Date.now() / 1000),
+    };
+
+    socket.ev.emit('messages.upsert', { messages: [message], type: 'notify' });
+    return message;
+  }
+
+  /**
+   * Receipt for a sent message
+   * @param {string} messageId - WhatsApp message ID (see sent)
+   * @param {'sent'|'delivered'|'read'|'played'|'failed'} status
+   */
+  receipt(messageId, status) {
+    const socket = this._requireConnected();
+    if (!(status in SIM_RECEIPT_STATUSES)) {
+      throw new SimulatorError(`"status" must be one of: ${Object.keys(SIM_RECEIPT_STATUSES).join(', ')}`);
+    }
+    const sent = this.sent.find(entry => entry.id === messageId);
+    if (!sent) {
+      throw new SimulatorError(`No sent message "${messageId}"`, 404);
+    }
+
+    sent.status = status;
+    socket.ev.emit('messages.update', [{
+      key: { remoteJid: sent.jid, fromMe: true, id: messageId },
+      update: { status: SIM_RECEIPT_STATUSES[status] },
+    }]);
+    return sent;
+  }
+
+  /**
+   * Drop the connection; the client reconnects with backoff unless logged out
+   * @param {string} [reason='connection_lost'] - Key of SIM_DISCONNECT_REASONS
+   */
+  disconnect(reason = 'connection_lost') {
+    const socket = this._requireConnected();
+    if (!(reason in SIM_DISCONNECT_REASONS)) {
+      throw new SimulatorError(`"reason" must be one of: ${Object.keys(SIM_DISCONNECT_REASONS).join(', ')}`);
+    }
+    if (reason === 'logged_out') this.paired = false;
+    socket._close(SIM_DISCONNECT_REASONS[reason], reason);
+    return this.getState();
+  }
+
+  /**
+   * Make the next sends fail
+   * @param {Object} [input] - { count = 1, error }
+   */
+  failSends(input = {}) {
+    const count = input.count ?? 1;
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      throw new SimulatorError('"count" must be an integer between 1 and 100');
+    }
+    const error = input.error || 'Simulated send failure';
+    for (let i = 0; i < count; i++) {
+      this.failures.push(String(error));
+    }
+    return this.getState();
+  }
+
+  _recordSend(jid, content, options) {
+    if (this.failures.length > 0) {
+      throw new Error(this.failures.shift());
+    }
+
+    const id = generateMessageId();
+    this.sent.push({
+      id,
+      jid,
+      type: Object.keys(content)[0],
+      text: content.text ?? content.caption ?? null,
+      quoted: options.quoted?.key?.id || null,
+      status: 'sent',
+      at: Date.now(),
+    });
+    if (this.sent.length > MAX_SENT_LOG) this.sent.shift();
+
+    return {
+      key: { remoteJid: jid, fromMe: true, id },
+      message: content,
+      messageTimestamp: Math.floor(Date.now() / 1000),
+      status: 1,
+    };
+  }
+
+  getState() {
+    return {
+      paired: this.paired,
+      connected: this.connected,
+      qr: this.qr,
+      phone: this.paired ? this.phone : null,
+      name: this.paired ? this.name : null,
+      pendingFailures: this.failures.length,
+      sent: this.sent.slice(-50).reverse(),
+    };
+  }
+}
+
+export default {
+  DEFAULT_SIM_PHONE,
+  SIM_DISCONNECT_REASONS,
+  SIM_RECEIPT_STATUSES,
+  SimulatorError,
+  FakeSocket,
+  WhatsAppSimulator,
+};
@@ -0,0 +1,146 @@
+/**
+ * Group helpers
+ *
+ * Validation and response shapes for the group management API. The socket
+ * calls themselves live in WhatsAppClient, where every admin action passes
+ * the ban check and GroupBehavior's action limits first.
+ */
+
+// Current groups are "<digits>@g.us", older ones "<creator>-<timestamp>@g.us"
+export const GROUP_JID_PATTERN = /^\d{5,}(-\d+)?@g\.us$/;
+
+export const GROUP_PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+export const MAX_SUBJECT_LENGTH = 100;
+export const MAX_DESCRIPTION_LENGTH = 2048;
+
+/**
+ * Invalid group requests and groups WhatsApp doesn't let us see
+ */
+export class GroupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GroupError';
+    this.statusCode = statusCode;
+  }
+}
+
+export function isGroupJid(value) {
+  return typeof value === 'string' && GROUP_JID_PATTERN.test(value.trim());
+}
+
+/**
+ * Group JID from a route parameter ("120363...@g.us" or just "120363...")
+ * @throws {GroupError} 400 if it isn't a group ID
+ */
+export function normalizeGroupJid(groupId) {
+  const value = String(groupId || '').trim();
+  const jid = value.includes('@') ? value : `${value}@g.us`;
+  if (!GROUP_JID_PATTERN.test(jid)) {
+    throw new GroupError(`Invalid group ID "${value}"`);
+  }
+  return jid;
+}
+
+/**
+ * @throws {GroupError} 400 for a missing or overlong subject
+ */
+export function validateSubject(subject) {
+  if (typeof subject !== 'string' || subject.trim() === '') {
+    throw new GroupError('Missing "subject"');
+  }
+  if (subject.length > MAX_SUBJECT_LENGTH) {
+    throw new GroupError(`"subject" must be at most ${MAX_SUBJECT_LENGTH} characters`);
+  }
+  return subject.trim();
+}
+
+/**
+ * @throws {GroupError} 400 for an overlong description (empty clears it)
+ */
+export function validateDescription(description) {
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw new GroupError('"description" must be a string');
+  }
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new GroupError(`"description" must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  return description || '';
+}
+
+/**
+ * @throws {GroupError} 400 unless a non-empty array of phone numbers
+ */
+export function validateParticipants(participants) {
+  if (!Array.isArray(participants) || participants.length === 0) {
+    throw new GroupError('"participants" must be a non-empty array of phone numbers');
+  }
+  for (const participant of participants) {
+    if (typeof participant !== 'string' || !/^\+?\d{10,15}(@s\.whatsapp\.net)?$/.test(participant.replace(/[\s-]/g, ''))) {
+      throw new GroupError(`Invalid participant "${participant}"`);
+    }
+  }
+  return [...new Set(participants)];
+}
+
+const phoneFromJid = (jid) => `+${String(jid).split('@')[0].split(':')[0]}`;
+
+/**
+ * API shape of Baileys group metadata
+ * @param {Object} metadata - GroupMetadata from groupMetadata()/groupFetchAllParticipating()
+ * @param {Object} [options]
+ * @param {boolean} [options.participants=true] - Include the participant list
+ */
+export function formatGroup(metadata, options = {}) {
+  const participants = metadata.participants || [];
+  const group = {
+    id: metadata.id,
+    subject: metadata.subject || '',
+    description: metadata.desc || '',
+    owner: metadata.owner ? phoneFromJid(metadata.owner) : null,
+    createdAt: metadata.creation ? metadata.creation * 1000 : null,
+    size: metadata.size ?? participants.length,
+    announce: Boolean(metadata.announce),   // Only admins can send
+    restrict: Boolean(metadata.restrict),   // Only admins can edit info
+  };
+
+  if (options.participants !== false) {
+    group.participants = participants.map(participant => ({
+      phone: phoneFromJid(participant.id),
+      admin: participant.admin || null,   // 'admin' | 'superadmin' | null
+    }));
+  }
+
+  return group;
+}
+
+/**
+ * Per-participant results of groupParticipantsUpdate()
+ * @returns {Array<{phone: string, success: boolean, status: number}>}
+ */
+export function formatParticipantResults(results = []) {
+  return results.map(result => {
+    const status = Number(result.status);
+    return { phone: phoneFromJid(result.jid), success: status === 200, status };
+  });
+}
+
+export function inviteLink(code) {
+  return `https://chat.whatsapp.com/${code}`;
+}
+
+export default {
+  GROUP_JID_PATTERN,
+  GROUP_PARTICIPANT_ACTIONS,
+  MAX_SUBJECT_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  GroupError,
+  isGroupJid,
+  normalizeGroupJid,
+  validateSubject,
+  validateDescription,
+  validateParticipants,
+  formatGroup,
+  formatParticipantResults,
+  inviteLink,
+};
@@ -0,0 +1,220 @@
+/**
+ * Idempotency keys for send and queue endpoints
+ *
+ * A client that retries a request with the same `Idempotency-Key` header gets
+ * the stored response back instead of sending the message a second time.
+ * Successful (2xx) responses are kept for `ttlMs` in the 'idempotency-keys'
+ * document, so repeats are recognised after a restart. Failed requests
+ * release the key and a retry runs again.
+ */
+
+import { createHash } from 'crypto';
+import { getStorage } from './storage.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Idempotency errors (invalid key, key in use, key reused for another request)
+ */
+export class IdempotencyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Hash of what makes two requests "the same": method, path and body
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {string} request.path
+ * @param {Object} [request.body]
+ * @param {Buffer} [request.file] - Multipart upload contents
+ * @returns {string}
+ */
+export function fingerprintRequest({ method, path, body, file }) {
+  const hash = createHash('sha256')
+    .update(`${method} ${path}\n`)
+    .update(JSON.stringify(body ?? {}));
+  if (file) hash.update(file);
+  return hash.digest('hex');
+}
+
+/**
+ * Stored responses by idempotency key, with TTL cleanup
+ */
+export class IdempotencyStore {
+  constructor(options = {}) {
+    this.storage = options.storage || getStorage(options.sessionsDir);
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;   // 24 hours
+    this.maxEntries = options.maxEntries || 10000;
+
+    // key -> { key, fingerprint, statusCode, body, createdAt, expiresAt } (oldest first)
+    this.entries = new Map();
+
+    // key -> fingerprint, requests still running (not persisted)
+    this.pending = new Map();
+
+    this.stats = {
+      stored: 0,
+      replayed: 0,
+      conflicts: 0,
+    };
+
+    this.loadState();
+
+    const cleanupIntervalMs = options.cleanupIntervalMs || 60 * 60 * 1000;
+    this.cleanupInterval = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupInterval.unref?.();
+  }
+
+  /**
+   * Validate a key taken from the request header
+   * @throws {IdempotencyError} 400 if empty or too long
+   */
+  static validateKey(key) {
+    if (typeof key !== 'string' || key.trim() === '') {
+      throw new IdempotencyError(`"${IDEMPOTENCY_HEADER}" must not be empty`);
+    }
+    if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      throw new IdempotencyError(`"${IDEMPOTENCY_HEADER}" must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+    }
+  }
+
+  /**
+   * Start a request with a key
+   * @param {string} key
+   * @param {string} fingerprint - See fingerprintRequest
+   * @returns {Object|null} Stored entry to replay, or null if the request should run
+   * @throws {IdempotencyError} 409 while the first request is running,
+   *   422 if the key was used for a different request
+   */
+  begin(key, fingerprint) {
+    const entry = this.get(key);
+    if (entry) {
+      if (entry.fingerprint !== fingerprint) {
+        this.stats.conflicts++;
+        throw new IdempotencyError(`"${IDEMPOTENCY_HEADER}" was already used for a different request`, 422);
+      }
+      this.stats.replayed++;
+      return entry;
+    }
+
+    if (this.pending.has(key)) {
+      this.stats.conflicts++;
+      throw new IdempotencyError('A request with this idempotency key is still in progress', 409);
+    }
+
+    this.pending.set(key, fingerprint);
+    return null;
+  }
+
+  /**
+   * Store the response of a finished request
+   */
+  complete(key, statusCode, body) {
+    const fingerprint = this.pending.get(key);
+    if (!fingerprint) return null;
+    this.pending.delete(key);
+
+    const now = Date.now();
+    const entry = { key, fingerprint, statusCode, body, createdAt: now, expiresAt: now + this.ttlMs };
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.stats.stored++;
+    this.saveState();
+
+    return entry;
+  }
+
+  /**
+   * Forget a running request so it can be retried with the same key
+   */
+  release(key) {
+    return this.pending.delete(key);
+  }
+
+  /**
+   * Stored entry for a key, or null if unknown or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {number} Removed count
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) this.saveState();
+    return removed;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      keys: this.entries.size,
+      inProgress: this.pending.size,
+      ttlMs: this.ttlMs,
+    };
+  }
+
+  loadState() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('idempotency-keys');
+      const now = Date.now();
+      for (const entry of data?.entries || []) {
+        if (entry.expiresAt > now) {
+          this.entries.set(entry.key, entry);
+        }
+      }
+    } catch (err) {}
+  }
+
+  saveState() {
+    if (!this.storage) return;
+    try {
+      this.storage.save('idempotency-keys', {
+        entries: [...this.entries.values()],
+        savedAt: Date.now(),
+      });
+    } catch (err) {}
+  }
+
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+  }
+}
+
+export default {
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+  IdempotencyError,
+  IdempotencyStore,
+  fingerprintRequest,
+};
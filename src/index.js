@@ -1,11 +1,20 @@
 import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
 import WhatsAppClient from './whatsapp.js';
 import { createApiServer } from './api.js';
+import { SessionPool } from './session-pool.js';
+import { setDefaultStorageDriver } from './storage.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 const API_SECRET = process.env.API_SECRET;
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+// Body format for WEBHOOK_URL: v1 (legacy flat message payload) or v2 (event envelope)
+const WEBHOOK_PAYLOAD_VERSION = process.env.WEBHOOK_PAYLOAD_VERSION || 'v1';
 const MESSAGE_DELAY = parseInt(process.env.MESSAGE_DELAY_MS || '1500', 10);
 const TYPING_DELAY = parseInt(process.env.TYPING_DELAY_MS || '500', 10);
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
@@ -21,6 +30,54 @@ const ACCOUNT_AGE_WEEKS = parseInt(process.env.ACCOUNT_AGE_WEEKS || '4', 10);
 const ACTIVE_HOURS_START = parseInt(process.env.ACTIVE_HOURS_START || '7', 10);
 const ACTIVE_HOURS_END = parseInt(process.env.ACTIVE_HOURS_END || '23', 10);
 
+// Outbound media size caps (bytes). WhatsApp limits media to 16MB, documents to 100MB.
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(16 * 1024 * 1024), 10);
+const MEDIA_MAX_DOCUMENT_BYTES = parseInt(process.env.MEDIA_MAX_DOCUMENT_BYTES || String(100 * 1024 * 1024), 10);
+
+// Media URL hosts allowed on private addresses (e.g. the Laravel app); all others must be public
+const MEDIA_URL_ALLOWLIST = (process.env.MEDIA_URL_ALLOWLIST || '')
+  .split(',')
+  .map(host => host.trim())
+  .filter(Boolean);
+
+// Received media store: how long downloads are kept, total disk cap, eager download
+const MEDIA_STORE_TTL_HOURS = parseFloat(process.env.MEDIA_STORE_TTL_HOURS || '24');
+const MEDIA_STORE_MAX_BYTES = parseInt(process.env.MEDIA_STORE_MAX_BYTES || String(1024 * 1024 * 1024), 10);
+const MEDIA_AUTO_DOWNLOAD = process.env.MEDIA_AUTO_DOWNLOAD === 'true';
+
+// How long responses to requests with an Idempotency-Key are replayed
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24');
+
+// How long inbound and outbound messages are kept for GET /api/messages
+const MESSAGE_HISTORY_RETENTION_DAYS = parseFloat(process.env.MESSAGE_HISTORY_RETENTION_DAYS || '30');
+
+// STOP/START keyword confirmations (custom texts replace the Indonesian/English defaults)
+const CONSENT_REPLIES = process.env.CONSENT_REPLIES !== 'false';
+const CONSENT_OPT_OUT_REPLY = process.env.CONSENT_OPT_OUT_REPLY || undefined;
+const CONSENT_OPT_IN_REPLY = process.env.CONSENT_OPT_IN_REPLY || undefined;
+
+// Basic auth for GET /metrics (open when unset)
+const METRICS_USERNAME = process.env.METRICS_USERNAME;
+const METRICS_PASSWORD = process.env.METRICS_PASSWORD;
+
+// WhatsApp backend: baileys, webjs (whatsapp-web.js), cloud (Meta Cloud API) or fake (offline simulator, /api/_sim/*)
+const WA_BACKEND = process.env.WA_BACKEND || 'baileys';
+
+// Cloud API: token and number for sends, app secret and verify token for /webhooks/cloud
+const WA_CLOUD = {
+  accessToken: process.env.WA_CLOUD_ACCESS_TOKEN,
+  phoneNumberId: process.env.WA_CLOUD_PHONE_NUMBER_ID,
+  apiUrl: process.env.WA_CLOUD_API_URL || undefined,
+  apiVersion: process.env.WA_CLOUD_API_VERSION || undefined,
+};
+const WA_CLOUD_APP_SECRET = process.env.WA_CLOUD_APP_SECRET;
+const WA_CLOUD_VERIFY_TOKEN = process.env.WA_CLOUD_VERIFY_TOKEN;
+const WA_SIM_AUTO_PAIR = process.env.WA_SIM_AUTO_PAIR === 'true';
+
+// State storage driver: json (dotfiles in sessions/) or sqlite (sessions/wa2bridge.db)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+setDefaultStorageDriver(STORAGE_DRIVER);
+
 console.log('='.repeat(50));
 console.log('WA2Bridge - WhatsApp Bridge for WhatsApp2App');
 console.log('='.repeat(50));
@@ -28,57 +85,95 @@ console.log('');
 console.log('Anti-Ban Protection: ENABLED');
 console.log(`Account Age: ${ACCOUNT_AGE_WEEKS} weeks`);
 console.log(`Active Hours: ${ACTIVE_HOURS_START}:00 - ${ACTIVE_HOURS_END}:00`);
+console.log(`State Storage: ${STORAGE_DRIVER}`);
+if (WA_BACKEND === 'fake') {
+  console.log('Backend: FAKE (simulated WhatsApp, control via /api/_sim)');
+} else {
+  console.log(`Backend: ${WA_BACKEND}`);
+}
 console.log('');
 
-// Create WhatsApp client with anti-ban settings
-const whatsapp = new WhatsAppClient({
-  messageDelay: MESSAGE_DELAY,
-  typingDelay: TYPING_DELAY,
-  webhookUrl: WEBHOOK_URL,
-  logLevel: LOG_LEVEL,
-  accountAgeWeeks: ACCOUNT_AGE_WEEKS,  // For rate limiting
-  activeHoursStart: ACTIVE_HOURS_START,  // For presence simulation
-  activeHoursEnd: ACTIVE_HOURS_END,
-  apiSecret: API_SECRET,  // For WebhookManager
-  onMessage: async (message) => {
-    // Forward to Laravel webhook using WebhookManager (with retry)
-    if (!WEBHOOK_URL) {
-      console.log('No webhook URL configured, message not forwarded');
-      return;
-    }
+// API server (created below, after the sessions it serves)
+let app = null;
 
-    // Use webhookManager for reliable delivery with retries
-    try {
-      await whatsapp.webhookManager.send({
-        from: message.from,
-        message: message.message,
-        message_id: message.messageId,
-        timestamp: message.timestamp,
-        type: 'text',
-        // Phase 3 context
-        should_reply: message.shouldReply,
-        reply_probability: message.replyProbability,
-        is_forward: message.isForward,
-        forward_count: message.forwardCount,
-        conversation_context: message.conversationContext,
-      });
-      console.log(`Message forwarded to webhook: ${message.from}`);
-    } catch (error) {
-      // WebhookManager will queue failed requests for retry
-      console.error('Webhook error (queued for retry):', error.message);
-    }
-  },
+/**
+ * Create a WhatsApp client for a session with anti-ban settings.
+ * Per-session config from the session registry overrides the env defaults;
+ * sessions without their own webhook URL use WEBHOOK_URL.
+ */
+function createSessionClient(config = {}) {
+  const client = new WhatsAppClient({
+    messageDelay: MESSAGE_DELAY,
+    typingDelay: TYPING_DELAY,
+    webhookUrl: WEBHOOK_URL,
+    logLevel: LOG_LEVEL,
+    accountAgeWeeks: ACCOUNT_AGE_WEEKS,  // For rate limiting
+    activeHoursStart: ACTIVE_HOURS_START,  // For presence simulation
+    activeHoursEnd: ACTIVE_HOURS_END,
+    maxMediaBytes: MEDIA_MAX_BYTES,
+    maxDocumentBytes: MEDIA_MAX_DOCUMENT_BYTES,
+    mediaUrlAllowlist: MEDIA_URL_ALLOWLIST,
+    mediaTtlMs: MEDIA_STORE_TTL_HOURS * 60 * 60 * 1000,
+    mediaStoreMaxBytes: MEDIA_STORE_MAX_BYTES,
+    autoDownloadMedia: MEDIA_AUTO_DOWNLOAD,
+    idempotencyTtlMs: IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000,
+    messageRetentionMs: MESSAGE_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    consentReplies: CONSENT_REPLIES,
+    consentOptOutReply: CONSENT_OPT_OUT_REPLY,
+    consentOptInReply: CONSENT_OPT_IN_REPLY,
+    webhookSecret: WEBHOOK_SECRET,  // Signs outgoing webhooks
+    webhookPayloadVersion: WEBHOOK_PAYLOAD_VERSION,
+    backend: WA_BACKEND,
+    simAutoPair: WA_SIM_AUTO_PAIR,
+    ...config,
+    // Named sessions can use another number of the same Meta app
+    cloud: WA_BACKEND === 'cloud'
+      ? { ...WA_CLOUD, phoneNumberId: config.cloudPhoneNumberId || WA_CLOUD.phoneNumberId }
+      : undefined,
+    // Incoming messages reach Laravel through the client's webhook emitter
+    // (message.received), which handles retries - nothing to forward here
+    onMessage: async (message) => {
+      if (!client.webhookUrl) {
+        console.log(`[${client.sessionId}] No webhook URL configured, message not forwarded`);
+      }
+    },
+  });
+
+  // Sessions created at runtime join the dashboard event stream right away
+  if (app) {
+    setupWebhookBroadcasting(client);
+  }
+
+  return client;
+}
+
+// Named sessions live under sessions/<id>/, the default session in sessions/
+const sessionPool = new SessionPool({
+  baseDir: join(__dirname, '..', 'sessions'),
+  createClient: createSessionClient,
 });
 
+// Default session configured from env (single-number installs)
+const whatsapp = sessionPool.addDefault(createSessionClient());
+
 // Create API server
-const app = createApiServer(whatsapp, { apiSecret: API_SECRET });
+app = createApiServer(whatsapp, {
+  apiSecret: API_SECRET,
+  sessionPool,
+  metricsAuth: METRICS_USERNAME && METRICS_PASSWORD
+    ? { username: METRICS_USERNAME, password: METRICS_PASSWORD }
+    : null,
+  cloudWebhook: WA_BACKEND === 'cloud' && WA_CLOUD_APP_SECRET && WA_CLOUD_VERIFY_TOKEN
+    ? { appSecret: WA_CLOUD_APP_SECRET, verifyToken: WA_CLOUD_VERIFY_TOKEN }
+    : null,
+});
 
 // ==========================================================================
 // Real-Time Event Broadcasting (SSE)
 // ==========================================================================
 
 /**
- * Set up real-time event broadcasting from WhatsApp client to dashboard
+ * Set up real-time event broadcasting from WhatsApp clients to dashboard
  */
 function setupEventBroadcasting() {
   // Broadcast status changes periodically (every 2 seconds for live updates)
@@ -97,32 +192,46 @@ function setupEventBroadcasting() {
     }
   }, 2000);
 
-  // Hook into webhookEmitter for instant event notifications
-  if (whatsapp.webhookEmitter) {
-    const originalEmit = whatsapp.webhookEmitter.emit.bind(whatsapp.webhookEmitter);
-    whatsapp.webhookEmitter.emit = (eventType, data) => {
-      // Call original emit
-      originalEmit(eventType, data);
-
-      // Broadcast to SSE clients
-      if (app.broadcast) {
-        app.broadcast('webhook-event', { type: eventType, data, timestamp: new Date().toISOString() });
-
-        // Also broadcast specific event types
-        if (eventType.startsWith('message.')) {
-          app.broadcast(eventType.replace('.', '-'), data);
-        }
-        if (eventType.startsWith('connection.')) {
-          // Trigger immediate status update on connection changes
-          app.broadcast('status', whatsapp.getStatus());
-        }
-      }
-    };
+  for (const { id } of sessionPool.list()) {
+    setupWebhookBroadcasting(sessionPool.getClient(id));
   }
 
   console.log('Real-time event broadcasting enabled');
 }
 
+/**
+ * Hook into a client's webhookEmitter for instant event notifications
+ */
+function setupWebhookBroadcasting(client) {
+  if (!client.webhookEmitter || client.webhookEmitter.broadcasting) return;
+
+  const originalEmit = client.webhookEmitter.emit.bind(client.webhookEmitter);
+  client.webhookEmitter.emit = (eventType, data) => {
+    // Call original emit
+    originalEmit(eventType, data);
+
+    // Broadcast to SSE clients
+    if (app.broadcast) {
+      app.broadcast('webhook-event', {
+        type: eventType,
+        session: client.sessionId,
+        data,
+        timestamp: new Date().toISOString(),
+      });
+
+      // Also broadcast specific event types
+      if (eventType.startsWith('message.')) {
+        app.broadcast(eventType.replace('.', '-'), { ...data, session: client.sessionId });
+      }
+      if (eventType.startsWith('connection.') && client === whatsapp) {
+        // Trigger immediate status update on connection changes
+        app.broadcast('status', whatsapp.getStatus());
+      }
+    }
+  };
+  client.webhookEmitter.broadcasting = true;
+}
+
 // Server reference for graceful shutdown
 let server = null;
 let isShuttingDown = false;
@@ -130,9 +239,9 @@ let isShuttingDown = false;
 // Start everything
 async function start() {
   try {
-    // Connect to WhatsApp
+    // Connect every auto-start session (default first)
     console.log('Connecting to WhatsApp...');
-    await whatsapp.connect();
+    await sessionPool.startAll();
 
     // Start HTTP server
     server = app.listen(PORT, HOST, () => {
@@ -142,9 +251,18 @@ async function start() {
       console.log(`  GET  /health              - Liveness probe (process alive)`);
       console.log(`  GET  /health/ready        - Readiness probe (ready for traffic)`);
       console.log(`  GET  /api/status          - Full status + all metrics`);
+      console.log(`  GET  /metrics             - Prometheus metrics, all sessions`);
+      if (WA_BACKEND === 'cloud') console.log(`  POST /webhooks/cloud     - Cloud API webhooks`);
       console.log(`  GET  /api/qr              - Get QR code for scanning`);
-      console.log(`  POST /api/send            - Send message (protected)`);
+      console.log(`  POST /api/send            - Send text or media (protected)`);
+      console.log(`  GET  /api/media/:id       - Download received media`);
       console.log(`  POST /api/reconnect       - Reconnect WhatsApp`);
+      console.log(`  GET  /api/sessions        - List sessions`);
+      console.log(`  POST /api/sessions        - Create session`);
+      console.log(`  POST /api/sessions/:id/start - Start session`);
+      console.log(`  POST /api/sessions/:id/stop  - Stop session (stay paired)`);
+      console.log(`  DEL  /api/sessions/:id    - Log out and delete session`);
+      console.log(`  *    /api/sessions/:id/*  - Any /api/* endpoint for a session`);
       console.log(`  GET  /api/rate-limits     - Rate limit status`);
       console.log(`  POST /api/account-age     - Set account age`);
       console.log(`  GET  /api/ban-warning     - Ban warning metrics`);
@@ -233,14 +351,24 @@ async function start() {
       console.log(`  GET  /api/webhooks/retries - Pending retries`);
       console.log(`  POST /api/webhooks/retries - Process retries`);
       console.log(`  POST /api/webhooks/test   - Send test webhook`);
+      console.log(`  *    /api/webhooks/endpoints - Manage extra webhook endpoints`);
+      console.log(`  *    /api/webhooks/dead-letters - Inspect, replay, purge failed webhooks`);
       console.log('');
 
       if (WEBHOOK_URL) {
-        console.log(`Webhook: ${WEBHOOK_URL}`);
+        console.log(`Webhook: ${WEBHOOK_URL} (payload ${WEBHOOK_PAYLOAD_VERSION})`);
+        if (!WEBHOOK_SECRET) {
+          console.log('Warning: No WEBHOOK_SECRET configured - webhooks are sent unsigned');
+        }
       } else {
         console.log('Warning: No WEBHOOK_URL configured');
       }
 
+      const sessions = sessionPool.list();
+      if (sessions.length > 1) {
+        console.log(`Sessions: ${sessions.map(session => session.id).join(', ')}`);
+      }
+
       console.log('');
       console.log('Anti-Ban Features Active:');
       console.log('  Phase 1:');
@@ -328,37 +456,34 @@ async function gracefulShutdown(signal) {
     });
   }
 
-  // 2. Drain persistent queue (max 30s timeout)
-  if (whatsapp.persistentQueue) {
-    console.log('Draining message queue...');
-    try {
-      await Promise.race([
-        whatsapp.persistentQueue.processQueue(),
-        new Promise((resolve) => setTimeout(resolve, 30000)),
-      ]);
-      console.log('Queue drained');
-    } catch (error) {
-      console.error('Queue drain error:', error.message);
-    }
+  // 2. Drain persistent queues of all sessions (max 30s timeout)
+  const clients = sessionPool.list().map(({ id }) => sessionPool.getClient(id));
+  console.log('Draining message queues...');
+  try {
+    await Promise.race([
+      Promise.all(clients.map(client => client.persistentQueue?.processQueue())),
+      new Promise((resolve) => setTimeout(resolve, 30000)),
+    ]);
+    console.log('Queues drained');
+  } catch (error) {
+    console.error('Queue drain error:', error.message);
   }
 
-  // 3. Drain webhook retry queue
-  if (whatsapp.webhookManager) {
-    console.log('Processing pending webhooks...');
-    try {
-      await Promise.race([
-        whatsapp.webhookManager.processRetryQueue(),
-        new Promise((resolve) => setTimeout(resolve, 10000)),
-      ]);
-      console.log('Webhooks processed');
-    } catch (error) {
-      console.error('Webhook process error:', error.message);
-    }
+  // 3. Drain webhook retry queues of all sessions (max 10s timeout)
+  console.log('Processing pending webhooks...');
+  try {
+    await Promise.race([
+      Promise.all(clients.map(client => client.webhookEmitter?.processRetries())),
+      new Promise((resolve) => setTimeout(resolve, 10000)),
+    ]);
+    console.log('Webhooks processed');
+  } catch (error) {
+    console.error('Webhook process error:', error.message);
   }
 
-  // 4. Disconnect WhatsApp
+  // 4. Close WhatsApp connections (stay paired - no logout)
   console.log('Disconnecting WhatsApp...');
-  await whatsapp.disconnect();
+  await sessionPool.stopAll();
 
   console.log('Shutdown complete');
   process.exit(0);
@@ -0,0 +1,304 @@
+/**
+ * Local storage for received media
+ *
+ * Downloaded attachments are written to `<sessionsDir>/media/<sha256>` so the
+ * backend can fetch them over HTTP without a Baileys socket. Identical files
+ * received in several messages are stored once. Entries expire after a TTL
+ * and the oldest are evicted when the total size cap is reached.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, unlinkSync, readdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { getStorage } from './storage.js';
+
+// =============================================================================
+// MEDIA STORE
+// =============================================================================
+
+/**
+ * Content-addressed media store with TTL cleanup and size caps
+ */
+export class MediaStore {
+  constructor(options = {}) {
+    this.sessionsDir = options.sessionsDir;
+    this.mediaDir = this.sessionsDir ? join(this.sessionsDir, 'media') : null;
+    this.storage = options.storage || getStorage(this.sessionsDir);
+
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;                 // 24 hours
+    this.maxFileBytes = options.maxFileBytes || 100 * 1024 * 1024;      // 100MB per file
+    this.maxTotalBytes = options.maxTotalBytes || 1024 * 1024 * 1024;   // 1GB total
+
+    // messageId -> { messageId, sha256, type, mimetype, filename, size, storedAt, expiresAt }
+    this.entries = new Map();
+
+    this.stats = {
+      stored: 0,
+      deduplicated: 0,
+      rejected: 0,
+      expired: 0,
+      evicted: 0,
+    };
+
+    this.loadState();
+
+    // Periodic TTL cleanup
+    const cleanupIntervalMs = options.cleanupIntervalMs || 60 * 60 * 1000;
+    this.cleanupInterval = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupInterval.unref?.();
+  }
+
+  /**
+   * Store media for a message
+   * @param {string} messageId
+   * @param {Buffer} buffer
+   * @param {Object} [meta] - { type, mimetype, filename }
+   * @returns {Object|null} Stored entry, or null if the file exceeds the size cap
+   */
+  put(messageId, buffer, meta = {}) {
+    if (!this.mediaDir) return null;
+
+    if (buffer.length > Math.min(this.maxFileBytes, this.maxTotalBytes)) {
+      this.stats.rejected++;
+      return null;
+    }
+
+    const sha256 = createHash('sha256').update(buffer).digest('hex');
+    const filePath = join(this.mediaDir, sha256);
+
+    // Replace any previous entry for this message
+    if (this.entries.has(messageId)) {
+      this.delete(messageId);
+    }
+
+    // Make room before writing a new file (duplicates reuse the existing one)
+    const isNewFile = !existsSync(filePath);
+    if (isNewFile) {
+      this.evictUntilFits(buffer.length);
+    }
+
+    try {
+      if (!existsSync(this.mediaDir)) {
+        mkdirSync(this.mediaDir, { recursive: true });
+      }
+      if (isNewFile) {
+        writeFileSync(filePath, buffer);
+        this.stats.stored++;
+      } else {
+        this.stats.deduplicated++;
+      }
+    } catch (err) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      messageId,
+      sha256,
+      type: meta.type || null,
+      mimetype: meta.mimetype || null,
+      filename: meta.filename || null,
+      size: buffer.length,
+      storedAt: now,
+      expiresAt: now + this.ttlMs,
+    };
+
+    this.entries.set(messageId, entry);
+    this.saveState();
+
+    return { ...entry };
+  }
+
+  /**
+   * Get entry metadata (null if unknown or expired)
+   */
+  get(messageId) {
+    const entry = this.entries.get(messageId);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(messageId);
+      this.stats.expired++;
+      return null;
+    }
+
+    return { ...entry };
+  }
+
+  /**
+   * Read stored media contents
+   * @returns {Object|null} Entry with `buffer`, or null if unavailable
+   */
+  read(messageId) {
+    const entry = this.get(messageId);
+    if (!entry) return null;
+
+    try {
+      const buffer = readFileSync(join(this.mediaDir, entry.sha256));
+      return { ...entry, buffer };
+    } catch (err) {
+      // File removed behind our back - drop the stale entry
+      this.delete(messageId);
+      return null;
+    }
+  }
+
+  has(messageId) {
+    return this.get(messageId) !== null;
+  }
+
+  /**
+   * Remove an entry, deleting the file once no other message references it
+   */
+  delete(messageId) {
+    const entry = this.entries.get(messageId);
+    if (!entry) return false;
+
+    this.entries.delete(messageId);
+
+    if (!this.isHashReferenced(entry.sha256)) {
+      this.removeFile(entry.sha256);
+    }
+
+    this.saveState();
+    return true;
+  }
+
+  /**
+   * Remove expired entries and files no entry references
+   * @returns {number} Number of expired entries removed
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [messageId, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(messageId);
+        if (!this.isHashReferenced(entry.sha256)) {
+          this.removeFile(entry.sha256);
+        }
+        removed++;
+      }
+    }
+
+    // Orphaned files (e.g. index lost or crash between write and save)
+    if (this.mediaDir && existsSync(this.mediaDir)) {
+      const referenced = new Set([...this.entries.values()].map(e => e.sha256));
+      for (const file of readdirSync(this.mediaDir)) {
+        if (/^[a-f0-9]{64}$/.test(file) && !referenced.has(file)) {
+          this.removeFile(file);
+        }
+      }
+    }
+
+    if (removed > 0) {
+      this.stats.expired += removed;
+      this.saveState();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Evict oldest entries until `incomingBytes` fits under the total cap
+   */
+  evictUntilFits(incomingBytes) {
+    let total = this.getTotalBytes();
+    if (total + incomingBytes <= this.maxTotalBytes) return;
+
+    const oldestFirst = [...this.entries.values()].sort((a, b) => a.storedAt - b.storedAt);
+
+    for (const entry of oldestFirst) {
+      if (total + incomingBytes <= this.maxTotalBytes) break;
+
+      this.entries.delete(entry.messageId);
+      if (!this.isHashReferenced(entry.sha256)) {
+        this.removeFile(entry.sha256);
+        total -= entry.size;
+      }
+      this.stats.evicted++;
+    }
+  }
+
+  isHashReferenced(sha256) {
+    for (const entry of this.entries.values()) {
+      if (entry.sha256 === sha256) return true;
+    }
+    return false;
+  }
+
+  removeFile(sha256) {
+    if (!this.mediaDir) return;
+    try {
+      unlinkSync(join(this.mediaDir, sha256));
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Total bytes on disk (each unique file counted once)
+   */
+  getTotalBytes() {
+    const sizes = new Map();
+    for (const entry of this.entries.values()) {
+      sizes.set(entry.sha256, entry.size);
+    }
+    let total = 0;
+    for (const size of sizes.values()) total += size;
+    return total;
+  }
+
+  getStats() {
+    const uniqueFiles = new Set([...this.entries.values()].map(e => e.sha256)).size;
+    return {
+      entries: this.entries.size,
+      files: uniqueFiles,
+      totalBytes: this.getTotalBytes(),
+      maxTotalBytes: this.maxTotalBytes,
+      maxFileBytes: this.maxFileBytes,
+      ttlHours: Math.round(this.ttlMs / 3600000 * 10) / 10,
+      ...this.stats,
+    };
+  }
+
+  loadState() {
+    if (!this.storage) return;
+
+    try {
+      const data = this.storage.load('media-store');
+      if (data) {
+        for (const entry of data.entries || []) {
+          // Skip entries whose file disappeared
+          if (existsSync(join(this.mediaDir, entry.sha256))) {
+            this.entries.set(entry.messageId, entry);
+          }
+        }
+      }
+    } catch (err) {
+      // Start fresh
+    }
+  }
+
+  saveState() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.save('media-store', {
+        entries: [...this.entries.values()],
+        savedAt: Date.now(),
+      });
+    } catch (err) {
+      // Ignore save errors
+    }
+  }
+
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+  }
+}
+
+export default MediaStore;
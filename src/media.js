@@ -0,0 +1,397 @@
+/**
+ * Outbound media helpers
+ *
+ * Resolves media from base64, URL or an uploaded buffer and builds the
+ * Baileys message content for images, videos, audio and documents.
+ *
+ * URLs are only fetched from public addresses (every redirect is checked
+ * again), so API callers can't reach the bridge's own network through it.
+ */
+
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// WhatsApp rejects media above 16MB (documents allow up to 100MB)
+export const DEFAULT_MAX_MEDIA_BYTES = 16 * 1024 * 1024;
+export const DEFAULT_MAX_DOCUMENT_BYTES = 100 * 1024 * 1024;
+
+const DEFAULT_FETCH_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local, CGNAT, unique-local, multicast and reserved ranges
+const NON_PUBLIC_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Raised when media input is missing, malformed, unreachable or too large
+ */
+export class MediaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaError';
+  }
+}
+
+const EXTENSION_MIMETYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  mp4: 'video/mp4',
+  '3gp': 'video/3gpp',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg; codecs=opus',
+  opus: 'audio/ogg; codecs=opus',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  zip: 'application/zip',
+};
+
+// =============================================================================
+// TYPE DETECTION
+// =============================================================================
+
+/**
+ * Guess a mimetype from a filename or URL path
+ * @param {string} [name]
+ * @returns {string|null}
+ */
+export function mimetypeFromFilename(name) {
+  if (!name) return null;
+  const clean = String(name).split(/[?#]/)[0];
+  const ext = clean.includes('.') ? clean.split('.').pop().toLowerCase() : '';
+  return EXTENSION_MIMETYPES[ext] || null;
+}
+
+/**
+ * Map a mimetype to a WhatsApp media type.
+ * Anything that isn't image/video/audio is sent as a document.
+ * @param {string} [mimetype]
+ * @returns {'image'|'video'|'audio'|'document'}
+ */
+export function detectMediaType(mimetype) {
+  const major = String(mimetype || '').split('/')[0].toLowerCase();
+  if (major === 'image' && !/gif/i.test(mimetype)) return 'image';
+  if (major === 'video' || /gif/i.test(mimetype)) return 'video';
+  if (major === 'audio') return 'audio';
+  return 'document';
+}
+
+// =============================================================================
+// SOURCE RESOLUTION
+// =============================================================================
+
+/**
+ * Decode a base64 payload (raw or data URI)
+ * @returns {{buffer: Buffer, mimetype: string|null}}
+ */
+export function decodeBase64Media(data) {
+  let payload = String(data).trim();
+  let mimetype = null;
+
+  const dataUri = payload.match(/^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s);
+  if (dataUri) {
+    mimetype = dataUri[1];
+    payload = dataUri[2];
+  }
+
+  payload = payload.replace(/\s+/g, '');
+  if (!payload || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(payload)) {
+    throw new MediaError('Invalid base64 media data');
+  }
+
+  return { buffer: Buffer.from(payload, 'base64'), mimetype };
+}
+
+/**
+ * Whether an IP address is outside the public internet (IPv4-mapped IPv6 included)
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function parseMediaUrl(value, base) {
+  let parsed;
+  try {
+    parsed = new URL(value, base);
+  } catch (err) {
+    throw new MediaError('Invalid media URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new MediaError('Media URL must use http or https');
+  }
+  return parsed;
+}
+
+/**
+ * Refuse URLs whose host is or resolves to a non-public address
+ * @param {URL} url
+ * @param {string[]} allowedHosts - Hostnames exempt from the check
+ */
+async function assertPublicHost(url, allowedHosts) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.includes(host)) return;
+
+  let addresses;
+  try {
+    addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map(entry => entry.address);
+  } catch (err) {
+    throw new MediaError('Media download failed');
+  }
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new MediaError('Media URL must point to a public address');
+  }
+}
+
+/**
+ * Download media from an http(s) URL, aborting once maxBytes is exceeded.
+ * Redirects are followed by hand so every hop gets the public address check.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.timeoutMs]
+ * @param {string[]} [options.allowedHosts] - Hostnames that may be private (e.g. your app server)
+ * @returns {Promise<{buffer: Buffer, mimetype: string|null}>}
+ */
+export async function fetchMedia(url, options = {}) {
+  const maxBytes = options.maxBytes || DEFAULT_MAX_DOCUMENT_BYTES;
+  const timeoutMs = options.timeoutMs || DEFAULT_FETCH_TIMEOUT_MS;
+  const allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+
+  let current = parseMediaUrl(url);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicHost(current, allowedHosts);
+      response = await fetch(current, { signal: controller.signal, redirect: 'manual' });
+      if (!REDIRECT_STATUSES.includes(response.status)) break;
+
+      await response.body?.cancel();
+      const location = response.headers.get('location');
+      if (!location || redirects >= MAX_REDIRECTS) {
+        throw new MediaError('Media download failed: too many redirects');
+      }
+      current = parseMediaUrl(location, current);
+    }
+
+    // The upstream status and errors stay out of API responses
+    if (!response.ok) {
+      throw new MediaError('Media download failed');
+    }
+
+    const declared = parseInt(response.headers.get('content-length'), 10);
+    if (declared > maxBytes) {
+      throw new MediaError(`Media too large: ${declared} bytes (max ${maxBytes})`);
+    }
+
+    const chunks = [];
+    let total = 0;
+    for await (const chunk of response.body) {
+      total += chunk.length;
+      if (total > maxBytes) {
+        controller.abort();
+        throw new MediaError(`Media too large: exceeds ${maxBytes} bytes`);
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+
+    const contentType = response.headers.get('content-type');
+    return {
+      buffer: Buffer.concat(chunks),
+      mimetype: contentType ? contentType.split(';')[0].trim() : null,
+    };
+  } catch (err) {
+    if (err instanceof MediaError) throw err;
+    if (err.name === 'AbortError') {
+      throw new MediaError('Media download timed out');
+    }
+    throw new MediaError('Media download failed');
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Resolve a media descriptor into a buffer with type info.
+ *
+ * Exactly one source is required: `buffer`, `base64` (alias `data`) or `url`.
+ * Mimetype falls back to the data URI, the response content-type, then the
+ * filename extension.
+ *
+ * @param {Object} media
+ * @param {Buffer} [media.buffer]
+ * @param {string} [media.base64]
+ * @param {string} [media.url]
+ * @param {string} [media.mimetype]
+ * @param {string} [media.filename]
+ * @param {string} [media.type] - Force image|video|audio|document
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Cap for image/video/audio
+ * @param {number} [options.maxDocumentBytes] - Cap for documents
+ * @param {string[]} [options.allowedHosts] - URL hosts that may be private (see fetchMedia)
+ * @returns {Promise<{buffer: Buffer, mimetype: string, type: string, filename: string|null, size: number}>}
+ */
+export async function resolveMedia(media, options = {}) {
+  if (!media || typeof media !== 'object') {
+    throw new MediaError('Missing media');
+  }
+
+  const maxBytes = options.maxBytes || DEFAULT_MAX_MEDIA_BYTES;
+  const maxDocumentBytes = options.maxDocumentBytes || DEFAULT_MAX_DOCUMENT_BYTES;
+
+  if (media.type && !MEDIA_TYPES.includes(media.type)) {
+    throw new MediaError(`Invalid media type "${media.type}". Use one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+
+  const base64 = media.base64 || media.data;
+  const sources = [media.buffer, base64, media.url].filter(Boolean);
+  if (sources.length === 0) {
+    throw new MediaError('Media requires one of "url", "base64" or a file upload');
+  }
+  if (sources.length > 1) {
+    throw new MediaError('Provide only one media source ("url", "base64" or a file upload)');
+  }
+
+  let resolved;
+  if (media.buffer) {
+    resolved = { buffer: media.buffer, mimetype: null };
+  } else if (base64) {
+    resolved = decodeBase64Media(base64);
+  } else {
+    resolved = await fetchMedia(media.url, {
+      maxBytes: Math.max(maxBytes, maxDocumentBytes),
+      timeoutMs: options.fetchTimeoutMs,
+      allowedHosts: options.allowedHosts,
+    });
+  }
+
+  if (!resolved.buffer.length) {
+    throw new MediaError('Media is empty');
+  }
+
+  let filename = media.filename || null;
+  if (!filename && media.url) {
+    const segment = new URL(media.url).pathname.split('/').pop();
+    try {
+      filename = decodeURIComponent(segment) || null;
+    } catch (err) {
+      // Malformed percent-escape (e.g. "a%E0.png"): keep the segment as it is
+      filename = segment || null;
+    }
+  }
+
+  const mimetype = media.mimetype ||
+    resolved.mimetype ||
+    mimetypeFromFilename(filename) ||
+    'application/octet-stream';
+  const type = media.type || detectMediaType(mimetype);
+
+  const limit = type === 'document' ? maxDocumentBytes : maxBytes;
+  if (resolved.buffer.length > limit) {
+    throw new MediaError(`Media too large: ${resolved.buffer.length} bytes (max ${limit} for ${type})`);
+  }
+
+  return {
+    buffer: resolved.buffer,
+    mimetype,
+    type,
+    filename,
+    size: resolved.buffer.length,
+  };
+}
+
+// =============================================================================
+// BAILEYS CONTENT
+// =============================================================================
+
+/**
+ * Build a Baileys sendMessage content object for resolved media
+ * @param {{buffer: Buffer, mimetype: string, type: string, filename?: string}} media
+ * @param {Object} [options]
+ * @param {string} [options.caption]
+ * @param {boolean} [options.ptt] - Send audio as a voice note
+ * @returns {Object}
+ */
+export function buildMediaContent(media, options = {}) {
+  const caption = options.caption || undefined;
+
+  switch (media.type) {
+    case 'image':
+      return { image: media.buffer, mimetype: media.mimetype, caption };
+    case 'video':
+      return {
+        video: media.buffer,
+        mimetype: media.mimetype,
+        caption,
+        gifPlayback: /gif/i.test(media.mimetype) || undefined,
+      };
+    case 'audio':
+      // Audio messages can't carry captions on WhatsApp
+      return { audio: media.buffer, mimetype: media.mimetype, ptt: !!options.ptt };
+    default:
+      return {
+        document: media.buffer,
+        mimetype: media.mimetype,
+        fileName: media.filename || 'file',
+        caption,
+      };
+  }
+}
+
+/**
+ * Estimate how long a human would spend recording a voice note of this size.
+ * Voice notes are ~16kbps opus, so roughly 2KB per second of audio.
+ * @param {number} size - Audio size in bytes
+ * @returns {number} Duration in ms (clamped to 2-20 seconds)
+ */
+export function estimateRecordingDuration(size) {
+  const seconds = size / 2000;
+  return Math.min(Math.max(Math.floor(seconds * 1000), 2000), 20000);
+}
+
+export default {
+  MediaError,
+  MEDIA_TYPES,
+  DEFAULT_MAX_MEDIA_BYTES,
+  DEFAULT_MAX_DOCUMENT_BYTES,
+  mimetypeFromFilename,
+  detectMediaType,
+  decodeBase64Media,
+  isPrivateAddress,
+  fetchMedia,
+  resolveMedia,
+  buildMediaContent,
+  estimateRecordingDuration,
+};
@@ -0,0 +1,136 @@
+/**
+ * Message action helpers
+ *
+ * Validation for reacting to, editing, deleting (for everyone) and reading
+ * messages through the API. Target messages are looked up in the message
+ * history, which knows the chat and WhatsApp message IDs behind both bridge
+ * IDs and WhatsApp IDs.
+ */
+
+import { normalizeContact } from './message-store.js';
+import { isGroupJid } from './groups.js';
+
+// WhatsApp's own limits; later edits/deletes are silently ignored by recipients
+export const EDIT_WINDOW_MS = 15 * 60 * 1000;            // 15 minutes
+export const REVOKE_WINDOW_MS = 60 * 60 * 60 * 1000;     // 2.5 days
+
+export const MAX_EDIT_LENGTH = 4096;
+
+/**
+ * Invalid actions and messages that can't be acted on
+ */
+export class MessageActionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MessageActionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * A single emoji, or '' to remove our reaction
+ * @throws {MessageActionError} 400 for anything else
+ */
+export function validateReaction(emoji) {
+  if (emoji === '') return '';
+  if (typeof emoji !== 'string'
+    || [...segmenter.segment(emoji)].length !== 1
+    || !/\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji)) {
+    throw new MessageActionError('"emoji" must be a single emoji, or "" to remove the reaction');
+  }
+  return emoji;
+}
+
+/**
+ * @throws {MessageActionError} 400 for missing or overlong text
+ */
+export function validateEditText(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new MessageActionError('Missing "text"');
+  }
+  if (text.length > MAX_EDIT_LENGTH) {
+    throw new MessageActionError(`"text" must be at most ${MAX_EDIT_LENGTH} characters`);
+  }
+  return text;
+}
+
+/**
+ * Chat from a route parameter: phone number, user JID or group JID
+ * @returns {string} "+<digits>" or the group JID, as stored in the message history
+ * @throws {MessageActionError} 400 otherwise
+ */
+export function normalizeChat(chat) {
+  const value = String(chat || '').trim();
+  if (isGroupJid(value)) return value;
+  if (!/^\+?\d{10,15}(@s\.whatsapp\.net)?$/.test(value.replace(/[\s-]/g, ''))) {
+    throw new MessageActionError(`Invalid chat "${value}"`);
+  }
+  return normalizeContact(value);
+}
+
+const toJid = (contact) => (contact.startsWith('+') ? `${contact.slice(1)}@s.whatsapp.net` : contact);
+
+/**
+ * Baileys keys of a message from the history (one per part of split sends)
+ * @param {Object} message - From MessageStore.get()
+ * @returns {Object[]}
+ */
+export function messageKeys(message) {
+  const outbound = message.direction === 'outbound';
+  const remoteJid = toJid(outbound ? message.to : message.from);
+  const participant = !outbound && message.participant ? toJid(message.participant) : undefined;
+
+  return message.whatsappMessageIds.map(id => ({
+    remoteJid,
+    id,
+    fromMe: outbound,
+    ...(participant && { participant }),
+  }));
+}
+
+/**
+ * Check that an outbound message can still be edited or deleted for everyone
+ * @param {Object} message - From MessageStore.get()
+ * @param {'edit'|'revoke'} action
+ * @throws {MessageActionError} 403 for received messages, 409 for unsent,
+ *   deleted or (edits) split messages and messages past WhatsApp's window
+ */
+export function checkOwnMessage(message, action, now = Date.now()) {
+  const verb = action === 'edit' ? 'edited' : 'deleted for everyone';
+
+  if (message.direction !== 'outbound') {
+    throw new MessageActionError(`Only messages sent by this account can be ${verb}`, 403);
+  }
+  if (message.whatsappMessageIds.length === 0) {
+    throw new MessageActionError('Message has not been sent yet', 409);
+  }
+  if (message.revokedAt) {
+    throw new MessageActionError('Message was already deleted', 409);
+  }
+  if (action === 'edit' && message.whatsappMessageIds.length > 1) {
+    throw new MessageActionError('Messages sent in several parts can\'t be edited', 409);
+  }
+  if (action === 'edit' && message.type !== 'text') {
+    throw new MessageActionError('Only text messages can be edited', 409);
+  }
+
+  const sentAt = message.history.find(entry => entry.status === 'sent')?.at || message.createdAt;
+  const windowMs = action === 'edit' ? EDIT_WINDOW_MS : REVOKE_WINDOW_MS;
+  if (now - sentAt > windowMs) {
+    throw new MessageActionError(`Message is too old to be ${verb}`, 409);
+  }
+}
+
+export default {
+  EDIT_WINDOW_MS,
+  REVOKE_WINDOW_MS,
+  MAX_EDIT_LENGTH,
+  MessageActionError,
+  validateReaction,
+  validateEditText,
+  normalizeChat,
+  messageKeys,
+  checkOwnMessage,
+};
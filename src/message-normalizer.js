@@ -0,0 +1,276 @@
+/**
+ * Incoming message normalization
+ *
+ * Turns raw Baileys message content into a flat, typed payload so that
+ * webhooks and callbacks receive every message kind (text, media,
+ * stickers, locations, contact cards, polls) instead of text only.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Wrappers that only carry another message inside `.message`
+const WRAPPER_KEYS = [
+  'ephemeralMessage',
+  'viewOnceMessage',
+  'viewOnceMessageV2',
+  'viewOnceMessageV2Extension',
+  'documentWithCaptionMessage',
+];
+
+// Signalling payloads that aren't user-visible messages
+const IGNORED_KEYS = [
+  'protocolMessage',
+  'senderKeyDistributionMessage',
+  'messageContextInfo',
+  'reactionMessage',
+  'pollUpdateMessage',
+];
+
+// Baileys content key -> normalized type
+const CONTENT_TYPES = {
+  conversation: 'text',
+  extendedTextMessage: 'text',
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+  locationMessage: 'location',
+  liveLocationMessage: 'location',
+  contactMessage: 'contact',
+  contactsArrayMessage: 'contact',
+  pollCreationMessage: 'poll',
+  pollCreationMessageV2: 'poll',
+  pollCreationMessageV3: 'poll',
+};
+
+export const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// proto.Message.ProtocolMessage.Type values
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Convert protobuf numbers (Long or number) to a plain number
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value.toNumber === 'function') return value.toNumber();
+  const num = Number(value);
+  return Number.isNaN(num) ? null : num;
+}
+
+function toBase64(bytes) {
+  if (!bytes || !bytes.length) return null;
+  return Buffer.from(bytes).toString('base64');
+}
+
+/**
+ * Strip ephemeral / view-once / document-with-caption wrappers
+ * @param {Object} content - Raw `message.message`
+ * @returns {{content: Object|null, viewOnce: boolean, ephemeral: boolean}}
+ */
+export function unwrapMessage(content) {
+  let current = content || null;
+  let viewOnce = false;
+  let ephemeral = false;
+
+  for (let depth = 0; current && depth < 5; depth++) {
+    const wrapper = WRAPPER_KEYS.find(key => current[key]?.message);
+    if (!wrapper) break;
+    if (wrapper.startsWith('viewOnce')) viewOnce = true;
+    if (wrapper === 'ephemeralMessage') ephemeral = true;
+    current = current[wrapper].message;
+  }
+
+  return { content: current, viewOnce, ephemeral };
+}
+
+/**
+ * Find the Baileys content key that carries the message body
+ * @returns {string|null}
+ */
+export function getContentKey(content) {
+  if (!content) return null;
+  const keys = Object.keys(content).filter(key => content[key] && !IGNORED_KEYS.includes(key));
+  return keys.find(key => CONTENT_TYPES[key]) || keys[0] || null;
+}
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+/**
+ * Normalize a raw Baileys message into a typed payload.
+ *
+ * Returns null for messages with no user-visible content (protocol
+ * messages, key distribution, etc).
+ *
+ * @param {Object} message - Baileys WAMessage
+ * @returns {import('../types/index.js').NormalizedMessage|null}
+ */
+export function normalizeMessage(message) {
+  const { content, viewOnce, ephemeral } = unwrapMessage(message?.message);
+  const contentKey = getContentKey(content);
+  if (!contentKey) return null;
+
+  const body = content[contentKey];
+  const type = CONTENT_TYPES[contentKey] || 'unknown';
+
+  const normalized = {
+    type,
+    text: '',
+    caption: null,
+    hasMedia: MEDIA_MESSAGE_TYPES.includes(type),
+    mimetype: null,
+    size: null,
+    filename: null,
+    duration: null,
+    width: null,
+    height: null,
+    thumbnail: null,
+    ptt: false,
+    location: null,
+    contacts: null,
+    poll: null,
+    quotedMessageId: body?.contextInfo?.stanzaId || null,
+    // Sender of the quoted message, and JIDs @mentioned in the text
+    quotedParticipant: body?.contextInfo?.participant || null,
+    mentionedJids: body?.contextInfo?.mentionedJid || [],
+    viewOnce,
+    ephemeral,
+  };
+
+  switch (contentKey) {
+    case 'conversation':
+      normalized.text = body;
+      normalized.quotedMessageId = null;
+      normalized.quotedParticipant = null;
+      normalized.mentionedJids = [];
+      break;
+
+    case 'extendedTextMessage':
+      normalized.text = body.text || '';
+      break;
+
+    case 'imageMessage':
+    case 'videoMessage':
+    case 'audioMessage':
+    case 'documentMessage':
+    case 'stickerMessage':
+      normalized.caption = body.caption || null;
+      normalized.text = body.caption || '';
+      normalized.mimetype = body.mimetype || null;
+      normalized.size = toNumber(body.fileLength);
+      normalized.filename = body.fileName || null;
+      normalized.duration = toNumber(body.seconds);
+      normalized.width = body.width || null;
+      normalized.height = body.height || null;
+      normalized.thumbnail = toBase64(body.jpegThumbnail);
+      normalized.ptt = !!body.ptt;
+      if (contentKey === 'stickerMessage') {
+        normalized.animated = !!body.isAnimated;
+      }
+      break;
+
+    case 'locationMessage':
+    case 'liveLocationMessage':
+      normalized.location = {
+        latitude: body.degreesLatitude,
+        longitude: body.degreesLongitude,
+        name: body.name || null,
+        address: body.address || null,
+        url: body.url || null,
+        live: contentKey === 'liveLocationMessage',
+      };
+      normalized.caption = body.caption || null;
+      normalized.text = body.caption || '';
+      normalized.thumbnail = toBase64(body.jpegThumbnail);
+      break;
+
+    case 'contactMessage':
+      normalized.contacts = [{ name: body.displayName || null, vcard: body.vcard || null }];
+      break;
+
+    case 'contactsArrayMessage':
+      normalized.contacts = (body.contacts || []).map(contact => ({
+        name: contact.displayName || null,
+        vcard: contact.vcard || null,
+      }));
+      break;
+
+    case 'pollCreationMessage':
+    case 'pollCreationMessageV2':
+    case 'pollCreationMessageV3':
+      normalized.poll = {
+        question: body.name || '',
+        options: (body.options || []).map(option => option.optionName),
+        selectableCount: body.selectableOptionsCount || 0,
+      };
+      normalized.text = body.name || '';
+      break;
+
+    default:
+      normalized.rawType = contentKey;
+  }
+
+  return normalized;
+}
+
+/**
+ * Reactions, edits and deletes for everyone, which arrive as messages of
+ * their own referring to an earlier message.
+ *
+ * @param {Object} message - Baileys WAMessage
+ * @returns {{kind: 'reaction'|'edit'|'revoke', messageId: string, emoji?: string, text?: string}|null}
+ *   null for everything else (normalizeMessage handles those)
+ */
+export function normalizeMessageUpdate(message) {
+  const { content } = unwrapMessage(message?.message);
+  if (!content) return null;
+
+  const reaction = content.reactionMessage;
+  if (reaction?.key?.id) {
+    // An empty reaction removes the previous one
+    return { kind: 'reaction', messageId: reaction.key.id, emoji: reaction.text || '' };
+  }
+
+  const protocol = content.protocolMessage || content.editedMessage?.message?.protocolMessage;
+  if (!protocol?.key?.id) return null;
+
+  if (protocol.type === PROTOCOL_REVOKE || protocol.type === 'REVOKE') {
+    return { kind: 'revoke', messageId: protocol.key.id };
+  }
+  if (protocol.type === PROTOCOL_MESSAGE_EDIT || protocol.type === 'MESSAGE_EDIT') {
+    const edited = normalizeMessage({ message: protocol.editedMessage });
+    return { kind: 'edit', messageId: protocol.key.id, text: edited?.text || '' };
+  }
+  return null;
+}
+
+/**
+ * Short text used where a human-readable summary is needed
+ * (conversation memory, logs): the text/caption or a type marker.
+ */
+export function summarizeMessage(normalized) {
+  if (!normalized) return '';
+  if (normalized.type === 'text') return normalized.text;
+  const marker = `[${normalized.type}]`;
+  return normalized.text ? `${marker} ${normalized.text}` : marker;
+}
+
+export default {
+  MEDIA_MESSAGE_TYPES,
+  unwrapMessage,
+  getContentKey,
+  normalizeMessage,
+  normalizeMessageUpdate,
+  summarizeMessage,
+};
@@ -0,0 +1,457 @@
+/**
+ * Message history
+ *
+ * Every inbound and outbound message is recorded in the 'messages' collection
+ * with its status transitions, so "did the customer get it?" can be answered
+ * long after the in-memory delivery tracking (24 hours) has forgotten it.
+ *
+ * The collection is append-only: each message is a `message` record followed
+ * by `status` records (plus `link` records for the WhatsApp message IDs of
+ * outbound sends, and `edit`/`revoke` records), folded together when read. Records older than
+ * `retentionMs` are pruned hourly.
+ */
+
+import { getStorage } from './storage.js';
+
+export const MESSAGE_DIRECTIONS = ['inbound', 'outbound'];
+
+export const MESSAGE_STATUSES = ['received', 'queued', 'typing', 'sent', 'delivered', 'read', 'failed'];
+
+// Outbound stages in order; 'failed' can follow any of them
+const OUTBOUND_STAGES = ['queued', 'typing', 'sent', 'delivered', 'read'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Invalid history queries
+ */
+export class MessageStoreError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MessageStoreError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Canonical contact: "+<digits>" for phone numbers and user JIDs,
+ * other JIDs (groups) unchanged
+ * @param {string} value - Phone number or JID
+ * @returns {string}
+ */
+export function normalizeContact(value) {
+  const contact = String(value || '').trim();
+  if (contact.includes('@') && !contact.endsWith('@s.whatsapp.net')) {
+    return contact;
+  }
+  return `+${contact.split('@')[0].replace(/\D/g, '')}`;
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new MessageStoreError(`"${name}" must be a Unix timestamp in ms or an ISO date`);
+  }
+  return ms;
+}
+
+function parseCount(value, name, { min, max, fallback }) {
+  if (value === undefined || value === '') return fallback;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min || (max && count > max)) {
+    throw new MessageStoreError(`"${name}" must be an integer between ${min} and ${max || 'any'}`);
+  }
+  return count;
+}
+
+/**
+ * Normalize GET /api/messages query parameters
+ * @param {Object} input
+ * @param {string} [input.contact] - Phone number or JID
+ * @param {string} [input.direction] - 'inbound' or 'outbound'
+ * @param {string} [input.status]
+ * @param {number|string} [input.from] - Created at or after (Unix ms or ISO date)
+ * @param {number|string} [input.to] - Created at or before
+ * @param {number|string} [input.limit=50] - Page size (max 500)
+ * @param {number|string} [input.offset=0]
+ * @returns {Object}
+ */
+export function parseMessageFilter(input = {}) {
+  const filter = {};
+
+  if (input.contact) filter.contact = normalizeContact(input.contact);
+
+  if (input.direction) {
+    if (!MESSAGE_DIRECTIONS.includes(input.direction)) {
+      throw new MessageStoreError(`"direction" must be one of: ${MESSAGE_DIRECTIONS.join(', ')}`);
+    }
+    filter.direction = input.direction;
+  }
+
+  if (input.status) {
+    if (!MESSAGE_STATUSES.includes(input.status)) {
+      throw new MessageStoreError(`"status" must be one of: ${MESSAGE_STATUSES.join(', ')}`);
+    }
+    filter.status = input.status;
+  }
+
+  filter.from = parseTime(input.from, 'from');
+  filter.to = parseTime(input.to, 'to');
+  filter.limit = parseCount(input.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE, fallback: DEFAULT_PAGE_SIZE });
+  filter.offset = parseCount(input.offset, 'offset', { min: 0, fallback: 0 });
+
+  return filter;
+}
+
+/**
+ * Apply a status to a folded message; outbound stages never go backwards
+ */
+function applyStatus(message, status, at, reason) {
+  if (message.status === 'failed') return false;
+  if (status !== 'failed' && message.direction === 'outbound'
+    && OUTBOUND_STAGES.indexOf(status) <= OUTBOUND_STAGES.indexOf(message.status)) {
+    return false;
+  }
+
+  message.status = status;
+  message.updatedAt = at;
+  message.history.push(reason ? { status, at, reason } : { status, at });
+  return true;
+}
+
+/**
+ * Fold one record into the messages it belongs to
+ * @param {Map<string, Object>} messages - id -> message
+ * @param {Object} record
+ */
+function foldRecord(messages, record) {
+  if (record.kind === 'message') {
+    const { kind, whatsappMessageId, ...fields } = record;
+    messages.set(record.id, {
+      ...fields,
+      ...(record.direction === 'outbound' ? { to: record.contact } : { from: record.contact }),
+      whatsappMessageIds: whatsappMessageId ? [whatsappMessageId] : [],
+      error: null,
+      errorCode: null,
+      editedAt: null,
+      revokedAt: null,
+      updatedAt: record.createdAt,
+      history: [{ status: record.status, at: record.createdAt }],
+    });
+    return;
+  }
+
+  const message = messages.get(record.id);
+  if (!message) return; // Message record already pruned
+
+  if (record.kind === 'link') {
+    if (!message.whatsappMessageIds.includes(record.whatsappMessageId)) {
+      message.whatsappMessageIds.push(record.whatsappMessageId);
+    }
+  } else if (record.kind === 'edit') {
+    message.text = record.text;
+    message.editedAt = record.at;
+  } else if (record.kind === 'revoke') {
+    message.revokedAt = record.at;
+  } else if (record.kind === 'status' && applyStatus(message, record.status, record.at, record.error)) {
+    if (record.status === 'failed') {
+      message.error = record.error || null;
+      message.errorCode = record.errorCode || null;
+    }
+  }
+}
+
+/**
+ * Fold message, status and link records (oldest first) into messages
+ * @returns {Map<string, Object>} id -> message
+ */
+function foldRecords(records) {
+  const messages = new Map();
+  for (const record of records) {
+    foldRecord(messages, record);
+  }
+  return messages;
+}
+
+/**
+ * Durable history of inbound and outbound messages
+ */
+export class MessageStore {
+  constructor(options = {}) {
+    this.storage = options.storage || getStorage(options.sessionsDir);
+    this.retentionMs = options.retentionMs || 30 * 24 * 60 * 60 * 1000;   // 30 days
+    this.maxIndexed = options.maxIndexed || 10000;
+
+    // Recent messages: id -> { contact, direction }, WhatsApp ID -> id,
+    // and id -> folded message so lookups don't re-read the whole history
+    this.index = new Map();
+    this.whatsappIds = new Map();
+    this.recent = new Map();
+
+    this.loadIndex();
+
+    const cleanupIntervalMs = options.cleanupIntervalMs || 60 * 60 * 1000;
+    this.cleanupInterval = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupInterval.unref?.();
+  }
+
+  /**
+   * Record a received message
+   * @param {Object} message
+   * @param {string} message.whatsappMessageId - Also used as the history ID
+   * @param {string} message.contact - Sender phone number, or the group JID
+   * @param {string} [message.participant] - Sender in group chats
+   * @param {string} [message.type='text']
+   * @param {string} [message.text] - Text or caption
+   * @param {string} [message.replyTo] - Quoted message ID
+   * @param {number} [message.timestamp] - Unix ms (default: now)
+   */
+  recordInbound(message) {
+    return this.append({
+      kind: 'message',
+      id: message.whatsappMessageId,
+      direction: 'inbound',
+      contact: normalizeContact(message.contact),
+      participant: message.participant || null,
+      type: message.type || 'text',
+      text: message.text || '',
+      replyTo: message.replyTo || null,
+      whatsappMessageId: message.whatsappMessageId,
+      status: 'received',
+      createdAt: message.timestamp || Date.now(),
+    });
+  }
+
+  /**
+   * Record an outbound message when it is accepted (status 'queued')
+   * @param {Object} message
+   * @param {string} message.id - Bridge message ID
+   * @param {string} message.contact - Recipient phone number or JID
+   * @param {string} [message.type='text']
+   * @param {string} [message.text] - Text or caption
+   * @param {string} [message.replyTo]
+   * @param {number} [message.timestamp] - Unix ms (default: now)
+   */
+  recordOutbound(message) {
+    return this.append({
+      kind: 'message',
+      id: message.id,
+      direction: 'outbound',
+      contact: normalizeContact(message.contact),
+      type: message.type || 'text',
+      text: message.text || '',
+      replyTo: message.replyTo || null,
+      whatsappMessageId: null,
+      status: 'queued',
+      createdAt: message.timestamp || Date.now(),
+    });
+  }
+
+  /**
+   * Record a status transition
+   * @param {string} id - History ID (bridge ID for outbound)
+   * @param {string} status
+   * @param {Object} [details] - { at, error, errorCode }
+   */
+  recordStatus(id, status, details = {}) {
+    const meta = this.index.get(id);
+    if (!meta) return null;
+
+    return this.append({
+      kind: 'status',
+      id,
+      ...meta,
+      status,
+      at: details.at || Date.now(),
+      ...(details.error && { error: details.error, errorCode: details.errorCode || null }),
+    });
+  }
+
+  /**
+   * Record a status reported by WhatsApp for a message ID
+   * @returns {Object|null} Appended record, or null for unknown IDs
+   */
+  recordWhatsappStatus(whatsappMessageId, status) {
+    const id = this.whatsappIds.get(whatsappMessageId);
+    return id ? this.recordStatus(id, status) : null;
+  }
+
+  /**
+   * Remember the WhatsApp message ID of an outbound send
+   */
+  linkWhatsappId(id, whatsappMessageId) {
+    const meta = this.index.get(id);
+    if (!meta) return null;
+
+    return this.append({ kind: 'link', id, ...meta, whatsappMessageId });
+  }
+
+  /**
+   * Record an edit or a delete for everyone, by either side of the chat
+   * @param {string} id - History ID or WhatsApp message ID
+   * @param {'edit'|'revoke'} kind
+   * @param {Object} [details] - { text } for edits
+   * @returns {Object|null} Appended record, or null for unknown messages
+   */
+  recordChange(id, kind, details = {}) {
+    const historyId = this.whatsappIds.get(id) || id;
+    const meta = this.index.get(historyId);
+    if (!meta) return null;
+
+    return this.append({
+      kind,
+      id: historyId,
+      ...meta,
+      ...(kind === 'edit' && { text: details.text || '' }),
+      at: details.at || Date.now(),
+    });
+  }
+
+  /**
+   * Whether an ID is a recent message received from this contact
+   * @param {string} id - History ID or WhatsApp message ID
+   * @param {string} contact - Phone number or JID
+   * @returns {boolean}
+   */
+  isInboundFrom(id, contact) {
+    const meta = this.index.get(this.whatsappIds.get(id) || id);
+    return meta?.direction === 'inbound' && meta.contact === normalizeContact(contact);
+  }
+
+  /**
+   * A message by history ID or WhatsApp message ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    const historyId = this.whatsappIds.get(id) || id;
+    const cached = this.recent.get(historyId);
+    if (cached) return structuredClone(cached);
+    if (!this.storage) return null;
+
+    const records = this.storage.query('messages', { where: { id: historyId } }).reverse();
+    return foldRecords(records).get(historyId) || null;
+  }
+
+  /**
+   * Messages matching a filter, newest first
+   * @param {Object} [filter] - See parseMessageFilter
+   * @returns {{messages: Object[], total: number, limit: number, offset: number, hasMore: boolean}}
+   */
+  query(filter = {}) {
+    const limit = filter.limit || DEFAULT_PAGE_SIZE;
+    const offset = filter.offset || 0;
+    if (!this.storage) return { messages: [], total: 0, limit, offset, hasMore: false };
+
+    const where = {};
+    if (filter.contact) where.contact = filter.contact;
+    if (filter.direction) where.direction = filter.direction;
+
+    // Status and link records always come after their message record
+    const records = this.storage.query('messages', {
+      where,
+      ...(filter.from && { since: filter.from }),
+    }).reverse();
+
+    const matched = [...foldRecords(records).values()]
+      .filter(message => {
+        if (filter.status && message.status !== filter.status) return false;
+        if (filter.from && message.createdAt < filter.from) return false;
+        if (filter.to && message.createdAt > filter.to) return false;
+        return true;
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      messages: matched.slice(offset, offset + limit),
+      total: matched.length,
+      limit,
+      offset,
+      hasMore: offset + limit < matched.length,
+    };
+  }
+
+  /**
+   * Drop records older than the retention period
+   * @returns {number} Records removed
+   */
+  cleanup() {
+    const before = Date.now() - this.retentionMs;
+    for (const [id, message] of this.recent) {
+      if (message.createdAt < before) this.recent.delete(id);
+    }
+
+    if (!this.storage) return 0;
+    try {
+      return this.storage.prune('messages', { before });
+    } catch (err) {
+      return 0;
+    }
+  }
+
+  getStats() {
+    return {
+      indexed: this.index.size,
+      retentionMs: this.retentionMs,
+    };
+  }
+
+  append(record) {
+    this.remember(record);
+    if (!this.storage) return record;
+    try {
+      this.storage.append('messages', record);
+    } catch (err) {}
+    return record;
+  }
+
+  remember(record) {
+    if (record.kind === 'message') {
+      this.index.set(record.id, { contact: record.contact, direction: record.direction });
+      while (this.index.size > this.maxIndexed) {
+        const oldest = this.index.keys().next().value;
+        this.index.delete(oldest);
+        this.recent.delete(oldest);
+      }
+    }
+    foldRecord(this.recent, record);
+    if (record.whatsappMessageId && this.index.has(record.id)) {
+      this.whatsappIds.set(record.whatsappMessageId, record.id);
+      while (this.whatsappIds.size > this.maxIndexed) {
+        this.whatsappIds.delete(this.whatsappIds.keys().next().value);
+      }
+    }
+  }
+
+  /**
+   * Rebuild the ID index from the newest records so status updates
+   * after a restart still find their message
+   */
+  loadIndex() {
+    if (!this.storage) return;
+    try {
+      const records = this.storage.query('messages', { limit: this.maxIndexed * 4 }).reverse();
+      for (const record of records) {
+        this.remember(record);
+      }
+    } catch (err) {}
+  }
+
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+  }
+}
+
+export default {
+  MESSAGE_DIRECTIONS,
+  MESSAGE_STATUSES,
+  MessageStoreError,
+  MessageStore,
+  normalizeContact,
+  parseMessageFilter,
+};
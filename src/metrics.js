@@ -0,0 +1,272 @@
+/**
+ * Prometheus metrics
+ *
+ * Renders the JSON stats of every session (rate limiter, ban warning,
+ * delivery tracker, queues, webhooks, reconnection) in the Prometheus text
+ * exposition format for GET /metrics. Every session metric carries a
+ * `session` label; nothing is kept between scrapes except the webhook
+ * latency histograms, which WebhookManager records itself.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Webhook delivery latency buckets in seconds
+export const DEFAULT_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Ban warning levels as gauge values
+export const BAN_RISK_LEVELS = { normal: 0, elevated: 1, high: 2, critical: 3 };
+
+const CONNECTION_STATES = ['connected', 'awaiting_qr', 'disconnected'];
+const HEALTH_STATES = ['healthy', 'degraded', 'critical'];
+
+// =============================================================================
+// HISTOGRAM
+// =============================================================================
+
+/**
+ * Cumulative histogram of observed durations (seconds)
+ */
+export class Histogram {
+  constructor(buckets = DEFAULT_LATENCY_BUCKETS) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.counts = this.buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+  }
+
+  observe(seconds) {
+    this.sum += seconds;
+    this.count++;
+    this.buckets.forEach((le, i) => {
+      if (seconds <= le) this.counts[i]++;
+    });
+  }
+
+  /**
+   * @returns {{buckets: Array<{le: number, count: number}>, sum: number, count: number}}
+   */
+  snapshot() {
+    return {
+      buckets: this.buckets.map((le, i) => ({ le, count: this.counts[i] })),
+      sum: this.sum,
+      count: this.count,
+    };
+  }
+}
+
+// =============================================================================
+// TEXT FORMAT
+// =============================================================================
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  const number = Number(value);
+  return Number.isNaN(number) ? 'NaN' : String(number);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Collects samples grouped by metric family, then renders them with
+ * # HELP and # TYPE lines
+ */
+export class MetricsWriter {
+  constructor() {
+    // name -> { type, help, lines }
+    this.families = new Map();
+  }
+
+  family(name, type, help) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { type, help, lines: [] });
+    }
+    return this.families.get(name);
+  }
+
+  counter(name, help, labels, value) {
+    this.family(name, 'counter', help).lines.push(`${name}${formatLabels(labels)} ${formatValue(value || 0)}`);
+    return this;
+  }
+
+  gauge(name, help, labels, value) {
+    this.family(name, 'gauge', help).lines.push(`${name}${formatLabels(labels)} ${formatValue(value || 0)}`);
+    return this;
+  }
+
+  /**
+   * @param {Object} snapshot - Histogram#snapshot()
+   */
+  histogram(name, help, labels, snapshot) {
+    const { lines } = this.family(name, 'histogram', help);
+    for (const { le, count } of snapshot.buckets) {
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${count}`);
+    }
+    lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${snapshot.count}`);
+    lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(snapshot.sum)}`);
+    lines.push(`${name}_count${formatLabels(labels)} ${snapshot.count}`);
+    return this;
+  }
+
+  render() {
+    let text = '';
+    for (const [name, { type, help, lines }] of this.families) {
+      text += `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${lines.join('\n')}\n`;
+    }
+    return text;
+  }
+}
+
+// =============================================================================
+// COLLECTORS
+// =============================================================================
+
+function connectionState(client) {
+  if (client.isConnected) return 'connected';
+  if (client.qrCode) return 'awaiting_qr';
+  return 'disconnected';
+}
+
+/**
+ * Webhook targets of a session: WEBHOOK_URL ('default') and registered endpoints
+ */
+function webhookTargets(emitter) {
+  if (!emitter) return [];
+  const targets = emitter.manager ? [['default', emitter.manager]] : [];
+  for (const [id, endpoint] of emitter.endpoints || []) {
+    targets.push([id, endpoint.manager]);
+  }
+  return targets;
+}
+
+/**
+ * Add one session's metrics
+ * @param {MetricsWriter} writer
+ * @param {string} sessionId
+ * @param {import('./whatsapp.js').default} client
+ */
+export function collectSessionMetrics(writer, sessionId, client) {
+  const session = { session: sessionId };
+  const stats = client.stats || {};
+
+  // Connection
+  const state = connectionState(client);
+  writer.gauge('wa2bridge_connected', 'Whether the session is connected to WhatsApp', session, client.isConnected ? 1 : 0);
+  for (const candidate of CONNECTION_STATES) {
+    writer.gauge('wa2bridge_connection_state', 'Current connection state (1 for the active state)', { ...session, state: candidate }, candidate === state ? 1 : 0);
+  }
+  writer.gauge('wa2bridge_reconnect_attempts', 'Reconnection attempts since the last successful connection', session, client.reconnectionManager?.attempts);
+
+  // Messages
+  writer.counter('wa2bridge_messages_sent_total', 'Messages sent', session, stats.messagesSent);
+  writer.counter('wa2bridge_messages_received_total', 'Messages received', session, stats.messagesReceived);
+  writer.counter('wa2bridge_messages_failed_total', 'Messages WhatsApp refused to send', session, stats.messagesFailed);
+  const delivery = client.deliveryTracker?.stats || {};
+  writer.counter('wa2bridge_messages_delivered_total', 'Sent messages delivered to the recipient', session, delivery.delivered);
+  writer.counter('wa2bridge_messages_read_total', 'Sent messages read by the recipient', session, delivery.read);
+
+  // Rate limits
+  const rateLimits = client.rateLimiter?.getStats?.();
+  if (rateLimits) {
+    for (const [window, count, limit] of [
+      // Counters reset lazily on the next send; an elapsed window has its full budget
+      ['hourly', rateLimits.hourlyResetIn > 0 ? rateLimits.hourlyCount : 0, rateLimits.hourlyLimit],
+      ['daily', rateLimits.dailyResetIn > 0 ? rateLimits.dailyCount : 0, rateLimits.dailyLimit],
+    ]) {
+      const labels = { ...session, window };
+      writer.gauge('wa2bridge_rate_limit_limit', 'Messages allowed per window for the account age', labels, limit);
+      writer.gauge('wa2bridge_rate_limit_remaining', 'Messages left in the current window', labels, Math.max(0, limit - count));
+    }
+  }
+
+  // Ban risk and health
+  const banWarning = client.banWarning;
+  if (banWarning) {
+    writer.gauge('wa2bridge_ban_risk_level', 'Ban warning level (0 normal, 1 elevated, 2 high, 3 critical)', session, BAN_RISK_LEVELS[banWarning.currentLevel]);
+    writer.gauge('wa2bridge_hibernating', 'Whether sending is paused by hibernation mode', session, banWarning.hibernationMode ? 1 : 0);
+  }
+  const health = client.healthMonitor?.healthStatus;
+  if (health) {
+    for (const candidate of HEALTH_STATES) {
+      writer.gauge('wa2bridge_health_status', 'Health monitor status (1 for the active status)', { ...session, status: candidate }, candidate === health ? 1 : 0);
+    }
+  }
+
+  // Queues
+  const persistentQueue = client.persistentQueue?.getStatus?.();
+  const queues = {
+    persistent: persistentQueue && persistentQueue.total - persistentQueue.dead,
+    persistent_dead: persistentQueue?.dead,
+    scheduler: client.messageScheduler?.queue?.length,
+    scheduled: client.scheduledMessages?.getStats?.().byStatus.pending,
+  };
+  for (const [queue, depth] of Object.entries(queues)) {
+    if (depth === undefined) continue;
+    writer.gauge('wa2bridge_queue_depth', 'Messages waiting in a queue', { ...session, queue }, depth);
+  }
+
+  // Webhooks
+  const emitter = client.webhookEmitter;
+  for (const [type, count] of Object.entries(emitter?.stats?.byType || {})) {
+    writer.counter('wa2bridge_webhook_events_total', 'Webhook events emitted', { ...session, event: type }, count);
+  }
+  for (const [endpoint, manager] of webhookTargets(emitter)) {
+    const labels = { ...session, endpoint };
+    writer.counter('wa2bridge_webhook_deliveries_total', 'Webhook deliveries by result (after retries)', { ...labels, result: 'success' }, manager.stats.delivered);
+    writer.counter('wa2bridge_webhook_deliveries_total', 'Webhook deliveries by result (after retries)', { ...labels, result: 'failure' }, manager.stats.failed);
+    writer.gauge('wa2bridge_webhook_retry_queue', 'Failed webhooks waiting for a retry', labels, manager.failedQueue.length);
+    if (manager.latency) {
+      writer.histogram('wa2bridge_webhook_delivery_duration_seconds', 'Webhook delivery attempt duration', labels, manager.latency.snapshot());
+    }
+  }
+  if (emitter?.deadLetters) {
+    writer.gauge('wa2bridge_webhook_dead_letters', 'Webhook deliveries that ran out of retries', session, emitter.deadLetters.entries.length);
+  }
+}
+
+/**
+ * Process-wide metrics (no session label)
+ */
+export function collectProcessMetrics(writer) {
+  const memory = process.memoryUsage();
+  writer.gauge('wa2bridge_process_uptime_seconds', 'Seconds since the bridge process started', {}, Math.round(process.uptime()));
+  writer.gauge('wa2bridge_process_resident_memory_bytes', 'Resident memory size', {}, memory.rss);
+  writer.gauge('wa2bridge_process_heap_used_bytes', 'V8 heap in use', {}, memory.heapUsed);
+}
+
+/**
+ * Prometheus text for all sessions
+ * @param {Array<{sessionId: string, client: Object}>} sessions
+ * @returns {string}
+ */
+export function renderMetrics(sessions) {
+  const writer = new MetricsWriter();
+  collectProcessMetrics(writer);
+  writer.gauge('wa2bridge_sessions', 'Registered sessions', {}, sessions.length);
+  for (const { sessionId, client } of sessions) {
+    collectSessionMetrics(writer, sessionId, client);
+  }
+  return writer.render();
+}
+
+export default {
+  METRICS_CONTENT_TYPE,
+  DEFAULT_LATENCY_BUCKETS,
+  BAN_RISK_LEVELS,
+  Histogram,
+  MetricsWriter,
+  collectSessionMetrics,
+  collectProcessMetrics,
+  renderMetrics,
+};
@@ -0,0 +1,418 @@
+/**
+ * Location, contact card, poll and template messages
+ *
+ * Validates the API payloads for `type: location | contact | poll | template`
+ * sends and builds the Baileys message content. Sent polls are kept in a
+ * PollStore: votes arrive encrypted with the poll's secret, and Baileys asks
+ * for the poll (getMessage) to decrypt them. Templates (approved in Meta's
+ * WhatsApp Manager) are only sent by the Cloud API backend.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { getStorage } from './storage.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const RICH_MESSAGE_TYPES = ['location', 'contact', 'poll', 'template'];
+
+export const MAX_CONTACT_CARDS = 10;
+export const MAX_POLL_OPTIONS = 12;
+export const MAX_POLL_QUESTION_LENGTH = 255;
+export const MAX_POLL_OPTION_LENGTH = 100;
+export const MAX_TEMPLATE_COMPONENTS = 10;
+const MAX_LABEL_LENGTH = 256;
+
+/**
+ * Invalid location, contact card or poll payloads
+ */
+export class RichMessageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RichMessageError';
+    this.statusCode = statusCode;
+  }
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+function optionalLabel(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_LABEL_LENGTH) {
+    throw new RichMessageError(`"${name}" must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  return value.trim();
+}
+
+function coordinate(value, name, limit) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || Math.abs(number) > limit) {
+    throw new RichMessageError(`"${name}" must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
+/**
+ * @param {Object} input - { latitude, longitude, name?, address? }
+ * @throws {RichMessageError} 400 for missing or out-of-range coordinates
+ */
+export function validateLocation(input) {
+  if (!input || typeof input !== 'object') {
+    throw new RichMessageError('"location" must be an object with "latitude" and "longitude"');
+  }
+  return {
+    latitude: coordinate(input.latitude, 'location.latitude', 90),
+    longitude: coordinate(input.longitude, 'location.longitude', 180),
+    name: optionalLabel(input.name, 'location.name'),
+    address: optionalLabel(input.address, 'location.address'),
+  };
+}
+
+/**
+ * @param {Object|Object[]} input - One card or up to 10: { name, phone, organization?, email? }
+ * @throws {RichMessageError} 400 for cards without a name or a valid phone
+ */
+export function validateContactCards(input) {
+  const cards = Array.isArray(input) ? input : [input];
+  if (!input || cards.length === 0 || cards.length > MAX_CONTACT_CARDS) {
+    throw new RichMessageError(`"contact" must be a contact card or an array of 1-${MAX_CONTACT_CARDS}`);
+  }
+
+  return cards.map((card, i) => {
+    const field = cards.length > 1 ? `contact[${i}]` : 'contact';
+    if (!card || typeof card !== 'object') {
+      throw new RichMessageError(`"${field}" must be an object with "name" and "phone"`);
+    }
+
+    const name = optionalLabel(card.name, `${field}.name`);
+    if (!name) {
+      throw new RichMessageError(`Missing "${field}.name"`);
+    }
+    const phone = typeof card.phone === 'string' ? card.phone.replace(/[\s()-]/g, '') : '';
+    if (!/^\+?\d{7,15}$/.test(phone)) {
+      throw new RichMessageError(`"${field}.phone" must be a phone number`);
+    }
+
+    return {
+      name,
+      phone: phone.startsWith('+') ? phone : `+${phone}`,
+      organization: optionalLabel(card.organization, `${field}.organization`),
+      email: optionalLabel(card.email, `${field}.email`),
+    };
+  });
+}
+
+/**
+ * @param {Object} input - { question, options, selectableCount? }
+ * @throws {RichMessageError} 400 for fewer than 2 or duplicate options,
+ *   or a selectableCount outside 1..options
+ */
+export function validatePoll(input) {
+  if (!input || typeof input !== 'object') {
+    throw new RichMessageError('"poll" must be an object with "question" and "options"');
+  }
+
+  const question = typeof input.question === 'string' ? input.question.trim() : '';
+  if (!question || question.length > MAX_POLL_QUESTION_LENGTH) {
+    throw new RichMessageError(`"poll.question" must be 1-${MAX_POLL_QUESTION_LENGTH} characters`);
+  }
+
+  const options = Array.isArray(input.options) ? input.options : [];
+  if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    throw new RichMessageError(`"poll.options" must be an array of 2-${MAX_POLL_OPTIONS} options`);
+  }
+  for (const option of options) {
+    if (typeof option !== 'string' || !option.trim() || option.length > MAX_POLL_OPTION_LENGTH) {
+      throw new RichMessageError(`Poll options must be 1-${MAX_POLL_OPTION_LENGTH} characters`);
+    }
+  }
+  // Votes reference options by hash, so duplicates couldn't be told apart
+  if (new Set(options).size !== options.length) {
+    throw new RichMessageError('Poll options must be unique');
+  }
+
+  const selectableCount = input.selectableCount ?? 1;
+  if (!Number.isInteger(selectableCount) || selectableCount < 1 || selectableCount > options.length) {
+    throw new RichMessageError(`"poll.selectableCount" must be between 1 and ${options.length}`);
+  }
+
+  return { question, options, selectableCount };
+}
+
+/**
+ * @param {Object} input - { name, language, components? }; components are
+ *   passed to the Cloud API as-is (header, body and button parameters)
+ * @throws {RichMessageError} 400 for a missing name or language code
+ */
+export function validateTemplate(input) {
+  if (!input || typeof input !== 'object') {
+    throw new RichMessageError('"template" must be an object with "name" and "language"');
+  }
+  if (typeof input.name !== 'string' || !/^[a-z0-9_]{1,512}$/.test(input.name)) {
+    throw new RichMessageError('"template.name" must be a template name (lowercase letters, digits and "_")');
+  }
+  if (typeof input.language !== 'string' || !/^[a-z]{2,3}(_[A-Z]{2,3})?$/.test(input.language)) {
+    throw new RichMessageError('"template.language" must be a language code such as "id" or "en_US"');
+  }
+
+  const components = input.components ?? [];
+  if (!Array.isArray(components) || components.length > MAX_TEMPLATE_COMPONENTS) {
+    throw new RichMessageError(`"template.components" must be an array of at most ${MAX_TEMPLATE_COMPONENTS} components`);
+  }
+  for (const component of components) {
+    if (!component || typeof component !== 'object' || typeof component.type !== 'string') {
+      throw new RichMessageError('Template components must be objects with a "type"');
+    }
+  }
+
+  return { name: input.name, language: input.language, components };
+}
+
+// =============================================================================
+// CONTENT
+// =============================================================================
+
+function escapeVcard(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * vCard 3.0 with the waid WhatsApp uses to show "Message" / "Add contact"
+ */
+export function buildVcard(card) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVcard(card.name)}`];
+  if (card.organization) lines.push(`ORG:${escapeVcard(card.organization)};`);
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${card.phone.slice(1)}:${card.phone}`);
+  if (card.email) lines.push(`EMAIL:${escapeVcard(card.email)}`);
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
+
+/**
+ * Validate a payload and build its Baileys content
+ * @param {'location'|'contact'|'poll'|'template'} type
+ * @param {Object} payload - The request's `location`, `contact`, `poll` or `template`
+ * @returns {{type: string, content: Object, text: string, poll?: Object}}
+ *   `text` summarizes the message for typing time, history and webhooks;
+ *   `poll` (polls only) is what PollStore keeps to decode votes
+ * @throws {RichMessageError} 400
+ */
+export function buildRichMessage(type, payload) {
+  if (type === 'location') {
+    const location = validateLocation(payload);
+    return {
+      type,
+      content: {
+        location: {
+          degreesLatitude: location.latitude,
+          degreesLongitude: location.longitude,
+          ...(location.name && { name: location.name }),
+          ...(location.address && { address: location.address }),
+        },
+      },
+      text: [location.name, location.address].filter(Boolean).join(', '),
+    };
+  }
+
+  if (type === 'contact') {
+    const cards = validateContactCards(payload);
+    const displayName = cards.length === 1 ? cards[0].name : `${cards.length} contacts`;
+    return {
+      type,
+      content: {
+        contacts: {
+          displayName,
+          contacts: cards.map(card => ({ displayName: card.name, vcard: buildVcard(card) })),
+        },
+      },
+      text: cards.map(card => card.name).join(', '),
+    };
+  }
+
+  if (type === 'poll') {
+    const poll = validatePoll(payload);
+    const secret = randomBytes(32);
+    return {
+      type,
+      content: {
+        poll: {
+          name: poll.question,
+          values: poll.options,
+          selectableCount: poll.selectableCount,
+          messageSecret: secret,
+        },
+      },
+      text: poll.question,
+      poll: { ...poll, secret: secret.toString('base64') },
+    };
+  }
+
+  if (type === 'template') {
+    const template = validateTemplate(payload);
+    return {
+      type,
+      content: {
+        template: {
+          name: template.name,
+          language: { code: template.language },
+          ...(template.components.length > 0 && { components: template.components }),
+        },
+      },
+      text: template.name,
+    };
+  }
+
+  throw new RichMessageError(`"type" must be one of: ${RICH_MESSAGE_TYPES.join(', ')}`);
+}
+
+/**
+ * Options selected in a decrypted vote. Votes carry SHA-256 hashes of the
+ * option names; an empty selection means the vote was withdrawn.
+ * @param {Object} poll - { options }
+ * @param {Array<Uint8Array>} [selectedOptions] - From the decrypted PollVoteMessage
+ * @returns {string[]} Option names, in poll order
+ */
+export function decodePollVote(poll, selectedOptions = []) {
+  const selected = new Set(selectedOptions.map(hash => Buffer.from(hash).toString('hex')));
+  return poll.options.filter(option => selected.has(createHash('sha256').update(option).digest('hex')));
+}
+
+// =============================================================================
+// POLL STORE
+// =============================================================================
+
+/**
+ * Sent polls, their secrets and latest vote per voter
+ */
+export class PollStore {
+  constructor(options = {}) {
+    this.storage = options.storage || getStorage(options.sessionsDir);
+    this.ttlMs = options.ttlMs || 30 * 24 * 60 * 60 * 1000;   // 30 days
+    this.maxPolls = options.maxPolls || 1000;
+
+    // WhatsApp message ID -> { to, question, options, selectableCount, secret, votes, createdAt }
+    this.polls = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Keep a sent poll
+   * @param {string} id - WhatsApp message ID of the poll
+   * @param {Object} poll - From buildRichMessage(), plus `to`
+   */
+  add(id, poll) {
+    this.polls.set(id, { ...poll, votes: {}, createdAt: Date.now() });
+    while (this.polls.size > this.maxPolls) {
+      this.polls.delete(this.polls.keys().next().value);
+    }
+    this.save();
+  }
+
+  get(id) {
+    return this.polls.get(id) || null;
+  }
+
+  /**
+   * Poll creation message for Baileys' getMessage, which needs the secret
+   * to decrypt votes
+   * @returns {Object|undefined}
+   */
+  getCreationMessage(id) {
+    const poll = this.polls.get(id);
+    if (!poll) return undefined;
+
+    return {
+      messageContextInfo: { messageSecret: Buffer.from(poll.secret, 'base64') },
+      pollCreationMessage: {
+        name: poll.question,
+        options: poll.options.map(optionName => ({ optionName })),
+        selectableOptionsCount: poll.selectableCount,
+      },
+    };
+  }
+
+  /**
+   * Record a voter's latest selection (replacing their previous vote)
+   * @returns {Object|null} Votes per option, or null for unknown polls
+   */
+  recordVote(id, voter, selected) {
+    const poll = this.polls.get(id);
+    if (!poll) return null;
+
+    if (selected.length > 0) {
+      poll.votes[voter] = selected;
+    } else {
+      delete poll.votes[voter];
+    }
+    this.save();
+    return this.tally(id);
+  }
+
+  /**
+   * @returns {Object|null} { [option]: votes }
+   */
+  tally(id) {
+    const poll = this.polls.get(id);
+    if (!poll) return null;
+
+    const counts = Object.fromEntries(poll.options.map(option => [option, 0]));
+    for (const selected of Object.values(poll.votes)) {
+      for (const option of selected) {
+        if (option in counts) counts[option]++;
+      }
+    }
+    return counts;
+  }
+
+  getStats() {
+    return { polls: this.polls.size };
+  }
+
+  load() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('polls');
+      const now = Date.now();
+      for (const [id, poll] of Object.entries(data?.polls || {})) {
+        if (now - poll.createdAt <= this.ttlMs) {
+          this.polls.set(id, poll);
+        }
+      }
+    } catch (err) {
+      // Ignore
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      const now = Date.now();
+      this.storage.save('polls', {
+        polls: Object.fromEntries([...this.polls].filter(([, poll]) => now - poll.createdAt <= this.ttlMs)),
+        savedAt: now,
+      });
+    } catch (err) {
+      // Ignore
+    }
+  }
+}
+
+export default {
+  RICH_MESSAGE_TYPES,
+  MAX_CONTACT_CARDS,
+  MAX_POLL_OPTIONS,
+  MAX_TEMPLATE_COMPONENTS,
+  RichMessageError,
+  validateLocation,
+  validateContactCards,
+  validatePoll,
+  validateTemplate,
+  buildVcard,
+  buildRichMessage,
+  decodePollVote,
+  PollStore,
+};
@@ -0,0 +1,321 @@
+/**
+ * Multi-session support
+ *
+ * Runs several WhatsApp numbers in one bridge process. Each named session
+ * gets its own client with its own auth state, rate limiter, ban-warning
+ * state, webhook URL and presence cycle, stored under `sessions/<id>/`.
+ *
+ * The `default` session keeps using `sessions/` directly so existing
+ * single-number installs keep their pairing and anti-ban history.
+ */
+
+import { existsSync, mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { getStorage, closeStorage } from './storage.js';
+
+export const DEFAULT_SESSION_ID = 'default';
+
+// Directory names already used inside sessions/ by the default session
+const RESERVED_SESSION_IDS = [DEFAULT_SESSION_ID, 'media'];
+
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+// Per-session settings accepted by create()
+const SESSION_CONFIG_KEYS = [
+  'webhookUrl',
+  'accountAgeWeeks',
+  'activeHoursStart',
+  'activeHoursEnd',
+  'messageDelay',
+  'typingDelay',
+  'cloudPhoneNumberId',
+];
+
+// =============================================================================
+// SESSION POOL
+// =============================================================================
+
+/**
+ * Registry of named WhatsApp sessions
+ */
+export class SessionPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseDir - Root sessions directory
+   * @param {function(Object): Object} options.createClient - Factory receiving
+   *   `{ sessionId, sessionsDir, backupDir, ...config }` and returning a client
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.baseDir = options.baseDir;
+    this.backupBaseDir = options.backupBaseDir || join(this.baseDir, '..', 'session-backups');
+    this.createClient = options.createClient;
+    this.logger = options.logger || console;
+    this.storage = options.storage || getStorage(this.baseDir);
+
+    // sessionId -> { id, config, client, running, autoStart, createdAt }
+    this.sessions = new Map();
+
+    this.loadState();
+  }
+
+  /**
+   * Check a session ID is well-formed and not reserved
+   */
+  static isValidId(id) {
+    return typeof id === 'string' && SESSION_ID_PATTERN.test(id) && !RESERVED_SESSION_IDS.includes(id);
+  }
+
+  /**
+   * Directory holding a session's auth and anti-ban state
+   */
+  sessionDir(id) {
+    return id === DEFAULT_SESSION_ID ? this.baseDir : join(this.baseDir, id);
+  }
+
+  /**
+   * Register the default session with an already-created client
+   */
+  addDefault(client) {
+    this.sessions.set(DEFAULT_SESSION_ID, {
+      id: DEFAULT_SESSION_ID,
+      config: {},
+      client,
+      running: false,
+      autoStart: true,
+      createdAt: null,
+    });
+    return client;
+  }
+
+  /**
+   * Create a new named session (not started)
+   * @param {string} id - Session name ([a-zA-Z0-9_-], max 32 chars)
+   * @param {Object} [config] - Per-session settings (webhookUrl, accountAgeWeeks, ...)
+   * @returns {Object} Session info
+   */
+  create(id, config = {}) {
+    if (!SessionPool.isValidId(id)) {
+      throw new Error(`Invalid session ID "${id}"`);
+    }
+    if (this.sessions.has(id)) {
+      throw new Error(`Session "${id}" already exists`);
+    }
+
+    const entry = {
+      id,
+      config: pickConfig(config),
+      client: null,
+      running: false,
+      autoStart: config.autoStart !== false,
+      createdAt: Date.now(),
+    };
+
+    entry.client = this.buildClient(entry);
+    this.sessions.set(id, entry);
+    this.saveState();
+
+    return this.getInfo(id);
+  }
+
+  buildClient(entry) {
+    const sessionsDir = this.sessionDir(entry.id);
+    if (!existsSync(sessionsDir)) {
+      mkdirSync(sessionsDir, { recursive: true });
+    }
+
+    return this.createClient({
+      ...entry.config,
+      sessionId: entry.id,
+      sessionsDir,
+      backupDir: join(this.backupBaseDir, entry.id),
+    });
+  }
+
+  has(id) {
+    return this.sessions.has(id);
+  }
+
+  /**
+   * Get a session's client (null if unknown)
+   */
+  getClient(id) {
+    return this.sessions.get(id)?.client || null;
+  }
+
+  /**
+   * Public info for a session
+   */
+  getInfo(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) return null;
+
+    const client = entry.client;
+    return {
+      id: entry.id,
+      running: entry.running,
+      connected: !!client?.isConnected,
+      phone: client?.phoneNumber || null,
+      name: client?.userName || null,
+      hasQr: !!client?.qrCode,
+      autoStart: entry.autoStart,
+      webhookUrl: entry.id === DEFAULT_SESSION_ID ? client?.webhookUrl || null : entry.config.webhookUrl || null,
+      accountAgeWeeks: entry.config.accountAgeWeeks || null,
+      createdAt: entry.createdAt,
+    };
+  }
+
+  list() {
+    return [...this.sessions.keys()].map(id => this.getInfo(id));
+  }
+
+  /**
+   * Connect a session
+   */
+  async start(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) throw new Error(`Session "${id}" not found`);
+    if (entry.running) return this.getInfo(id);
+
+    await entry.client.connect();
+    entry.running = true;
+    this.setAutoStart(entry, true);
+
+    return this.getInfo(id);
+  }
+
+  /**
+   * Disconnect a session but keep it paired
+   */
+  async stop(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) throw new Error(`Session "${id}" not found`);
+
+    await entry.client.stop();
+    entry.running = false;
+    this.setAutoStart(entry, false);
+
+    return this.getInfo(id);
+  }
+
+  /**
+   * Log out, release timers and remove all stored state for a session
+   */
+  async delete(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) throw new Error(`Session "${id}" not found`);
+    if (id === DEFAULT_SESSION_ID) throw new Error('The default session cannot be deleted');
+
+    try {
+      if (entry.client.isConnected) {
+        await entry.client.disconnect();
+      } else {
+        await entry.client.stop();
+      }
+    } catch (err) {
+      this.logger.warn?.({ session: id, error: err.message }, 'Error while closing deleted session');
+    }
+    entry.client.destroy?.();
+    closeStorage(this.sessionDir(id));
+
+    this.sessions.delete(id);
+    this.saveState();
+
+    rmSync(this.sessionDir(id), { recursive: true, force: true });
+    rmSync(join(this.backupBaseDir, id), { recursive: true, force: true });
+
+    return true;
+  }
+
+  /**
+   * Start every session flagged for auto-start
+   */
+  async startAll() {
+    for (const entry of this.sessions.values()) {
+      if (!entry.autoStart || entry.running) continue;
+      try {
+        await this.start(entry.id);
+      } catch (err) {
+        this.logger.error?.({ session: entry.id, error: err.message }, 'Failed to start session');
+      }
+    }
+  }
+
+  /**
+   * Gracefully stop every running session (process shutdown)
+   */
+  async stopAll() {
+    for (const entry of this.sessions.values()) {
+      if (!entry.running) continue;
+      try {
+        await entry.client.stop();
+        entry.running = false;
+      } catch (err) {
+        // Best effort during shutdown
+      }
+    }
+  }
+
+  setAutoStart(entry, autoStart) {
+    if (entry.autoStart === autoStart) return;
+    entry.autoStart = autoStart;
+    if (entry.id !== DEFAULT_SESSION_ID) {
+      this.saveState();
+    }
+  }
+
+  loadState() {
+    if (!this.storage) return;
+
+    try {
+      const data = this.storage.load('sessions');
+      if (data) {
+        for (const saved of data.sessions || []) {
+          if (!SessionPool.isValidId(saved.id)) continue;
+          const entry = {
+            id: saved.id,
+            config: pickConfig(saved.config || {}),
+            client: null,
+            running: false,
+            autoStart: saved.autoStart !== false,
+            createdAt: saved.createdAt || null,
+          };
+          entry.client = this.buildClient(entry);
+          this.sessions.set(entry.id, entry);
+        }
+      }
+    } catch (err) {
+      this.logger.warn?.({ error: err.message }, 'Could not load session registry');
+    }
+  }
+
+  saveState() {
+    if (!this.storage) return;
+
+    try {
+      const sessions = [...this.sessions.values()]
+        .filter(entry => entry.id !== DEFAULT_SESSION_ID)
+        .map(entry => ({
+          id: entry.id,
+          config: entry.config,
+          autoStart: entry.autoStart,
+          createdAt: entry.createdAt,
+        }));
+      this.storage.save('sessions', { sessions, savedAt: Date.now() });
+    } catch (err) {
+      // Ignore save errors
+    }
+  }
+}
+
+function pickConfig(config) {
+  const picked = {};
+  for (const key of SESSION_CONFIG_KEYS) {
+    if (config[key] !== undefined && config[key] !== null && config[key] !== '') {
+      picked[key] = config[key];
+    }
+  }
+  return picked;
+}
+
+export default SessionPool;
@@ -0,0 +1,473 @@
+/**
+ * Pluggable state storage
+ *
+ * Every stateful module persists through a Storage instance instead of
+ * writing its own dotfile. Two kinds of data are supported:
+ *
+ * - Documents: small state snapshots loaded at startup and replaced on save
+ *   (`load(name)` / `save(name, data)`)
+ * - Collections: append-only histories such as audit logs, where adding a
+ *   record must not rewrite everything recorded before it
+ *   (`append(collection, record)` / `query(collection, filter)`)
+ *
+ * Drivers:
+ * - `json` (default): `<dir>/.<name>.json` documents written atomically
+ *   (temp file + rename) and `<dir>/.<name>.jsonl` append-only collections
+ * - `sqlite`: a single `<dir>/wa2bridge.db` database (WAL mode) using the
+ *   optional `better-sqlite3` package. Existing JSON documents are imported
+ *   the first time they are loaded.
+ */
+
+import {
+  readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync, renameSync, unlinkSync,
+} from 'fs';
+import { createRequire } from 'module';
+import { join, resolve } from 'path';
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+export const SQLITE_FILENAME = 'wa2bridge.db';
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Raised for unknown drivers, invalid names or an unavailable SQLite module
+ */
+export class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+function assertName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new StorageError(`Invalid storage name "${name}"`);
+  }
+}
+
+/**
+ * Apply a query filter to records already ordered oldest first
+ * @param {Object[]} records
+ * @param {Object} filter - { since, until, where, limit }
+ * @returns {Object[]} Matching records, most recent first
+ */
+function applyFilter(records, filter = {}) {
+  const since = filter.since !== undefined ? toTimestamp(filter.since) : null;
+  const until = filter.until !== undefined ? toTimestamp(filter.until) : null;
+  const where = Object.entries(filter.where || {});
+
+  let results = records.filter(record => {
+    if (since !== null && record.ts < since) return false;
+    if (until !== null && record.ts > until) return false;
+    return where.every(([key, value]) => record.data?.[key] === value);
+  });
+
+  results = results.reverse();
+  if (filter.limit) {
+    results = results.slice(0, filter.limit);
+  }
+
+  return results.map(record => record.data);
+}
+
+function toTimestamp(value) {
+  if (typeof value === 'number') return value;
+  return new Date(value).getTime();
+}
+
+// =============================================================================
+// JSON FILE DRIVER
+// =============================================================================
+
+/**
+ * Dotfile storage compatible with the original per-feature JSON files
+ */
+export class JsonFileStorage {
+  constructor(options = {}) {
+    this.driver = 'json';
+    this.dir = options.dir;
+  }
+
+  documentPath(name) {
+    return join(this.dir, `.${name}.json`);
+  }
+
+  collectionPath(name) {
+    return join(this.dir, `.${name}.jsonl`);
+  }
+
+  ensureDir() {
+    if (!existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Write a file so readers only ever see the old or the new contents
+   */
+  writeAtomic(file, contents) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      writeFileSync(tmpFile, contents);
+      renameSync(tmpFile, file);
+    } catch (err) {
+      try { unlinkSync(tmpFile); } catch (e) { /* never created */ }
+      throw err;
+    }
+  }
+
+  load(name) {
+    assertName(name);
+    const file = this.documentPath(name);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  }
+
+  save(name, data) {
+    assertName(name);
+    this.ensureDir();
+    this.writeAtomic(this.documentPath(name), JSON.stringify(data, null, 2));
+  }
+
+  remove(name) {
+    assertName(name);
+    try {
+      unlinkSync(this.documentPath(name));
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Read every record of a collection, oldest first.
+   * A partially written last line (crash mid-append) is skipped.
+   */
+  readRecords(collection) {
+    const file = this.collectionPath(collection);
+    if (!existsSync(file)) return [];
+
+    const records = [];
+    for (const line of readFileSync(file, 'utf-8').split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        // Torn write
+      }
+    }
+    return records;
+  }
+
+  append(collection, record, ts = Date.now()) {
+    assertName(collection);
+    this.ensureDir();
+    appendFileSync(this.collectionPath(collection), JSON.stringify({ ts, data: record }) + '\n');
+  }
+
+  query(collection, filter = {}) {
+    assertName(collection);
+    return applyFilter(this.readRecords(collection), filter);
+  }
+
+  count(collection) {
+    assertName(collection);
+    return this.readRecords(collection).length;
+  }
+
+  /**
+   * Drop old records
+   * @param {string} collection
+   * @param {Object} options
+   * @param {number} [options.keep] - Keep only the newest N records
+   * @param {number|string|Date} [options.before] - Drop records older than this
+   * @returns {number} Records removed
+   */
+  prune(collection, options = {}) {
+    assertName(collection);
+    const records = this.readRecords(collection);
+    let kept = records;
+
+    if (options.before !== undefined) {
+      const before = toTimestamp(options.before);
+      kept = kept.filter(record => record.ts >= before);
+    }
+    if (options.keep !== undefined && kept.length > options.keep) {
+      kept = kept.slice(-options.keep);
+    }
+
+    const removed = records.length - kept.length;
+    if (removed > 0) {
+      this.writeAtomic(
+        this.collectionPath(collection),
+        kept.map(record => JSON.stringify(record) + '\n').join(''),
+      );
+    }
+    return removed;
+  }
+
+  clear(collection) {
+    assertName(collection);
+    try {
+      unlinkSync(this.collectionPath(collection));
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  getInfo() {
+    return { driver: this.driver, location: this.dir };
+  }
+
+  close() {}
+}
+
+// =============================================================================
+// SQLITE DRIVER
+// =============================================================================
+
+let Database = null;
+
+function loadSqlite() {
+  if (Database) return Database;
+  try {
+    const require = createRequire(import.meta.url);
+    Database = require('better-sqlite3');
+    return Database;
+  } catch (err) {
+    throw new StorageError('STORAGE_DRIVER=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+}
+
+/**
+ * SQLite storage: documents in a key/value table, collections as rows
+ */
+export class SqliteStorage {
+  constructor(options = {}) {
+    this.driver = 'sqlite';
+    this.dir = options.dir;
+    this.file = options.file || join(this.dir, SQLITE_FILENAME);
+
+    const Sqlite = loadSqlite();
+    if (this.dir && !existsSync(this.dir)) {
+      mkdirSync(this.dir, { recursive: true });
+    }
+
+    this.db = new Sqlite(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS records_collection_ts ON records (collection, ts);
+      CREATE INDEX IF NOT EXISTS records_collection_id ON records (collection, json_extract(data, '$.id'));
+    `);
+
+    this.statements = {
+      load: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+      save: this.db.prepare(`
+        INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM documents WHERE name = ?'),
+      append: this.db.prepare('INSERT INTO records (collection, ts, data) VALUES (?, ?, ?)'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM records WHERE collection = ?'),
+      pruneBefore: this.db.prepare('DELETE FROM records WHERE collection = ? AND ts < ?'),
+      pruneKeep: this.db.prepare(`
+        DELETE FROM records WHERE collection = ? AND id NOT IN (
+          SELECT id FROM records WHERE collection = ? ORDER BY id DESC LIMIT ?
+        )
+      `),
+      clear: this.db.prepare('DELETE FROM records WHERE collection = ?'),
+    };
+  }
+
+  load(name) {
+    assertName(name);
+    const row = this.statements.load.get(name);
+    if (row) return JSON.parse(row.data);
+
+    // First load after switching drivers: import the JSON document
+    const legacyFile = this.dir && join(this.dir, `.${name}.json`);
+    if (legacyFile && existsSync(legacyFile)) {
+      const data = JSON.parse(readFileSync(legacyFile, 'utf-8'));
+      this.save(name, data);
+      return data;
+    }
+    return null;
+  }
+
+  save(name, data) {
+    assertName(name);
+    this.statements.save.run(name, JSON.stringify(data), Date.now());
+  }
+
+  remove(name) {
+    assertName(name);
+    this.statements.remove.run(name);
+  }
+
+  append(collection, record, ts = Date.now()) {
+    assertName(collection);
+    this.statements.append.run(collection, ts, JSON.stringify(record));
+  }
+
+  query(collection, filter = {}) {
+    assertName(collection);
+
+    const clauses = ['collection = ?'];
+    const params = [collection];
+
+    if (filter.since !== undefined) {
+      clauses.push('ts >= ?');
+      params.push(toTimestamp(filter.since));
+    }
+    if (filter.until !== undefined) {
+      clauses.push('ts <= ?');
+      params.push(toTimestamp(filter.until));
+    }
+    for (const [key, value] of Object.entries(filter.where || {})) {
+      if (!NAME_PATTERN.test(key)) {
+        throw new StorageError(`Invalid query field "${key}"`);
+      }
+      clauses.push(`json_extract(data, '$.${key}') IS ?`);
+      params.push(typeof value === 'boolean' ? Number(value) : value);
+    }
+
+    let sql = `SELECT data FROM records WHERE ${clauses.join(' AND ')} ORDER BY id DESC`;
+    if (filter.limit) {
+      sql += ' LIMIT ?';
+      params.push(filter.limit);
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  count(collection) {
+    assertName(collection);
+    return this.statements.count.get(collection).count;
+  }
+
+  prune(collection, options = {}) {
+    assertName(collection);
+    let removed = 0;
+    if (options.before !== undefined) {
+      removed += this.statements.pruneBefore.run(collection, toTimestamp(options.before)).changes;
+    }
+    if (options.keep !== undefined) {
+      removed += this.statements.pruneKeep.run(collection, collection, options.keep).changes;
+    }
+    return removed;
+  }
+
+  clear(collection) {
+    assertName(collection);
+    this.statements.clear.run(collection);
+  }
+
+  getInfo() {
+    return { driver: this.driver, location: this.file };
+  }
+
+  close() {
+    if (this.db?.open) {
+      this.db.close();
+    }
+  }
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+// Resolved directory -> storage instance (one per sessions directory)
+const instances = new Map();
+
+let defaultDriver = 'json';
+
+/**
+ * Create a storage instance
+ * @param {Object} options
+ * @param {'json'|'sqlite'} [options.driver]
+ * @param {string} options.dir - Directory holding the state (sessions dir)
+ * @returns {JsonFileStorage|SqliteStorage}
+ */
+export function createStorage(options = {}) {
+  const driver = options.driver || defaultDriver;
+  switch (driver) {
+    case 'json':
+      return new JsonFileStorage(options);
+    case 'sqlite':
+      return new SqliteStorage(options);
+    default:
+      throw new StorageError(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+}
+
+/**
+ * Set the driver used by getStorage() for directories not opened explicitly
+ */
+export function setDefaultStorageDriver(driver) {
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new StorageError(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+  defaultDriver = driver;
+}
+
+/**
+ * Open (or reuse) the storage for a directory
+ * @param {string} dir
+ * @param {Object} [options] - { driver }
+ */
+export function openStorage(dir, options = {}) {
+  const key = resolve(dir);
+  const existing = instances.get(key);
+  if (existing && (!options.driver || existing.driver === options.driver)) {
+    return existing;
+  }
+  existing?.close();
+
+  const storage = createStorage({ ...options, dir });
+  instances.set(key, storage);
+  return storage;
+}
+
+/**
+ * Storage for a directory, or null when there is no directory
+ * (modules created without a sessionsDir don't persist)
+ */
+export function getStorage(dir) {
+  if (!dir) return null;
+  return openStorage(dir);
+}
+
+/**
+ * Close and forget the storage for a directory
+ */
+export function closeStorage(dir) {
+  if (!dir) return;
+  const key = resolve(dir);
+  instances.get(key)?.close();
+  instances.delete(key);
+}
+
+export default {
+  STORAGE_DRIVERS,
+  StorageError,
+  JsonFileStorage,
+  SqliteStorage,
+  createStorage,
+  setDefaultStorageDriver,
+  openStorage,
+  getStorage,
+  closeStorage,
+};
@@ -44,6 +44,7 @@ designed to avoid detection and account bans.
 - Session backup/restore
 - Persistent message queue
 - Webhook retry
+- Prometheus metrics per session
 
 **Phase 5 (Analytics & Automation):**
 - Message analytics
@@ -51,6 +52,7 @@ designed to avoid detection and account bans.
 - Sentiment analysis
 - Auto-responder
 - Scheduled messages
+- Broadcast campaigns
 
 **Phase 6 (Enhanced Webhooks):**
 - Granular event types
@@ -86,6 +88,21 @@ All messaging operations include:
           scheme: 'bearer',
           description: 'API authentication token (API_SECRET from .env)',
         },
+        metricsBasicAuth: {
+          type: 'http',
+          scheme: 'basic',
+          description: 'METRICS_USERNAME and METRICS_PASSWORD (only when both are set)',
+        },
+      },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Repeats with the same key get the stored response (Idempotent-Replayed: true) instead of sending again. '
+            + 'Kept for IDEMPOTENCY_TTL_HOURS; failed requests can be retried with the same key.',
+        },
       },
       schemas: {
         Error: {
@@ -97,6 +114,27 @@ All messaging operations include:
             },
           },
         },
+        TypedError: {
+          type: 'object',
+          description: 'Typed error (src/errors.js). Retry-After header is set when retryAfter is present.',
+          properties: {
+            success: { type: 'boolean', example: false },
+            error: { type: 'string', description: 'Error message' },
+            code: {
+              type: 'string',
+              description: 'Machine-readable code',
+              enum: ['NOT_CONNECTED', 'CONTACT_BLOCKED', 'CONTACT_OPTED_OUT', 'HIBERNATION', 'BAN_RISK_CRITICAL', 'RATE_LIMITED', 'CONTACT_WARMUP', 'SEND_FAILED'],
+            },
+            statusCode: { type: 'integer' },
+            retryAfter: { type: 'integer', description: 'Seconds to wait before retrying' },
+            waitMs: { type: 'integer', description: 'Milliseconds to wait (rate limits)' },
+            limitType: { type: 'string', enum: ['hourly', 'daily', 'interval', 'contact_warmup'] },
+            riskLevel: { type: 'string', description: 'Ban risk level (423)' },
+            phone: { type: 'string', description: 'Blocked contact (409)' },
+            context: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
         Success: {
           type: 'object',
           properties: {
@@ -109,6 +147,11 @@ All messaging operations include:
         Status: {
           type: 'object',
           properties: {
+            backend: {
+              type: 'string',
+              enum: ['baileys', 'webjs', 'cloud', 'fake'],
+              description: 'Socket behind the session (WA_BACKEND)',
+            },
             connected: {
               type: 'boolean',
               description: 'WhatsApp connection status',
@@ -143,21 +186,406 @@ All messaging operations include:
         },
         Message: {
           type: 'object',
-          required: ['to', 'message'],
+          required: ['to'],
           properties: {
             to: {
               type: 'string',
-              description: 'Recipient phone number (with country code)',
+              description: 'Recipient phone number (with country code) or group JID (120363...@g.us)',
               example: '+6281234567890',
             },
             message: {
               type: 'string',
-              description: 'Message text to send',
+              description: 'Message text to send (used as caption when media is present). Required without media.',
             },
             reply_to: {
               type: 'string',
               description: 'Optional message ID to reply to',
             },
+            media: {
+              $ref: '#/components/schemas/Media',
+            },
+            async: {
+              type: 'boolean',
+              description: 'Return 202 right after the pre-send checks; follow progress at GET /api/messages/{id}',
+            },
+            type: {
+              type: 'string',
+              enum: ['location', 'contact', 'poll', 'template'],
+              description: 'Send the matching "location", "contact", "poll" or "template" object instead of text',
+            },
+            location: {
+              type: 'object',
+              required: ['latitude', 'longitude'],
+              properties: {
+                latitude: { type: 'number', minimum: -90, maximum: 90, example: -6.2088 },
+                longitude: { type: 'number', minimum: -180, maximum: 180, example: 106.8456 },
+                name: { type: 'string', example: 'Pickup point' },
+                address: { type: 'string', example: 'Jl. Sudirman 1, Jakarta' },
+              },
+            },
+            contact: {
+              description: 'One contact card or an array of up to 10',
+              oneOf: [
+                { $ref: '#/components/schemas/ContactCard' },
+                { type: 'array', maxItems: 10, items: { $ref: '#/components/schemas/ContactCard' } },
+              ],
+            },
+            poll: {
+              type: 'object',
+              required: ['question', 'options'],
+              properties: {
+                question: { type: 'string', maxLength: 255, example: 'Pickup time?' },
+                options: { type: 'array', minItems: 2, maxItems: 12, items: { type: 'string', maxLength: 100 }, example: ['Morning', 'Afternoon'] },
+                selectableCount: { type: 'integer', minimum: 1, default: 1, description: 'Options a voter may pick' },
+              },
+            },
+            template: {
+              type: 'object',
+              description: 'Approved message template (WA_BACKEND=cloud)',
+              required: ['name', 'language'],
+              properties: {
+                name: { type: 'string', pattern: '^[a-z0-9_]{1,512}$', example: 'order_shipped' },
+                language: { type: 'string', example: 'id', description: 'Template language code, e.g. "id" or "en_US"' },
+                components: {
+                  type: 'array',
+                  maxItems: 10,
+                  description: 'Header, body and button parameters as in the Cloud API',
+                  items: { type: 'object', required: ['type'], properties: { type: { type: 'string', example: 'body' } } },
+                  example: [{ type: 'body', parameters: [{ type: 'text', text: 'INV-1024' }] }],
+                },
+              },
+            },
+          },
+        },
+        ContactCard: {
+          type: 'object',
+          required: ['name', 'phone'],
+          properties: {
+            name: { type: 'string', example: 'Budi (Technician)' },
+            phone: { type: 'string', example: '+6281234567890' },
+            organization: { type: 'string' },
+            email: { type: 'string' },
+          },
+        },
+        MessageLifecycle: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'msg_3f9a1c0d2b7e4a11', description: 'Bridge message ID' },
+            to: { type: 'string' },
+            type: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'typing', 'sent', 'delivered', 'read', 'failed'] },
+            whatsappMessageIds: { type: 'array', items: { type: 'string' }, description: 'One per part for split messages' },
+            error: { type: 'string', nullable: true, description: 'Failure reason' },
+            errorCode: { type: 'string', nullable: true, example: 'RATE_LIMITED' },
+            createdAt: { type: 'integer', description: 'Unix ms' },
+            updatedAt: { type: 'integer', description: 'Unix ms' },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string' },
+                  at: { type: 'integer' },
+                  reason: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        Group: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '120363012345678901@g.us' },
+            subject: { type: 'string' },
+            description: { type: 'string' },
+            owner: { type: 'string', nullable: true, example: '+6281234567890' },
+            createdAt: { type: 'integer', nullable: true, description: 'Unix ms' },
+            size: { type: 'integer' },
+            announce: { type: 'boolean', description: 'Only admins can send' },
+            restrict: { type: 'boolean', description: 'Only admins can edit group info' },
+            participants: {
+              type: 'array',
+              description: 'Omitted in GET /api/groups',
+              items: {
+                type: 'object',
+                properties: {
+                  phone: { type: 'string' },
+                  admin: { type: 'string', nullable: true, enum: ['admin', 'superadmin', null] },
+                },
+              },
+            },
+          },
+        },
+        GroupInvite: {
+          type: 'object',
+          properties: {
+            groupId: { type: 'string' },
+            code: { type: 'string' },
+            link: { type: 'string', example: 'https://chat.whatsapp.com/AbCdEf123' },
+          },
+        },
+        ContactProfile: {
+          type: 'object',
+          properties: {
+            phone: { type: 'string', example: '+6281234567890' },
+            exists: { type: 'boolean' },
+            jid: { type: 'string', nullable: true },
+            profilePictureUrl: { type: 'string', nullable: true },
+            about: { type: 'string', nullable: true },
+            aboutSetAt: { type: 'integer', nullable: true, description: 'Unix ms' },
+            business: {
+              type: 'object',
+              nullable: true,
+              description: 'Null for personal accounts',
+              properties: {
+                description: { type: 'string', nullable: true },
+                category: { type: 'string', nullable: true },
+                email: { type: 'string', nullable: true },
+                websites: { type: 'array', items: { type: 'string' } },
+                address: { type: 'string', nullable: true },
+              },
+            },
+            cached: { type: 'boolean' },
+            fetchedAt: { type: 'integer', description: 'Unix ms' },
+          },
+        },
+        Campaign: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'camp_3f2a9c1d4b5e6f70' },
+            name: { type: 'string' },
+            template: { type: 'string', nullable: true, description: 'Stored template name, null for inline text' },
+            content: { type: 'string', description: 'Template content as of creation' },
+            status: { type: 'string', enum: ['running', 'paused', 'cancelled', 'completed'] },
+            startAt: { type: 'integer', nullable: true, description: 'Unix ms' },
+            createdAt: { type: 'integer' },
+            updatedAt: { type: 'integer' },
+            finishedAt: { type: 'integer', nullable: true },
+            total: { type: 'integer' },
+            counts: {
+              type: 'object',
+              description: 'Recipients per status',
+              properties: {
+                pending: { type: 'integer' },
+                sent: { type: 'integer' },
+                delivered: { type: 'integer' },
+                read: { type: 'integer' },
+                failed: { type: 'integer' },
+                skipped_opted_out: { type: 'integer' },
+              },
+            },
+            nextSendAt: { type: 'integer', nullable: true, description: 'Earliest next send (Unix ms), null unless running' },
+          },
+        },
+        ConsentRecord: {
+          type: 'object',
+          properties: {
+            phone: { type: 'string', example: '+6281234567890' },
+            status: { type: 'string', enum: ['opted_in', 'opted_out'] },
+            optedInAt: { type: 'integer', nullable: true, description: 'When consent was given (Unix ms)' },
+            optInSource: { type: 'string', nullable: true, example: 'checkout-form' },
+            optedOutAt: { type: 'integer', nullable: true },
+            optOutSource: { type: 'string', nullable: true, description: '"keyword" for STOP/BERHENTI replies' },
+            keyword: { type: 'string', nullable: true, example: 'berhenti' },
+            updatedAt: { type: 'integer' },
+          },
+        },
+        SimState: {
+          type: 'object',
+          properties: {
+            paired: { type: 'boolean' },
+            connected: { type: 'boolean' },
+            qr: { type: 'string', nullable: true, example: 'sim-qr-4f1c2a9be07d3e65' },
+            phone: { type: 'string', nullable: true, example: '6280000000001' },
+            name: { type: 'string', nullable: true },
+            pendingFailures: { type: 'integer', description: 'Sends that will still fail' },
+            sent: {
+              type: 'array',
+              description: 'Last 50 sends, newest first',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', description: 'WhatsApp message ID, for /api/_sim/receipts' },
+                  jid: { type: 'string' },
+                  type: { type: 'string', example: 'text' },
+                  text: { type: 'string', nullable: true },
+                  quoted: { type: 'string', nullable: true },
+                  status: { type: 'string', enum: ['sent', 'delivered', 'read', 'played', 'failed'] },
+                  at: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        CampaignRecipient: {
+          type: 'object',
+          properties: {
+            phone: { type: 'string', example: '+6281234567890' },
+            variables: { type: 'object', additionalProperties: { type: 'string' } },
+            status: { type: 'string', enum: ['pending', 'sent', 'delivered', 'read', 'failed', 'skipped_opted_out'] },
+            messageId: { type: 'string', nullable: true, description: 'Bridge message ID (see /api/messages/{messageId})' },
+            error: { type: 'string', nullable: true },
+            updatedAt: { type: 'integer' },
+          },
+        },
+        HistoryMessage: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Bridge message ID (outbound) or WhatsApp message ID (inbound)' },
+            direction: { type: 'string', enum: ['inbound', 'outbound'] },
+            contact: { type: 'string', example: '+6281234567890' },
+            to: { type: 'string', description: 'Outbound only' },
+            from: { type: 'string', description: 'Inbound only' },
+            participant: { type: 'string', nullable: true, description: 'Sender of inbound group messages' },
+            type: { type: 'string', example: 'text' },
+            text: { type: 'string', description: 'Text or caption' },
+            replyTo: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['received', 'queued', 'typing', 'sent', 'delivered', 'read', 'failed'] },
+            whatsappMessageIds: { type: 'array', items: { type: 'string' } },
+            error: { type: 'string', nullable: true },
+            errorCode: { type: 'string', nullable: true },
+            editedAt: { type: 'integer', nullable: true, description: 'Unix ms of the last edit' },
+            revokedAt: { type: 'integer', nullable: true, description: 'Unix ms of the delete for everyone' },
+            createdAt: { type: 'integer', description: 'Unix ms' },
+            updatedAt: { type: 'integer', description: 'Unix ms' },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string' },
+                  at: { type: 'integer' },
+                  reason: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        WebhookEndpointInput: {
+          type: 'object',
+          properties: {
+            url: { type: 'string', example: 'https://ops.example.com/wa2bridge' },
+            events: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['antiban.*', 'connection.*'],
+              description: 'Event types or "group.*" patterns; empty or omitted = all events',
+            },
+            secret: { type: 'string', nullable: true, description: 'Signing secret (min 16 chars); defaults to WEBHOOK_SECRET' },
+            headers: { type: 'object', additionalProperties: { type: 'string' } },
+            retry: {
+              type: 'object',
+              properties: {
+                maxRetries: { type: 'integer', minimum: 1, maximum: 10 },
+                baseDelay: { type: 'integer', minimum: 100, maximum: 60000 },
+                maxDelay: { type: 'integer', minimum: 1000, maximum: 3600000 },
+              },
+            },
+            payloadVersion: {
+              type: 'string',
+              enum: ['v1', 'v2'],
+              default: 'v2',
+              description: 'v1 = legacy flat message.received body, v2 = event envelope',
+            },
+            enabled: { type: 'boolean', default: true },
+            description: { type: 'string' },
+          },
+        },
+        WebhookEndpoint: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'ep_3f9a1c2b7d4e' },
+            url: { type: 'string' },
+            events: { type: 'array', items: { type: 'string' } },
+            headers: { type: 'object', additionalProperties: { type: 'string' } },
+            retry: { type: 'object' },
+            payloadVersion: { type: 'string', enum: ['v1', 'v2'] },
+            enabled: { type: 'boolean' },
+            description: { type: 'string', nullable: true },
+            signed: { type: 'boolean' },
+            hasOwnSecret: { type: 'boolean' },
+            createdAt: { type: 'number' },
+            updatedAt: { type: 'number' },
+            stats: {
+              type: 'object',
+              properties: {
+                delivered: { type: 'integer' },
+                failed: { type: 'integer' },
+                lastDeliveryAt: { type: 'number', nullable: true },
+                lastError: { type: 'string', nullable: true },
+                failedQueueSize: { type: 'integer' },
+              },
+            },
+          },
+        },
+        WebhookDeadLetter: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'dl_5c1e9a0b2f7d3e41' },
+            eventId: { type: 'string' },
+            event: { type: 'string', example: 'message.received' },
+            endpoint: { type: 'string', description: '"default" (WEBHOOK_URL) or an endpoint ID' },
+            reason: { type: 'string', enum: ['client_error', 'max_attempts'] },
+            attempts: { type: 'integer' },
+            statusCode: { type: 'integer', nullable: true },
+            error: { type: 'string', nullable: true },
+            responseBody: { type: 'string', nullable: true, description: 'Only when inspecting one entry' },
+            payload: { type: 'object', description: 'Only when inspecting one entry' },
+            firstFailedAt: { type: 'number', nullable: true },
+            deadAt: { type: 'number' },
+            replays: { type: 'integer' },
+            lastReplayAt: { type: 'number', nullable: true },
+          },
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            running: { type: 'boolean' },
+            connected: { type: 'boolean' },
+            phone: { type: 'string', nullable: true },
+            name: { type: 'string', nullable: true },
+            hasQr: { type: 'boolean' },
+            autoStart: { type: 'boolean' },
+            webhookUrl: { type: 'string', nullable: true },
+            accountAgeWeeks: { type: 'number', nullable: true },
+            createdAt: { type: 'number', nullable: true },
+          },
+        },
+        Media: {
+          type: 'object',
+          description: 'Image, video, audio or document. Provide exactly one of url or base64.',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'http(s) URL to download the file from; must resolve to a public address unless its host is in MEDIA_URL_ALLOWLIST',
+            },
+            base64: {
+              type: 'string',
+              description: 'Base64 file contents (raw or data URI)',
+            },
+            mimetype: {
+              type: 'string',
+              description: 'MIME type (detected from data URI, URL or filename if omitted)',
+              example: 'image/jpeg',
+            },
+            filename: {
+              type: 'string',
+              description: 'File name shown for documents',
+            },
+            caption: {
+              type: 'string',
+              description: 'Caption (ignored for audio)',
+            },
+            type: {
+              type: 'string',
+              enum: ['image', 'video', 'audio', 'document'],
+              description: 'Force the media type (detected from mimetype if omitted)',
+            },
+            ptt: {
+              type: 'boolean',
+              description: 'Send audio as a voice note',
+            },
           },
         },
         SendResult: {
@@ -233,6 +661,85 @@ swaggerSpec.paths = {
     },
   },
 
+  '/metrics': {
+    get: {
+      summary: 'Prometheus metrics',
+      description: 'Messages, rate-limit headroom, ban risk, queue depth, webhook latency and connection state '
+        + 'for every session (`session` label), in the Prometheus text format.',
+      tags: ['System'],
+      security: [{}, { metricsBasicAuth: [] }],
+      responses: {
+        200: {
+          description: 'Metrics',
+          content: {
+            'text/plain': {
+              schema: { type: 'string' },
+              example: '# HELP wa2bridge_messages_sent_total Messages sent\n'
+                + '# TYPE wa2bridge_messages_sent_total counter\n'
+                + 'wa2bridge_messages_sent_total{session="default"} 42\n',
+            },
+          },
+        },
+        401: { description: 'Basic credentials missing or invalid' },
+      },
+    },
+  },
+
+  '/webhooks/cloud': {
+    get: {
+      summary: 'Cloud API webhook verification',
+      description: 'Only with WA_BACKEND=cloud, WA_CLOUD_APP_SECRET and WA_CLOUD_VERIFY_TOKEN. '
+        + 'Meta calls it when the webhook is subscribed; the challenge is echoed when the verify token matches.',
+      tags: ['System'],
+      security: [],
+      parameters: [
+        { name: 'hub.mode', in: 'query', schema: { type: 'string', enum: ['subscribe'] } },
+        { name: 'hub.verify_token', in: 'query', schema: { type: 'string' } },
+        { name: 'hub.challenge', in: 'query', schema: { type: 'string' } },
+      ],
+      responses: {
+        200: { description: 'The challenge', content: { 'text/plain': { schema: { type: 'string' } } } },
+        403: { description: 'Wrong verify token' },
+        404: { description: 'Cloud API webhooks not enabled' },
+      },
+    },
+    post: {
+      summary: 'Cloud API webhook',
+      description: 'Inbound messages and status callbacks from Meta, signed with the app secret in X-Hub-Signature-256. '
+        + 'Each change goes to the session of its metadata.phone_number_id: messages become message.received webhooks, '
+        + 'statuses update delivery tracking.',
+      tags: ['System'],
+      security: [],
+      parameters: [
+        { name: 'X-Hub-Signature-256', in: 'header', required: true, schema: { type: 'string', example: 'sha256=…' } },
+      ],
+      requestBody: {
+        content: { 'application/json': { schema: { type: 'object', properties: { object: { type: 'string' }, entry: { type: 'array', items: { type: 'object' } } } } } },
+      },
+      responses: {
+        200: {
+          description: 'Processed',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  messages: { type: 'integer' },
+                  statuses: { type: 'integer' },
+                  ignored: { type: 'integer', description: 'Changes for phone numbers without a session' },
+                },
+              },
+            },
+          },
+        },
+        401: { description: 'Invalid signature' },
+        404: { description: 'Cloud API webhooks not enabled' },
+        503: { description: 'Session not started yet; Meta retries' },
+      },
+    },
+  },
+
   '/api/status': {
     get: {
       summary: 'Get WhatsApp connection status',
@@ -286,14 +793,33 @@ swaggerSpec.paths = {
   '/api/send': {
     post: {
       summary: 'Send a WhatsApp message',
-      description: 'Sends a message with anti-ban protection (delays, typing, rate limits)',
+      description: 'Sends a text, media, location, contact card or poll message with anti-ban protection (delays, typing/recording, rate limits)',
       tags: ['Messaging'],
+      parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
       requestBody: {
         required: true,
         content: {
           'application/json': {
             schema: { $ref: '#/components/schemas/Message' },
           },
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['to', 'file'],
+              properties: {
+                to: { type: 'string' },
+                file: { type: 'string', format: 'binary' },
+                caption: { type: 'string' },
+                message: { type: 'string', description: 'Caption fallback' },
+                reply_to: { type: 'string' },
+                mimetype: { type: 'string' },
+                filename: { type: 'string' },
+                type: { type: 'string', enum: ['image', 'video', 'audio', 'document'] },
+                ptt: { type: 'boolean' },
+                async: { type: 'boolean' },
+              },
+            },
+          },
         },
       },
       responses: {
@@ -305,33 +831,84 @@ swaggerSpec.paths = {
             },
           },
         },
+        202: {
+          description: 'Accepted (async: true); the send continues in the background',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean', example: true },
+                  id: { type: 'string', example: 'msg_3f9a1c0d2b7e4a11' },
+                  status: { type: 'string', example: 'queued' },
+                  to: { type: 'string' },
+                  statusUrl: { type: 'string', example: '/api/messages/msg_3f9a1c0d2b7e4a11' },
+                },
+              },
+            },
+          },
+        },
         400: {
-          description: 'Bad request (missing fields)',
+          description: 'Bad request (missing fields, invalid media, location, contact or poll)',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+        413: {
+          description: 'Uploaded file too large',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+        409: {
+          description: 'Contact has blocked this number (CONTACT_BLOCKED) or opted out (CONTACT_OPTED_OUT), or a request with the same Idempotency-Key is still running',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/TypedError' },
+            },
+          },
+        },
+        422: {
+          description: 'Idempotency-Key already used for a different request',
           content: {
             'application/json': {
               schema: { $ref: '#/components/schemas/Error' },
             },
           },
         },
+        423: {
+          description: 'Sending locked by ban protection (HIBERNATION, BAN_RISK_CRITICAL)',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/TypedError' },
+            },
+          },
+        },
         429: {
-          description: 'Rate limited',
+          description: 'Rate limited (RATE_LIMITED, CONTACT_WARMUP), see Retry-After',
           content: {
             'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  error: { type: 'string' },
-                  waitMs: { type: 'number', description: 'Milliseconds to wait' },
-                },
-              },
+              schema: { $ref: '#/components/schemas/TypedError' },
             },
           },
         },
         500: {
-          description: 'Send failed',
+          description: 'Send failed (SEND_FAILED)',
           content: {
             'application/json': {
-              schema: { $ref: '#/components/schemas/Error' },
+              schema: { $ref: '#/components/schemas/TypedError' },
+            },
+          },
+        },
+        503: {
+          description: 'WhatsApp not connected (NOT_CONNECTED)',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/TypedError' },
             },
           },
         },
@@ -339,23 +916,1190 @@ swaggerSpec.paths = {
     },
   },
 
-  '/api/rate-limits': {
+  '/api/messages': {
     get: {
-      summary: 'Get current rate limit status',
-      tags: ['Anti-Ban'],
+      summary: 'Search the message history',
+      description: 'Inbound and outbound messages with their status transitions, newest first. '
+        + 'Kept for MESSAGE_HISTORY_RETENTION_DAYS.',
+      tags: ['Messaging'],
+      parameters: [
+        { name: 'contact', in: 'query', schema: { type: 'string' }, description: 'Phone number or group JID' },
+        { name: 'direction', in: 'query', schema: { type: 'string', enum: ['inbound', 'outbound'] } },
+        {
+          name: 'status',
+          in: 'query',
+          schema: { type: 'string', enum: ['received', 'queued', 'typing', 'sent', 'delivered', 'read', 'failed'] },
+          description: 'Current status',
+        },
+        { name: 'from', in: 'query', schema: { type: 'string' }, description: 'Created at or after (Unix ms or ISO date)' },
+        { name: 'to', in: 'query', schema: { type: 'string' }, description: 'Created at or before (Unix ms or ISO date)' },
+        { name: 'limit', in: 'query', schema: { type: 'integer', default: 50, maximum: 500 } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+      ],
       responses: {
         200: {
-          description: 'Rate limit status',
+          description: 'A page of messages',
           content: {
             'application/json': {
               schema: {
                 type: 'object',
                 properties: {
-                  hourly: {
-                    type: 'object',
-                    properties: {
-                      used: { type: 'number' },
-                      limit: { type: 'number' },
+                  messages: { type: 'array', items: { $ref: '#/components/schemas/HistoryMessage' } },
+                  total: { type: 'integer' },
+                  limit: { type: 'integer' },
+                  offset: { type: 'integer' },
+                  hasMore: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        400: {
+          description: 'Invalid filter',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  '/api/messages/{messageId}': {
+    get: {
+      summary: 'Get the lifecycle of a sent message',
+      description: 'queued → typing → sent → delivered → read, or failed with a reason. '
+        + 'Tracked live for 24 hours, then answered from the message history.',
+      tags: ['Messaging'],
+      parameters: [
+        {
+          name: 'messageId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Bridge message ID (from async sends) or WhatsApp message ID',
+        },
+      ],
+      responses: {
+        200: {
+          description: 'Message lifecycle',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/MessageLifecycle' },
+            },
+          },
+        },
+        404: {
+          description: 'Unknown or expired message',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+      },
+    },
+    patch: {
+      summary: 'Edit a sent text message',
+      description: 'Only text messages sent by this number, within 15 minutes of sending.',
+      tags: ['Messaging'],
+      parameters: [
+        { name: 'messageId', in: 'path', required: true, schema: { type: 'string' }, description: 'Bridge or WhatsApp message ID' },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['text'],
+              properties: { text: { type: 'string', maxLength: 4096 } },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: 'Edited',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  messageId: { type: 'string', description: 'WhatsApp message ID' },
+                  text: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Missing or overlong text' },
+        403: { description: 'Received message' },
+        404: { description: 'Unknown or expired message' },
+        409: { description: 'Not sent yet, deleted, split into parts, not text, or older than 15 minutes' },
+        423: { description: 'Ban protection active' },
+      },
+    },
+    delete: {
+      summary: 'Delete a sent message for everyone',
+      description: 'Only messages sent by this number, within 2.5 days of sending. Split messages are deleted part by part.',
+      tags: ['Messaging'],
+      parameters: [
+        { name: 'messageId', in: 'path', required: true, schema: { type: 'string' }, description: 'Bridge or WhatsApp message ID' },
+      ],
+      responses: {
+        200: {
+          description: 'Deleted',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  messageIds: { type: 'array', items: { type: 'string' }, description: 'Deleted WhatsApp message IDs' },
+                },
+              },
+            },
+          },
+        },
+        403: { description: 'Received message' },
+        404: { description: 'Unknown or expired message' },
+        409: { description: 'Not sent yet, already deleted, or older than 2.5 days' },
+        423: { description: 'Ban protection active' },
+      },
+    },
+  },
+
+  '/api/messages/{messageId}/react': {
+    post: {
+      summary: 'React to a message',
+      description: 'Sent or received messages in the message history. An empty emoji removes the reaction.',
+      tags: ['Messaging'],
+      parameters: [
+        { name: 'messageId', in: 'path', required: true, schema: { type: 'string' }, description: 'Bridge or WhatsApp message ID' },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['emoji'],
+              properties: { emoji: { type: 'string', example: '👍' } },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: 'Reaction sent',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  messageId: { type: 'string', description: 'WhatsApp message ID' },
+                  emoji: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Not a single emoji' },
+        404: { description: 'Unknown or expired message' },
+        409: { description: 'Message not sent yet' },
+        423: { description: 'Ban protection active' },
+      },
+    },
+  },
+
+  '/api/chats/{jid}/read': {
+    post: {
+      summary: 'Mark a chat as read',
+      description: 'Sends read receipts for the received messages of the chat that are not read yet.',
+      tags: ['Messaging'],
+      parameters: [
+        { name: 'jid', in: 'path', required: true, schema: { type: 'string' }, description: 'Phone number or group JID', example: '+6281234567890' },
+      ],
+      responses: {
+        200: {
+          description: 'Read receipts sent',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  chat: { type: 'string' },
+                  read: { type: 'integer', description: 'Messages marked read' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid chat' },
+        503: { description: 'WhatsApp not connected' },
+      },
+    },
+  },
+
+  '/api/media/{messageId}': {
+    get: {
+      summary: 'Download media from a received message',
+      description: 'Serves the file from the local media store, downloading it from WhatsApp on first request',
+      tags: ['Messaging'],
+      parameters: [
+        {
+          name: 'messageId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+          description: 'ID of the received message (message_id in message.received)',
+        },
+      ],
+      responses: {
+        200: {
+          description: 'Media file (Content-Type set from the message mimetype)',
+          headers: {
+            'X-Media-SHA256': {
+              schema: { type: 'string' },
+              description: 'SHA-256 of the file contents',
+            },
+          },
+          content: {
+            'application/octet-stream': {
+              schema: { type: 'string', format: 'binary' },
+            },
+          },
+        },
+        404: {
+          description: 'Unknown message, no media, or media expired',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  '/api/groups': {
+    get: {
+      summary: 'List groups this number is in',
+      tags: ['Groups'],
+      responses: {
+        200: {
+          description: 'Groups without participant lists',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: { groups: { type: 'array', items: { $ref: '#/components/schemas/Group' } } },
+              },
+            },
+          },
+        },
+        503: { description: 'WhatsApp not connected' },
+      },
+    },
+    post: {
+      summary: 'Create a group',
+      description: 'Limited to 2 per hour and 5 per day (GROUP_ACTION_LIMIT).',
+      tags: ['Groups'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['subject', 'participants'],
+              properties: {
+                subject: { type: 'string', maxLength: 100 },
+                participants: { type: 'array', items: { type: 'string' }, example: ['+6281234567890'] },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        201: { description: 'Group created' },
+        400: { description: 'Invalid subject or participants' },
+        423: { description: 'Ban protection active' },
+        429: { description: 'Group action limit' },
+      },
+    },
+  },
+
+  '/api/groups/{groupId}': {
+    get: {
+      summary: 'Group metadata and participants',
+      tags: ['Groups'],
+      parameters: [
+        { name: 'groupId', in: 'path', required: true, schema: { type: 'string' }, description: 'Group JID or its number' },
+      ],
+      responses: {
+        200: {
+          description: 'Group',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Group' },
+            },
+          },
+        },
+        400: { description: 'Invalid group ID' },
+        404: { description: 'Group not found' },
+      },
+    },
+    patch: {
+      summary: 'Update subject and/or description',
+      tags: ['Groups'],
+      parameters: [
+        { name: 'groupId', in: 'path', required: true, schema: { type: 'string' } },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                subject: { type: 'string', maxLength: 100 },
+                description: { type: 'string', maxLength: 2048, description: 'Empty string clears it' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Updated group' },
+        400: { description: 'Nothing to update or invalid values' },
+        403: { description: 'Not a group admin' },
+        429: { description: 'Group action limit' },
+      },
+    },
+  },
+
+  '/api/groups/{groupId}/participants': {
+    post: {
+      summary: 'Add, remove, promote or demote participants',
+      description: 'Counted per participant: 20 per hour and 50 per day (GROUP_ACTION_LIMIT).',
+      tags: ['Groups'],
+      parameters: [
+        { name: 'groupId', in: 'path', required: true, schema: { type: 'string' } },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['action', 'participants'],
+              properties: {
+                action: { type: 'string', enum: ['add', 'remove', 'promote', 'demote'] },
+                participants: { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: 'Result per participant',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  action: { type: 'string' },
+                  results: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        phone: { type: 'string' },
+                        success: { type: 'boolean' },
+                        status: { type: 'integer', description: 'WhatsApp status (403: privacy settings, 409: already in group)' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid action or participants' },
+        403: { description: 'Not a group admin' },
+        429: { description: 'Group action limit' },
+      },
+    },
+  },
+
+  '/api/groups/{groupId}/invite': {
+    get: {
+      summary: 'Get the invite link',
+      tags: ['Groups'],
+      parameters: [
+        { name: 'groupId', in: 'path', required: true, schema: { type: 'string' } },
+      ],
+      responses: {
+        200: {
+          description: 'Invite link',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/GroupInvite' },
+            },
+          },
+        },
+        403: { description: 'Not a group admin' },
+      },
+    },
+    delete: {
+      summary: 'Revoke the invite link',
+      description: 'The old link stops working; the response carries the new one.',
+      tags: ['Groups'],
+      parameters: [
+        { name: 'groupId', in: 'path', required: true, schema: { type: 'string' } },
+      ],
+      responses: {
+        200: { description: 'New invite link' },
+        403: { description: 'Not a group admin' },
+      },
+    },
+  },
+
+  '/api/contacts/check': {
+    post: {
+      summary: 'Check which numbers are on WhatsApp',
+      description: 'Up to 50 numbers. Results are cached for 7 days; uncached numbers count against '
+        + 'the lookup limits (200/hour, 1000/day, LOOKUP_LIMIT).',
+      tags: ['Contacts'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['phones'],
+              properties: {
+                phones: { type: 'array', items: { type: 'string' }, maxItems: 50, example: ['+6281234567890'] },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: 'Result per number',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  results: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        phone: { type: 'string' },
+                        exists: { type: 'boolean' },
+                        jid: { type: 'string', nullable: true },
+                        cached: { type: 'boolean' },
+                      },
+                    },
+                  },
+                  onWhatsApp: { type: 'integer' },
+                  cached: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid or too many phone numbers' },
+        423: { description: 'Ban protection active' },
+        429: { description: 'Lookup limit' },
+        503: { description: 'WhatsApp not connected' },
+      },
+    },
+  },
+
+  '/api/contacts/{phone}': {
+    get: {
+      summary: 'Profile picture, about text and business profile',
+      description: 'Cached for 24 hours.',
+      tags: ['Contacts'],
+      parameters: [
+        { name: 'phone', in: 'path', required: true, schema: { type: 'string' }, example: '+6281234567890' },
+        { name: 'refresh', in: 'query', schema: { type: 'boolean' }, description: 'Skip the cache' },
+      ],
+      responses: {
+        200: {
+          description: 'Contact profile (exists: false for numbers not on WhatsApp)',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ContactProfile' },
+            },
+          },
+        },
+        400: { description: 'Invalid phone number' },
+        429: { description: 'Lookup limit' },
+      },
+    },
+  },
+
+  '/api/campaigns': {
+    get: {
+      summary: 'List campaigns',
+      description: 'Newest first, with recipient counts per status.',
+      tags: ['Campaigns'],
+      responses: {
+        200: {
+          description: 'Campaigns',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  campaigns: { type: 'array', items: { $ref: '#/components/schemas/Campaign' } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    post: {
+      summary: 'Create a broadcast campaign',
+      description: 'Sends a template to each recipient with their variables, one message at a time and only '
+        + 'within the rate limits and contact warmup budgets, continuing across days as needed.',
+      tags: ['Campaigns'],
+      parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['name', 'recipients'],
+              properties: {
+                name: { type: 'string', maxLength: 100, example: 'March promo' },
+                template: { type: 'string', description: 'Stored template name (instead of text)' },
+                text: { type: 'string', maxLength: 4096, example: '{greeting} {name}, your voucher is {code}' },
+                recipients: {
+                  type: 'array',
+                  maxItems: 5000,
+                  description: 'Phone numbers, or objects with every template variable',
+                  items: {
+                    type: 'object',
+                    required: ['phone'],
+                    properties: {
+                      phone: { type: 'string', example: '+6281234567890' },
+                      variables: { type: 'object', additionalProperties: { type: 'string' }, example: { name: 'Sari', code: 'SARI10' } },
+                    },
+                  },
+                },
+                startAt: { type: 'string', description: 'Don\'t send before (Unix ms or ISO date)' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        201: {
+          description: 'Campaign created',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  campaign: { $ref: '#/components/schemas/Campaign' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid campaign, recipients or missing variables' },
+        404: { description: 'Template not found' },
+      },
+    },
+  },
+
+  '/api/campaigns/{campaignId}': {
+    get: {
+      summary: 'Campaign progress',
+      tags: ['Campaigns'],
+      parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Campaign',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Campaign' },
+            },
+          },
+        },
+        404: { description: 'Campaign not found' },
+      },
+    },
+  },
+
+  '/api/campaigns/{campaignId}/recipients': {
+    get: {
+      summary: 'Per-recipient status',
+      tags: ['Campaigns'],
+      parameters: [
+        { name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } },
+        {
+          name: 'status',
+          in: 'query',
+          schema: { type: 'string', enum: ['pending', 'sent', 'delivered', 'read', 'failed', 'skipped_opted_out'] },
+        },
+        { name: 'limit', in: 'query', schema: { type: 'integer', default: 50, maximum: 500 } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+      ],
+      responses: {
+        200: {
+          description: 'Page of recipients, in list order',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  recipients: { type: 'array', items: { $ref: '#/components/schemas/CampaignRecipient' } },
+                  total: { type: 'integer' },
+                  limit: { type: 'integer' },
+                  offset: { type: 'integer' },
+                  hasMore: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid filter' },
+        404: { description: 'Campaign not found' },
+      },
+    },
+  },
+
+  '/api/campaigns/{campaignId}/pause': {
+    post: {
+      summary: 'Pause a campaign',
+      tags: ['Campaigns'],
+      parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Updated campaign',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  campaign: { $ref: '#/components/schemas/Campaign' },
+                },
+              },
+            },
+          },
+        },
+        404: { description: 'Campaign not found' },
+        409: { description: 'Campaign is not running' },
+      },
+    },
+  },
+
+  '/api/campaigns/{campaignId}/resume': {
+    post: {
+      summary: 'Resume a paused campaign',
+      tags: ['Campaigns'],
+      parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Updated campaign',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  campaign: { $ref: '#/components/schemas/Campaign' },
+                },
+              },
+            },
+          },
+        },
+        404: { description: 'Campaign not found' },
+        409: { description: 'Campaign is not paused' },
+      },
+    },
+  },
+
+  '/api/campaigns/{campaignId}/cancel': {
+    post: {
+      summary: 'Cancel a campaign',
+      tags: ['Campaigns'],
+      parameters: [{ name: 'campaignId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Updated campaign',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  campaign: { $ref: '#/components/schemas/Campaign' },
+                },
+              },
+            },
+          },
+        },
+        404: { description: 'Campaign not found' },
+        409: { description: 'Campaign already completed or cancelled' },
+      },
+    },
+  },
+
+  '/api/consent': {
+    get: {
+      summary: 'List consent records',
+      description: 'Most recently changed first.',
+      tags: ['Consent'],
+      parameters: [
+        { name: 'status', in: 'query', schema: { type: 'string', enum: ['opted_in', 'opted_out'] } },
+      ],
+      responses: {
+        200: {
+          description: 'Consent records',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  contacts: { type: 'array', items: { $ref: '#/components/schemas/ConsentRecord' } },
+                  total: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid status' },
+      },
+    },
+  },
+
+  '/api/consent/{phone}': {
+    get: {
+      summary: 'Consent of one contact',
+      tags: ['Consent'],
+      parameters: [{ name: 'phone', in: 'path', required: true, schema: { type: 'string' }, example: '+6281234567890' }],
+      responses: {
+        200: {
+          description: 'Consent record',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ConsentRecord' },
+            },
+          },
+        },
+        400: { description: 'Invalid phone number' },
+        404: { description: 'No consent recorded' },
+      },
+    },
+  },
+
+  '/api/consent/{phone}/opt-in': {
+    post: {
+      summary: 'Record consent to receive messages',
+      description: 'Emits contact.opted_in when the status changes.',
+      tags: ['Consent'],
+      parameters: [{ name: 'phone', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                source: { type: 'string', maxLength: 100, default: 'api', example: 'checkout-form' },
+                at: { type: 'string', description: 'When consent was given (Unix ms or ISO date, default now)' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: 'Current consent (changed: false if the status was already the same)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  changed: { type: 'boolean' },
+                  consent: { $ref: '#/components/schemas/ConsentRecord' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid phone number, source or time' },
+      },
+    },
+  },
+
+  '/api/consent/{phone}/opt-out': {
+    post: {
+      summary: 'Stop messaging a contact',
+      description: 'Afterwards only replies quoting a message from the contact are sent (409 CONTACT_OPTED_OUT otherwise). '
+        + 'Emits contact.opted_out when the status changes.',
+      tags: ['Consent'],
+      parameters: [{ name: 'phone', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                source: { type: 'string', maxLength: 100, default: 'api' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: 'Current consent (changed: false if the status was already the same)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  changed: { type: 'boolean' },
+                  consent: { $ref: '#/components/schemas/ConsentRecord' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid phone number, source or time' },
+      },
+    },
+  },
+
+  '/api/_sim': {
+    get: {
+      summary: 'Simulator state',
+      description: 'Only with WA_BACKEND=fake. Also under /api/sessions/{sessionId}/_sim.',
+      tags: ['Simulator'],
+      responses: {
+        200: {
+          description: 'Pairing state, queued failures and recent sends',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/SimState' } } },
+        },
+        404: { description: 'Not running with WA_BACKEND=fake' },
+      },
+    },
+  },
+
+  '/api/_sim/pair': {
+    post: {
+      summary: 'Scan the QR code',
+      description: 'Opens the waiting connection as the given account.',
+      tags: ['Simulator'],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                phone: { type: 'string', example: '6280000000001' },
+                name: { type: 'string', example: 'WA2Bridge Simulator' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Paired' },
+        404: { description: 'Not running with WA_BACKEND=fake' },
+        409: { description: 'Not started or already paired' },
+      },
+    },
+  },
+
+  '/api/_sim/messages': {
+    post: {
+      summary: 'Receive a message',
+      description: 'Delivered to the bridge as a WhatsApp text message (webhooks, auto-responder, STOP keywords).',
+      tags: ['Simulator'],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['from', 'text'],
+              properties: {
+                from: { type: 'string', example: '+6281234567890' },
+                text: { type: 'string', example: 'Halo' },
+                push_name: { type: 'string' },
+                group_jid: { type: 'string', example: '120363012345678901@g.us' },
+                reply_to: { type: 'string', description: 'WhatsApp ID of a quoted message' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'WhatsApp ID of the incoming message (messageId)' },
+        400: { description: 'Invalid phone number, text or group JID' },
+        404: { description: 'Not running with WA_BACKEND=fake' },
+        409: { description: 'Not connected' },
+      },
+    },
+  },
+
+  '/api/_sim/receipts': {
+    post: {
+      summary: 'Send a receipt',
+      description: 'Updates a sent message (see GET /api/_sim for IDs); emits message.delivered / message.read.',
+      tags: ['Simulator'],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['message_id', 'status'],
+              properties: {
+                message_id: { type: 'string' },
+                status: { type: 'string', enum: ['sent', 'delivered', 'read', 'played', 'failed'] },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Receipt sent' },
+        400: { description: 'Unknown status' },
+        404: { description: 'Not running with WA_BACKEND=fake' },
+        409: { description: 'Not connected' },
+      },
+    },
+  },
+
+  '/api/_sim/disconnect': {
+    post: {
+      summary: 'Drop the connection',
+      description: 'The bridge reconnects with backoff, except after logged_out.',
+      tags: ['Simulator'],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                reason: {
+                  type: 'string',
+                  enum: ['connection_closed', 'connection_lost', 'connection_replaced', 'logged_out', 'bad_session', 'restart_required'],
+                  default: 'connection_lost',
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Disconnected' },
+        400: { description: 'Unknown reason' },
+        404: { description: 'Not running with WA_BACKEND=fake' },
+        409: { description: 'Not connected' },
+      },
+    },
+  },
+
+  '/api/_sim/failures': {
+    post: {
+      summary: 'Fail the next sends',
+      description: 'The next sends fail with SEND_FAILED, as if WhatsApp refused them.',
+      tags: ['Simulator'],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                count: { type: 'integer', minimum: 1, maximum: 100, default: 1 },
+                error: { type: 'string', default: 'Simulated send failure' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Failures queued' },
+        400: { description: 'Invalid count' },
+        404: { description: 'Not running with WA_BACKEND=fake' },
+      },
+    },
+  },
+
+  '/api/sessions': {
+    get: {
+      summary: 'List sessions',
+      description: 'All WhatsApp sessions run by this bridge. Any /api/* endpoint is also available as /api/sessions/{sessionId}/*.',
+      tags: ['Sessions'],
+      responses: {
+        200: {
+          description: 'Sessions',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  sessions: { type: 'array', items: { $ref: '#/components/schemas/Session' } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    post: {
+      summary: 'Create a session',
+      tags: ['Sessions'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['id'],
+              properties: {
+                id: { type: 'string', example: 'sales', description: '1-32 letters, digits, "_" or "-"' },
+                start: { type: 'boolean', default: true },
+                webhookUrl: { type: 'string' },
+                accountAgeWeeks: { type: 'number' },
+                activeHoursStart: { type: 'number' },
+                activeHoursEnd: { type: 'number' },
+                messageDelay: { type: 'number' },
+                typingDelay: { type: 'number' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        201: { description: 'Session created' },
+        400: { description: 'Invalid session ID or config' },
+        409: { description: 'Session already exists' },
+      },
+    },
+  },
+
+  '/api/sessions/{sessionId}': {
+    get: {
+      summary: 'Session details',
+      tags: ['Sessions'],
+      parameters: [
+        {
+          name: 'sessionId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: {
+          description: 'Session info with rate limits and ban warning',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Session' },
+            },
+          },
+        },
+        404: { description: 'Session not found' },
+      },
+    },
+    delete: {
+      summary: 'Log out and delete a session',
+      description: 'Removes auth and anti-ban state. The default session cannot be deleted.',
+      tags: ['Sessions'],
+      parameters: [
+        {
+          name: 'sessionId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Session deleted' },
+        400: { description: 'Default session' },
+        404: { description: 'Session not found' },
+      },
+    },
+  },
+
+  '/api/sessions/{sessionId}/start': {
+    post: {
+      summary: 'Start (connect) a session',
+      tags: ['Sessions'],
+      parameters: [
+        {
+          name: 'sessionId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Session started' },
+        404: { description: 'Session not found' },
+      },
+    },
+  },
+
+  '/api/sessions/{sessionId}/stop': {
+    post: {
+      summary: 'Stop a session without logging out',
+      tags: ['Sessions'],
+      parameters: [
+        {
+          name: 'sessionId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Session stopped (still paired)' },
+        404: { description: 'Session not found' },
+      },
+    },
+  },
+
+  '/api/rate-limits': {
+    get: {
+      summary: 'Get current rate limit status',
+      tags: ['Anti-Ban'],
+      responses: {
+        200: {
+          description: 'Rate limit status',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  hourly: {
+                    type: 'object',
+                    properties: {
+                      used: { type: 'number' },
+                      limit: { type: 'number' },
                       remaining: { type: 'number' },
                     },
                   },
@@ -534,6 +2278,279 @@ swaggerSpec.paths = {
     },
   },
 
+  '/api/webhooks/endpoints': {
+    get: {
+      summary: 'List webhook endpoints',
+      description: 'Extra endpoints receiving events in addition to WEBHOOK_URL. Secrets are never returned.',
+      tags: ['Webhooks'],
+      responses: {
+        200: {
+          description: 'Registered endpoints',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  endpoints: { type: 'array', items: { $ref: '#/components/schemas/WebhookEndpoint' } },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    post: {
+      summary: 'Register a webhook endpoint',
+      tags: ['Webhooks'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/WebhookEndpointInput' },
+          },
+        },
+      },
+      responses: {
+        201: { description: 'Endpoint created' },
+        400: { description: 'Invalid endpoint definition' },
+      },
+    },
+  },
+
+  '/api/webhooks/endpoints/{endpointId}': {
+    get: {
+      summary: 'Get a webhook endpoint',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'endpointId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: {
+          description: 'Endpoint with delivery stats',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/WebhookEndpoint' },
+            },
+          },
+        },
+        404: { description: 'Endpoint not found' },
+      },
+    },
+    patch: {
+      summary: 'Update a webhook endpoint',
+      description: 'Only the fields present in the body change. Set "secret" to null to fall back to WEBHOOK_SECRET.',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'endpointId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/WebhookEndpointInput' },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Endpoint updated' },
+        400: { description: 'Invalid endpoint definition' },
+        404: { description: 'Endpoint not found' },
+      },
+    },
+    delete: {
+      summary: 'Remove a webhook endpoint',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'endpointId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Endpoint removed (pending retries are dropped)' },
+        404: { description: 'Endpoint not found' },
+      },
+    },
+  },
+
+  '/api/webhooks/endpoints/{endpointId}/test': {
+    post: {
+      summary: 'Send a test event to one endpoint',
+      description: 'Ignores the endpoint event filter and enabled flag.',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'endpointId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Delivery result' },
+        404: { description: 'Endpoint not found' },
+      },
+    },
+  },
+
+  '/api/webhooks/dead-letters': {
+    get: {
+      summary: 'List failed webhook deliveries',
+      description: 'Deliveries that got a 4xx response or ran out of retries, most recent first. Payloads are omitted.',
+      tags: ['Webhooks'],
+      parameters: [
+        { name: 'event', in: 'query', schema: { type: 'string' }, description: 'Event type or "group.*"' },
+        { name: 'endpoint', in: 'query', schema: { type: 'string' }, description: '"default" or an endpoint ID' },
+        { name: 'status', in: 'query', schema: { type: 'integer' }, description: 'HTTP status of the last attempt' },
+        { name: 'reason', in: 'query', schema: { type: 'string', enum: ['client_error', 'max_attempts'] } },
+        { name: 'since', in: 'query', schema: { type: 'string' }, description: 'Unix ms or ISO date' },
+        { name: 'until', in: 'query', schema: { type: 'string' }, description: 'Unix ms or ISO date' },
+        { name: 'limit', in: 'query', schema: { type: 'integer' } },
+      ],
+      responses: {
+        200: {
+          description: 'Dead letters and counts by event and endpoint',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  deadLetters: { type: 'array', items: { $ref: '#/components/schemas/WebhookDeadLetter' } },
+                  stats: { type: 'object' },
+                },
+              },
+            },
+          },
+        },
+        400: { description: 'Invalid filter' },
+      },
+    },
+    delete: {
+      summary: 'Purge failed webhook deliveries',
+      description: 'Removes every entry matching the filter, or all entries without one.',
+      tags: ['Webhooks'],
+      parameters: [
+        { name: 'event', in: 'query', schema: { type: 'string' }, description: 'Event type or "group.*"' },
+        { name: 'endpoint', in: 'query', schema: { type: 'string' }, description: '"default" or an endpoint ID' },
+        { name: 'status', in: 'query', schema: { type: 'integer' }, description: 'HTTP status of the last attempt' },
+        { name: 'reason', in: 'query', schema: { type: 'string', enum: ['client_error', 'max_attempts'] } },
+        { name: 'since', in: 'query', schema: { type: 'string' }, description: 'Unix ms or ISO date' },
+        { name: 'until', in: 'query', schema: { type: 'string' }, description: 'Unix ms or ISO date' },
+      ],
+      responses: {
+        200: { description: 'Number of purged entries' },
+        400: { description: 'Invalid filter' },
+      },
+    },
+  },
+
+  '/api/webhooks/dead-letters/replay': {
+    post: {
+      summary: 'Replay failed webhook deliveries in bulk',
+      description: 'Replays the given IDs, or every entry matching the filter fields. Delivered entries are removed.',
+      tags: ['Webhooks'],
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                ids: { type: 'array', items: { type: 'string' } },
+                event: { type: 'string' },
+                endpoint: { type: 'string' },
+                status: { type: 'integer' },
+                reason: { type: 'string' },
+                since: { type: 'string' },
+                until: { type: 'string' },
+                limit: { type: 'integer' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: 'Replay summary with one result per entry' },
+        400: { description: 'Invalid filter' },
+      },
+    },
+  },
+
+  '/api/webhooks/dead-letters/{deadLetterId}': {
+    get: {
+      summary: 'Inspect a failed webhook delivery',
+      description: 'Includes the payload and the body of the last response.',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'deadLetterId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: {
+          description: 'Dead letter',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/WebhookDeadLetter' },
+            },
+          },
+        },
+        404: { description: 'Dead letter not found' },
+      },
+    },
+    delete: {
+      summary: 'Delete a failed webhook delivery',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'deadLetterId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Dead letter deleted' },
+        404: { description: 'Dead letter not found' },
+      },
+    },
+  },
+
+  '/api/webhooks/dead-letters/{deadLetterId}/replay': {
+    post: {
+      summary: 'Replay a failed webhook delivery',
+      description: 'Sends the payload again with its original event ID. Removed on success.',
+      tags: ['Webhooks'],
+      parameters: [
+        {
+          name: 'deadLetterId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+      ],
+      responses: {
+        200: { description: 'Replay result' },
+        404: { description: 'Dead letter not found' },
+        409: { description: 'The endpoint it was sent to no longer exists' },
+      },
+    },
+  },
+
   '/api/analytics': {
     get: {
       summary: 'Get message analytics summary',
@@ -644,6 +2661,7 @@ swaggerSpec.paths = {
     post: {
       summary: 'Schedule a new message',
       tags: ['Automation'],
+      parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
       requestBody: {
         required: true,
         content: {
@@ -0,0 +1,198 @@
+/**
+ * WhatsApp transports
+ *
+ * WhatsAppClient layers the anti-ban pipeline, stores and webhook emitter
+ * once, on top of a socket that speaks the Baileys interface. Every backend
+ * (WA_BACKEND) provides that socket:
+ *
+ * - baileys: makeWASocket itself (multi-device protocol over a websocket)
+ * - webjs:   whatsapp-web.js driving WhatsApp Web in headless Chromium,
+ *            adapted in whatsapp-webjs.js
+ * - cloud:   Meta's WhatsApp Cloud API over HTTPS (whatsapp-cloud.js)
+ * - fake:    offline simulator for end-to-end tests (fake-socket.js)
+ *
+ * The socket interface:
+ *
+ * - Connect:  ev 'connection.update' ({ qr } | { connection: 'open' } |
+ *             { connection: 'close', lastDisconnect }) with DISCONNECT_CODES
+ *             as lastDisconnect.error.output.statusCode; `user`, logout(), end()
+ * - Send:     sendMessage(jid, content, { quoted }) with Baileys content
+ *             (text, media, location, contacts, poll, react, edit, delete)
+ * - Receive:  ev 'messages.upsert' ({ messages, type: 'notify' }) with Baileys
+ *             WAMessages; downloadMedia(message) for their media
+ * - Receipts: ev 'messages.update' ([{ key, update: { status } }]) with
+ *             RECEIPT_STATUSES, or { pollUpdates } for votes on our polls
+ * - Presence: sendPresenceUpdate(type, jid), presenceSubscribe(jid), readMessages(keys)
+ * - Lookups:  onWhatsApp, profilePictureUrl, fetchStatus, getBusinessProfile
+ *             and the group* methods
+ *
+ * Backend packages are imported when selected, so only the one in use has
+ * to be installed.
+ */
+
+import pino from 'pino';
+
+import { getBrowserFingerprint } from './anti-ban.js';
+import { ConnectionError } from './errors.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const WA_BACKENDS = ['baileys', 'webjs', 'cloud', 'fake'];
+
+// Backends that send message templates (the simulator just records them)
+export const TEMPLATE_BACKENDS = ['cloud', 'fake'];
+
+// Baileys DisconnectReason status codes
+export const DISCONNECT_CODES = {
+  connection_closed: 428,
+  connection_lost: 408,
+  connection_replaced: 440,
+  logged_out: 401,
+  bad_session: 500,
+  restart_required: 515,
+};
+
+// Baileys WAMessageStatus values sent in messages.update
+export const RECEIPT_STATUSES = {
+  failed: 0,
+  sent: 2,
+  delivered: 3,
+  read: 4,
+  played: 5,
+};
+
+const DISCONNECT_NAMES = {
+  [DISCONNECT_CODES.bad_session]: 'Bad Session',
+  [DISCONNECT_CODES.connection_closed]: 'Connection Closed',
+  [DISCONNECT_CODES.connection_lost]: 'Connection Lost',
+  [DISCONNECT_CODES.connection_replaced]: 'Connection Replaced',
+  [DISCONNECT_CODES.logged_out]: 'Logged Out',
+  [DISCONNECT_CODES.restart_required]: 'Restart Required',
+};
+
+/**
+ * Human-readable name of a disconnect status code
+ */
+export function disconnectReasonName(statusCode) {
+  return DISCONNECT_NAMES[statusCode] || `Unknown (${statusCode})`;
+}
+
+/**
+ * Import a backend package, with install instructions when it is missing
+ */
+export async function importBackend(backend, packageName) {
+  try {
+    return await import(packageName);
+  } catch (err) {
+    if (err.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new ConnectionError(`WA_BACKEND=${backend} needs the ${packageName} package: npm install ${packageName}`, {
+        code: 'BACKEND_UNAVAILABLE',
+      });
+    }
+    throw err;
+  }
+}
+
+// =============================================================================
+// BAILEYS
+// =============================================================================
+
+/**
+ * Baileys socket with the stored auth state, latest WA Web version and
+ * rotating browser fingerprint
+ * @param {Object} options
+ * @param {string} options.sessionsDir - Auth state directory
+ * @param {Object} options.logger
+ * @param {Function} [options.getMessage] - Original message for a key (decrypts poll votes)
+ * @returns {Promise<{socket: Object, saveCreds: Function}>}
+ */
+export async function createBaileysSocket(options) {
+  const {
+    default: makeWASocket,
+    useMultiFileAuthState,
+    fetchLatestBaileysVersion,
+    downloadMediaMessage,
+  } = await importBackend('baileys', '@whiskeysockets/baileys');
+  const { logger } = options;
+
+  const { state, saveCreds } = await useMultiFileAuthState(options.sessionsDir);
+
+  // Fetch latest WA Web version for compatibility
+  let version;
+  try {
+    const versionInfo = await fetchLatestBaileysVersion();
+    version = versionInfo.version;
+    logger.info({ version }, 'Using WhatsApp Web version');
+  } catch (err) {
+    logger.warn('Could not fetch latest version, using default');
+  }
+
+  // Get rotating browser fingerprint (changes every 24-48 hours)
+  const browserFingerprint = getBrowserFingerprint(options.sessionsDir);
+  logger.info({ browser: browserFingerprint }, 'Using browser fingerprint');
+
+  const socket = makeWASocket({
+    auth: state,
+    logger: pino({ level: 'warn' }),
+    browser: browserFingerprint,  // Rotating fingerprint instead of hardcoded
+    syncFullHistory: false,
+    connectTimeoutMs: 60000,
+    defaultQueryTimeoutMs: 60000,
+    markOnlineOnConnect: false,
+    getMessage: options.getMessage,
+    ...(version && { version }),
+  });
+
+  // Expired media URLs are refreshed through the socket
+  socket.downloadMedia = (message) => downloadMediaMessage(message, 'buffer', {}, {
+    logger,
+    reuploadRequest: socket.updateMediaMessage,
+  });
+
+  return { socket, saveCreds };
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * Socket for the selected backend
+ * @param {'baileys'|'webjs'|'cloud'|'fake'} backend
+ * @param {Object} options
+ * @param {string} options.sessionsDir
+ * @param {Object} options.logger
+ * @param {Function} [options.getMessage] - Baileys only
+ * @param {Object} [options.cloud] - Cloud API only: { accessToken, phoneNumberId, apiUrl, apiVersion }
+ * @param {import('./fake-socket.js').WhatsAppSimulator} [options.simulator] - Fake only
+ * @returns {Promise<{socket: Object, saveCreds: Function}>}
+ */
+export async function createSocket(backend, options) {
+  switch (backend) {
+    case 'fake':
+      return { socket: options.simulator.createSocket(), saveCreds: () => {} };
+    case 'webjs': {
+      const { createWebjsSocket } = await import('./whatsapp-webjs.js');
+      return createWebjsSocket(options);
+    }
+    case 'cloud': {
+      const { createCloudSocket } = await import('./whatsapp-cloud.js');
+      return createCloudSocket(options);
+    }
+    default:
+      return createBaileysSocket(options);
+  }
+}
+
+export default {
+  WA_BACKENDS,
+  TEMPLATE_BACKENDS,
+  DISCONNECT_CODES,
+  RECEIPT_STATUSES,
+  disconnectReasonName,
+  importBackend,
+  createBaileysSocket,
+  createSocket,
+};
@@ -232,7 +232,11 @@ validator
 // Webhook
 validator
   .recommend('WEBHOOK_URL', 'Laravel webhook URL for incoming messages', 'none (messages not forwarded)')
-  .validateUrl('WEBHOOK_URL');
+  .validateUrl('WEBHOOK_URL')
+  .recommend('WEBHOOK_SECRET', 'Secret for signing webhooks', 'none (webhooks unsigned)')
+  .validate('WEBHOOK_SECRET', (v) => v.length >= 16, 'WEBHOOK_SECRET should be at least 16 characters')
+  .validate('WEBHOOK_SECRET', (v) => v !== process.env.API_SECRET, 'WEBHOOK_SECRET must differ from API_SECRET')
+  .validateEnum('WEBHOOK_PAYLOAD_VERSION', ['v1', 'v2']);
 
 // Anti-ban settings
 validator
@@ -250,6 +254,62 @@ validator
   .recommend('TYPING_DELAY_MS', 'Base typing indicator duration (ms)', '500')
   .validateNumber('TYPING_DELAY_MS', 100, 5000);
 
+// Media settings
+validator
+  .recommend('MEDIA_MAX_BYTES', 'Max outbound image/video/audio size (bytes)', '16777216')
+  .validateNumber('MEDIA_MAX_BYTES', 1024, 16 * 1024 * 1024)
+  .recommend('MEDIA_MAX_DOCUMENT_BYTES', 'Max outbound document size (bytes)', '104857600')
+  .validateNumber('MEDIA_MAX_DOCUMENT_BYTES', 1024, 100 * 1024 * 1024)
+  .recommend('MEDIA_STORE_TTL_HOURS', 'Hours to keep downloaded media', '24')
+  .validateNumber('MEDIA_STORE_TTL_HOURS', 1, 720)
+  .recommend('MEDIA_STORE_MAX_BYTES', 'Disk cap for downloaded media (bytes)', '1073741824')
+  .validateNumber('MEDIA_STORE_MAX_BYTES', 1024 * 1024)
+  .validateEnum('MEDIA_AUTO_DOWNLOAD', ['true', 'false']);
+
+// Idempotency keys
+validator
+  .recommend('IDEMPOTENCY_TTL_HOURS', 'Hours an Idempotency-Key response is replayed', '24')
+  .validateNumber('IDEMPOTENCY_TTL_HOURS', 1, 720);
+
+// Message history
+validator
+  .recommend('MESSAGE_HISTORY_RETENTION_DAYS', 'Days to keep message history', '30')
+  .validateNumber('MESSAGE_HISTORY_RETENTION_DAYS', 1, 3650);
+
+// Consent
+validator
+  .validateEnum('CONSENT_REPLIES', ['true', 'false']);
+
+// Metrics
+validator
+  .validate('METRICS_USERNAME', () => !!process.env.METRICS_PASSWORD, 'METRICS_PASSWORD is required with METRICS_USERNAME')
+  .validate('METRICS_PASSWORD', () => !!process.env.METRICS_USERNAME, 'METRICS_USERNAME is required with METRICS_PASSWORD')
+  .validate('METRICS_USERNAME', (v) => !v.includes(':'), 'METRICS_USERNAME must not contain ":"');
+
+// Backend
+validator
+  .validateEnum('WA_BACKEND', ['baileys', 'webjs', 'cloud', 'fake'])
+  .validateEnum('WA_SIM_AUTO_PAIR', ['true', 'false'])
+  .validateUrl('WA_CLOUD_API_URL');
+if (process.env.WA_BACKEND === 'cloud') {
+  validator
+    .require('WA_CLOUD_ACCESS_TOKEN', 'Cloud API access token (system user token from Meta Business Manager)')
+    .require('WA_CLOUD_PHONE_NUMBER_ID', 'Cloud API phone number ID')
+    .recommend('WA_CLOUD_APP_SECRET', 'Meta app secret, verifies webhook signatures (webhooks stay off without it)')
+    .recommend('WA_CLOUD_VERIFY_TOKEN', 'Token Meta echoes when subscribing the webhook (webhooks stay off without it)');
+}
+if (process.env.WA_BACKEND === 'fake' && process.env.NODE_ENV === 'production') {
+  validator.warnings.push({
+    name: 'WA_BACKEND',
+    message: 'WA_BACKEND=fake in production: no messages reach WhatsApp',
+    description: 'The fake backend is meant for offline end-to-end tests',
+  });
+}
+
+// State storage
+validator
+  .validateEnum('STORAGE_DRIVER', ['json', 'sqlite']);
+
 // Logging
 validator
   .recommend('LOG_LEVEL', 'Logging verbosity', 'info')
@@ -0,0 +1,253 @@
+/**
+ * Webhook dead letters
+ *
+ * Deliveries that WebhookManager gives up on - a 4xx response, or a failed
+ * retry queue item after maxQueueAttempts - are kept here with the payload
+ * and the last response so they can be inspected, replayed or purged.
+ *
+ * Stored per session in the 'webhook-dead-letters' document. The oldest
+ * entries are dropped once `maxEntries` is reached.
+ */
+
+import { randomBytes } from 'crypto';
+import { getStorage } from './storage.js';
+
+export const DEAD_LETTER_REASONS = ['client_error', 'max_attempts'];
+
+/**
+ * Dead letter errors (unknown entry, replay target gone)
+ */
+export class DeadLetterError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeadLetterError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse a time filter given as Unix ms or an ISO date
+ * @returns {number|null}
+ */
+export function parseTimeFilter(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new DeadLetterError(`"${name}" must be a Unix timestamp in ms or an ISO date`);
+  }
+  return ms;
+}
+
+/**
+ * Normalize list/purge/replay filters (query string or JSON body)
+ * @param {Object} input
+ * @param {string} [input.event] - Event type or `group.*`
+ * @param {string} [input.endpoint] - 'default' or an endpoint ID
+ * @param {number|string} [input.status] - HTTP status of the last attempt
+ * @param {string} [input.reason] - 'client_error' or 'max_attempts'
+ * @param {number|string} [input.since] - Dead-lettered at or after
+ * @param {number|string} [input.until] - Dead-lettered at or before
+ * @param {number|string} [input.limit]
+ * @returns {Object}
+ */
+export function parseDeadLetterFilter(input = {}) {
+  const filter = {};
+
+  if (input.event) filter.event = String(input.event);
+  if (input.endpoint) filter.endpoint = String(input.endpoint);
+
+  if (input.status !== undefined && input.status !== '') {
+    const status = Number(input.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      throw new DeadLetterError('"status" must be an HTTP status code');
+    }
+    filter.status = status;
+  }
+
+  if (input.reason) {
+    if (!DEAD_LETTER_REASONS.includes(input.reason)) {
+      throw new DeadLetterError(`"reason" must be one of: ${DEAD_LETTER_REASONS.join(', ')}`);
+    }
+    filter.reason = input.reason;
+  }
+
+  filter.since = parseTimeFilter(input.since, 'since');
+  filter.until = parseTimeFilter(input.until, 'until');
+
+  if (input.limit !== undefined && input.limit !== '') {
+    const limit = Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new DeadLetterError('"limit" must be a positive integer');
+    }
+    filter.limit = limit;
+  }
+
+  return filter;
+}
+
+function matchesFilter(entry, filter) {
+  if (filter.event) {
+    const matches = filter.event.endsWith('.*')
+      ? entry.event?.startsWith(filter.event.slice(0, -1))
+      : entry.event === filter.event;
+    if (!matches) return false;
+  }
+  if (filter.endpoint && entry.endpoint !== filter.endpoint) return false;
+  if (filter.status && entry.statusCode !== filter.status) return false;
+  if (filter.reason && entry.reason !== filter.reason) return false;
+  if (filter.since && entry.deadAt < filter.since) return false;
+  if (filter.until && entry.deadAt > filter.until) return false;
+  return true;
+}
+
+/**
+ * Persistent store of failed webhook deliveries
+ */
+export class WebhookDeadLetterStore {
+  constructor(options = {}) {
+    this.storage = options.storage || getStorage(options.sessionsDir);
+    this.maxEntries = options.maxEntries || 1000;
+
+    // Oldest first
+    this.entries = [];
+    this.loadState();
+  }
+
+  /**
+   * Store a failed delivery
+   * @param {Object} entry - From WebhookManager.onDeadLetter plus `endpoint`
+   * @returns {Object} Stored entry
+   */
+  add(entry) {
+    const record = {
+      id: `dl_${randomBytes(8).toString('hex')}`,
+      eventId: entry.eventId,
+      event: entry.event || null,
+      endpoint: entry.endpoint || 'default',
+      reason: entry.reason,
+      attempts: entry.attempts || 0,
+      statusCode: entry.statusCode ?? null,
+      responseBody: entry.responseBody ?? null,
+      error: entry.error ?? null,
+      payload: entry.payload,
+      firstFailedAt: entry.firstFailedAt ?? null,
+      deadAt: Date.now(),
+      replays: 0,
+      lastReplayAt: null,
+    };
+
+    this.entries.push(record);
+    while (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+    this.saveState();
+
+    return record;
+  }
+
+  /**
+   * Full entry including payload and last response body
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Entries matching a filter, most recent first, without payloads
+   * @param {Object} [filter] - See parseDeadLetterFilter
+   */
+  list(filter = {}) {
+    const matched = this.find(filter).map(({ payload, responseBody, ...summary }) => summary);
+    return filter.limit ? matched.slice(0, filter.limit) : matched;
+  }
+
+  /**
+   * Full entries matching a filter, most recent first
+   */
+  find(filter = {}) {
+    return this.entries.filter(entry => matchesFilter(entry, filter)).reverse();
+  }
+
+  /**
+   * Record the outcome of a failed replay
+   */
+  recordReplay(id, result) {
+    const entry = this.get(id);
+    if (!entry) return null;
+
+    entry.replays++;
+    entry.lastReplayAt = Date.now();
+    entry.statusCode = result.status ?? null;
+    entry.responseBody = result.responseBody ?? null;
+    entry.error = result.error ?? null;
+    this.saveState();
+
+    return entry;
+  }
+
+  remove(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    this.entries.splice(index, 1);
+    this.saveState();
+    return true;
+  }
+
+  /**
+   * Remove every entry matching the filter (all entries without one)
+   * @returns {number} Removed count
+   */
+  purge(filter = {}) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => !matchesFilter(entry, filter));
+
+    const removed = before - this.entries.length;
+    if (removed > 0) this.saveState();
+    return removed;
+  }
+
+  getStats() {
+    const byEvent = {};
+    const byEndpoint = {};
+    for (const entry of this.entries) {
+      byEvent[entry.event] = (byEvent[entry.event] || 0) + 1;
+      byEndpoint[entry.endpoint] = (byEndpoint[entry.endpoint] || 0) + 1;
+    }
+
+    return {
+      total: this.entries.length,
+      byEvent,
+      byEndpoint,
+      oldestAt: this.entries[0]?.deadAt ?? null,
+      newestAt: this.entries[this.entries.length - 1]?.deadAt ?? null,
+    };
+  }
+
+  loadState() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('webhook-dead-letters');
+      this.entries = data?.entries || [];
+    } catch (err) {}
+  }
+
+  saveState() {
+    if (!this.storage) return;
+    try {
+      this.storage.save('webhook-dead-letters', {
+        entries: this.entries,
+        savedAt: Date.now(),
+      });
+    } catch (err) {}
+  }
+}
+
+export default {
+  DEAD_LETTER_REASONS,
+  DeadLetterError,
+  WebhookDeadLetterStore,
+  parseDeadLetterFilter,
+  parseTimeFilter,
+};
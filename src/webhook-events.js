@@ -9,9 +9,17 @@
  *
  * This improves Laravel integration by providing detailed event hooks
  * instead of just message forwarding.
+ *
+ * Besides the WEBHOOK_URL target, any number of extra endpoints can be
+ * registered, each with its own event filter, secret, headers and retry
+ * policy (e.g. Laravel for messages, an ops service for `antiban.*`).
  */
 
+import { randomBytes } from 'crypto';
 import { WebhookManager } from './anti-ban.js';
+import { generateEventId } from './webhook-signature.js';
+import { getStorage } from './storage.js';
+import { WebhookDeadLetterStore, DeadLetterError } from './webhook-dead-letters.js';
 
 /**
  * Webhook event types
@@ -24,6 +32,10 @@ export const WebhookEventType = {
   MESSAGE_DELIVERED: 'message.delivered',
   MESSAGE_READ: 'message.read',
   MESSAGE_FAILED: 'message.failed',
+  MESSAGE_REACTION: 'message.reaction',
+  MESSAGE_EDITED: 'message.edited',
+  MESSAGE_REVOKED: 'message.revoked',
+  MESSAGE_POLL_VOTE: 'message.poll_vote',
 
   // Presence Events
   PRESENCE_ONLINE: 'presence.online',
@@ -41,6 +53,8 @@ export const WebhookEventType = {
   CONTACT_PROFILE_UPDATE: 'contact.profile_update',
   CONTACT_BLOCKED: 'contact.blocked',
   CONTACT_UNBLOCKED: 'contact.unblocked',
+  CONTACT_OPTED_OUT: 'contact.opted_out',
+  CONTACT_OPTED_IN: 'contact.opted_in',
 
   // Status Events
   STATUS_VIEW: 'status.view',
@@ -52,26 +66,210 @@ export const WebhookEventType = {
   ANTIBAN_RATE_LIMIT: 'antiban.rate_limit',
 };
 
+const EVENT_TYPES = Object.values(WebhookEventType);
+const EVENT_GROUPS = [...new Set(EVENT_TYPES.map(type => type.split('.')[0]))];
+
+// Retry policy bounds for registered endpoints
+const RETRY_LIMITS = {
+  maxRetries: [1, 10],
+  baseDelay: [100, 60000],
+  maxDelay: [1000, 3600000],
+};
+
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]+$/;
+
+/**
+ * Webhook payload formats
+ * - v1: legacy flat body for `message.received` (`{ id, event, session, from, message, ... }`),
+ *       envelopes for every other event
+ * - v2: `{ id, event, session, timestamp, data }` envelope for every event
+ */
+export const PAYLOAD_VERSIONS = ['v1', 'v2'];
+
+/**
+ * Raised when an endpoint definition is invalid or unknown
+ */
+export class WebhookEndpointError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookEndpointError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check an event type against a filter.
+ * Patterns are exact types (`message.received`), groups (`antiban.*`) or `*`.
+ * An empty filter matches everything.
+ * @param {string[]} patterns
+ * @param {string} eventType
+ * @returns {boolean}
+ */
+export function matchesEventFilter(patterns, eventType) {
+  if (!patterns || patterns.length === 0) return true;
+  return patterns.some(pattern => {
+    if (pattern === '*') return true;
+    if (pattern.endsWith('.*')) return eventType.startsWith(pattern.slice(0, -1));
+    return pattern === eventType;
+  });
+}
+
+function isValidEventPattern(pattern) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return EVENT_GROUPS.includes(pattern.slice(0, -2));
+  return EVENT_TYPES.includes(pattern);
+}
+
+/**
+ * Validate and normalize endpoint fields (only those present in `input`)
+ * @returns {Object} Normalized fields
+ */
+function validateEndpointInput(input, { requireUrl = false } = {}) {
+  const fields = {};
+
+  if (input.url !== undefined || requireUrl) {
+    let parsed;
+    try {
+      parsed = new URL(input.url);
+    } catch (err) {
+      throw new WebhookEndpointError('"url" must be a valid http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new WebhookEndpointError('"url" must be a valid http(s) URL');
+    }
+    fields.url = input.url;
+  }
+
+  if (input.events !== undefined) {
+    if (!Array.isArray(input.events) || input.events.some(e => typeof e !== 'string')) {
+      throw new WebhookEndpointError('"events" must be an array of event types');
+    }
+    const unknown = input.events.filter(e => !isValidEventPattern(e));
+    if (unknown.length > 0) {
+      throw new WebhookEndpointError(`Unknown event types: ${unknown.join(', ')}`);
+    }
+    fields.events = [...new Set(input.events)];
+  }
+
+  if (input.secret !== undefined) {
+    if (input.secret !== null && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+      throw new WebhookEndpointError('"secret" must be at least 16 characters');
+    }
+    fields.secret = input.secret;
+  }
+
+  if (input.headers !== undefined) {
+    if (!input.headers || typeof input.headers !== 'object' || Array.isArray(input.headers)) {
+      throw new WebhookEndpointError('"headers" must be an object');
+    }
+    for (const [name, value] of Object.entries(input.headers)) {
+      if (!HEADER_NAME_PATTERN.test(name) || typeof value !== 'string') {
+        throw new WebhookEndpointError(`Invalid header "${name}"`);
+      }
+      if (/^x-wa2bridge-/i.test(name)) {
+        throw new WebhookEndpointError(`Header "${name}" is reserved`);
+      }
+    }
+    fields.headers = { ...input.headers };
+  }
+
+  if (input.retry !== undefined) {
+    if (!input.retry || typeof input.retry !== 'object') {
+      throw new WebhookEndpointError('"retry" must be an object');
+    }
+    fields.retry = {};
+    for (const [key, [min, max]] of Object.entries(RETRY_LIMITS)) {
+      const value = input.retry[key];
+      if (value === undefined) continue;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new WebhookEndpointError(`"retry.${key}" must be an integer between ${min} and ${max}`);
+      }
+      fields.retry[key] = value;
+    }
+  }
+
+  if (input.payloadVersion !== undefined) {
+    if (!PAYLOAD_VERSIONS.includes(input.payloadVersion)) {
+      throw new WebhookEndpointError(`"payloadVersion" must be one of: ${PAYLOAD_VERSIONS.join(', ')}`);
+    }
+    fields.payloadVersion = input.payloadVersion;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      throw new WebhookEndpointError('"enabled" must be a boolean');
+    }
+    fields.enabled = input.enabled;
+  }
+
+  if (input.description !== undefined) {
+    fields.description = input.description === null ? null : String(input.description).slice(0, 200);
+  }
+
+  return fields;
+}
+
+/**
+ * Shape an event for delivery in the given payload version
+ * @param {Object} event - `{ id, event, session, timestamp, data }`
+ * @param {string} [version='v2']
+ * @returns {Object} Request body
+ */
+export function formatPayload(event, version = 'v2') {
+  if (version === 'v1' && event.event === WebhookEventType.MESSAGE_RECEIVED) {
+    return { id: event.id, event: event.event, session: event.session, ...event.data };
+  }
+  return event;
+}
+
 /**
  * Enhanced Webhook Emitter
- * Wraps WebhookManager with structured event types
+ * Wraps WebhookManager with structured event types.
+ *
+ * This is the only webhook delivery path: WEBHOOK_URL and every registered
+ * endpoint receive events from here, each through one WebhookManager with
+ * one retry queue.
  */
 export class WebhookEventEmitter {
   constructor(options = {}) {
     this.webhookUrl = options.webhookUrl;
-    this.apiSecret = options.apiSecret;
+    this.webhookSecret = options.webhookSecret;
     this.enabled = options.enabled !== false;
 
+    // Body format sent to WEBHOOK_URL
+    this.payloadVersion = options.payloadVersion || 'v1';
+    if (!PAYLOAD_VERSIONS.includes(this.payloadVersion)) {
+      throw new WebhookEndpointError(`Unknown webhook payload version: ${this.payloadVersion}`);
+    }
+
+    // Session name included in every event (multi-session mode)
+    this.sessionId = options.sessionId || 'default';
+
     // Event subscriptions (which events to send)
     this.subscriptions = new Set(options.subscriptions || Object.values(WebhookEventType));
 
+    // Deliveries that ran out of retries, shared by all targets
+    this.sessionsDir = options.sessionsDir;
+    this.storage = options.storage || getStorage(this.sessionsDir);
+    this.logger = options.logger;
+    this.deadLetters = new WebhookDeadLetterStore({
+      storage: this.storage,
+      maxEntries: options.maxDeadLetters,
+    });
+
     // Webhook manager for reliable delivery
     this.manager = new WebhookManager({
       webhookUrl: this.webhookUrl,
-      apiSecret: this.apiSecret,
-      sessionsDir: options.sessionsDir,
+      webhookSecret: this.webhookSecret,
+      sessionsDir: this.sessionsDir,
+      logger: this.logger,
+      onDeadLetter: entry => this.deadLetters.add({ ...entry, endpoint: 'default' }),
     });
 
+    // Registered endpoints: id -> { config, manager, stats }
+    this.endpoints = new Map();
+    this.loadEndpoints();
+
     // Event history for debugging
     this.eventHistory = [];
     this.maxHistorySize = 100;
@@ -118,16 +316,19 @@ export class WebhookEventEmitter {
    * Emit a webhook event
    */
   async emit(eventType, payload) {
-    if (!this.enabled || !this.webhookUrl) {
+    if (!this.enabled || (!this.webhookUrl && this.endpoints.size === 0)) {
       return { sent: false, reason: 'disabled' };
     }
 
-    if (!this.isSubscribed(eventType)) {
+    const targets = this.getTargets(eventType);
+    if (targets.length === 0) {
       return { sent: false, reason: 'not_subscribed' };
     }
 
     const event = {
+      id: generateEventId(),
       event: eventType,
+      session: this.sessionId,
       timestamp: new Date().toISOString(),
       data: payload,
     };
@@ -135,21 +336,72 @@ export class WebhookEventEmitter {
     // Record to history
     this.recordEvent(event);
 
-    // Send via WebhookManager
+    // Send to every matching target in parallel
     try {
-      await this.manager.send(event);
+      const deliveries = await Promise.all(targets.map(target => this.deliver(target, event)));
 
       this.stats.totalEvents++;
       this.stats.byType[eventType] = (this.stats.byType[eventType] || 0) + 1;
       this.stats.lastEventAt = Date.now();
 
-      return { sent: true, eventId: event.timestamp };
+      return { sent: true, eventId: event.id, deliveries };
     } catch (error) {
       this.stats.errors++;
       return { sent: false, reason: error.message };
     }
   }
 
+  /**
+   * Targets for an event: WEBHOOK_URL (global subscriptions) plus every
+   * enabled endpoint whose filter matches
+   */
+  getTargets(eventType) {
+    const targets = [];
+
+    if (this.webhookUrl && this.isSubscribed(eventType)) {
+      targets.push({ id: 'default', manager: this.manager, stats: null, payloadVersion: this.payloadVersion });
+    }
+
+    for (const endpoint of this.endpoints.values()) {
+      if (endpoint.config.enabled && matchesEventFilter(endpoint.config.events, eventType)) {
+        targets.push(this.endpointTarget(endpoint));
+      }
+    }
+
+    return targets;
+  }
+
+  endpointTarget(endpoint) {
+    return {
+      id: endpoint.config.id,
+      manager: endpoint.manager,
+      stats: endpoint.stats,
+      payloadVersion: endpoint.config.payloadVersion || 'v2',
+    };
+  }
+
+  async deliver(target, event) {
+    const body = formatPayload(event, target.payloadVersion);
+    const result = await target.manager.send(body, { eventId: event.id });
+
+    if (target.stats) {
+      target.stats.lastDeliveryAt = Date.now();
+      if (result.success) {
+        target.stats.delivered++;
+      } else {
+        target.stats.failed++;
+        target.stats.lastError = result.reason || `HTTP ${result.status}`;
+      }
+    }
+
+    return {
+      endpoint: target.id,
+      success: result.success,
+      status: result.status ?? null,
+      ...(result.success ? {} : { reason: result.reason, queued: !!result.queued }),
+    };
+  }
+
   /**
    * Record event to history
    */
@@ -179,6 +431,27 @@ export class WebhookEventEmitter {
       message: message.message,
       timestamp: message.timestamp,
       type: message.type || 'text',
+      // Media / rich content (null when not applicable)
+      caption: message.caption ?? null,
+      has_media: !!message.hasMedia,
+      mimetype: message.mimetype ?? null,
+      size: message.size ?? null,
+      filename: message.filename ?? null,
+      duration: message.duration ?? null,
+      ptt: !!message.ptt,
+      thumbnail: message.thumbnail ?? null,
+      media_url: message.mediaUrl ?? null,
+      location: message.location ?? null,
+      contacts: message.contacts ?? null,
+      poll: message.poll ?? null,
+      quoted_message_id: message.quotedMessageId ?? null,
+      view_once: !!message.viewOnce,
+      // Group context (group_id and participant are null in 1:1 chats)
+      group_id: message.groupId ?? null,
+      participant: message.participant ?? null,
+      mentions: message.mentions || [],
+      is_mentioned: !!message.isMentioned,
+      is_reply_to_me: !!message.isReplyToMe,
       // Anti-ban context
       should_reply: message.shouldReply,
       reply_probability: message.replyProbability,
@@ -195,9 +468,16 @@ export class WebhookEventEmitter {
     return this.emit(WebhookEventType.MESSAGE_SENT, {
       to: message.to,
       message_id: message.messageId,
+      ...(message.bridgeMessageId && { bridge_message_id: message.bridgeMessageId }),
       message: message.message,
       timestamp: Date.now(),
       type: message.type || 'text',
+      ...(message.mimetype && {
+        caption: message.caption || null,
+        mimetype: message.mimetype,
+        filename: message.filename || null,
+        size: message.size,
+      }),
     });
   }
 
@@ -237,6 +517,64 @@ export class WebhookEventEmitter {
     });
   }
 
+  /**
+   * Emit reaction to a message (empty emoji when a reaction is removed)
+   */
+  async messageReaction(reaction) {
+    return this.emit(WebhookEventType.MESSAGE_REACTION, {
+      from: reaction.from,
+      message_id: reaction.messageId,
+      emoji: reaction.emoji,
+      removed: reaction.emoji === '',
+      group_id: reaction.groupId ?? null,
+      participant: reaction.participant ?? null,
+      timestamp: reaction.timestamp,
+    });
+  }
+
+  /**
+   * Emit message edited by its sender
+   */
+  async messageEdited(edit) {
+    return this.emit(WebhookEventType.MESSAGE_EDITED, {
+      from: edit.from,
+      message_id: edit.messageId,
+      message: edit.text,
+      group_id: edit.groupId ?? null,
+      participant: edit.participant ?? null,
+      timestamp: edit.timestamp,
+    });
+  }
+
+  /**
+   * Emit message deleted for everyone by its sender
+   */
+  async messageRevoked(revoke) {
+    return this.emit(WebhookEventType.MESSAGE_REVOKED, {
+      from: revoke.from,
+      message_id: revoke.messageId,
+      group_id: revoke.groupId ?? null,
+      participant: revoke.participant ?? null,
+      timestamp: revoke.timestamp,
+    });
+  }
+
+  /**
+   * Emit vote on one of our polls (empty selected_options when withdrawn)
+   */
+  async messagePollVote(vote) {
+    return this.emit(WebhookEventType.MESSAGE_POLL_VOTE, {
+      from: vote.from,
+      message_id: vote.messageId,
+      question: vote.question,
+      selected_options: vote.selectedOptions,
+      votes: vote.votes,
+      group_id: vote.groupId ?? null,
+      participant: vote.participant ?? null,
+      timestamp: vote.timestamp,
+    });
+  }
+
   // ==========================================================================
   // PRESENCE EVENTS
   // ==========================================================================
@@ -336,6 +674,33 @@ export class WebhookEventEmitter {
     });
   }
 
+  /**
+   * Emit contact opted out (STOP/BERHENTI reply or /api/consent)
+   * @param {Object} record - From ConsentRegistry
+   */
+  async contactOptedOut(record) {
+    return this.emit(WebhookEventType.CONTACT_OPTED_OUT, {
+      phone: record.phone,
+      source: record.optOutSource,
+      keyword: record.keyword,
+      opted_out_at: record.optedOutAt,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Emit contact opted in (START/MULAI reply or /api/consent)
+   * @param {Object} record - From ConsentRegistry
+   */
+  async contactOptedIn(record) {
+    return this.emit(WebhookEventType.CONTACT_OPTED_IN, {
+      phone: record.phone,
+      source: record.optInSource,
+      opted_in_at: record.optedInAt,
+      timestamp: Date.now(),
+    });
+  }
+
   // ==========================================================================
   // ANTI-BAN EVENTS (UNIQUE TO WA2BRIDGE)
   // ==========================================================================
@@ -387,9 +752,272 @@ export class WebhookEventEmitter {
       historySize: this.eventHistory.length,
       enabled: this.enabled,
       webhookUrl: this.webhookUrl ? '***configured***' : null,
+      payloadVersion: this.payloadVersion,
+      endpoints: this.endpoints.size,
+      delivery: this.manager.getStats(),
+      deadLetters: this.deadLetters.entries.length,
+    };
+  }
+
+  // ==========================================================================
+  // ENDPOINTS
+  // ==========================================================================
+
+  /**
+   * Register a webhook endpoint
+   * @param {Object} input
+   * @param {string} input.url - http(s) URL
+   * @param {string[]} [input.events] - Event types or `group.*` patterns (default: all)
+   * @param {string} [input.secret] - Signing secret (default: WEBHOOK_SECRET)
+   * @param {Object} [input.headers] - Extra request headers
+   * @param {Object} [input.retry] - { maxRetries, baseDelay, maxDelay }
+   * @param {string} [input.payloadVersion='v2'] - 'v1' (legacy) or 'v2' (envelope)
+   * @param {boolean} [input.enabled=true]
+   * @param {string} [input.description]
+   * @returns {Object} Public endpoint info
+   */
+  addEndpoint(input = {}) {
+    const fields = validateEndpointInput(input, { requireUrl: true });
+    const now = Date.now();
+
+    const config = {
+      id: `ep_${randomBytes(6).toString('hex')}`,
+      url: fields.url,
+      events: fields.events || [],
+      secret: fields.secret ?? null,
+      headers: fields.headers || {},
+      retry: fields.retry || {},
+      payloadVersion: fields.payloadVersion || 'v2',
+      enabled: fields.enabled ?? true,
+      description: fields.description ?? null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.endpoints.set(config.id, this.buildEndpoint(config));
+    this.saveEndpoints();
+
+    return this.getEndpoint(config.id);
+  }
+
+  /**
+   * Update an endpoint (only the given fields change)
+   */
+  updateEndpoint(id, input = {}) {
+    const endpoint = this.endpoints.get(id);
+    if (!endpoint) {
+      throw new WebhookEndpointError('Endpoint not found', 404);
+    }
+
+    const fields = validateEndpointInput(input);
+    endpoint.config = { ...endpoint.config, ...fields, updatedAt: Date.now() };
+    this.applyEndpointConfig(endpoint);
+    this.saveEndpoints();
+
+    return this.getEndpoint(id);
+  }
+
+  /**
+   * Remove an endpoint and drop its pending retries
+   */
+  removeEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    if (!endpoint) return false;
+
+    endpoint.manager.stopRetryTimer();
+    try {
+      this.storage?.remove(endpoint.manager.queueName);
+    } catch (err) {
+      // Ignore
+    }
+
+    this.endpoints.delete(id);
+    this.saveEndpoints();
+    return true;
+  }
+
+  /**
+   * Public endpoint info (the secret is never returned)
+   */
+  getEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    if (!endpoint) return null;
+
+    const { secret, ...config } = endpoint.config;
+    return {
+      ...config,
+      signed: !!(secret || this.webhookSecret),
+      hasOwnSecret: !!secret,
+      stats: {
+        ...endpoint.stats,
+        failedQueueSize: endpoint.manager.failedQueue.length,
+      },
     };
   }
 
+  listEndpoints() {
+    return [...this.endpoints.keys()].map(id => this.getEndpoint(id));
+  }
+
+  /**
+   * Send a test event to one endpoint, ignoring its filter and enabled flag
+   */
+  async testEndpoint(id) {
+    const endpoint = this.endpoints.get(id);
+    if (!endpoint) {
+      throw new WebhookEndpointError('Endpoint not found', 404);
+    }
+
+    const event = {
+      id: generateEventId(),
+      event: 'webhook.test',
+      session: this.sessionId,
+      timestamp: new Date().toISOString(),
+      data: { message: 'Test webhook from wa2bridge', endpoint: id },
+    };
+
+    const delivery = await this.deliver(this.endpointTarget(endpoint), event);
+    return { eventId: event.id, ...delivery };
+  }
+
+  buildEndpoint(config) {
+    const endpoint = {
+      config,
+      manager: new WebhookManager({
+        sessionsDir: this.sessionsDir,
+        queueName: `webhook-failed-queue-${config.id}`,
+        logger: this.logger,
+        onDeadLetter: entry => this.deadLetters.add({ ...entry, endpoint: config.id }),
+      }),
+      stats: { delivered: 0, failed: 0, lastDeliveryAt: null, lastError: null },
+    };
+    this.applyEndpointConfig(endpoint);
+    return endpoint;
+  }
+
+  applyEndpointConfig(endpoint) {
+    const { config, manager } = endpoint;
+    manager.webhookUrl = config.url;
+    manager.webhookSecret = config.secret || this.webhookSecret;
+    manager.headers = config.headers;
+    if (config.retry.maxRetries) manager.maxRetries = config.retry.maxRetries;
+    if (config.retry.baseDelay) manager.baseDelay = config.retry.baseDelay;
+    if (config.retry.maxDelay) manager.maxDelay = config.retry.maxDelay;
+  }
+
+  // ==========================================================================
+  // DEAD LETTERS
+  // ==========================================================================
+
+  /**
+   * Failed deliveries, most recent first (payloads omitted)
+   * @param {Object} [filter] - See parseDeadLetterFilter
+   */
+  listDeadLetters(filter = {}) {
+    return this.deadLetters.list(filter);
+  }
+
+  getDeadLetter(id) {
+    return this.deadLetters.get(id);
+  }
+
+  /**
+   * Deliver one dead letter again with its original event ID.
+   * Removed from the store on success, updated with the new response otherwise.
+   */
+  async replayDeadLetter(id) {
+    const entry = this.deadLetters.get(id);
+    if (!entry) {
+      throw new DeadLetterError('Dead letter not found', 404);
+    }
+
+    let manager = this.manager;
+    if (entry.endpoint !== 'default') {
+      manager = this.endpoints.get(entry.endpoint)?.manager;
+      if (!manager) {
+        throw new DeadLetterError(`Endpoint ${entry.endpoint} no longer exists`, 409);
+      }
+    } else if (!this.webhookUrl) {
+      throw new DeadLetterError('No webhook URL configured', 409);
+    }
+
+    const result = await manager.attempt(entry.payload, entry.eventId);
+    if (result.ok) {
+      this.deadLetters.remove(id);
+    } else {
+      this.deadLetters.recordReplay(id, result);
+    }
+
+    return {
+      id,
+      eventId: entry.eventId,
+      success: result.ok,
+      status: result.status,
+      ...(result.ok ? {} : { error: result.error }),
+    };
+  }
+
+  /**
+   * Replay every dead letter matching a filter (or the given IDs), one at a time
+   * @param {Object} [filter] - See parseDeadLetterFilter
+   * @param {string[]} [ids]
+   */
+  async replayDeadLetters(filter = {}, ids = null) {
+    const entries = ids
+      ? ids.map(id => this.deadLetters.get(id)).filter(Boolean)
+      : this.deadLetters.find(filter).slice(0, filter.limit);
+
+    const results = [];
+    for (const entry of entries) {
+      try {
+        results.push(await this.replayDeadLetter(entry.id));
+      } catch (error) {
+        results.push({ id: entry.id, eventId: entry.eventId, success: false, status: null, error: error.message });
+      }
+    }
+
+    const delivered = results.filter(r => r.success).length;
+    return { replayed: results.length, delivered, failed: results.length - delivered, results };
+  }
+
+  /**
+   * Delete dead letters matching a filter (all of them without one)
+   * @returns {number} Removed count
+   */
+  purgeDeadLetters(filter = {}) {
+    return this.deadLetters.purge(filter);
+  }
+
+  loadEndpoints() {
+    if (!this.storage) return;
+    try {
+      const data = this.storage.load('webhook-endpoints');
+      for (const config of data?.endpoints || []) {
+        this.endpoints.set(config.id, this.buildEndpoint(config));
+      }
+    } catch (err) {}
+  }
+
+  saveEndpoints() {
+    if (!this.storage) return;
+    try {
+      this.storage.save('webhook-endpoints', {
+        endpoints: [...this.endpoints.values()].map(endpoint => endpoint.config),
+        savedAt: Date.now(),
+      });
+    } catch (err) {}
+  }
+
+  /**
+   * Stop background retry timers (session deleted)
+   */
+  destroy() {
+    this.manager.stopRetryTimer();
+    for (const endpoint of this.endpoints.values()) {
+      endpoint.manager.stopRetryTimer();
+    }
+  }
+
   /**
    * Get recent event history
    */
@@ -409,24 +1037,33 @@ export class WebhookEventEmitter {
    */
   setWebhookUrl(url) {
     this.webhookUrl = url;
-    this.manager = new WebhookManager({
-      webhookUrl: url,
-      apiSecret: this.apiSecret,
-    });
+    this.manager.webhookUrl = url;
   }
 
   /**
-   * Get pending retries from WebhookManager
+   * Deliveries waiting for a background retry, across WEBHOOK_URL and all endpoints
    */
   getPendingRetries() {
-    return this.manager.getRetryQueue();
+    const pending = this.manager.getPendingRetries().map(item => ({ endpoint: 'default', ...item }));
+    for (const [id, endpoint] of this.endpoints) {
+      pending.push(...endpoint.manager.getPendingRetries().map(item => ({ endpoint: id, ...item })));
+    }
+    return pending;
   }
 
   /**
-   * Process retry queue
+   * Retry every queued delivery now
+   * @returns {Promise<{processed: number, delivered: number, remaining: number}>}
    */
   async processRetries() {
-    return this.manager.processRetryQueue();
+    const managers = [this.manager, ...[...this.endpoints.values()].map(endpoint => endpoint.manager)];
+    const results = await Promise.all(managers.map(manager => manager.processFailedQueue()));
+
+    return results.reduce((total, result) => ({
+      processed: total.processed + result.processed,
+      delivered: total.delivered + result.delivered,
+      remaining: total.remaining + result.remaining,
+    }), { processed: 0, delivered: 0, remaining: 0 });
   }
 }
 
@@ -436,7 +1073,8 @@ export class WebhookEventEmitter {
 export function createWebhookEmitter(options = {}) {
   return new WebhookEventEmitter({
     webhookUrl: options.webhookUrl || process.env.WEBHOOK_URL,
-    apiSecret: options.apiSecret || process.env.API_SECRET,
+    webhookSecret: options.webhookSecret || process.env.WEBHOOK_SECRET,
+    payloadVersion: options.payloadVersion || process.env.WEBHOOK_PAYLOAD_VERSION,
     sessionsDir: options.sessionsDir,
     enabled: options.enabled !== false,
     subscriptions: options.subscriptions,
@@ -446,5 +1084,9 @@ export function createWebhookEmitter(options = {}) {
 export default {
   WebhookEventType,
   WebhookEventEmitter,
+  WebhookEndpointError,
+  PAYLOAD_VERSIONS,
+  matchesEventFilter,
+  formatPayload,
   createWebhookEmitter,
 };
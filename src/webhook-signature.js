@@ -0,0 +1,135 @@
+/**
+ * Webhook signatures
+ *
+ * Every outbound webhook is signed with HMAC-SHA256 over
+ * `<timestamp>.<raw body>` using WEBHOOK_SECRET, so receivers can check that
+ * a request came from this bridge and reject stale or replayed deliveries.
+ *
+ * Headers sent with each delivery:
+ * - `X-WA2Bridge-Signature`: `sha256=<hex digest>`
+ * - `X-WA2Bridge-Timestamp`: Unix time in seconds when the attempt was signed
+ * - `X-WA2Bridge-Event-Id`: Unique per event, unchanged across retries
+ *
+ * @example
+ * ```javascript
+ * import { verifyWebhookSignature } from 'wa2bridge/webhook-signature';
+ *
+ * app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+ *   const valid = verifyWebhookSignature({
+ *     secret: process.env.WEBHOOK_SECRET,
+ *     body: req.body,                       // raw body, not re-serialized JSON
+ *     signature: req.get('X-WA2Bridge-Signature'),
+ *     timestamp: req.get('X-WA2Bridge-Timestamp'),
+ *   });
+ *   if (!valid) return res.sendStatus(401);
+ *   // Deduplicate on req.get('X-WA2Bridge-Event-Id') before processing
+ * });
+ * ```
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-WA2Bridge-Signature';
+export const TIMESTAMP_HEADER = 'X-WA2Bridge-Timestamp';
+export const EVENT_ID_HEADER = 'X-WA2Bridge-Event-Id';
+
+// Receivers should reject deliveries signed more than 5 minutes ago
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Generate a unique webhook event ID
+ * @returns {string} e.g. `evt_2b1f0c1e-...`
+ */
+export function generateEventId() {
+  return `evt_${randomUUID()}`;
+}
+
+/**
+ * Compute the signature header value
+ * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} `sha256=<hex>`
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Build the headers for one delivery attempt
+ * @param {Object} options
+ * @param {string} options.body - Serialized JSON body
+ * @param {string} options.eventId
+ * @param {string} [options.secret] - Without a secret the request is sent unsigned
+ * @param {number} [options.timestamp] - Unix seconds (default: now)
+ * @returns {Object} Header map
+ */
+export function buildWebhookHeaders({ body, eventId, secret, timestamp }) {
+  const ts = timestamp ?? Math.floor(Date.now() / 1000);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    [EVENT_ID_HEADER]: eventId,
+    [TIMESTAMP_HEADER]: String(ts),
+  };
+
+  if (secret) {
+    headers[SIGNATURE_HEADER] = signPayload(secret, ts, body);
+  }
+
+  return headers;
+}
+
+/**
+ * Verify a received webhook.
+ *
+ * Checks the HMAC in constant time and that the timestamp is within
+ * `toleranceSeconds` of now, which limits how long a captured request
+ * can be replayed. Combine with event ID deduplication to reject replays
+ * inside that window.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - WEBHOOK_SECRET shared with the bridge
+ * @param {string|Buffer} options.body - Raw request body exactly as received
+ * @param {string} options.signature - `X-WA2Bridge-Signature` header
+ * @param {string|number} options.timestamp - `X-WA2Bridge-Timestamp` header
+ * @param {number} [options.toleranceSeconds=300] - Max age; 0 disables the check
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(options = {}) {
+  const { secret, body, signature, timestamp } = options;
+  const toleranceSeconds = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+
+  if (!secret || body === undefined || body === null || !signature || !timestamp) {
+    return false;
+  }
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts)) return false;
+
+  if (toleranceSeconds > 0) {
+    const now = Math.floor((options.now ?? Date.now()) / 1000);
+    if (Math.abs(now - ts) > toleranceSeconds) return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, ts, body));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+export default {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  generateEventId,
+  signPayload,
+  buildWebhookHeaders,
+  verifyWebhookSignature,
+};
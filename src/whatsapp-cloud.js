@@ -0,0 +1,544 @@
+/**
+ * WhatsApp Cloud API backend
+ *
+ * Adapts Meta's Cloud API (Graph API over HTTPS) to the Baileys socket
+ * interface (see transport.js), so WA_BACKEND=cloud runs through the same
+ * WhatsAppClient - anti-ban pipeline, stores, webhooks and status shape - as
+ * the WhatsApp Web backends:
+ *
+ * - Connecting checks the access token against the phone number; there is
+ *   no QR code, the number is registered in Meta's Business Manager
+ * - Sends become POST /{phone-number-id}/messages (media is uploaded first);
+ *   approved templates are sent as `{ template }` content
+ * - Meta's webhooks (POST /webhooks/cloud, signed with the app secret) are
+ *   handed to receiveWebhook(), which emits inbound messages as
+ *   messages.upsert and status callbacks as messages.update receipts
+ *
+ * Not available on the Cloud API: groups, contact lookups, profile
+ * pictures, polls, and editing or deleting sent messages.
+ *
+ * @see https://developers.facebook.com/docs/whatsapp/cloud-api
+ */
+
+import { EventEmitter } from 'events';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+import { DISCONNECT_CODES, RECEIPT_STATUSES } from './transport.js';
+import { buildVcard } from './rich-messages.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DEFAULT_GRAPH_API_URL = 'https://graph.facebook.com';
+export const DEFAULT_GRAPH_API_VERSION = 'v21.0';
+
+export const CLOUD_SIGNATURE_HEADER = 'X-Hub-Signature-256';
+
+// Cloud API status callback -> Baileys WAMessageStatus
+export const CLOUD_STATUSES = {
+  sent: RECEIPT_STATUSES.sent,
+  delivered: RECEIPT_STATUSES.delivered,
+  read: RECEIPT_STATUSES.read,
+  failed: RECEIPT_STATUSES.failed,
+};
+
+// Baileys content key <-> Cloud API media type
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const MEDIA_CONTENT_KEYS = {
+  image: 'imageMessage',
+  video: 'videoMessage',
+  audio: 'audioMessage',
+  document: 'documentMessage',
+  sticker: 'stickerMessage',
+};
+
+// Graph API error codes for an invalid or expired access token
+const AUTH_ERROR_CODES = [190, 102];
+
+/**
+ * Failed Graph API requests
+ */
+export class GraphApiError extends Error {
+  constructor(message, statusCode = 502, code = null) {
+    super(message);
+    this.name = 'GraphApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// =============================================================================
+// WEBHOOKS
+// =============================================================================
+
+/**
+ * Check Meta's X-Hub-Signature-256 header (HMAC-SHA256 of the raw body with
+ * the app secret)
+ * @param {Buffer|string} rawBody
+ * @param {string} header - `sha256=<hex>`
+ * @param {string} appSecret
+ * @returns {boolean}
+ */
+export function verifyCloudSignature(rawBody, header, appSecret) {
+  if (!rawBody || typeof header !== 'string' || !header.startsWith('sha256=')) return false;
+
+  const expected = createHmac('sha256', appSecret).update(rawBody).digest();
+  const received = Buffer.from(header.slice('sha256='.length), 'hex');
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+function toUserJid(waId) {
+  return `${String(waId).replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+/**
+ * Contact card of a Cloud API `contacts` message as a vCard
+ */
+function cloudContactToVcard(contact) {
+  const phone = contact.phones?.find(entry => entry.wa_id) || contact.phones?.[0];
+  const digits = String(phone?.wa_id || phone?.phone || '').replace(/\D/g, '');
+  return {
+    displayName: contact.name?.formatted_name || null,
+    vcard: digits
+      ? buildVcard({
+        name: contact.name?.formatted_name || digits,
+        phone: `+${digits}`,
+        organization: contact.org?.company,
+        email: contact.emails?.[0]?.email,
+      })
+      : null,
+  };
+}
+
+/**
+ * Baileys content of an inbound Cloud API message
+ * @returns {Object|null} null for types WhatsAppClient doesn't handle
+ */
+function toBaileysContent(message) {
+  const context = message.context?.id
+    ? { stanzaId: message.context.id, participant: message.context.from ? toUserJid(message.context.from) : undefined }
+    : undefined;
+  const text = (body) => (context
+    ? { extendedTextMessage: { text: body, contextInfo: context } }
+    : { conversation: body });
+
+  switch (message.type) {
+    case 'text':
+      return text(message.text?.body || '');
+
+    // Quick reply buttons and list picks arrive as their titles
+    case 'button':
+      return text(message.button?.text || '');
+    case 'interactive': {
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      return reply ? text(reply.title || '') : null;
+    }
+
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'document':
+    case 'sticker': {
+      const media = message[message.type] || {};
+      return {
+        [MEDIA_CONTENT_KEYS[message.type]]: {
+          caption: media.caption,
+          mimetype: media.mime_type,
+          fileName: media.filename,
+          ptt: media.voice || undefined,
+          isAnimated: media.animated,
+          contextInfo: context,
+          // Downloaded through GET /{media-id}
+          cloudMediaId: media.id,
+        },
+      };
+    }
+
+    case 'location':
+      return {
+        locationMessage: {
+          degreesLatitude: message.location?.latitude,
+          degreesLongitude: message.location?.longitude,
+          name: message.location?.name,
+          address: message.location?.address,
+          url: message.location?.url,
+          contextInfo: context,
+        },
+      };
+
+    case 'contacts': {
+      const cards = (message.contacts || []).map(cloudContactToVcard);
+      return cards.length === 1
+        ? { contactMessage: cards[0] }
+        : { contactsArrayMessage: { contacts: cards } };
+    }
+
+    case 'reaction':
+      return {
+        reactionMessage: {
+          key: { id: message.reaction?.message_id, fromMe: true },
+          text: message.reaction?.emoji || '',
+        },
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Baileys WAMessage for an inbound Cloud API message
+ * @param {Object} message - Entry of `value.messages`
+ * @param {Object[]} [contacts] - `value.contacts` (profile names)
+ * @returns {Object|null}
+ */
+export function toBaileysMessage(message, contacts = []) {
+  const content = toBaileysContent(message);
+  if (!content) return null;
+
+  const profile = contacts.find(contact => contact.wa_id === message.from)?.profile;
+  return {
+    key: { remoteJid: toUserJid(message.from), fromMe: false, id: message.id },
+    message: content,
+    pushName: profile?.name || null,
+    messageTimestamp: Number(message.timestamp),
+  };
+}
+
+// =============================================================================
+// OUTBOUND
+// =============================================================================
+
+/**
+ * Structured Cloud API contact from a vCard built by buildVcard()
+ */
+function vcardToCloudContact(vcard) {
+  const field = (name) => vcard.match(new RegExp(`^${name}[;:](.*)$`, 'm'))?.[1];
+  const unescape = (value) => value?.replace(/\\n/g, '\n').replace(/\\([,;\\])/g, '$1');
+  const name = unescape(field('FN')) || 'Contact';
+  const tel = field('TEL');
+  const waId = tel?.match(/waid=(\d+)/)?.[1];
+  const phone = tel?.slice(tel.lastIndexOf(':') + 1);
+  const company = unescape(field('ORG'))?.replace(/;$/, '');
+  const email = unescape(field('EMAIL'));
+
+  return {
+    name: { formatted_name: name, first_name: name },
+    ...(phone && { phones: [{ phone, type: 'CELL', ...(waId && { wa_id: waId }) }] }),
+    ...(company && { org: { company } }),
+    ...(email && { emails: [{ email, type: 'WORK' }] }),
+  };
+}
+
+function unsupported(method) {
+  return async () => {
+    throw new Error(`${method} is not supported by the Cloud API`);
+  };
+}
+
+// =============================================================================
+// SOCKET
+// =============================================================================
+
+/**
+ * One phone number on the Cloud API behind the Baileys socket interface
+ */
+export class CloudApiSocket {
+  /**
+   * @param {Object} options
+   * @param {string} options.accessToken - System user or permanent access token
+   * @param {string} options.phoneNumberId - Phone number ID from the WhatsApp Manager
+   * @param {string} [options.apiUrl] - Graph API base URL
+   * @param {string} [options.apiVersion]
+   * @param {number} [options.timeoutMs=30000]
+   */
+  constructor(options = {}) {
+    this.accessToken = options.accessToken;
+    this.phoneNumberId = options.phoneNumberId;
+    this.apiUrl = (options.apiUrl || DEFAULT_GRAPH_API_URL).replace(/\/+$/, '');
+    this.apiVersion = options.apiVersion || DEFAULT_GRAPH_API_VERSION;
+    this.timeoutMs = options.timeoutMs || 30000;
+
+    this.ev = new EventEmitter();
+    this.user = null;
+    this.closed = false;
+
+    this.groupFetchAllParticipating = async () => ({});
+    this.groupMetadata = unsupported('groupMetadata');
+    this.groupCreate = unsupported('groupCreate');
+    this.groupUpdateSubject = unsupported('groupUpdateSubject');
+    this.groupUpdateDescription = unsupported('groupUpdateDescription');
+    this.groupParticipantsUpdate = unsupported('groupParticipantsUpdate');
+    this.groupInviteCode = unsupported('groupInviteCode');
+    this.groupRevokeInvite = unsupported('groupRevokeInvite');
+    this.onWhatsApp = unsupported('onWhatsApp');
+    this.profilePictureUrl = unsupported('profilePictureUrl');
+  }
+
+  /**
+   * Graph API request
+   * @private
+   * @param {string} path - Relative to the version (`/123/messages`) or an absolute URL
+   * @param {Object} [init] - { method, json, body, raw }
+   */
+  async _request(path, init = {}) {
+    const url = /^https?:\/\//.test(path) ? path : `${this.apiUrl}/${this.apiVersion}${path}`;
+    const headers = { Authorization: `Bearer ${this.accessToken}` };
+    let body = init.body;
+    if (init.json) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(init.json);
+    }
+
+    const response = await fetch(url, {
+      method: init.method || 'GET',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (init.raw && response.ok) {
+      return Buffer.from(await response.arrayBuffer());
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = data.error || {};
+      throw new GraphApiError(
+        error.error_data?.details || error.message || `Graph API returned ${response.status}`,
+        response.status,
+        error.code ?? null,
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Check the token and number, then open
+   * @private
+   */
+  async _connect() {
+    try {
+      const number = await this._request(`/${this.phoneNumberId}?fields=display_phone_number,verified_name`);
+      if (this.closed) return;
+
+      const phone = String(number.display_phone_number || '').replace(/\D/g, '');
+      this.user = { id: `${phone}:0@s.whatsapp.net`, name: number.verified_name || null };
+      this.ev.emit('connection.update', { connection: 'open' });
+    } catch (err) {
+      const invalidToken = err.statusCode === 401 || AUTH_ERROR_CODES.includes(err.code);
+      this._close(invalidToken ? DISCONNECT_CODES.logged_out : DISCONNECT_CODES.connection_lost, err.message);
+    }
+  }
+
+  _assertOpen() {
+    if (this.closed || !this.user) {
+      throw new Error('Connection Closed');
+    }
+  }
+
+  /**
+   * Upload media for a send
+   * @private
+   * @returns {Promise<string>} Media ID
+   */
+  async _uploadMedia(buffer, mimetype, filename) {
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimetype);
+    form.append('file', new Blob([buffer], { type: mimetype }), filename || 'file');
+
+    const { id } = await this._request(`/${this.phoneNumberId}/media`, { method: 'POST', body: form });
+    return id;
+  }
+
+  /**
+   * Cloud API message fields for Baileys content
+   * @private
+   */
+  async _toCloudMessage(content) {
+    if (content.react) {
+      return { type: 'reaction', reaction: { message_id: content.react.key.id, emoji: content.react.text || '' } };
+    }
+    if (content.edit || content.delete) {
+      throw new Error('Editing and deleting messages is not supported by the Cloud API');
+    }
+    if (typeof content.text === 'string') {
+      return { type: 'text', text: { body: content.text, preview_url: /https?:\/\//.test(content.text) } };
+    }
+
+    const mediaType = MEDIA_TYPES.find(type => content[type]);
+    if (mediaType) {
+      const id = await this._uploadMedia(content[mediaType], content.mimetype, content.fileName);
+      const captioned = ['image', 'video', 'document'].includes(mediaType);
+      return {
+        type: mediaType,
+        [mediaType]: {
+          id,
+          ...(captioned && content.caption && { caption: content.caption }),
+          ...(mediaType === 'document' && content.fileName && { filename: content.fileName }),
+        },
+      };
+    }
+
+    if (content.location) {
+      const { degreesLatitude, degreesLongitude, name, address } = content.location;
+      return {
+        type: 'location',
+        location: { latitude: degreesLatitude, longitude: degreesLongitude, ...(name && { name }), ...(address && { address }) },
+      };
+    }
+    if (content.contacts) {
+      return { type: 'contacts', contacts: content.contacts.contacts.map(card => vcardToCloudContact(card.vcard)) };
+    }
+    if (content.template) {
+      return { type: 'template', template: content.template };
+    }
+    if (content.poll) {
+      throw new Error('Polls are not supported by the Cloud API');
+    }
+    throw new Error(`Unsupported content for the Cloud API: ${Object.keys(content).join(', ')}`);
+  }
+
+  async sendMessage(jid, content, options = {}) {
+    this._assertOpen();
+    if (String(jid).endsWith('@g.us')) {
+      throw new Error('Groups are not supported by the Cloud API');
+    }
+
+    const to = String(jid).split('@')[0].split(':')[0];
+    const message = await this._toCloudMessage(content);
+    const data = await this._request(`/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      json: {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        ...(options.quoted?.key?.id && { context: { message_id: options.quoted.key.id } }),
+        ...message,
+      },
+    });
+
+    return {
+      key: { remoteJid: jid, fromMe: true, id: data.messages?.[0]?.id },
+      message: content,
+      messageTimestamp: Math.floor(Date.now() / 1000),
+      status: 1,
+    };
+  }
+
+  // Typing indicators and presence aren't part of the Cloud API
+  async sendPresenceUpdate() {
+    this._assertOpen();
+  }
+
+  async presenceSubscribe() {
+    this._assertOpen();
+  }
+
+  async readMessages(keys) {
+    this._assertOpen();
+    for (const key of keys.filter(entry => !entry.fromMe)) {
+      await this._request(`/${this.phoneNumberId}/messages`, {
+        method: 'POST',
+        json: { messaging_product: 'whatsapp', status: 'read', message_id: key.id },
+      });
+    }
+  }
+
+  async fetchStatus() {
+    return null;
+  }
+
+  async getBusinessProfile() {
+    return null;
+  }
+
+  async downloadMedia(message) {
+    const content = Object.values(message.message || {}).find(value => value?.cloudMediaId);
+    if (!content) throw new Error('Message has no Cloud API media');
+
+    // The URL is short-lived and needs the token too
+    const { url } = await this._request(`/${content.cloudMediaId}`);
+    return this._request(url, { raw: true });
+  }
+
+  /**
+   * Inbound messages and status callbacks from one webhook change
+   * (`entry[].changes[].value` with field "messages")
+   * @param {Object} value
+   * @returns {{messages: number, statuses: number}} What was emitted
+   */
+  receiveWebhook(value = {}) {
+    const messages = (value.messages || [])
+      .map(message => toBaileysMessage(message, value.contacts))
+      .filter(Boolean);
+    if (messages.length > 0) {
+      this.ev.emit('messages.upsert', { messages, type: 'notify' });
+    }
+
+    const updates = (value.statuses || [])
+      .filter(status => status.status in CLOUD_STATUSES)
+      .map(status => ({
+        key: { remoteJid: toUserJid(status.recipient_id), fromMe: true, id: status.id },
+        update: { status: CLOUD_STATUSES[status.status] },
+      }));
+    if (updates.length > 0) {
+      this.ev.emit('messages.update', updates);
+    }
+
+    return { messages: messages.length, statuses: updates.length };
+  }
+
+  async logout() {
+    this._close(DISCONNECT_CODES.logged_out, 'Logged Out');
+  }
+
+  end() {
+    this._close(DISCONNECT_CODES.connection_closed, 'Connection Closed');
+  }
+
+  /**
+   * @private
+   */
+  _close(statusCode, message) {
+    if (this.closed) return;
+    this.closed = true;
+    const error = new Error(message);
+    error.output = { statusCode };
+    this.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+  }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * Cloud API socket; it opens once the token and phone number check out
+ * @param {Object} options
+ * @param {Object} options.cloud - CloudApiSocket options
+ * @returns {{socket: CloudApiSocket, saveCreds: Function}}
+ */
+export function createCloudSocket(options) {
+  const socket = new CloudApiSocket(options.cloud);
+
+  // After connect() has attached its listeners
+  setImmediate(() => socket._connect());
+
+  // Nothing to persist: the access token is configuration
+  return { socket, saveCreds: () => {} };
+}
+
+export default {
+  DEFAULT_GRAPH_API_URL,
+  DEFAULT_GRAPH_API_VERSION,
+  CLOUD_SIGNATURE_HEADER,
+  CLOUD_STATUSES,
+  GraphApiError,
+  verifyCloudSignature,
+  toBaileysMessage,
+  CloudApiSocket,
+  createCloudSocket,
+};
@@ -1,230 +1,661 @@
 /**
- * WhatsApp Client using whatsapp-web.js
+ * whatsapp-web.js backend
  *
- * Alternative implementation to whatsapp.js (Baileys).
- * Exposes the same interface so the API layer works unchanged.
+ * Adapts a whatsapp-web.js Client (WhatsApp Web in headless Chromium) to
+ * the Baileys socket interface (see transport.js), so WA_BACKEND=webjs runs
+ * through the same WhatsAppClient - anti-ban pipeline, stores, webhooks and
+ * status shape - as Baileys:
  *
- * To use this instead of Baileys:
- * 1. npm install whatsapp-web.js qrcode-terminal
- * 2. In index.js, change: import WhatsAppClient from './whatsapp-webjs.js'
+ * - Client events become connection.update, messages.upsert and
+ *   messages.update with Baileys message shapes and receipt statuses
+ * - Baileys send content becomes whatsapp-web.js bodies (MessageMedia,
+ *   Location, Poll, vCards) and message actions (react, edit, delete)
+ * - Message keys map to serialized IDs (`true_628...@c.us_3EB0...`)
+ *
+ * Not available: business profiles and more than one contact card per message.
+ *
+ * Needs `npm install whatsapp-web.js` (and a Chromium that puppeteer can run).
  *
  * @see https://github.com/pedroslopez/whatsapp-web.js
  */
 
-import pkg from 'whatsapp-web.js';
-const { Client, LocalAuth } = pkg;
-import qrcode from 'qrcode-terminal';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-
-class WhatsAppClient {
-  constructor(options = {}) {
-    this.client = null;
-    this.qrCode = null;
-    this.isConnected = false;
-    this.phoneNumber = null;
-    this.userName = null;
-
-    this.messageDelay = options.messageDelay || 1500;
-    this.typingDelay = options.typingDelay || 500;
-    this.webhookUrl = options.webhookUrl;
-    this.onMessage = options.onMessage || (() => {});
-
-    this.sessionsDir = join(__dirname, '..', 'sessions-webjs');
-
-    this.stats = {
-      messagesSent: 0,
-      messagesReceived: 0,
-      startedAt: null,
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+
+import { DISCONNECT_CODES, importBackend } from './transport.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// whatsapp-web.js ACK -> Baileys WAMessageStatus
+export const WEBJS_ACK_STATUSES = {
+  [-1]: 0,  // ACK_ERROR -> ERROR
+  0: 1,     // ACK_PENDING -> PENDING
+  1: 2,     // ACK_SERVER -> SERVER_ACK (sent)
+  2: 3,     // ACK_DEVICE -> DELIVERY_ACK (delivered)
+  3: 4,     // ACK_READ -> READ
+  4: 5,     // ACK_PLAYED -> PLAYED
+};
+
+// whatsapp-web.js message type -> Baileys content key
+const MEDIA_CONTENT_KEYS = {
+  image: 'imageMessage',
+  video: 'videoMessage',
+  audio: 'audioMessage',
+  ptt: 'audioMessage',
+  document: 'documentMessage',
+  sticker: 'stickerMessage',
+};
+
+const PUPPETEER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu',
+];
+
+// proto.Message.ProtocolMessage.Type values
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+// =============================================================================
+// IDS
+// =============================================================================
+
+/**
+ * Baileys JID -> whatsapp-web.js chat ID (`@c.us`, no device suffix)
+ */
+export function toWebjsId(jid) {
+  const [user, server] = String(jid).split('@');
+  if (server === 's.whatsapp.net') return `${user.split(':')[0]}@c.us`;
+  return jid;
+}
+
+/**
+ * whatsapp-web.js ID (string or { _serialized }) -> Baileys JID
+ */
+export function fromWebjsId(id) {
+  const serialized = typeof id === 'string' ? id : id?._serialized;
+  if (!serialized) return undefined;
+  return serialized.replace(/@c\.us$/, '@s.whatsapp.net');
+}
+
+/**
+ * Baileys message key -> whatsapp-web.js serialized message ID
+ */
+export function serializeKey(key) {
+  const parts = [Boolean(key.fromMe), toWebjsId(key.remoteJid), key.id];
+  if (key.participant && key.remoteJid.endsWith('@g.us')) parts.push(toWebjsId(key.participant));
+  return parts.join('_');
+}
+
+/**
+ * Baileys key of a whatsapp-web.js message
+ */
+function messageKey(message) {
+  const key = {
+    remoteJid: fromWebjsId(message.id.remote || (message.fromMe ? message.to : message.from)),
+    fromMe: Boolean(message.fromMe),
+    id: message.id.id,
+  };
+  if (message.author) key.participant = fromWebjsId(message.author);
+  return key;
+}
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+/**
+ * Quote and mentions, in Baileys contextInfo form
+ */
+function contextInfo(message) {
+  const data = message._data || {};
+  const info = {};
+  if (message.hasQuotedMsg && data.quotedStanzaID) {
+    info.stanzaId = data.quotedStanzaID;
+    info.participant = fromWebjsId(data.quotedParticipant);
+  }
+  if (message.mentionedIds?.length) {
+    info.mentionedJid = message.mentionedIds.map(fromWebjsId);
+  }
+  return Object.keys(info).length > 0 ? info : undefined;
+}
+
+/**
+ * Baileys content of an incoming whatsapp-web.js message
+ * @returns {Object|null} null for types WhatsAppClient doesn't handle
+ */
+function toBaileysContent(message) {
+  const data = message._data || {};
+  const context = contextInfo(message);
+
+  if (message.type === 'chat') {
+    return context
+      ? { extendedTextMessage: { text: message.body, contextInfo: context } }
+      : { conversation: message.body };
+  }
+
+  if (MEDIA_CONTENT_KEYS[message.type]) {
+    return {
+      [MEDIA_CONTENT_KEYS[message.type]]: {
+        caption: message.body || undefined,
+        mimetype: data.mimetype,
+        fileLength: data.size,
+        fileName: data.filename,
+        seconds: message.duration ? Number(message.duration) : undefined,
+        ptt: message.type === 'ptt' || undefined,
+        isAnimated: data.isAnimated,
+        contextInfo: context,
+      },
     };
+  }
 
-    this.logger = {
-      info: (...args) => console.log('[INFO]', ...args),
-      warn: (...args) => console.warn('[WARN]', ...args),
-      error: (...args) => console.error('[ERROR]', ...args),
+  if (message.type === 'location' && message.location) {
+    return {
+      locationMessage: {
+        degreesLatitude: Number(message.location.latitude),
+        degreesLongitude: Number(message.location.longitude),
+        name: message.location.name || message.location.description,
+        address: message.location.address,
+        url: message.location.url,
+        contextInfo: context,
+      },
     };
   }
 
-  async connect() {
-    this.client = new Client({
-      authStrategy: new LocalAuth({
-        dataPath: this.sessionsDir,
-      }),
-      puppeteer: {
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-        ],
+  if (message.type === 'vcard' || message.type === 'multi_vcard') {
+    const cards = (message.vCards || []).map(vcard => ({
+      displayName: vcard.match(/^FN:(.*)$/m)?.[1]?.trim(),
+      vcard,
+    }));
+    return cards.length === 1
+      ? { contactMessage: cards[0] }
+      : { contactsArrayMessage: { contacts: cards } };
+  }
+
+  if (message.type === 'poll_creation') {
+    return {
+      pollCreationMessage: {
+        name: message.pollName,
+        options: (message.pollOptions || []).map(option => ({ optionName: option.name })),
+        selectableOptionsCount: message.allowMultipleAnswers ? 0 : 1,
       },
-    });
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Baileys WAMessage for an incoming whatsapp-web.js message
+ * @param {Object} message - whatsapp-web.js Message
+ * @returns {Object|null}
+ */
+export function toBaileysMessage(message) {
+  const content = toBaileysContent(message);
+  if (!content) return null;
+
+  return {
+    key: messageKey(message),
+    message: content,
+    pushName: message._data?.notifyName || null,
+    messageTimestamp: message.timestamp,
+  };
+}
+
+/**
+ * Votes arrive with option names; Baileys gives their SHA-256 hashes
+ */
+function hashOption(name) {
+  return createHash('sha256').update(name).digest();
+}
+
+// =============================================================================
+// SOCKET
+// =============================================================================
 
-    // QR Code event
-    this.client.on('qr', (qr) => {
-      this.qrCode = qr;
-      this.logger.info('QR Code generated - scan with WhatsApp');
-      console.log('\n📱 Scan this QR code with WhatsApp:\n');
-      qrcode.generate(qr, { small: true });
-      console.log('\nOr use GET /api/qr to get the QR code string\n');
+/**
+ * A whatsapp-web.js Client behind the Baileys socket interface
+ */
+export class WebjsSocket {
+  /**
+   * @param {Object} client - whatsapp-web.js Client (not yet initialized)
+   * @param {Object} lib - whatsapp-web.js exports: { MessageMedia, Location, Poll }
+   */
+  constructor(client, lib) {
+    this.client = client;
+    this.lib = lib;
+    this.ev = new EventEmitter();
+    this.user = null;
+    this.closed = false;
+
+    this._listen();
+  }
+
+  /**
+   * @private
+   */
+  _listen() {
+    const { client, ev } = this;
+
+    client.on('qr', qr => ev.emit('connection.update', { qr }));
+
+    client.on('ready', () => {
+      const info = client.info || {};
+      this.user = {
+        id: `${info.wid?.user}:0@s.whatsapp.net`,
+        name: info.pushname,
+      };
+      ev.emit('connection.update', { connection: 'open' });
     });
 
-    // Ready event
-    this.client.on('ready', async () => {
-      this.isConnected = true;
-      this.qrCode = null;
-      this.stats.startedAt = new Date();
-
-      // Get profile info
-      const info = this.client.info;
-      if (info) {
-        this.phoneNumber = info.wid.user;
-        this.userName = info.pushname || 'Unknown';
-      }
+    client.on('auth_failure', message => this._close(DISCONNECT_CODES.bad_session, `Authentication failed: ${message}`));
+    client.on('disconnected', reason => this._close(
+      reason === 'LOGOUT' ? DISCONNECT_CODES.logged_out : DISCONNECT_CODES.connection_closed,
+      String(reason),
+    ));
 
-      this.logger.info(`Connected as ${this.phoneNumber} (${this.userName})`);
+    client.on('message', message => {
+      const converted = toBaileysMessage(message);
+      if (converted) ev.emit('messages.upsert', { messages: [converted], type: 'notify' });
     });
 
-    // Disconnected event
-    this.client.on('disconnected', (reason) => {
-      this.isConnected = false;
-      this.qrCode = null;
-      this.logger.warn('Disconnected:', reason);
-
-      // Reconnect after delay
-      setTimeout(() => {
-        this.logger.info('Reconnecting...');
-        this.client.initialize();
-      }, 5000);
+    client.on('message_ack', (message, ack) => {
+      if (!message.fromMe || !(ack in WEBJS_ACK_STATUSES)) return;
+      ev.emit('messages.update', [{ key: messageKey(message), update: { status: WEBJS_ACK_STATUSES[ack] } }]);
     });
 
-    // Authentication failure
-    this.client.on('auth_failure', (msg) => {
-      this.logger.error('Authentication failed:', msg);
+    // Reactions, edits and deletes as the Baileys messages that carry them
+    client.on('message_reaction', reaction => {
+      if (reaction.id?.fromMe) return;
+      const target = reaction.msgId;
+      ev.emit('messages.upsert', {
+        messages: [{
+          key: {
+            remoteJid: fromWebjsId(target.remote),
+            fromMe: false,
+            id: reaction.id?.id,
+            ...(reaction.senderId && target.remote?.endsWith?.('@g.us') && { participant: fromWebjsId(reaction.senderId) }),
+          },
+          message: {
+            reactionMessage: {
+              key: { remoteJid: fromWebjsId(target.remote), fromMe: target.fromMe, id: target.id },
+              text: reaction.reaction,
+            },
+          },
+          messageTimestamp: reaction.timestamp,
+        }],
+        type: 'notify',
+      });
     });
 
-    // Incoming message
-    this.client.on('message', async (message) => {
-      await this.handleIncomingMessage(message);
+    client.on('message_edit', (message, newBody) => {
+      this._emitProtocol(message, {
+        type: PROTOCOL_MESSAGE_EDIT,
+        key: messageKey(message),
+        editedMessage: { conversation: newBody },
+      });
     });
 
-    // Initialize client
-    await this.client.initialize();
+    client.on('message_revoke_everyone', (message, revoked) => {
+      const original = revoked || message;
+      this._emitProtocol(message, { type: PROTOCOL_REVOKE, key: messageKey(original) });
+    });
 
-    return this;
+    client.on('vote_update', vote => {
+      const poll = vote.parentMessage;
+      if (!poll?.id) return;
+      const chat = fromWebjsId(poll.id.remote);
+      const voter = fromWebjsId(vote.voter);
+      ev.emit('messages.update', [{
+        key: { remoteJid: chat, fromMe: true, id: poll.id.id },
+        update: {
+          pollUpdates: [{
+            pollUpdateMessageKey: { remoteJid: chat, fromMe: false, participant: voter },
+            vote: { selectedOptions: (vote.selectedOptions || []).map(option => hashOption(option.name)) },
+            senderTimestampMs: vote.interractedAtTs,
+          }],
+        },
+      }]);
+    });
+
+    // Cached group metadata is stale once a group changes
+    for (const event of ['group_join', 'group_leave', 'group_admin_changed']) {
+      client.on(event, notification => ev.emit('group-participants.update', { id: fromWebjsId(notification.chatId) }));
+    }
+    client.on('group_update', notification => ev.emit('groups.update', [{ id: fromWebjsId(notification.chatId) }]));
   }
 
-  async handleIncomingMessage(message) {
-    // Ignore messages from self
+  /**
+   * @private
+   */
+  _emitProtocol(message, protocolMessage) {
     if (message.fromMe) return;
-
-    // Get text content
-    const text = message.body;
-    if (!text) return;
-
-    this.stats.messagesReceived++;
-
-    const from = message.from.replace('@c.us', '');
-    const messageId = message.id._serialized;
-
-    this.logger.info({ from, messageId }, 'Received message');
-
-    // Call the message handler
-    await this.onMessage({
-      from: `+${from}`,
-      message: text,
-      messageId,
-      timestamp: message.timestamp,
+    this.ev.emit('messages.upsert', {
+      messages: [{
+        key: { ...messageKey(message), id: `${message.id.id}-${protocolMessage.type}` },
+        message: { protocolMessage },
+        messageTimestamp: Math.floor(Date.now() / 1000),
+      }],
+      type: 'notify',
     });
   }
 
-  async sendMessage(to, text, replyToMessageId = null) {
-    if (!this.isConnected) {
-      throw new Error('WhatsApp not connected');
+  _assertOpen() {
+    if (this.closed || !this.user) {
+      throw new Error('Connection Closed');
     }
+  }
 
-    // Normalize phone number
-    const chatId = this.normalizeJid(to);
+  /**
+   * @private
+   */
+  async _getMessage(key) {
+    const message = await this.client.getMessageById(serializeKey(key));
+    if (!message) throw new Error(`Message ${key.id} not found`);
+    return message;
+  }
 
-    // Simulate typing
-    const chat = await this.client.getChatById(chatId);
-    await chat.sendStateTyping();
+  /**
+   * @private
+   */
+  async _getGroup(jid) {
+    const chat = await this.client.getChatById(jid);
+    if (!chat?.isGroup) throw new Error('item-not-found');
+    return chat;
+  }
 
-    // Human-like delay
-    await this.delay(this.typingDelay);
-    await this.delay(this.messageDelay);
+  /**
+   * whatsapp-web.js body and options for Baileys content
+   * @private
+   */
+  _toWebjsBody(content) {
+    const { MessageMedia, Location, Poll } = this.lib;
+    const mediaKey = ['image', 'video', 'audio', 'document', 'sticker'].find(key => content[key]);
 
-    // Send message
-    const options = {};
-    if (replyToMessageId) {
-      // Note: whatsapp-web.js quote format differs
-      options.quotedMessageId = replyToMessageId;
+    if (typeof content.text === 'string') {
+      return { body: content.text, options: {} };
     }
+    if (mediaKey) {
+      const data = Buffer.from(content[mediaKey]).toString('base64');
+      return {
+        body: new MessageMedia(content.mimetype, data, content.fileName),
+        options: {
+          caption: content.caption,
+          sendAudioAsVoice: mediaKey === 'audio' && content.ptt,
+          sendMediaAsDocument: mediaKey === 'document',
+          sendMediaAsSticker: mediaKey === 'sticker',
+          sendVideoAsGif: mediaKey === 'video' && content.gifPlayback,
+        },
+      };
+    }
+    if (content.location) {
+      const { degreesLatitude, degreesLongitude, name, address } = content.location;
+      return { body: new Location(degreesLatitude, degreesLongitude, { name, address }), options: {} };
+    }
+    if (content.contacts) {
+      const cards = content.contacts.contacts || [];
+      if (cards.length !== 1) {
+        throw new Error('whatsapp-web.js sends one contact card per message');
+      }
+      return { body: cards[0].vcard, options: { parseVCards: true } };
+    }
+    if (content.poll) {
+      const { name, values, selectableCount } = content.poll;
+      return { body: new Poll(name, values, { allowMultipleAnswers: selectableCount !== 1 }), options: {} };
+    }
+    throw new Error(`Unsupported content for whatsapp-web.js: ${Object.keys(content).join(', ')}`);
+  }
 
-    const result = await this.client.sendMessage(chatId, text, options);
+  async sendMessage(jid, content, options = {}) {
+    this._assertOpen();
 
-    // Clear typing
-    await chat.clearState();
+    // Actions on an earlier message
+    if (content.react) {
+      const message = await this._getMessage(content.react.key);
+      await message.react(content.react.text);
+      return { key: content.react.key, message: content };
+    }
+    if (content.edit) {
+      const message = await this._getMessage(content.edit);
+      await message.edit(content.text);
+      return { key: content.edit, message: content };
+    }
+    if (content.delete) {
+      const message = await this._getMessage(content.delete);
+      await message.delete(true);
+      return { key: content.delete, message: content };
+    }
 
-    this.stats.messagesSent++;
-    this.logger.info({ to, messageId: result.id._serialized }, 'Message sent');
+    const { body, options: sendOptions } = this._toWebjsBody(content);
+    if (options.quoted?.key) {
+      sendOptions.quotedMessageId = serializeKey(options.quoted.key);
+    }
+    if (content.mentions?.length) {
+      sendOptions.mentions = content.mentions.map(toWebjsId);
+    }
 
+    const sent = await this.client.sendMessage(toWebjsId(jid), body, sendOptions);
     return {
-      key: {
-        id: result.id._serialized,
-      },
+      key: { remoteJid: jid, fromMe: true, id: sent.id.id },
+      message: content,
+      messageTimestamp: sent.timestamp,
+      status: 1,
     };
   }
 
-  normalizeJid(phone) {
-    // Remove all non-numeric characters
-    let normalized = phone.replace(/\D/g, '');
+  async sendPresenceUpdate(type, jid) {
+    this._assertOpen();
+    if (type === 'available') return this.client.sendPresenceAvailable();
+    if (type === 'unavailable') return this.client.sendPresenceUnavailable();
+    if (!jid) return undefined;
 
-    // Handle Indonesian numbers
-    if (normalized.startsWith('0')) {
-      normalized = '62' + normalized.slice(1);
-    }
+    const chat = await this.client.getChatById(toWebjsId(jid));
+    if (type === 'composing') return chat.sendStateTyping();
+    if (type === 'recording') return chat.sendStateRecording();
+    return chat.clearState();
+  }
+
+  // WhatsApp Web receives presence for open chats without subscribing
+  async presenceSubscribe() {
+    this._assertOpen();
+  }
 
-    // Remove leading + if present
-    if (normalized.startsWith('+')) {
-      normalized = normalized.slice(1);
+  async readMessages(keys) {
+    this._assertOpen();
+    const chats = new Set(keys.map(key => toWebjsId(key.remoteJid)));
+    for (const chatId of chats) {
+      await this.client.sendSeen(chatId);
     }
+  }
+
+  async onWhatsApp(...jids) {
+    this._assertOpen();
+    return Promise.all(jids.map(async jid => ({
+      jid,
+      exists: await this.client.isRegisteredUser(toWebjsId(jid)),
+    })));
+  }
+
+  async profilePictureUrl(jid) {
+    const url = await this.client.getProfilePicUrl(toWebjsId(jid));
+    if (!url) throw new Error('item-not-found');
+    return url;
+  }
+
+  async fetchStatus(jid) {
+    const contact = await this.client.getContactById(toWebjsId(jid));
+    const about = await contact.getAbout();
+    return about ? { status: about, setAt: null } : null;
+  }
 
-    return `${normalized}@c.us`;
+  // Not exposed by whatsapp-web.js
+  async getBusinessProfile() {
+    return null;
   }
 
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  async downloadMedia(message) {
+    this._assertOpen();
+    const media = await (await this._getMessage(message.key)).downloadMedia();
+    if (!media?.data) throw new Error('Media is no longer available');
+    return Buffer.from(media.data, 'base64');
   }
 
-  getStatus() {
+  // ---------------------------------------------------------------------------
+  // Groups
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Baileys GroupMetadata of a whatsapp-web.js GroupChat
+   * @private
+   */
+  _groupMetadata(chat) {
+    const metadata = chat.groupMetadata || {};
+    const participants = chat.participants || metadata.participants || [];
     return {
-      connected: this.isConnected,
-      phone: this.phoneNumber,
-      name: this.userName,
-      qr: this.qrCode,
-      stats: {
-        messagesSent: this.stats.messagesSent,
-        messagesReceived: this.stats.messagesReceived,
-        uptime: this.stats.startedAt
-          ? Math.floor((Date.now() - this.stats.startedAt) / 1000)
-          : 0,
-      },
+      id: fromWebjsId(chat.id),
+      subject: chat.name || metadata.subject || '',
+      desc: chat.description || metadata.desc || '',
+      owner: fromWebjsId(chat.owner || metadata.owner),
+      creation: chat.createdAt ? Math.floor(new Date(chat.createdAt).getTime() / 1000) : metadata.creation,
+      announce: Boolean(metadata.announce),
+      restrict: Boolean(metadata.restrict),
+      participants: participants.map(participant => ({
+        id: fromWebjsId(participant.id),
+        admin: participant.isSuperAdmin ? 'superadmin' : participant.isAdmin ? 'admin' : null,
+      })),
     };
   }
 
-  async disconnect() {
-    if (this.client) {
-      await this.client.logout();
-      this.isConnected = false;
+  async groupFetchAllParticipating() {
+    const chats = await this.client.getChats();
+    const groups = {};
+    for (const chat of chats.filter(candidate => candidate.isGroup)) {
+      const metadata = this._groupMetadata(chat);
+      groups[metadata.id] = metadata;
     }
+    return groups;
+  }
+
+  async groupMetadata(jid) {
+    return this._groupMetadata(await this._getGroup(jid));
+  }
+
+  async groupCreate(subject, participants) {
+    const result = await this.client.createGroup(subject, participants.map(toWebjsId));
+    if (typeof result === 'string') throw new Error(result);
+    return this.groupMetadata(fromWebjsId(result.gid));
+  }
+
+  async groupParticipantsUpdate(jid, participants, action) {
+    const chat = await this._getGroup(jid);
+    const ids = participants.map(toWebjsId);
+    const methods = {
+      add: 'addParticipants',
+      remove: 'removeParticipants',
+      promote: 'promoteParticipants',
+      demote: 'demoteParticipants',
+    };
+    const result = await chat[methods[action]](ids);
+
+    // add reports per participant; the others one status for the batch
+    return participants.map((participant, i) => {
+      const entry = result?.[ids[i]];
+      const status = entry?.code ?? result?.status ?? 200;
+      return { jid: participant, status: String(status) };
+    });
+  }
+
+  async groupUpdateSubject(jid, subject) {
+    const chat = await this._getGroup(jid);
+    if (await chat.setSubject(subject) === false) throw new Error('not-authorized');
+  }
+
+  async groupUpdateDescription(jid, description) {
+    const chat = await this._getGroup(jid);
+    if (await chat.setDescription(description || '') === false) throw new Error('not-authorized');
+  }
+
+  async groupInviteCode(jid) {
+    return (await this._getGroup(jid)).getInviteCode();
+  }
+
+  async groupRevokeInvite(jid) {
+    const chat = await this._getGroup(jid);
+    await chat.revokeInvite();
+    return chat.getInviteCode();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection
+  // ---------------------------------------------------------------------------
+
+  async logout() {
+    await this.client.logout();
+    this._close(DISCONNECT_CODES.logged_out, 'Logged Out');
+  }
+
+  end() {
+    this._close(DISCONNECT_CODES.connection_closed, 'Connection Closed');
   }
+
+  /**
+   * Close once, shutting the browser down; WhatsAppClient reconnects with a new Client
+   * @private
+   */
+  _close(statusCode, message) {
+    if (this.closed) return;
+    this.closed = true;
+    this.client.destroy?.().catch(() => {});
+
+    const error = new Error(message);
+    error.output = { statusCode };
+    this.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error, date: new Date() } });
+  }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * Start a whatsapp-web.js client for a session
+ * @param {Object} options
+ * @param {string} options.sessionsDir - LocalAuth data directory
+ * @param {Object} options.logger
+ * @returns {Promise<{socket: WebjsSocket, saveCreds: Function}>}
+ */
+export async function createWebjsSocket(options) {
+  const lib = await importBackend('webjs', 'whatsapp-web.js');
+  const { Client, LocalAuth } = lib.default || lib;
+
+  const client = new Client({
+    authStrategy: new LocalAuth({ dataPath: options.sessionsDir }),
+    puppeteer: { headless: true, args: PUPPETEER_ARGS },
+  });
+  const socket = new WebjsSocket(client, lib.default || lib);
+
+  // Events follow once the page loads; failures close like a lost connection
+  client.initialize().catch(err => {
+    options.logger.error({ error: err.message }, 'whatsapp-web.js failed to start');
+    socket._close(DISCONNECT_CODES.connection_lost, err.message);
+  });
+
+  // LocalAuth saves the session itself
+  return { socket, saveCreds: () => {} };
 }
 
-export default WhatsAppClient;
+export default {
+  WEBJS_ACK_STATUSES,
+  toWebjsId,
+  fromWebjsId,
+  serializeKey,
+  toBaileysMessage,
+  WebjsSocket,
+  createWebjsSocket,
+};
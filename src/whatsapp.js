@@ -1,9 +1,3 @@
-import makeWASocket, {
-  useMultiFileAuthState,
-  DisconnectReason,
-  delay,
-  fetchLatestBaileysVersion,
-} from '@whiskeysockets/baileys';
 import pino from 'pino';
 import qrcode from 'qrcode-terminal';
 import { fileURLToPath } from 'url';
@@ -13,7 +7,6 @@ import { dirname, join } from 'path';
 import {
   humanDelay,
   calculateTypingDuration,
-  getBrowserFingerprint,
   checkMessageSafety,
   MessageRateLimiter,
   ReconnectionManager,
@@ -48,7 +41,6 @@ import {
   BlockDetector,
   SessionManager,
   PersistentQueue,
-  WebhookManager,
   HealthMonitor,
   LanguageDetector,
   // Phase 5 features
@@ -66,8 +58,62 @@ import {
 // Phase 6: Enhanced webhook events
 import { WebhookEventEmitter } from './webhook-events.js';
 
+// Typed send-path errors (status codes and machine-readable codes for the API)
+import {
+  ConnectionError,
+  BlockedError,
+  AntiBanError,
+  RateLimitError,
+  SendError,
+} from './errors.js';
+
+// Outbound media
+import {
+  resolveMedia,
+  buildMediaContent,
+  estimateRecordingDuration,
+  DEFAULT_MAX_MEDIA_BYTES,
+  DEFAULT_MAX_DOCUMENT_BYTES,
+} from './media.js';
+
+// Incoming message normalization
+import { normalizeMessage, normalizeMessageUpdate, summarizeMessage } from './message-normalizer.js';
+import { MediaStore } from './media-store.js';
+import { IdempotencyStore } from './idempotency.js';
+import { MessageStore, normalizeContact } from './message-store.js';
+import { openStorage, closeStorage } from './storage.js';
+import {
+  GroupError,
+  isGroupJid,
+  normalizeGroupJid,
+  validateSubject,
+  validateDescription,
+  validateParticipants,
+  formatGroup,
+  formatParticipantResults,
+  inviteLink,
+  GROUP_PARTICIPANT_ACTIONS,
+} from './groups.js';
+import { validatePhones, isPhoneNumber, ContactError, formatStatus, formatBusinessProfile } from './contacts.js';
+import {
+  MessageActionError,
+  validateReaction,
+  validateEditText,
+  normalizeChat,
+  messageKeys,
+  checkOwnMessage,
+} from './message-actions.js';
+import { buildRichMessage, decodePollVote, PollStore, RichMessageError } from './rich-messages.js';
+import { CampaignManager } from './campaigns.js';
+import { ConsentRegistry } from './consent.js';
+import { WhatsAppSimulator } from './fake-socket.js';
+import { createSocket, disconnectReasonName, DISCONNECT_CODES, TEMPLATE_BACKENDS } from './transport.js';
+
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Baileys is only loaded by its transport, so the other backends run without it
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * @typedef {import('../types/index.js').SendMessageResponse} SendMessageResponse
  * @typedef {import('../types/index.js').StatusResponse} StatusResponse
@@ -79,11 +125,31 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
  * @property {number} [messageDelay=1500] - Base delay between messages (ms)
  * @property {number} [typingDelay=500] - Typing indicator duration (ms)
  * @property {string} [webhookUrl] - URL for incoming message webhooks
+ * @property {string} [webhookSecret] - HMAC-SHA256 key for signing webhooks (X-WA2Bridge-Signature)
+ * @property {'v1'|'v2'} [webhookPayloadVersion='v1'] - Body format for webhookUrl (legacy flat or envelope)
  * @property {number} [accountAgeWeeks=4] - WhatsApp account age in weeks
  * @property {number} [activeHoursStart=7] - Hour to start activity (0-23)
  * @property {number} [activeHoursEnd=23] - Hour to end activity (0-23)
  * @property {string} [logLevel='info'] - Pino log level
  * @property {function} [onMessage] - Callback for incoming messages
+ * @property {string} [sessionId='default'] - Session name (multi-session mode)
+ * @property {string} [sessionsDir] - Directory for auth and anti-ban state (default: ./sessions)
+ * @property {string} [backupDir] - Directory for session backups (default: <sessionsDir>/../session-backups)
+ * @property {'json'|'sqlite'} [storageDriver] - State storage driver (default: STORAGE_DRIVER / json)
+ * @property {number} [maxMediaBytes=16MB] - Max size for outbound image/video/audio
+ * @property {number} [maxDocumentBytes=100MB] - Max size for outbound documents
+ * @property {string[]} [mediaUrlAllowlist] - Media URL hosts that may be on a private network
+ * @property {number} [mediaCacheSize=500] - Incoming media messages kept for download
+ * @property {number} [mediaTtlMs=24h] - How long downloaded media stays in the media store
+ * @property {number} [mediaStoreMaxBytes=1GB] - Total size cap for the media store
+ * @property {boolean} [autoDownloadMedia=false] - Store incoming media immediately instead of on first request
+ * @property {number} [idempotencyTtlMs=24h] - How long Idempotency-Key responses are replayed
+ * @property {boolean} [consentReplies=true] - Confirm STOP/START keywords with a reply
+ * @property {string} [consentOptOutReply] - Confirmation for opt-outs (default: Indonesian and English)
+ * @property {string} [consentOptInReply] - Confirmation for opt-ins
+ * @property {'baileys'|'webjs'|'cloud'|'fake'} [backend='baileys'] - Socket behind the client (see transport.js); 'fake' runs offline against a simulator
+ * @property {Object} [cloud] - Cloud API backend: { accessToken, phoneNumberId, apiUrl, apiVersion }
+ * @property {boolean} [simAutoPair=false] - Fake backend: connect without waiting for /api/_sim/pair
  */
 
 /**
@@ -124,15 +190,79 @@ class WhatsAppClient {
     this.webhookUrl = options.webhookUrl;
     this.onMessage = options.onMessage || (() => {});
 
-    this.sessionsDir = join(__dirname, '..', 'sessions');
+    // Each named session keeps auth and anti-ban state in its own directory
+    this.sessionId = options.sessionId || 'default';
+    this.sessionsDir = options.sessionsDir || join(__dirname, '..', 'sessions');
+
+    // Persisted anti-ban state; every component below shares this instance
+    this.storage = openStorage(this.sessionsDir, { driver: options.storageDriver });
+
+    // Set by stop() so a closed socket isn't reconnected
+    this.stopRequested = false;
+
+    // Baileys, whatsapp-web.js, the Cloud API, or the offline simulator driven through /api/_sim/*
+    this.backend = options.backend || 'baileys';
+    this.cloud = options.cloud || null;
+    this.sim = this.backend === 'fake'
+      ? new WhatsAppSimulator({ autoPair: options.simAutoPair })
+      : null;
+
+    // Outbound media size caps (bytes)
+    this.maxMediaBytes = options.maxMediaBytes || DEFAULT_MAX_MEDIA_BYTES;
+    this.maxDocumentBytes = options.maxDocumentBytes || DEFAULT_MAX_DOCUMENT_BYTES;
+    this.mediaUrlAllowlist = options.mediaUrlAllowlist || [];
+
+    // Raw incoming media messages kept for on-demand download (insertion-ordered)
+    this.mediaMessages = new Map();
+    this.mediaCacheSize = options.mediaCacheSize || 500;
+
+    // Downloaded media kept on disk for GET /api/media/:messageId
+    this.mediaStore = new MediaStore({
+      sessionsDir: this.sessionsDir,
+      ttlMs: options.mediaTtlMs,
+      maxTotalBytes: options.mediaStoreMaxBytes,
+      maxFileBytes: this.maxDocumentBytes,
+    });
+    this.autoDownloadMedia = options.autoDownloadMedia || false;
+
+    // Responses replayed for repeated Idempotency-Key requests
+    this.idempotencyStore = new IdempotencyStore({
+      sessionsDir: this.sessionsDir,
+      ttlMs: options.idempotencyTtlMs,
+    });
+
+    // Durable history of inbound and outbound messages (GET /api/messages)
+    this.messageStore = new MessageStore({
+      sessionsDir: this.sessionsDir,
+      retentionMs: options.messageRetentionMs,
+    });
+
+    // Sent polls, kept to decrypt and count their votes
+    this.polls = new PollStore({ sessionsDir: this.sessionsDir });
+
+    // Opt-ins and opt-outs (STOP/BERHENTI replies); opted-out contacts only get replies
+    this.consentReplies = options.consentReplies ?? true;
+    this.consent = new ConsentRegistry({
+      sessionsDir: this.sessionsDir,
+      optOutReply: options.consentOptOutReply,
+      optInReply: options.consentOptInReply,
+      onChange: (record) => {
+        if (record.status === 'opted_out') {
+          this.webhookEmitter.contactOptedOut(record);
+        } else {
+          this.webhookEmitter.contactOptedIn(record);
+        }
+      },
+    });
 
     this.stats = {
       messagesSent: 0,
       messagesReceived: 0,
+      messagesFailed: 0,
       startedAt: null,
     };
 
-    this.logger = pino({ level: options.logLevel || 'info' });
+    this.logger = pino({ level: options.logLevel || 'info' }).child({ session: this.sessionId });
 
     // Anti-ban components
     this.rateLimiter = new MessageRateLimiter({
@@ -170,6 +300,14 @@ class WhatsAppClient {
     // Phase 2: Additional anti-ban components
     this.deliveryTracker = new DeliveryTracker({
       sessionsDir: this.sessionsDir,
+      onTransition: (record, entry) => {
+        this.messageStore.recordStatus(record.id, entry.status, {
+          at: entry.at,
+          error: entry.reason,
+          errorCode: record.errorCode,
+        });
+        this.campaigns.recordMessageStatus(record.id, entry.status);
+      },
     });
 
     this.activityRamper = new ActivityRamper({
@@ -201,8 +339,13 @@ class WhatsAppClient {
     this.groupBehavior = new GroupBehavior({
       groupDelayMultiplier: 2.0,      // 2x slower in groups
       groupResponseProbability: 0.7,  // 70% response rate in groups
+      actionLimits: options.groupActionLimits,
     });
 
+    // Group metadata by JID, refreshed by groups.update / group-participants.update
+    this.groupCache = new Map();
+    this.groupCacheTtlMs = options.groupCacheTtlMs || 5 * 60 * 1000;
+
     this.networkFingerprint = new NetworkFingerprint({
       sessionsDir: this.sessionsDir,
     });
@@ -268,29 +411,27 @@ class WhatsAppClient {
 
     this.sessionManager = new SessionManager({
       sessionsDir: this.sessionsDir,
+      backupDir: options.backupDir,
       maxBackups: 5,
     });
 
     this.persistentQueue = new PersistentQueue({
       sessionsDir: this.sessionsDir,
       sendFunction: this._directSend.bind(this),
+      isOptedOut: (to) => this.consent.isOptedOut(to),
       logger: this.logger,
     });
 
-    this.webhookManager = new WebhookManager({
-      webhookUrl: this.webhookUrl,
-      apiSecret: options.apiSecret,
-      sessionsDir: this.sessionsDir,
-      logger: this.logger,
-    });
-
-    // Phase 6: Enhanced webhook event emitter
+    // Phase 6: Single webhook pipeline (WEBHOOK_URL and registered endpoints)
     this.webhookEmitter = new WebhookEventEmitter({
       webhookUrl: this.webhookUrl,
-      apiSecret: options.apiSecret,
+      webhookSecret: options.webhookSecret,
+      payloadVersion: options.webhookPayloadVersion,
       sessionsDir: this.sessionsDir,
-      enabled: !!this.webhookUrl, // Only enable if webhook URL is configured
+      sessionId: this.sessionId,
+      logger: this.logger,
     });
+    this.webhookManager = this.webhookEmitter.manager;
 
     this.healthMonitor = new HealthMonitor({
       sessionsDir: this.sessionsDir,
@@ -328,6 +469,7 @@ class WhatsAppClient {
     });
 
     this.apiRateLimiter = new APIRateLimiter({
+      sessionsDir: this.sessionsDir,
       enabled: true,
     });
 
@@ -344,6 +486,19 @@ class WhatsAppClient {
     this.scheduledMessages = new ScheduledMessages({
       sessionsDir: this.sessionsDir,
       sendFunction: this._directSend.bind(this),
+      isOptedOut: (to) => this.consent.isOptedOut(to),
+      logger: this.logger,
+    });
+
+    // Broadcast campaigns, paced within the rate limiter and contact warmup budgets
+    this.campaigns = new CampaignManager({
+      sessionsDir: this.sessionsDir,
+      templates: this.messageTemplates,
+      rateLimiter: this.rateLimiter,
+      contactWarmup: this.contactWarmup,
+      send: this._sendCampaignMessage.bind(this),
+      getMessageStatus: this.getMessageStatus.bind(this),
+      isOptedOut: (phone) => this.consent.isOptedOut(phone),
       logger: this.logger,
     });
 
@@ -374,33 +529,34 @@ class WhatsAppClient {
   }
 
   async connect() {
-    const { state, saveCreds } = await useMultiFileAuthState(this.sessionsDir);
+    this.stopRequested = false;
 
-    // Fetch latest WA Web version for compatibility
-    let version;
-    try {
-      const versionInfo = await fetchLatestBaileysVersion();
-      version = versionInfo.version;
-      this.logger.info({ version }, 'Using WhatsApp Web version');
-    } catch (err) {
-      this.logger.warn('Could not fetch latest version, using default');
-    }
+    const { socket, saveCreds } = await createSocket(this.backend, {
+      sessionsDir: this.sessionsDir,
+      logger: this.logger,
+      simulator: this.sim,
+      cloud: this.cloud,
+      // Baileys asks for the original poll to decrypt its votes
+      getMessage: async (key) => this.polls.getCreationMessage(key.id),
+    });
+    this.socket = socket;
 
-    // Get rotating browser fingerprint (changes every 24-48 hours)
-    const browserFingerprint = getBrowserFingerprint(this.sessionsDir);
-    this.logger.info({ browser: browserFingerprint }, 'Using browser fingerprint');
+    this._attachSocketHandlers(saveCreds);
 
-    this.socket = makeWASocket({
-      auth: state,
-      logger: pino({ level: 'warn' }),
-      browser: browserFingerprint,  // Rotating fingerprint instead of hardcoded
-      syncFullHistory: false,
-      connectTimeoutMs: 60000,
-      defaultQueryTimeoutMs: 60000,
-      markOnlineOnConnect: false,
-      ...(version && { version }),
-    });
+    // Phase 2: Periodically check network fingerprint (the fake backend is offline)
+    if (!this.sim) {
+      this.networkCheckInterval = setInterval(() => {
+        this.networkFingerprint.recordIP().catch(() => {});
+      }, 5 * 60 * 1000); // Every 5 minutes
+    }
 
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _attachSocketHandlers(saveCreds) {
     // Handle connection updates
     this.socket.ev.on('connection.update', async (update) => {
       const { connection, lastDisconnect, qr } = update;
@@ -408,7 +564,7 @@ class WhatsAppClient {
       if (qr) {
         this.qrCode = qr;
         this.logger.info('QR Code generated - scan with WhatsApp');
-        console.log('\n Scan this QR code with WhatsApp:\n');
+        console.log(`\n Scan this QR code with WhatsApp (session: ${this.sessionId}):\n`);
         qrcode.generate(qr, { small: true });
         console.log('\nOr use GET /api/qr to get the QR code string\n');
 
@@ -437,8 +593,14 @@ class WhatsAppClient {
         // Phase 6: Emit connection close webhook
         this.webhookEmitter.connectionClose(errorMessage);
 
+        // Stopped on purpose (session stop/delete) - stay offline
+        if (this.stopRequested) {
+          this.reconnectionManager.reset();
+          return;
+        }
+
         // Handle different disconnect reasons with proper backoff
-        if (statusCode === DisconnectReason.loggedOut) {
+        if (statusCode === DISCONNECT_CODES.logged_out) {
           this.logger.warn('Logged out from WhatsApp - session may be invalid');
           // Don't auto-reconnect on logout - user needs to re-scan
           this.reconnectionManager.reset();
@@ -487,6 +649,7 @@ class WhatsAppClient {
 
         // Phase 5: Start scheduled messages processor
         this.scheduledMessages.start();
+        this.campaigns.start();
 
         // Phase 5: Log system event
         this.auditLogger.logSystem('whatsapp_connected', {
@@ -520,6 +683,16 @@ class WhatsAppClient {
       }
     });
 
+    // Cached group metadata is stale once a group changes
+    this.socket.ev.on('groups.update', (updates) => {
+      for (const update of updates) {
+        if (update.id) this.groupCache.delete(update.id);
+      }
+    });
+    this.socket.ev.on('group-participants.update', ({ id }) => {
+      this.groupCache.delete(id);
+    });
+
     // Phase 2: Track message delivery status
     this.socket.ev.on('messages.update', (updates) => {
       for (const update of updates) {
@@ -527,12 +700,21 @@ class WhatsAppClient {
         const remoteJid = update.key?.remoteJid;
         if (!messageId) continue;
 
+        // Votes on our polls, decrypted by Baileys
+        if (update.update?.pollUpdates) {
+          this._handlePollUpdates(update.key, update.update.pollUpdates);
+          continue;
+        }
+
         // Extract phone number from JID
         const phone = remoteJid ? remoteJid.replace('@s.whatsapp.net', '') : null;
 
         // Map Baileys status to our status
         const status = update.update?.status;
-        if (status === 2) {
+        if (status === 0) {
+          // ERROR
+          this.deliveryTracker.updateStatus(messageId, 'failed');
+        } else if (status === 2) {
           // PENDING → SENT (single check)
           this.deliveryTracker.updateStatus(messageId, 'sent');
           // Phase 4: Record for block detection
@@ -555,74 +737,123 @@ class WhatsAppClient {
           // Phase 6: Emit read webhook
           if (phone) this.webhookEmitter.messageRead(messageId, `+${phone}`);
         }
+
+        // Sends tracked before a restart are only known to the message history
+        const historyStatus = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' }[status];
+        if (historyStatus && !this.deliveryTracker.getMessage(messageId)) {
+          const record = this.messageStore.recordWhatsappStatus(messageId, historyStatus);
+          if (record) this.campaigns.recordMessageStatus(record.id, historyStatus);
+        }
       }
     });
-
-    // Phase 2: Periodically check network fingerprint
-    this.networkCheckInterval = setInterval(() => {
-      this.networkFingerprint.recordIP().catch(() => {});
-    }, 5 * 60 * 1000); // Every 5 minutes
-
-    return this;
   }
 
   /**
    * Get human-readable disconnect reason
    */
   getDisconnectReasonName(statusCode) {
-    const reasons = {
-      [DisconnectReason.badSession]: 'Bad Session',
-      [DisconnectReason.connectionClosed]: 'Connection Closed',
-      [DisconnectReason.connectionLost]: 'Connection Lost',
-      [DisconnectReason.connectionReplaced]: 'Connection Replaced',
-      [DisconnectReason.loggedOut]: 'Logged Out',
-      [DisconnectReason.restartRequired]: 'Restart Required',
-      [DisconnectReason.timedOut]: 'Timed Out',
-    };
-    return reasons[statusCode] || `Unknown (${statusCode})`;
+    return disconnectReasonName(statusCode);
   }
 
+  /**
+   * Handle an incoming message of any type.
+   *
+   * Every user-visible message (text, media, sticker, location, contact card)
+   * is normalized into a typed payload and forwarded to webhooks and the
+   * onMessage callback. Media is kept in a bounded cache so it can be
+   * downloaded on demand via {@link WhatsAppClient#downloadMedia}.
+   */
   async handleIncomingMessage(message) {
     // Ignore messages from self
     if (message.key.fromMe) return;
 
-    // Ignore non-text messages for now
-    const text = message.message?.conversation ||
-                 message.message?.extendedTextMessage?.text;
+    // Reactions, edits and deletes refer to an earlier message
+    const update = normalizeMessageUpdate(message);
+    if (update) return this._handleMessageUpdate(message, update);
 
-    if (!text) return;
+    // Normalize every message type (protocol/signalling messages return null)
+    const normalized = normalizeMessage(message);
+    if (!normalized) return;
 
     this.stats.messagesReceived++;
 
-    const from = message.key.remoteJid.replace('@s.whatsapp.net', '');
-    const messageId = message.key.id;
+    // In groups the chat is the group and the sender is the participant
     const jid = message.key.remoteJid;
+    const isGroup = this.groupBehavior.isGroup(jid);
+    const senderJid = isGroup ? message.key.participant || '' : jid;
+    const from = senderJid.split('@')[0].split(':')[0];
+    const messageId = message.key.id;
+    const chatId = isGroup ? jid : `+${from}`;
 
-    // Track incoming message for response ratio
-    this.activityTracker.recordReceived(`+${from}`);
+    const mentions = normalized.mentionedJids.map(normalizeContact);
+    const isMentioned = normalized.mentionedJids.some(mentioned => this._isOwnJid(mentioned));
+    const isReplyToMe = !!normalized.quotedMessageId && this._isOwnJid(normalized.quotedParticipant);
 
-    // Phase 3: Record in conversation memory
-    this.conversationMemory.recordMessage(`+${from}`, { text }, 'received');
+    // Text or caption (empty for captionless media, stickers, contacts)
+    const text = normalized.text;
+    const summary = summarizeMessage(normalized);
+
+    if (normalized.hasMedia) {
+      this._rememberMedia(messageId, message);
+
+      if (this.autoDownloadMedia) {
+        this.getMedia(messageId).catch(err => {
+          this.logger.warn({ messageId, error: err.message }, 'Media auto-download failed');
+        });
+      }
+    }
+
+    this.messageStore.recordInbound({
+      whatsappMessageId: messageId,
+      contact: jid,
+      participant: isGroup ? `+${from}` : null,
+      type: normalized.type,
+      text,
+      replyTo: normalized.quotedMessageId,
+      timestamp: message.messageTimestamp ? Number(message.messageTimestamp) * 1000 : Date.now(),
+    });
+
+    // Track incoming message for response ratio (1:1 chats only, group chatter
+    // would hide a risky send/receive ratio)
+    if (!isGroup) {
+      this.activityTracker.recordReceived(`+${from}`);
+    }
+
+    // Phase 3: Record in conversation memory (per chat)
+    this.conversationMemory.recordMessage(chatId, { text: summary }, 'received');
 
     // Phase 4: Detect and record contact's language
-    this.languageDetector.recordContactLanguage(`+${from}`, text);
+    if (text) {
+      this.languageDetector.recordContactLanguage(`+${from}`, text);
+    }
 
     // Phase 5A: Analytics tracking
     this.analytics.recordReceived(`+${from}`, text.length);
 
-    // Phase 5A: Contact scoring
-    this.contactScoring.recordInteraction(`+${from}`, 'received', { length: text.length });
+    // Phase 5A: Contact scoring (group messages aren't addressed to us)
+    if (!isGroup) {
+      this.contactScoring.recordInteraction(`+${from}`, 'received', { length: text.length });
+    }
 
     // Phase 5A: Sentiment tracking
-    const sentiment = this.sentimentDetector.recordContactSentiment(`+${from}`, text);
+    if (text) {
+      this.sentimentDetector.recordContactSentiment(`+${from}`, text);
+    }
+
+    // STOP/START keywords (1:1 chats) get a confirmation instead of an auto-response
+    const consentKeyword = !isGroup && text ? this._handleConsentKeyword(`+${from}`, text, messageId) : null;
 
-    // Phase 5C: Check auto-responder rules
-    const autoResponse = this.autoResponder.checkMessage({ text, from: `+${from}` });
+    // Phase 5C: Check auto-responder rules (text and captions only; in groups
+    // only when we're mentioned or replied to)
+    const addressed = !isGroup || isMentioned || isReplyToMe;
+    const autoResponse = text && addressed && !consentKeyword
+      ? this.autoResponder.checkMessage({ text, from: `+${from}` })
+      : null;
     if (autoResponse?.matched) {
-      this.logger.info({ from, rule: autoResponse.rule.id }, 'Auto-responder triggered');
+      this.logger.info({ from, groupId: isGroup ? jid : undefined, rule: autoResponse.rule.id }, 'Auto-responder triggered');
       // Schedule auto-reply with human delay
       setTimeout(() => {
-        this.sendMessage(`+${from}`, autoResponse.response).catch(err => {
+        this.sendMessage(chatId, autoResponse.response, null, { isReply: true }).catch(err => {
           this.logger.error({ error: err.message }, 'Auto-response failed');
         });
       }, 2000 + Math.random() * 3000); // 2-5 second delay
@@ -635,19 +866,22 @@ class WhatsAppClient {
     }
 
     // Phase 3: Maybe view sender's profile
-    this.profileViewer.maybeViewProfile(jid).catch(() => {});
+    this.profileViewer.maybeViewProfile(senderJid).catch(() => {});
 
     // Phase 3: Maybe add a reaction to the message
-    this.reactionManager.maybeReact(message.key, text).then(reacted => {
-      if (reacted) {
-        this.logger.debug({ from }, 'Added reaction to message');
-      }
-    }).catch(() => {});
+    if (text) {
+      this.reactionManager.maybeReact(message.key, text).then(reacted => {
+        if (reacted) {
+          this.logger.debug({ from }, 'Added reaction to message');
+        }
+      }).catch(() => {});
+    }
 
     // Store for read receipt simulation
     this.lastIncomingMessage = {
-      text,
+      text: summary,
       from: `+${from}`,
+      groupId: isGroup ? jid : null,
       messageId,
       jid,
       timestamp: Date.now(),
@@ -656,20 +890,32 @@ class WhatsAppClient {
     };
 
     // Mark message as "read" after realistic delay
-    const readDelay = calculateReadDelay(text);
+    const readDelay = calculateReadDelay(summary);
     setTimeout(async () => {
       try {
         await this.socket.readMessages([message.key]);
+        this.messageStore.recordStatus(messageId, 'read');
         this.logger.debug({ from, readDelay }, 'Marked message as read');
       } catch (err) {
         // Ignore read receipt errors
       }
     }, readDelay);
 
-    this.logger.info({ from, messageId, isForward: forwardInfo.isForward }, 'Received message');
-
-    // Phase 3: Check reply probability (humans don't reply to everything)
-    const replyCheck = this.replyProbability.shouldReply({ text, from: `+${from}` });
+    this.logger.info({
+      from,
+      groupId: isGroup ? jid : undefined,
+      messageId,
+      type: normalized.type,
+      isForward: forwardInfo.isForward,
+    }, 'Received message');
+
+    // Phase 3: Check reply probability (humans don't reply to everything,
+    // and in groups even less unless addressed)
+    const replyContext = { isMentioned, isReplyToMe };
+    let replyCheck = this.replyProbability.shouldReply({ text: summary, from: `+${from}` }, replyContext);
+    if (isGroup && replyCheck.shouldReply && !this.groupBehavior.shouldRespondInGroup(replyContext)) {
+      replyCheck = { shouldReply: false, probability: replyCheck.probability, reason: 'group_skipped' };
+    }
 
     // For forwarded messages, also check forward reply probability
     if (forwardInfo.isForward && !forwardInfo.shouldReply) {
@@ -677,173 +923,1007 @@ class WhatsAppClient {
       return; // Don't forward to webhook for skipped forwards
     }
 
-    // Phase 6: Emit message received webhook
-    this.webhookEmitter.messageReceived({
+    const payload = {
       from: `+${from}`,
       message: text,
       messageId,
       timestamp: message.messageTimestamp,
+      ...normalized,
+      mediaUrl: normalized.hasMedia ? `/api/media/${messageId}` : null,
+      // Group context (null in 1:1 chats)
+      groupId: isGroup ? jid : null,
+      participant: isGroup ? `+${from}` : null,
+      mentions,
+      isMentioned,
+      isReplyToMe,
+      // Phase 3 context
       shouldReply: replyCheck.shouldReply,
       replyProbability: replyCheck.probability,
       isForward: forwardInfo.isForward,
       forwardCount: forwardInfo.forwardCount || 0,
-      conversationContext: this.conversationMemory.getContext(`+${from}`),
-    });
+      conversationContext: this.conversationMemory.getContext(chatId),
+    };
+
+    // Phase 6: Emit message received webhook
+    this.webhookEmitter.messageReceived(payload);
 
     // Call the message handler with enhanced context
-    await this.onMessage({
-      from: `+${from}`,
-      message: text,
-      messageId,
-      timestamp: message.messageTimestamp,
-      // Phase 3 context
-      shouldReply: replyCheck.shouldReply,
-      replyProbability: replyCheck.probability,
-      isForward: forwardInfo.isForward,
-      forwardCount: forwardInfo.forwardCount || 0,
-      conversationContext: this.conversationMemory.getContext(`+${from}`),
-    });
+    await this.onMessage(payload);
   }
 
   /**
-   * Send a message with comprehensive anti-ban protection.
-   *
-   * Implements human-like behavior including:
-   * - Typing indicators with variable duration
-   * - Randomized delays (1-3 seconds)
-   * - Rate limiting based on account age
-   * - Presence management (online/offline)
-   * - Message variation to avoid content detection
-   * - Contact warmup for new recipients
-   * - Weekend/holiday pattern adjustments
-   * - Group behavior differences
-   * - Optional emoji enhancement
-   * - Long message splitting
-   * - Conversation memory tracking
-   * - Spam detection warnings
-   *
-   * @param {string} to - Phone number ("+6281234567890") or JID ("628...@s.whatsapp.net")
-   * @param {string} text - Message text content
-   * @param {string} [replyToMessageId] - Message ID to reply to (optional)
-   * @returns {Promise<{key: {id: string}}>} Message result with ID
-   * @throws {Error} If not connected, rate limited, or banned
-   *
-   * @example
-   * ```javascript
-   * // Simple message
-   * const result = await client.sendMessage('+6281234567890', 'Hello!');
-   * console.log('Sent:', result.key.id);
-   *
-   * // Reply to a message
-   * await client.sendMessage('+6281234567890', 'Thanks!', originalMessageId);
-   * ```
+   * Record an opt-out or opt-in keyword and confirm it (only when the
+   * contact's status changes, so repeated STOPs don't get repeated replies)
+   * @private
+   * @returns {Object|null} The matched keyword
    */
-  async sendMessage(to, text, replyToMessageId = null) {
-    if (!this.isConnected) {
-      throw new Error('WhatsApp not connected');
+  _handleConsentKeyword(phone, text, messageId) {
+    const match = this.consent.matchKeyword(text);
+    if (!match) return null;
+
+    const { changed } = match.action === 'opt_out'
+      ? this.consent.optOut(phone, { source: 'keyword', keyword: match.keyword })
+      : this.consent.optIn(phone, { source: 'keyword' });
+    this.logger.info({ phone, action: match.action, changed }, 'Consent keyword received');
+
+    const reply = match.action === 'opt_out' ? this.consent.optOutReply : this.consent.optInReply;
+    if (changed && this.consentReplies && reply) {
+      setTimeout(() => {
+        this.sendMessage(phone, reply, messageId).catch(err => {
+          this.logger.error({ phone, error: err.message }, 'Consent confirmation failed');
+        });
+      }, 2000 + Math.random() * 3000); // 2-5 second delay
     }
 
-    // Normalize phone number/JID first
-    const jid = this.normalizeJid(to);
-    const isGroup = this.groupBehavior.isGroup(jid);
+    return match;
+  }
 
-    // === PHASE 1 & 2: PRE-SEND CHECKS ===
+  /**
+   * Record and forward a reaction, edit or delete for everyone
+   * @private
+   * @param {Object} message - Baileys WAMessage carrying the update
+   * @param {Object} update - From normalizeMessageUpdate()
+   */
+  async _handleMessageUpdate(message, update) {
+    const jid = message.key.remoteJid;
+    const isGroup = this.groupBehavior.isGroup(jid);
+    const senderJid = isGroup ? message.key.participant || '' : jid;
+    const from = `+${senderJid.split('@')[0].split(':')[0]}`;
 
-    // Check ban warning system first
-    const banCheck = this.banWarning.canSend();
-    if (!banCheck.allowed) {
-      this.banWarning.recordRateLimitHit();
-      throw new Error(`Ban protection: ${banCheck.reason}`);
+    if (update.kind !== 'reaction') {
+      this.messageStore.recordChange(update.messageId, update.kind, { text: update.text });
     }
 
-    // Phase 2: Check contact warmup limits
-    if (!isGroup) {
-      const warmupCheck = this.contactWarmup.canMessage(to);
-      if (!warmupCheck.allowed) {
-        throw new Error(`Contact warmup: ${warmupCheck.reason}`);
-      }
-      if (warmupCheck.isNew) {
-        this.logger.info({ to }, 'New contact detected, applying warmup limits');
-      }
-    }
+    const event = {
+      from,
+      messageId: update.messageId,
+      groupId: isGroup ? jid : null,
+      participant: isGroup ? from : null,
+      timestamp: message.messageTimestamp ? Number(message.messageTimestamp) : Math.floor(Date.now() / 1000),
+    };
 
-    // Check rate limits (adjusted for weekend/ramping)
-    const baseRateLimitCheck = await this.rateLimiter.canSend();
-    if (!baseRateLimitCheck.allowed) {
-      this.banWarning.recordRateLimitHit();
-      throw new Error(`Rate limit: ${baseRateLimitCheck.reason}`);
+    if (update.kind === 'reaction') {
+      this.webhookEmitter.messageReaction({ ...event, emoji: update.emoji });
+    } else if (update.kind === 'edit') {
+      this.webhookEmitter.messageEdited({ ...event, text: update.text });
+    } else {
+      this.webhookEmitter.messageRevoked(event);
     }
 
-    // Check activity/response ratio safety
-    const activityCheck = this.activityTracker.isSafeToSend();
-    if (!activityCheck.safe) {
-      this.logger.warn({ reason: activityCheck.reason }, 'Activity check warning');
-    }
+    this.logger.info({ from, groupId: event.groupId ?? undefined, messageId: update.messageId, kind: update.kind }, 'Received message update');
+  }
 
-    // Check message content safety
-    const safetyCheck = checkMessageSafety(text);
-    if (!safetyCheck.safe) {
-      this.logger.warn({ warnings: safetyCheck.warnings }, 'Message content warnings');
+  /**
+   * Decode and forward votes on a poll we sent
+   * @private
+   * @param {Object} pollKey - Key of the poll message
+   * @param {Object[]} pollUpdates - Decrypted votes from messages.update
+   */
+  _handlePollUpdates(pollKey, pollUpdates) {
+    const poll = this.polls.get(pollKey.id);
+    if (!poll) return;
+
+    const isGroup = this.groupBehavior.isGroup(pollKey.remoteJid);
+
+    for (const pollUpdate of pollUpdates) {
+      const voterKey = pollUpdate.pollUpdateMessageKey || {};
+      if (voterKey.fromMe) continue;
+
+      const voter = normalizeContact(voterKey.participant || voterKey.remoteJid);
+      const selected = decodePollVote(poll, pollUpdate.vote?.selectedOptions);
+      const votes = this.polls.recordVote(pollKey.id, voter, selected);
+
+      this.webhookEmitter.messagePollVote({
+        from: voter,
+        messageId: pollKey.id,
+        question: poll.question,
+        selectedOptions: selected,
+        votes,
+        groupId: isGroup ? pollKey.remoteJid : null,
+        participant: isGroup ? voter : null,
+        timestamp: pollUpdate.senderTimestampMs
+          ? Math.floor(Number(pollUpdate.senderTimestampMs) / 1000)
+          : Math.floor(Date.now() / 1000),
+      });
+
+      this.logger.info({ from: voter, messageId: pollKey.id, selected }, 'Received poll vote');
     }
+  }
 
-    // === PHASE 2: MESSAGE ENHANCEMENT ===
+  /**
+   * Whether a JID (phone or LID form, any device) is this account
+   * @private
+   */
+  _isOwnJid(jid) {
+    const user = String(jid || '').split('@')[0].split(':')[0];
+    if (!user) return false;
+    const ownLid = this.socket?.user?.lid?.split('@')[0].split(':')[0];
+    return user === this.phoneNumber || user === ownLid;
+  }
 
-    // Apply message variation to avoid content-based detection
-    let processedText = this.messageVariator.vary(text, 0.3);
+  /**
+   * Keep a raw media message so it can be downloaded later.
+   * Oldest entries are evicted once the cache is full.
+   * @private
+   */
+  _rememberMedia(messageId, message) {
+    this.mediaMessages.delete(messageId);
+    this.mediaMessages.set(messageId, message);
 
-    // Phase 2: Maybe add emoji (only for DMs, not groups)
-    if (!isGroup) {
-      processedText = this.emojiEnhancer.maybeAddEmoji(processedText);
+    while (this.mediaMessages.size > this.mediaCacheSize) {
+      const oldest = this.mediaMessages.keys().next().value;
+      this.mediaMessages.delete(oldest);
     }
+  }
 
-    if (processedText !== text) {
-      this.logger.debug({ original: text.substring(0, 50), processed: processedText.substring(0, 50) }, 'Message processed');
-    }
+  /**
+   * Get media for a received message, from the media store or by
+   * downloading it from WhatsApp (and storing it for later requests).
+   *
+   * @param {string} messageId - Incoming message ID
+   * @returns {Promise<{buffer: Buffer, type: string, mimetype: string|null, filename: string|null, size: number, sha256?: string}|null>}
+   *   Media contents, or null if not stored and no longer downloadable
+   */
+  async getMedia(messageId) {
+    const stored = this.mediaStore.read(messageId);
+    if (stored) return stored;
 
-    // Check for duplicate content warning
-    if (this.messageVariator.isRecentDuplicate(text)) {
-      this.logger.warn('Duplicate message detected - consider varying content');
-    }
+    const media = await this.downloadMedia(messageId);
+    if (!media) return null;
 
-    // === PHASE 3: MESSAGE SPLITTING ===
-    // If message is too long, split and send multiple messages
-    if (this.messageSplitter.shouldSplit(processedText)) {
-      return this._sendSplitMessage(to, processedText, replyToMessageId, jid, isGroup);
+    const entry = this.mediaStore.put(messageId, media.buffer, media);
+    if (!entry) {
+      this.logger.warn({ messageId, size: media.size }, 'Media too large for media store, serving without storing');
+      return media;
     }
 
-    // === PHASE 2: CALCULATE ADJUSTED DELAYS ===
+    return { ...entry, buffer: media.buffer };
+  }
 
-    // Get multipliers from weekend patterns and activity ramper
-    const weekendDelayMultiplier = this.weekendPatterns.getDelayMultiplier();
-    const rampMultiplier = this.activityRamper.getRateMultiplier();
-    const extraRampDelay = this.activityRamper.getExtraDelay();
+  /**
+   * Download the media of a previously received message.
+   *
+   * Only messages still in the in-memory media cache can be downloaded.
+   * Expired WhatsApp media URLs are re-requested from the sender's phone.
+   *
+   * @param {string} messageId - Incoming message ID
+   * @returns {Promise<{buffer: Buffer, type: string, mimetype: string|null, filename: string|null, size: number}|null>}
+   *   Media contents, or null if the message is unknown or has no media
+   * @throws {ConnectionError} If not connected
+   * @throws {Error} If the download fails
+   */
+  async downloadMedia(messageId) {
+    const message = this.mediaMessages.get(messageId);
+    if (!message) return null;
 
-    // Log if we're in special mode
-    if (weekendDelayMultiplier > 1 || rampMultiplier < 1) {
-      this.logger.debug({
-        weekendMultiplier: weekendDelayMultiplier,
-        rampMultiplier: rampMultiplier,
-        extraRampDelay,
-      }, 'Adjusted timing active');
+    if (!this.socket) {
+      throw new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' });
     }
 
-    // === HUMAN-LIKE BEHAVIOR SIMULATION ===
+    const normalized = normalizeMessage(message);
+    const buffer = await this.socket.downloadMedia(message);
 
-    // 0. Ensure we're "online" for sending (temporarily if needed)
-    const presenceState = await this.presenceManager.temporaryOnline();
+    return {
+      buffer,
+      type: normalized.type,
+      mimetype: normalized.mimetype,
+      filename: normalized.filename,
+      size: buffer.length,
+    };
+  }
 
-    // 1. If this is a reply to a recent message, simulate reading + thinking first
-    if (this.lastIncomingMessage && this.lastIncomingMessage.from === to) {
-      const incomingText = this.lastIncomingMessage.text;
-      const timings = simulateHumanReading(incomingText, processedText);
+  // ===========================================================================
+  // MESSAGE ACTIONS
+  // ===========================================================================
 
-      // Wait for "reading" time (if we haven't already waited)
-      const timeSinceReceived = Date.now() - this.lastIncomingMessage.timestamp;
-      const remainingReadTime = Math.max(0, timings.readDelay - timeSinceReceived);
-      if (remainingReadTime > 0) {
-        this.logger.debug({ remainingReadTime }, 'Simulating remaining read time');
-        await delay(remainingReadTime);
-      }
+  /**
+   * A message from the history, checked for connection and ban protection
+   * @private
+   * @param {string} messageId - Bridge message ID or WhatsApp message ID
+   * @throws {ConnectionError} 503 NOT_CONNECTED
+   * @throws {AntiBanError} 423 while ban protection holds sends
+   * @throws {MessageActionError} 404 for unknown messages
+   */
+  _beforeMessageAction(messageId) {
+    if (!this.isConnected) {
+      throw new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' });
+    }
+
+    const banCheck = this.banWarning.canSend();
+    if (!banCheck.allowed) {
+      throw new AntiBanError(`Ban protection: ${banCheck.reason}`, {
+        code: banCheck.code,
+        riskLevel: banCheck.riskLevel,
+      });
+    }
+
+    const message = this.messageStore.get(messageId);
+    if (!message) {
+      throw new MessageActionError('Message not found', 404);
+    }
+    return message;
+  }
+
+  /**
+   * React to a sent or received message
+   * @param {string} messageId - Bridge message ID or WhatsApp message ID
+   * @param {string} emoji - A single emoji, or '' to remove our reaction
+   * @returns {Promise<{messageId: string, emoji: string}>}
+   * @throws {MessageActionError} 400 for invalid emoji, 404/409 for unknown or unsent messages
+   */
+  async reactToMessage(messageId, emoji) {
+    const reaction = validateReaction(emoji);
+    const message = this._beforeMessageAction(messageId);
+    const [key] = messageKeys(message);
+    if (!key) {
+      throw new MessageActionError('Message has not been sent yet', 409);
+    }
+
+    // Reactions come a moment after reading, like ReactionManager's
+    await delay(humanDelay(1500, 0.5));
+    await this.socket.sendMessage(key.remoteJid, { react: { text: reaction, key } });
+
+    this.logger.info({ messageId: key.id, emoji: reaction }, reaction ? 'Reacted to message' : 'Removed reaction');
+    return { messageId: key.id, emoji: reaction };
+  }
+
+  /**
+   * Edit a text message sent by this account (within WhatsApp's 15 minutes)
+   * @param {string} messageId - Bridge message ID or WhatsApp message ID
+   * @param {string} text - New text
+   * @returns {Promise<{messageId: string, text: string}>}
+   * @throws {MessageActionError} 400/403/404/409, see checkOwnMessage
+   */
+  async editMessage(messageId, text) {
+    const newText = validateEditText(text);
+    const message = this._beforeMessageAction(messageId);
+    checkOwnMessage(message, 'edit');
+    const [key] = messageKeys(message);
+
+    // Retyping takes a while
+    await this.socket.presenceSubscribe(key.remoteJid);
+    await this.socket.sendPresenceUpdate('composing', key.remoteJid);
+    await delay(calculateTypingDuration(newText, 1000, 6000));
+    await this.socket.sendMessage(key.remoteJid, { text: newText, edit: key });
+    await this.socket.sendPresenceUpdate('paused', key.remoteJid);
+
+    this.messageStore.recordChange(message.id, 'edit', { text: newText });
+    this.logger.info({ messageId: key.id }, 'Edited message');
+    return { messageId: key.id, text: newText };
+  }
+
+  /**
+   * Delete a message sent by this account for everyone (every part of a
+   * split message)
+   * @param {string} messageId - Bridge message ID or WhatsApp message ID
+   * @returns {Promise<{messageIds: string[]}>} Deleted WhatsApp message IDs
+   * @throws {MessageActionError} 403/404/409, see checkOwnMessage
+   */
+  async revokeMessage(messageId) {
+    const message = this._beforeMessageAction(messageId);
+    checkOwnMessage(message, 'revoke');
+    const keys = messageKeys(message);
+
+    for (const key of keys) {
+      await delay(humanDelay(1000, 0.5));
+      await this.socket.sendMessage(key.remoteJid, { delete: key });
+    }
+
+    this.messageStore.recordChange(message.id, 'revoke');
+    this.logger.info({ messageIds: message.whatsappMessageIds }, 'Deleted message for everyone');
+    return { messageIds: message.whatsappMessageIds };
+  }
+
+  /**
+   * Send read receipts for the received messages of a chat that aren't read yet
+   * @param {string} chat - Phone number or group JID
+   * @returns {Promise<{chat: string, read: number}>} Messages marked read
+   * @throws {ConnectionError} 503 NOT_CONNECTED
+   * @throws {MessageActionError} 400 for invalid chats
+   */
+  async markChatRead(chat) {
+    const contact = normalizeChat(chat);
+    if (!this.isConnected) {
+      throw new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' });
+    }
+
+    const { messages } = this.messageStore.query({
+      contact,
+      direction: 'inbound',
+      status: 'received',
+      limit: 500,
+    });
+
+    if (messages.length > 0) {
+      await this.socket.readMessages(messages.flatMap(messageKeys));
+      for (const message of messages) {
+        this.messageStore.recordStatus(message.id, 'read');
+      }
+    }
+
+    this.logger.info({ chat: contact, read: messages.length }, 'Marked chat as read');
+    return { chat: contact, read: messages.length };
+  }
+
+  // ===========================================================================
+  // CONTACTS
+  // ===========================================================================
+
+  /**
+   * Let `count` uncached lookups through the ban check and lookup limits
+   * @private
+   * @throws {ConnectionError} 503 NOT_CONNECTED
+   * @throws {AntiBanError} 423 while ban protection holds sends
+   * @throws {RateLimitError} 429 LOOKUP_LIMIT
+   */
+  _beforeLookup(count) {
+    if (!this.isConnected) {
+      throw new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' });
+    }
+
+    const banCheck = this.banWarning.canSend();
+    if (!banCheck.allowed) {
+      throw new AntiBanError(`Ban protection: ${banCheck.reason}`, {
+        code: banCheck.code,
+        riskLevel: banCheck.riskLevel,
+      });
+    }
+
+    const limitCheck = this.contactWarmup.canLookup(count);
+    if (!limitCheck.allowed) {
+      throw new RateLimitError(`Lookup limit: ${limitCheck.reason}`, {
+        code: 'LOOKUP_LIMIT',
+        limitType: limitCheck.limitType,
+        waitMs: limitCheck.waitMs,
+      });
+    }
+    this.contactWarmup.recordLookup(count);
+  }
+
+  /**
+   * Check which numbers are on WhatsApp. Cached answers don't count against
+   * the lookup limits.
+   *
+   * @param {string[]} phones - Up to 50 phone numbers
+   * @returns {Promise<Array<{phone: string, exists: boolean, jid: string|null, cached: boolean}>>}
+   */
+  async checkContacts(phones) {
+    const contacts = validatePhones(phones).map(input => {
+      const jid = this.normalizeJid(input);
+      return { input, jid, phone: normalizeContact(jid) };
+    });
+
+    const uncached = contacts.filter(contact => !this.contactWarmup.getLookup(contact.phone));
+    if (uncached.length > 0) {
+      this._beforeLookup(uncached.length);
+
+      const results = await this.socket.onWhatsApp(...uncached.map(contact => contact.jid));
+      const found = new Map((results || []).map(result => [normalizeContact(result.jid), result]));
+
+      for (const contact of uncached) {
+        const result = found.get(contact.phone);
+        this.contactWarmup.saveLookup(contact.phone, {
+          exists: !!result?.exists,
+          jid: result?.exists ? result.jid : null,
+        });
+      }
+    }
+
+    return contacts.map(contact => {
+      const lookup = this.contactWarmup.getLookup(contact.phone);
+      return {
+        phone: contact.phone,
+        exists: lookup.exists,
+        jid: lookup.jid,
+        cached: !uncached.includes(contact),
+      };
+    });
+  }
+
+  /**
+   * Profile of a number: picture URL, about text and business profile
+   *
+   * @param {string} phone
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore the cache
+   * @returns {Promise<Object>} { phone, exists, jid, profilePictureUrl, about, aboutSetAt, business, cached, fetchedAt }
+   */
+  async getContact(phone, options = {}) {
+    if (!isPhoneNumber(phone)) {
+      throw new ContactError(`Invalid phone number "${phone}"`);
+    }
+    const key = normalizeContact(this.normalizeJid(phone));
+
+    const cached = !options.refresh && this.contactWarmup.getLookup(key, { profile: true });
+    if (cached) {
+      return this._formatContact(key, cached, true);
+    }
+
+    this._beforeLookup(1);
+
+    const [result] = await this.socket.onWhatsApp(this.normalizeJid(phone));
+    if (!result?.exists) {
+      return this._formatContact(key, this.contactWarmup.saveLookup(key, { exists: false, jid: null }), false);
+    }
+
+    // Each part is optional: privacy settings hide pictures and about texts,
+    // and only business accounts have a business profile
+    const [picture, status, business] = await Promise.all([
+      this.socket.profilePictureUrl(result.jid, 'image').catch(() => null),
+      this.socket.fetchStatus(result.jid).catch(() => null),
+      this.socket.getBusinessProfile(result.jid).catch(() => null),
+    ]);
+
+    const entry = this.contactWarmup.saveLookup(key, {
+      exists: true,
+      jid: result.jid,
+      profile: {
+        profilePictureUrl: picture || null,
+        ...formatStatus(status),
+        business: formatBusinessProfile(business),
+      },
+    });
+    return this._formatContact(key, entry, false);
+  }
+
+  /**
+   * @private
+   */
+  _formatContact(phone, entry, cached) {
+    return {
+      phone,
+      exists: entry.exists,
+      jid: entry.jid,
+      profilePictureUrl: entry.profile?.profilePictureUrl ?? null,
+      about: entry.profile?.about ?? null,
+      aboutSetAt: entry.profile?.aboutSetAt ?? null,
+      business: entry.profile?.business ?? null,
+      cached,
+      fetchedAt: entry.profileFetchedAt || entry.checkedAt,
+    };
+  }
+
+  // ===========================================================================
+  // GROUPS
+  // ===========================================================================
+
+  /**
+   * Run a group socket call through the ban check and GroupBehavior's limits
+   * @private
+   * @param {'create'|'participants'|'settings'|'metadata'} type
+   * @param {number} count - Participants affected (1 otherwise)
+   * @param {Function} action - Socket call
+   * @throws {ConnectionError} 503 NOT_CONNECTED
+   * @throws {AntiBanError} 423 while ban protection holds sends
+   * @throws {RateLimitError} 429 GROUP_ACTION_LIMIT
+   * @throws {GroupError} 400 for batches over the hourly limit,
+   *   403/404 if WhatsApp refuses or doesn't know the group
+   */
+  async _groupAction(type, count, action) {
+    if (!this.isConnected) {
+      throw new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' });
+    }
+
+    if (type !== 'metadata') {
+      const banCheck = this.banWarning.canSend();
+      if (!banCheck.allowed) {
+        throw new AntiBanError(`Ban protection: ${banCheck.reason}`, {
+          code: banCheck.code,
+          riskLevel: banCheck.riskLevel,
+        });
+      }
+    }
+
+    const limitCheck = this.groupBehavior.canPerformAction(type, count);
+    if (!limitCheck.allowed && limitCheck.waitMs === null) {
+      // More participants than an hour allows; waiting won't help
+      throw new GroupError(`Group limit: ${limitCheck.reason}`);
+    }
+    if (!limitCheck.allowed) {
+      throw new RateLimitError(`Group limit: ${limitCheck.reason}`, {
+        code: 'GROUP_ACTION_LIMIT',
+        limitType: limitCheck.limitType,
+        waitMs: limitCheck.waitMs,
+      });
+    }
+    this.groupBehavior.recordAction(type, count);
+
+    // Admins don't click through group settings instantly
+    if (type !== 'metadata') {
+      await delay(humanDelay(1500, 0.5));
+    }
+
+    try {
+      return await action();
+    } catch (err) {
+      const status = err.output?.statusCode;
+      if (status === 403 || status === 404) {
+        throw new GroupError(status === 404 ? 'Group not found' : `Not allowed: ${err.message}`, status);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Groups this account is a member of (without participant lists)
+   * @returns {Promise<Object[]>}
+   */
+  async listGroups() {
+    const groups = await this._groupAction('metadata', 1, () => this.socket.groupFetchAllParticipating());
+    const now = Date.now();
+
+    return Object.values(groups).map(metadata => {
+      this.groupCache.set(metadata.id, { metadata, expiresAt: now + this.groupCacheTtlMs });
+      return formatGroup(metadata, { participants: false });
+    });
+  }
+
+  /**
+   * Group metadata with participants, cached for groupCacheTtlMs
+   * @param {string} groupId - Group JID or its numeric part
+   */
+  async getGroup(groupId) {
+    const jid = normalizeGroupJid(groupId);
+    const cached = this.groupCache.get(jid);
+    if (cached && cached.expiresAt > Date.now()) {
+      return formatGroup(cached.metadata);
+    }
+
+    const metadata = await this._groupAction('metadata', 1, () => this.socket.groupMetadata(jid));
+    this.groupCache.set(jid, { metadata, expiresAt: Date.now() + this.groupCacheTtlMs });
+    return formatGroup(metadata);
+  }
+
+  /**
+   * Create a group
+   * @param {string} subject
+   * @param {string[]} participants - Phone numbers
+   */
+  async createGroup(subject, participants) {
+    const name = validateSubject(subject);
+    const jids = validateParticipants(participants).map(phone => this.normalizeJid(phone));
+
+    const metadata = await this._groupAction('create', 1, () => this.socket.groupCreate(name, jids));
+    this.groupCache.set(metadata.id, { metadata, expiresAt: Date.now() + this.groupCacheTtlMs });
+    this.logger.info({ groupId: metadata.id, participants: jids.length }, 'Created group');
+    return formatGroup(metadata);
+  }
+
+  /**
+   * Add, remove, promote or demote participants
+   * @param {string} groupId
+   * @param {string[]} participants - Phone numbers
+   * @param {'add'|'remove'|'promote'|'demote'} action
+   * @returns {Promise<Array<{phone: string, success: boolean, status: number}>>}
+   */
+  async updateGroupParticipants(groupId, participants, action) {
+    const jid = normalizeGroupJid(groupId);
+    if (!GROUP_PARTICIPANT_ACTIONS.includes(action)) {
+      throw new GroupError(`"action" must be one of: ${GROUP_PARTICIPANT_ACTIONS.join(', ')}`);
+    }
+    const jids = validateParticipants(participants).map(phone => this.normalizeJid(phone));
+
+    const results = await this._groupAction('participants', jids.length,
+      () => this.socket.groupParticipantsUpdate(jid, jids, action));
+    this.groupCache.delete(jid);
+    return formatParticipantResults(results);
+  }
+
+  /**
+   * Update the subject and/or description
+   * @param {string} groupId
+   * @param {Object} changes - { subject, description }
+   */
+  async updateGroup(groupId, { subject, description } = {}) {
+    const jid = normalizeGroupJid(groupId);
+    if (subject === undefined && description === undefined) {
+      throw new GroupError('Missing "subject" or "description"');
+    }
+    const name = subject !== undefined ? validateSubject(subject) : null;
+    const desc = description !== undefined ? validateDescription(description) : null;
+
+    const changes = (name !== null) + (desc !== null);
+    await this._groupAction('settings', changes, async () => {
+      if (name !== null) await this.socket.groupUpdateSubject(jid, name);
+      if (desc !== null) await this.socket.groupUpdateDescription(jid, desc || undefined);
+    });
+
+    this.groupCache.delete(jid);
+    return this.getGroup(jid);
+  }
+
+  /**
+   * Current invite link (requires admin)
+   */
+  async getGroupInviteLink(groupId) {
+    const jid = normalizeGroupJid(groupId);
+    const code = await this._groupAction('settings', 1, () => this.socket.groupInviteCode(jid));
+    return { groupId: jid, code, link: inviteLink(code) };
+  }
+
+  /**
+   * Revoke the invite link and return the new one (requires admin)
+   */
+  async revokeGroupInviteLink(groupId) {
+    const jid = normalizeGroupJid(groupId);
+    const code = await this._groupAction('settings', 1, () => this.socket.groupRevokeInvite(jid));
+    return { groupId: jid, code, link: inviteLink(code) };
+  }
+
+  /**
+   * Send a message with comprehensive anti-ban protection.
+   *
+   * Implements human-like behavior including:
+   * - Typing indicators with variable duration
+   * - Randomized delays (1-3 seconds)
+   * - Rate limiting based on account age
+   * - Presence management (online/offline)
+   * - Message variation to avoid content detection
+   * - Contact warmup for new recipients
+   * - Weekend/holiday pattern adjustments
+   * - Group behavior differences
+   * - Optional emoji enhancement
+   * - Long message splitting
+   * - Conversation memory tracking
+   * - Spam detection warnings
+   *
+   * @param {string} to - Phone number ("+6281234567890") or JID ("628...@s.whatsapp.net")
+   * @param {string} text - Message text content
+   * @param {string} [replyToMessageId] - Message ID to reply to (optional)
+   * @param {Object} [options]
+   * @param {string} [options.trackingId] - Bridge message ID from deliveryTracker.track()
+   * @param {boolean} [options.isReply] - Answers an incoming message without quoting it
+   *   (opted-out contacts only get replies)
+   * @param {boolean} [options.rateLimitReserved] - Budget taken by sendAsync (no rate limit check)
+   * @returns {Promise<{key: {id: string}}>} Message result with ID
+   * @throws {Error} If not connected, rate limited, or banned
+   *
+   * @example
+   * ```javascript
+   * // Simple message
+   * const result = await client.sendMessage('+6281234567890', 'Hello!');
+   * console.log('Sent:', result.key.id);
+   *
+   * // Reply to a message
+   * await client.sendMessage('+6281234567890', 'Thanks!', originalMessageId);
+   * ```
+   */
+  async sendMessage(to, text, replyToMessageId = null, options = {}) {
+    // === PHASE 1 & 2: PRE-SEND CHECKS ===
+    const { jid, isGroup } = await this._preSendChecks(to, text, {
+      isReply: !!options.isReply,
+      replyToMessageId,
+      rateLimitReserved: options.rateLimitReserved,
+    });
+
+    // === PHASE 2: MESSAGE ENHANCEMENT ===
+
+    // Apply message variation to avoid content-based detection
+    let processedText = this.messageVariator.vary(text, 0.3);
+
+    // Phase 2: Maybe add emoji (only for DMs, not groups)
+    if (!isGroup) {
+      processedText = this.emojiEnhancer.maybeAddEmoji(processedText);
+    }
+
+    if (processedText !== text) {
+      this.logger.debug({ original: text.substring(0, 50), processed: processedText.substring(0, 50) }, 'Message processed');
+    }
+
+    // Check for duplicate content warning
+    if (this.messageVariator.isRecentDuplicate(text)) {
+      this.logger.warn('Duplicate message detected - consider varying content');
+    }
+
+    // === PHASE 3: MESSAGE SPLITTING ===
+    // If message is too long, split and send multiple messages
+    if (this.messageSplitter.shouldSplit(processedText)) {
+      return this._sendSplitMessage(to, processedText, replyToMessageId, options.trackingId, options.rateLimitReserved);
+    }
+
+    return this._deliver(to, jid, isGroup, { text: processedText }, {
+      replyToMessageId,
+      text: processedText,
+      varied: processedText !== text,
+      trackingId: options.trackingId,
+      rateLimitReserved: options.rateLimitReserved,
+    });
+  }
+
+  /**
+   * Send an image, video, audio or document with the same anti-ban
+   * protection as text messages (rate limits, warmup, presence, delivery
+   * tracking and webhooks).
+   *
+   * Audio is preceded by a "recording" presence instead of "typing".
+   * Captions go through content safety checks but are not varied.
+   *
+   * @param {string} to - Phone number or JID
+   * @param {Object} media - Media descriptor
+   * @param {Buffer} [media.buffer] - Raw file contents
+   * @param {string} [media.base64] - Base64 data (raw or data URI)
+   * @param {string} [media.url] - http(s) URL to download from
+   * @param {string} [media.mimetype] - MIME type (detected if omitted)
+   * @param {string} [media.filename] - File name (used for documents)
+   * @param {'image'|'video'|'audio'|'document'} [media.type] - Force media type
+   * @param {Object} [options]
+   * @param {string} [options.caption] - Caption (not supported for audio)
+   * @param {string} [options.replyToMessageId] - Message ID to quote
+   * @param {boolean} [options.ptt] - Send audio as a voice note
+   * @param {string} [options.trackingId] - Bridge message ID from deliveryTracker.track()
+   * @param {boolean} [options.rateLimitReserved] - Budget taken by sendAsync (no rate limit check)
+   * @returns {Promise<{key: {id: string}}>} Message result with ID
+   * @throws {Error} If not connected, rate limited, banned or media is invalid
+   *
+   * @example
+   * ```javascript
+   * await client.sendMedia('+6281234567890',
+   *   { url: 'https://example.com/invoice.pdf' },
+   *   { caption: 'Your invoice' });
+   * ```
+   */
+  async sendMedia(to, media, options = {}) {
+    const caption = options.caption || '';
+
+    const { jid, isGroup } = await this._preSendChecks(to, caption, {
+      replyToMessageId: options.replyToMessageId,
+      rateLimitReserved: options.rateLimitReserved,
+    });
+
+    // Checks above have no side effects on success, so bad media fails cleanly here
+    const resolved = await resolveMedia(media, {
+      maxBytes: this.maxMediaBytes,
+      maxDocumentBytes: this.maxDocumentBytes,
+      allowedHosts: this.mediaUrlAllowlist,
+    });
+
+    const content = buildMediaContent(resolved, { caption, ptt: options.ptt });
+    const isAudio = resolved.type === 'audio';
+
+    return this._deliver(to, jid, isGroup, content, {
+      replyToMessageId: options.replyToMessageId || null,
+      text: isAudio ? '' : caption,
+      presence: isAudio ? 'recording' : 'composing',
+      typingDuration: isAudio ? estimateRecordingDuration(resolved.size) : null,
+      trackingId: options.trackingId,
+      rateLimitReserved: options.rateLimitReserved,
+      media: {
+        type: resolved.type,
+        mimetype: resolved.mimetype,
+        filename: resolved.filename,
+        size: resolved.size,
+      },
+    });
+  }
+
+  /**
+   * Send a location, contact card(s) or poll with the same anti-ban
+   * protection as text messages.
+   *
+   * @param {string} to - Phone number or JID
+   * @param {'location'|'contact'|'poll'} type
+   * @param {Object} payload - See buildRichMessage in rich-messages.js
+   * @param {Object} [options]
+   * @param {string} [options.replyToMessageId] - Message ID to quote
+   * @param {string} [options.trackingId] - Bridge message ID from deliveryTracker.track()
+   * @param {boolean} [options.rateLimitReserved] - Budget taken by sendAsync (no rate limit check)
+   * @returns {Promise<{key: {id: string}}>} Message result with ID
+   * @throws {RichMessageError} 400 for invalid payloads (before any other check)
+   *
+   * @example
+   * ```javascript
+   * await client.sendRichMessage('+6281234567890', 'poll', {
+   *   question: 'Pickup time?',
+   *   options: ['Morning', 'Afternoon'],
+   * });
+   * ```
+   */
+  async sendRichMessage(to, type, payload, options = {}) {
+    const rich = this._buildRichMessage(type, payload);
+    const { jid, isGroup } = await this._preSendChecks(to, rich.text, {
+      replyToMessageId: options.replyToMessageId,
+      rateLimitReserved: options.rateLimitReserved,
+    });
+
+    const result = await this._deliver(to, jid, isGroup, rich.content, {
+      replyToMessageId: options.replyToMessageId || null,
+      text: rich.text,
+      type: rich.type,
+      trackingId: options.trackingId,
+      rateLimitReserved: options.rateLimitReserved,
+    });
+
+    if (rich.poll) {
+      // Baileys may have used its own secret
+      const secret = result.message?.messageContextInfo?.messageSecret;
+      this.polls.add(result.key.id, {
+        ...rich.poll,
+        ...(secret && { secret: Buffer.from(secret).toString('base64') }),
+        to,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * buildRichMessage, refusing templates on backends that can't send them
+   * @private
+   * @throws {RichMessageError} 400
+   */
+  _buildRichMessage(type, payload) {
+    const rich = buildRichMessage(type, payload);
+    if (type === 'template' && !TEMPLATE_BACKENDS.includes(this.backend)) {
+      throw new RichMessageError(`Templates need WA_BACKEND=cloud (this session uses ${this.backend})`);
+    }
+    return rich;
+  }
+
+  /**
+   * Connection, ban, warmup, rate limit and content checks shared by all sends
+   * @private
+   * @returns {Promise<{jid: string, isGroup: boolean}>}
+   * @throws {ConnectionError} 503 NOT_CONNECTED
+   * @throws {BlockedError} 409 CONTACT_BLOCKED, or CONTACT_OPTED_OUT unless options.isReply or
+   *   options.replyToMessageId is a message the contact sent us
+   * @throws {AntiBanError} 423 HIBERNATION or BAN_RISK_CRITICAL
+   * @throws {RateLimitError} 429 RATE_LIMITED (unless options.rateLimitReserved) or CONTACT_WARMUP
+   */
+  async _preSendChecks(to, text, options = {}) {
+    if (!this.isConnected) {
+      throw new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' });
+    }
+
+    // Normalize phone number/JID first
+    const jid = this.normalizeJid(to);
+    const isGroup = this.groupBehavior.isGroup(jid);
+
+    // Phase 4: Don't keep sending to confirmed blocks
+    if (this.blockDetector.isBlocked(jid)) {
+      throw new BlockedError('Contact has blocked this number', { code: 'CONTACT_BLOCKED', phone: to });
+    }
+
+    // Contacts who opted out only get replies; a quoted ID only counts if they sent it
+    const isReply = options.isReply
+      || (!!options.replyToMessageId && this.messageStore.isInboundFrom(options.replyToMessageId, jid));
+    if (!isReply && !isGroup && this.consent.isOptedOut(jid)) {
+      throw new BlockedError('Contact has opted out of messages', { code: 'CONTACT_OPTED_OUT', phone: to });
+    }
+
+    // Check ban warning system first
+    const banCheck = this.banWarning.canSend();
+    if (!banCheck.allowed) {
+      this.banWarning.recordRateLimitHit();
+      throw new AntiBanError(`Ban protection: ${banCheck.reason}`, {
+        code: banCheck.code,
+        riskLevel: banCheck.riskLevel,
+      });
+    }
+
+    // Phase 2: Check contact warmup limits
+    if (!isGroup) {
+      const warmupCheck = this.contactWarmup.canMessage(to);
+      if (!warmupCheck.allowed) {
+        throw new RateLimitError(`Contact warmup: ${warmupCheck.reason}`, {
+          code: 'CONTACT_WARMUP',
+          limitType: 'contact_warmup',
+          waitMs: warmupCheck.waitMs,
+        });
+      }
+      if (warmupCheck.isNew) {
+        this.logger.info({ to }, 'New contact detected, applying warmup limits');
+      }
+    }
+
+    // Check rate limits (adjusted for weekend/ramping); async sends took their budget when accepted
+    const baseRateLimitCheck = options.rateLimitReserved ? { allowed: true } : await this.rateLimiter.canSend();
+    if (!baseRateLimitCheck.allowed) {
+      this.banWarning.recordRateLimitHit();
+      throw new RateLimitError(`Rate limit: ${baseRateLimitCheck.reason}`, {
+        code: 'RATE_LIMITED',
+        limitType: baseRateLimitCheck.limitType,
+        waitMs: baseRateLimitCheck.waitMs,
+      });
+    }
+
+    // Check activity/response ratio safety
+    const activityCheck = this.activityTracker.isSafeToSend();
+    if (!activityCheck.safe) {
+      this.logger.warn({ reason: activityCheck.reason }, 'Activity check warning');
+    }
+
+    // Check message content safety
+    if (text) {
+      const safetyCheck = checkMessageSafety(text);
+      if (!safetyCheck.safe) {
+        this.logger.warn({ warnings: safetyCheck.warnings }, 'Message content warnings');
+      }
+    }
+
+    return { jid, isGroup };
+  }
+
+  /**
+   * Human-like delivery of prepared content: presence, reading/thinking,
+   * typing (or recording) simulation, send, and post-send bookkeeping.
+   * @private
+   * @param {string} to - Original recipient as passed by the caller
+   * @param {string} jid - Normalized JID
+   * @param {boolean} isGroup
+   * @param {Object} content - Baileys message content
+   * @param {Object} options
+   * @param {string} [options.replyToMessageId]
+   * @param {string} [options.text] - Text/caption used for timing and memory
+   * @param {'composing'|'recording'} [options.presence='composing']
+   * @param {number} [options.typingDuration] - Override calculated duration
+   * @param {boolean} [options.varied] - Whether the text was varied
+   * @param {Object} [options.media] - Media info for logs and webhooks
+   * @param {string} [options.type] - Message type for non-media content (default 'text')
+   * @param {string} [options.trackingId] - Lifecycle to update (a new one is tracked otherwise)
+   * @param {boolean} [options.rateLimitReserved] - Counted by rateLimiter.reserve() already
+   */
+  async _deliver(to, jid, isGroup, content, options = {}) {
+    const text = options.text || '';
+    const presence = options.presence || 'composing';
+    const media = options.media || null;
+    const type = media?.type || options.type || 'text';
+    const replyToMessageId = options.replyToMessageId || null;
+    const trackingId = options.trackingId
+      || this._trackOutbound(to, { type, text, replyToMessageId }).id;
+
+    // === PHASE 2: CALCULATE ADJUSTED DELAYS ===
+
+    // Get multipliers from weekend patterns and activity ramper
+    const weekendDelayMultiplier = this.weekendPatterns.getDelayMultiplier();
+    const rampMultiplier = this.activityRamper.getRateMultiplier();
+    const extraRampDelay = this.activityRamper.getExtraDelay();
+
+    // Log if we're in special mode
+    if (weekendDelayMultiplier > 1 || rampMultiplier < 1) {
+      this.logger.debug({
+        weekendMultiplier: weekendDelayMultiplier,
+        rampMultiplier: rampMultiplier,
+        extraRampDelay,
+      }, 'Adjusted timing active');
+    }
+
+    // === HUMAN-LIKE BEHAVIOR SIMULATION ===
+
+    // 0. Ensure we're "online" for sending (temporarily if needed)
+    const presenceState = await this.presenceManager.temporaryOnline();
+
+    // 1. If this is a reply to a recent message, simulate reading + thinking first
+    if (this.lastIncomingMessage && this.lastIncomingMessage.from === to) {
+      const incomingText = this.lastIncomingMessage.text;
+      const timings = simulateHumanReading(incomingText, text);
+
+      // Wait for "reading" time (if we haven't already waited)
+      const timeSinceReceived = Date.now() - this.lastIncomingMessage.timestamp;
+      const remainingReadTime = Math.max(0, timings.readDelay - timeSinceReceived);
+      if (remainingReadTime > 0) {
+        this.logger.debug({ remainingReadTime }, 'Simulating remaining read time');
+        await delay(remainingReadTime);
+      }
 
       // Add thinking delay (adjusted for weekend/group)
       let thinkDelay = timings.thinkDelay;
@@ -863,13 +1943,20 @@ class WhatsAppClient {
     await delay(humanDelay(100, 0.5));
 
     // 3. Calculate typing duration (adjusted for weekend/group)
-    let typingDuration = calculateTypingDuration(processedText, 1000, 6000);
+    let typingDuration = options.typingDuration || calculateTypingDuration(text, 1000, 6000);
     typingDuration = Math.floor(typingDuration * weekendDelayMultiplier);
     typingDuration = this.groupBehavior.adjustTypingDuration(typingDuration, jid);
 
     // Phase 2: Use typing simulator for realistic typing with possible corrections
-    const typingSequence = this.typingSimulator.generateTypingSequence(typingDuration);
-    this.logger.debug({ typingDuration, steps: typingSequence.length }, 'Simulating typing');
+    let typingSequence = this.typingSimulator.generateTypingSequence(typingDuration);
+    if (presence !== 'composing') {
+      // Voice notes show "recording audio..." instead of "typing..."
+      typingSequence = typingSequence.map(step =>
+        step.action === 'composing' ? { ...step, action: presence } : step
+      );
+    }
+    this.logger.debug({ typingDuration, presence, steps: typingSequence.length }, 'Simulating typing');
+    this.deliveryTracker.advance(trackingId, 'typing');
 
     await this.typingSimulator.executeSequence(this.socket, jid, typingSequence);
 
@@ -888,44 +1975,51 @@ class WhatsAppClient {
     try {
       if (replyToMessageId) {
         try {
-          const options = { quoted: { key: { id: replyToMessageId, remoteJid: jid } } };
-          result = await this.socket.sendMessage(jid, { text: processedText }, options);
+          const sendOptions = { quoted: { key: { id: replyToMessageId, remoteJid: jid } } };
+          result = await this.socket.sendMessage(jid, content, sendOptions);
         } catch (quoteError) {
           this.logger.warn({ replyToMessageId, error: quoteError.message }, 'Quote failed, sending without reply');
-          result = await this.socket.sendMessage(jid, { text: processedText }, {});
+          result = await this.socket.sendMessage(jid, content, {});
         }
       } else {
-        result = await this.socket.sendMessage(jid, { text: processedText }, {});
+        result = await this.socket.sendMessage(jid, content, {});
       }
 
       // Record successful delivery
       this.banWarning.recordDeliverySuccess();
 
       // Phase 2: Track in delivery tracker
-      this.deliveryTracker.recordSent(result.key.id, to);
+      this.deliveryTracker.recordSent(result.key.id, to, trackingId);
+      this.messageStore.linkWhatsappId(trackingId, result.key.id);
     } catch (sendError) {
+      this.stats.messagesFailed++;
+
       // Record delivery failure for ban warning
       this.banWarning.recordDeliveryFailure(sendError.message);
 
       // Phase 3: Record for spam detection
       this.spamDetector.recordDeliveryFailure(to, sendError.message);
 
-      throw sendError;
+      const error = new SendError(sendError.message, { code: 'SEND_FAILED', to, cause: sendError });
+      this.deliveryTracker.fail(trackingId, error);
+      throw error;
     }
 
     // Phase 3: Record in conversation memory
-    this.conversationMemory.recordMessage(to, { text: processedText }, 'sent');
+    const memoryText = type !== 'text' ? [`[${type}]`, text].filter(Boolean).join(' ') : text;
+    this.conversationMemory.recordMessage(to, { text: memoryText }, 'sent');
 
     // Phase 5A: Analytics tracking
-    this.analytics.recordSent(to, processedText.length);
+    this.analytics.recordSent(to, text.length);
 
     // Phase 5A: Contact scoring
     this.contactScoring.recordInteraction(to, 'sent');
 
     // Phase 5B: Audit logging
     this.auditLogger.logMessage('sent', to, result.key.id, {
-      length: processedText.length,
+      length: text.length,
       isGroup,
+      ...(media && { mediaType: media.type, size: media.size }),
     });
 
     // 7. Clear typing indicator (with slight delay - natural behavior)
@@ -936,7 +2030,7 @@ class WhatsAppClient {
     await presenceState.restore();
 
     // Record send for rate limiting and activity tracking
-    this.rateLimiter.recordSend();
+    this.rateLimiter.recordSend({ reserved: options.rateLimitReserved });
     this.activityTracker.recordSent(to);
 
     // Phase 2: Record contact interaction and activity for ramping
@@ -954,9 +2048,10 @@ class WhatsAppClient {
     this.logger.info({
       to,
       messageId: result.key.id,
+      type,
       typingDuration,
       isGroup,
-      varied: processedText !== text,
+      varied: !!options.varied,
       weekend: this.weekendPatterns.isWeekend(),
       rateLimitStats: this.rateLimiter.getStats(),
       banWarningLevel: this.banWarning.currentLevel,
@@ -966,12 +2061,116 @@ class WhatsAppClient {
     this.webhookEmitter.messageSent({
       to,
       messageId: result.key.id,
-      message: processedText,
+      bridgeMessageId: trackingId,
+      message: text,
+      type,
+      ...(media && {
+        caption: text || null,
+        mimetype: media.mimetype,
+        filename: media.filename,
+        size: media.size,
+      }),
     });
 
     return result;
   }
 
+  /**
+   * Accept a send and run the human simulation in the background.
+   *
+   * Pre-send checks run before returning, so connection, ban and rate limit
+   * problems still reject with typed errors. Accepted sends take their rate
+   * limit budget right away, so back-to-back async sends are limited and
+   * spaced like synchronous ones. Later failures are recorded in the
+   * lifecycle (see getMessageStatus) and emitted as message.failed.
+   *
+   * @param {string} to - Phone number or JID
+   * @param {Object} payload
+   * @param {string} [payload.text] - Message text, or the caption fallback for media
+   * @param {Object} [payload.media] - Media descriptor (see sendMedia)
+   * @param {Object} [payload.rich] - { type, payload } for locations, contact cards and polls (see sendRichMessage)
+   * @param {string} [payload.replyToMessageId]
+   * @returns {Promise<Object>} Lifecycle record with status 'queued'
+   */
+  async sendAsync(to, { text, media = null, rich = null, replyToMessageId = null } = {}) {
+    const caption = media ? media.caption || text || '' : null;
+    // Invalid payloads are rejected here rather than failing in the background
+    const summary = rich ? this._buildRichMessage(rich.type, rich.payload).text : null;
+    const body = media ? caption : summary ?? text;
+    await this._preSendChecks(to, body, { replyToMessageId });
+    this.rateLimiter.reserve();
+
+    const tracked = this._trackOutbound(to, {
+      type: media ? media.type || 'media' : rich?.type || 'text',
+      text: body,
+      replyToMessageId,
+    });
+
+    let send;
+    if (media) {
+      send = this.sendMedia(to, media, {
+        caption,
+        replyToMessageId,
+        ptt: media.ptt,
+        trackingId: tracked.id,
+        rateLimitReserved: true,
+      });
+    } else if (rich) {
+      send = this.sendRichMessage(to, rich.type, rich.payload, {
+        replyToMessageId,
+        trackingId: tracked.id,
+        rateLimitReserved: true,
+      });
+    } else {
+      send = this.sendMessage(to, text, replyToMessageId, { trackingId: tracked.id, rateLimitReserved: true });
+    }
+
+    send.catch((error) => {
+      this.deliveryTracker.fail(tracked.id, error);
+      this.logger.warn({ to, id: tracked.id, error: error.message }, 'Async send failed');
+      this.webhookEmitter.messageFailed(tracked.id, to, error.message);
+    });
+
+    return this.deliveryTracker.getMessage(tracked.id);
+  }
+
+  /**
+   * Start the lifecycle of a send and record it in the message history
+   * @private
+   * @returns {Object} Lifecycle record (see DeliveryTracker.track)
+   */
+  _trackOutbound(to, { type, text = '', replyToMessageId = null } = {}) {
+    const tracked = this.deliveryTracker.track(to, { type });
+    this.messageStore.recordOutbound({
+      id: tracked.id,
+      contact: normalizeContact(this.normalizeJid(to)),
+      type: tracked.type,
+      text,
+      replyTo: replyToMessageId,
+      timestamp: tracked.createdAt,
+    });
+    return tracked;
+  }
+
+  /**
+   * Lifecycle of a send (queued → typing → sent → delivered → read, or failed).
+   * Sends older than the delivery tracker's 24 hours come from the message history.
+   * @param {string} id - Bridge message ID or WhatsApp message ID
+   * @returns {Object|null}
+   */
+  getMessageStatus(id) {
+    return this.deliveryTracker.getMessage(id) || this.messageStore.get(id);
+  }
+
+  /**
+   * Search the message history
+   * @param {Object} [filter] - See parseMessageFilter in message-store.js
+   * @returns {{messages: Object[], total: number, limit: number, offset: number, hasMore: boolean}}
+   */
+  queryMessages(filter = {}) {
+    return this.messageStore.query(filter);
+  }
+
   /**
    * Direct send method for MessageScheduler (bypasses queueing)
    * @private
@@ -980,6 +2179,25 @@ class WhatsAppClient {
     return this.sendMessage(to, text, replyToMessageId);
   }
 
+  /**
+   * Send one campaign message, tracked in the message history like async sends
+   * @private
+   * @returns {Promise<string>} Bridge message ID
+   */
+  async _sendCampaignMessage(to, text) {
+    // Checks first, so deferred recipients don't leave 'queued' messages behind
+    await this._preSendChecks(to, text);
+    const tracked = this._trackOutbound(to, { text });
+
+    try {
+      await this.sendMessage(to, text, null, { trackingId: tracked.id });
+    } catch (error) {
+      this.deliveryTracker.fail(tracked.id, error);
+      throw error;
+    }
+    return tracked.id;
+  }
+
   /**
    * Queue a message for optimal timing (alternative to sendMessage)
    * Use this for batch/broadcast messages
@@ -989,10 +2207,11 @@ class WhatsAppClient {
   }
 
   /**
-   * Send a long message as multiple parts (Phase 3)
+   * Send a long message as multiple parts (Phase 3), tracked as one message
    * @private
    */
-  async _sendSplitMessage(to, text, replyToMessageId, jid, isGroup) {
+  async _sendSplitMessage(to, text, replyToMessageId, trackingId = null, rateLimitReserved = false) {
+    trackingId = trackingId || this._trackOutbound(to, { text, replyToMessageId }).id;
     const parts = this.messageSplitter.split(text);
     const partsWithIndicators = this.messageSplitter.addContinuationIndicators(parts);
 
@@ -1006,7 +2225,12 @@ class WhatsAppClient {
       const reply = i === 0 ? replyToMessageId : null;
 
       // Send part using normal sendMessage (recursive but text is now short)
-      const result = await this.sendMessage(to, part, reply);
+      // An async send reserved the budget of the first part only
+      const result = await this.sendMessage(to, part, reply, {
+        trackingId,
+        isReply: !!replyToMessageId,
+        rateLimitReserved: i === 0 && rateLimitReserved,
+      });
       results.push(result);
 
       // Delay between parts
@@ -1021,6 +2245,11 @@ class WhatsAppClient {
   }
 
   normalizeJid(phone) {
+    // Group JIDs are used as they are
+    if (isGroupJid(phone)) {
+      return phone.trim();
+    }
+
     // Remove all non-numeric characters
     let normalized = phone.replace(/\D/g, '');
 
@@ -1056,6 +2285,8 @@ class WhatsAppClient {
    */
   getStatus() {
     return {
+      session: this.sessionId,
+      backend: this.backend,
       connected: this.isConnected,
       phone: this.phoneNumber,
       name: this.userName,
@@ -1063,6 +2294,7 @@ class WhatsAppClient {
       stats: {
         messagesSent: this.stats.messagesSent,
         messagesReceived: this.stats.messagesReceived,
+        messagesFailed: this.stats.messagesFailed,
         uptime: this.stats.startedAt
           ? Math.floor((Date.now() - this.stats.startedAt) / 1000)
           : 0,
@@ -1089,8 +2321,15 @@ class WhatsAppClient {
       blockDetector: this.blockDetector?.getStats?.() || {},
       sessionBackup: this.sessionManager?.getBackupInfo?.() || {},
       persistentQueue: this.persistentQueue?.getStats?.() || {},
-      webhookRetry: this.webhookManager?.getStats?.() || {},
+      webhookRetry: this.webhookManager.getStats(),
       healthMonitor: this.healthMonitor?.getStatus?.() || {},
+      mediaStore: this.mediaStore?.getStats?.() || {},
+      idempotency: this.idempotencyStore.getStats(),
+      messageHistory: this.messageStore.getStats(),
+      polls: this.polls.getStats(),
+      groupActions: this.groupBehavior.getActionStats(),
+      contactLookups: this.contactWarmup.getLookupStats(),
+      storage: this.storage.getInfo(),
       // Phase 5 features
       analytics: this.analytics?.getSummary?.() || {},
       contactScoring: this.contactScoring?.getStats?.() || {},
@@ -1101,6 +2340,8 @@ class WhatsAppClient {
       autoResponder: this.autoResponder?.getStats?.() || {},
       templates: this.messageTemplates?.getStats?.() || {},
       scheduledMessages: this.scheduledMessages?.getStats?.() || {},
+      campaigns: this.campaigns.getStats(),
+      consent: this.consent.getStats(),
     };
   }
 
@@ -1142,6 +2383,7 @@ class WhatsAppClient {
 
     // Phase 5: Stop services and cleanup
     this.scheduledMessages.stop();
+    this.campaigns.stop();
     this.apiRateLimiter.destroy();
 
     // Phase 5: Log system event
@@ -1154,6 +2396,56 @@ class WhatsAppClient {
       this.isConnected = false;
     }
   }
+  /**
+   * Close the connection without logging out.
+   *
+   * Unlike {@link WhatsAppClient#disconnect}, the linked device stays paired
+   * so the session can be started again later without a new QR scan.
+   */
+  async stop() {
+    this.stopRequested = true;
+
+    this.presenceManager.stopPresenceCycle();
+
+    if (this.networkCheckInterval) {
+      clearInterval(this.networkCheckInterval);
+      this.networkCheckInterval = null;
+    }
+
+    this.statusViewer.stopViewing();
+    this.healthMonitor.stop();
+    this.sessionManager.stopAutoBackup();
+    this.scheduledMessages.stop();
+    this.campaigns.stop();
+    this.persistentQueue.saveQueue();
+    this.webhookManager.saveFailedQueue();
+
+    this.auditLogger.logSystem('whatsapp_stopped', {
+      phone: this.phoneNumber,
+    });
+
+    if (this.socket) {
+      this.socket.end(undefined);
+      this.socket = null;
+    }
+    this.isConnected = false;
+    this.qrCode = null;
+  }
+
+  /**
+   * Release all timers held by this client (used when a session is deleted)
+   */
+  destroy() {
+    this.deliveryTracker.destroy();
+    this.campaigns.stop();
+    this.apiRateLimiter.destroy();
+    this.mediaStore.destroy();
+    this.idempotencyStore.destroy();
+    this.messageStore.destroy();
+    this.webhookEmitter.destroy();
+    closeStorage(this.sessionsDir);
+  }
+
 
   /**
    * Exit hibernation mode (manual override for ban warning)
@@ -239,6 +239,20 @@ describe('MessageRateLimiter', () => {
     expect(limiter.dailyCount).toBe(2);
   });
 
+  it('should count a reserved send once when it is delivered', async () => {
+    const limiter = new MessageRateLimiter({ accountAgeWeeks: 10, sessionsDir: tempDir });
+
+    limiter.reserve();
+    expect((await limiter.canSend()).limitType).toBe('interval');
+
+    limiter.lastMessageTime = 1;
+    limiter.recordSend({ reserved: true });
+
+    expect(limiter.hourlyCount).toBe(1);
+    expect(limiter.dailyCount).toBe(1);
+    expect(limiter.lastMessageTime).toBeGreaterThan(1);
+  });
+
   it('should allow messages within limits', async () => {
     const limiter = new MessageRateLimiter({ accountAgeWeeks: 10, sessionsDir: tempDir });
 
@@ -257,6 +271,8 @@ describe('MessageRateLimiter', () => {
     const canSend = await limiter.canSend();
     expect(canSend.allowed).toBe(false);
     expect(canSend.reason).toContain('Hourly');
+    expect(canSend.limitType).toBe('hourly');
+    expect(canSend.waitMs).toBeGreaterThan(0);
   });
 
   it('should persist and load stats', () => {
@@ -472,6 +488,7 @@ describe('BanWarningSystem', () => {
     const canSend = warning.canSend();
     expect(canSend.allowed).toBe(false);
     expect(canSend.reason).toContain('Hibernation');
+    expect(canSend.code).toBe('HIBERNATION');
   });
 });
 
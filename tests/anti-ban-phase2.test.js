@@ -4,13 +4,15 @@
  * Tests for Phase 2-5 anti-ban features including:
  * - Smart message scheduling
  * - Contact warmup tracking
+ * - Group admin action limits
  * - Language detection
  * - Sentiment analysis
  * - Contact scoring
+ * - Session backups
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, existsSync, writeFileSync, readFileSync } from 'fs';
 import { tmpdir } from 'os';
 import { join } from 'path';
 
@@ -19,14 +21,18 @@ import {
   MessageScheduler,
   DeliveryTracker,
   ContactWarmup,
+  GroupBehavior,
   WeekendPatterns,
   // Phase 3
   ConversationMemory,
   SpamReportDetector,
+  ReplyProbability,
   MessageSplitter,
   // Phase 4
   LanguageDetector,
   BlockDetector,
+  SessionManager,
+  PersistentQueue,
   // Phase 5
   MessageAnalytics,
   ContactScoring,
@@ -133,6 +139,101 @@ describe('ContactWarmup', () => {
     expect(canMessage.allowed).toBe(true);
     expect(canMessage.isNew).toBe(true);
   });
+
+  it('should report when the contact limit resets', () => {
+    const warmup = new ContactWarmup({ sessionsDir: tempDir });
+    const contact = 'busy@s.whatsapp.net';
+    warmup.recordContact(contact);
+    warmup.recordContact(contact);
+
+    const blocked = warmup.canMessage(contact);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.waitMs).toBeGreaterThan(23 * 60 * 60 * 1000);
+
+    // A day later the period counter no longer applies
+    warmup.contacts.get(contact).periodStart -= 25 * 60 * 60 * 1000;
+    expect(warmup.canMessage(contact).allowed).toBe(true);
+  });
+
+  it('should cache lookups next to the warmup data', () => {
+    const warmup = new ContactWarmup({ sessionsDir: tempDir });
+    warmup.saveLookup('+628111', { exists: true, jid: '628111@s.whatsapp.net' });
+
+    expect(warmup.getLookup('+628111')).toMatchObject({ exists: true });
+    expect(warmup.getLookup('+628111', { profile: true })).toBeNull();
+
+    warmup.saveLookup('+628111', { profile: { about: 'Hi' } });
+    expect(warmup.getLookup('+628111', { profile: true }).profile.about).toBe('Hi');
+
+    const restored = new ContactWarmup({ sessionsDir: tempDir });
+    expect(restored.getLookup('+628111')).toMatchObject({ exists: true, profile: { about: 'Hi' } });
+  });
+
+  it('should expire cached lookups', () => {
+    const warmup = new ContactWarmup({ sessionsDir: tempDir });
+    warmup.saveLookup('+628111', { exists: false, jid: null });
+    warmup.lookups.get('+628111').checkedAt -= warmup.lookupTtl + 1;
+
+    expect(warmup.getLookup('+628111')).toBeNull();
+  });
+
+  it('should limit uncached lookups', () => {
+    const warmup = new ContactWarmup({ sessionsDir: tempDir });
+    warmup.lookupLimits = { hourly: 3, daily: 10 };
+    warmup.recordLookup(2);
+
+    expect(warmup.canLookup(1).allowed).toBe(true);
+    expect(warmup.canLookup(2)).toMatchObject({ allowed: false, limitType: 'lookup_hourly' });
+    expect(warmup.getLookupStats()).toMatchObject({ hourly: 2, hourlyLimit: 3 });
+  });
+});
+
+// =============================================================================
+// PHASE 2: GROUP BEHAVIOR
+// =============================================================================
+
+describe('GroupBehavior', () => {
+  it('should count participants against the hourly limit', () => {
+    const groups = new GroupBehavior({ minActionIntervalMs: 0 });
+
+    expect(groups.canPerformAction('participants', 15).allowed).toBe(true);
+    groups.recordAction('participants', 15);
+
+    expect(groups.canPerformAction('participants', 5).allowed).toBe(true);
+    expect(groups.canPerformAction('participants', 6)).toMatchObject({
+      allowed: false,
+      limitType: 'group_participants_hourly',
+    });
+  });
+
+  it('should refuse batches larger than an hour allows', () => {
+    const groups = new GroupBehavior();
+    expect(groups.canPerformAction('participants', 21)).toMatchObject({ allowed: false, waitMs: null });
+  });
+
+  it('should space out changes but not lookups', () => {
+    const groups = new GroupBehavior({ minActionIntervalMs: 5000 });
+    groups.recordAction('settings');
+
+    expect(groups.canPerformAction('settings')).toMatchObject({ allowed: false, limitType: 'group_interval' });
+    expect(groups.canPerformAction('metadata').allowed).toBe(true);
+  });
+
+  it('should always respond when mentioned or replied to', () => {
+    const groups = new GroupBehavior();
+    groups.groupResponseProbability = 0;
+
+    expect(groups.shouldRespondInGroup({ isMentioned: true })).toBe(true);
+    expect(groups.shouldRespondInGroup({ isReplyToMe: true })).toBe(true);
+    expect(groups.shouldRespondInGroup()).toBe(false);
+  });
+
+  it('should report usage per action type', () => {
+    const groups = new GroupBehavior();
+    groups.recordAction('create');
+
+    expect(groups.getActionStats().create).toEqual({ hourly: 1, hourlyLimit: 2, daily: 1, dailyLimit: 5 });
+  });
 });
 
 // =============================================================================
@@ -194,6 +295,37 @@ describe('DeliveryTracker', () => {
     expect(health.healthy).toBe(true);
     expect(health.issues).toHaveLength(0);
   });
+
+  it('should follow a tracked send through its lifecycle', () => {
+    const tracker = new DeliveryTracker({ sessionsDir: tempDir });
+
+    const { id } = tracker.track('+628111');
+    expect(id).toMatch(/^msg_[0-9a-f]{16}$/);
+
+    tracker.advance(id, 'typing');
+    tracker.recordSent('WA1', '+628111', id);
+    tracker.updateStatus('WA1', 'delivered');
+    tracker.updateStatus('WA1', 'sent');      // late update, ignored
+    tracker.updateStatus('WA1', 'read');
+
+    const message = tracker.getMessage(id);
+    expect(message).toMatchObject({ status: 'read', whatsappMessageIds: ['WA1'], error: null });
+    expect(message.history.map(h => h.status)).toEqual(['queued', 'typing', 'sent', 'delivered', 'read']);
+    expect(tracker.getMessage('WA1').id).toBe(id);
+    tracker.destroy();
+  });
+
+  it('should record failures with a reason', () => {
+    const tracker = new DeliveryTracker({ sessionsDir: tempDir });
+
+    const { id } = tracker.track('+628111');
+    tracker.fail(id, Object.assign(new Error('Rate limit: Too fast'), { code: 'RATE_LIMITED' }));
+    tracker.advance(id, 'sent');
+
+    expect(tracker.getMessage(id)).toMatchObject({ status: 'failed', error: 'Rate limit: Too fast', errorCode: 'RATE_LIMITED' });
+    expect(tracker.getMessage('unknown')).toBeNull();
+    tracker.destroy();
+  });
 });
 
 // =============================================================================
@@ -245,6 +377,23 @@ describe('ConversationMemory', () => {
   });
 });
 
+// =============================================================================
+// PHASE 3: REPLY PROBABILITY
+// =============================================================================
+
+describe('ReplyProbability', () => {
+  it('should always reply when mentioned or replied to', () => {
+    const replies = new ReplyProbability();
+    replies.baseReplyRate = 0;
+
+    expect(replies.shouldReply({ text: 'ok', from: '+628111' }, { isMentioned: true }))
+      .toMatchObject({ shouldReply: true, reason: 'mentioned' });
+    expect(replies.shouldReply({ text: 'ok', from: '+628111' }, { isReplyToMe: true }))
+      .toMatchObject({ shouldReply: true, reason: 'direct_reply' });
+    expect(replies.shouldReply({ text: 'ok', from: '+628111' }).shouldReply).toBe(false);
+  });
+});
+
 // =============================================================================
 // PHASE 3: MESSAGE SPLITTER
 // =============================================================================
@@ -662,4 +811,94 @@ describe('ScheduledMessages', () => {
     const stats = scheduler.getStats();
     expect(stats.byStatus.pending).toBe(2);
   });
+
+  it('should skip opted-out recipients unless replying', async () => {
+    const sendFunction = vi.fn(() => Promise.resolve());
+    const scheduler = new ScheduledMessages({
+      sessionsDir: tempDir,
+      sendFunction,
+      isOptedOut: (to) => to === '+628111',
+      logger: { info() {}, error() {} },
+    });
+    const skipped = scheduler.schedule('+628111', 'Promo', Date.now() + 1000, { repeat: 'daily' });
+    scheduler.schedule('+628111', 'Your order', Date.now() + 1000, { replyTo: 'ABC' });
+
+    vi.useFakeTimers({ now: Date.now() + 2000 });
+    try {
+      await scheduler.processScheduled();
+    } finally {
+      vi.useRealTimers();
+    }
+
+    expect(sendFunction).toHaveBeenCalledTimes(1);
+    expect(sendFunction).toHaveBeenCalledWith('+628111', 'Your order', 'ABC');
+    expect(scheduler.getScheduled({ status: 'skipped' })[0]).toMatchObject({ id: skipped.id, error: 'Recipient opted out' });
+    // The next repeat goes out if they opt back in
+    expect(scheduler.getStats().byStatus).toMatchObject({ skipped: 1, sent: 1, pending: 1 });
+  });
+});
+
+// =============================================================================
+// PHASE 4: PERSISTENT QUEUE
+// =============================================================================
+
+describe('PersistentQueue', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-test-'));
+  });
+
+  afterEach(() => {
+    if (tempDir && existsSync(tempDir)) {
+      rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  it('should drop messages to opted-out recipients', async () => {
+    const sendFunction = vi.fn(() => Promise.resolve());
+    const queue = new PersistentQueue({
+      sessionsDir: tempDir,
+      sendFunction,
+      isOptedOut: (to) => to === '+628111',
+      logger: { info() {}, error() {}, warn() {} },
+    });
+
+    queue.enqueue('+628111', 'Promo');
+    await queue.processQueue();
+
+    expect(sendFunction).not.toHaveBeenCalled();
+    expect(queue.getStatus().total).toBe(0);
+  });
+});
+
+describe('SessionManager', () => {
+  let tempDir;
+  let sessionsDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-test-'));
+    sessionsDir = join(tempDir, 'sessions');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should back up the session and restore it', () => {
+    const manager = new SessionManager({ sessionsDir, maxBackups: 1 });
+    expect(existsSync(join(tempDir, 'session-backups'))).toBe(true);
+
+    mkdirSync(sessionsDir);
+    writeFileSync(join(sessionsDir, 'creds.json'), '{"me":1}');
+    const backup = manager.createBackup();
+    expect(backup).toMatchObject({ success: true });
+
+    const [listed] = manager.listBackups();
+    expect(listed).toMatchObject({ size: 8 });
+
+    writeFileSync(join(sessionsDir, 'creds.json'), '{"me":2}');
+    expect(manager.restoreBackup(listed.name)).toEqual({ success: true, restored: listed.name });
+    expect(readFileSync(join(sessionsDir, 'creds.json'), 'utf-8')).toBe('{"me":1}');
+  });
 });
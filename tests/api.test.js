@@ -4,14 +4,38 @@
  * Tests for API server functionality:
  * - Phone number validation
  * - Health endpoints with memory stats
+ * - Prometheus metrics and their basic auth
  * - Global error handler
  * - 404 handler
  * - Authentication
+ * - Media, location, contact card and poll sending
+ * - Media download
+ * - Typed send errors (status, code, Retry-After)
+ * - Idempotency keys
+ * - Async send and message status
+ * - Message history query
+ * - Group management
+ * - Contact lookup
+ * - Broadcast campaigns
+ * - Consent registry
+ * - Reactions, edits, deletes and read receipts
+ * - IP filtering, rate limits and audit logging
  */
 
 import { describe, it, expect, vi } from 'vitest';
 import request from 'supertest';
 import { createApiServer } from '../src/api.js';
+import { MediaError } from '../src/media.js';
+import { WebhookEventEmitter } from '../src/webhook-events.js';
+import { IPWhitelist, APIRateLimiter, AuditLogger } from '../src/anti-ban.js';
+import { IdempotencyStore } from '../src/idempotency.js';
+import { GroupError } from '../src/groups.js';
+import { ContactError } from '../src/contacts.js';
+import { MessageActionError } from '../src/message-actions.js';
+import { RichMessageError } from '../src/rich-messages.js';
+import { CampaignError } from '../src/campaigns.js';
+import { ConsentError } from '../src/consent.js';
+import { ErrorHandler, RateLimitError, ConnectionError, AntiBanError, BlockedError } from '../src/errors.js';
 
 // Mock WhatsApp client for testing
 const createMockWhatsAppClient = (overrides = {}) => ({
@@ -24,6 +48,7 @@ const createMockWhatsAppClient = (overrides = {}) => ({
     ...(overrides.status || {}),
   })),
   sendMessage: vi.fn(() => Promise.resolve({ key: { id: 'msg123' } })),
+  sendMedia: vi.fn(() => Promise.resolve({ key: { id: 'media123' } })),
   rateLimiter: { getStatus: vi.fn(() => ({ hourly: { used: 0 } })) },
   banWarning: { getStatus: vi.fn(() => ({ currentLevel: 'normal' })) },
   ...overrides,
@@ -71,6 +96,19 @@ describe('Phone Number Validation', () => {
     expect(res.status).toBe(200);
   });
 
+  it('should accept group JIDs', async () => {
+    const client = createMockWhatsAppClient();
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '120363012345678901@g.us', message: 'Hello group' });
+
+    expect(res.status).toBe(200);
+    expect(client.sendMessage).toHaveBeenCalledWith('120363012345678901@g.us', 'Hello group', undefined);
+  });
+
   it('should reject invalid phone format', async () => {
     const client = createMockWhatsAppClient();
     const app = createApiServer(client, { apiSecret: 'test-secret' });
@@ -148,6 +186,792 @@ describe('Phone Number Validation', () => {
   });
 });
 
+// =============================================================================
+// MEDIA SEND TESTS
+// =============================================================================
+
+describe('Media Send', () => {
+  const PNG_BASE64 = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+
+  it('should send JSON media with caption from message', async () => {
+    const client = createMockWhatsAppClient();
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({
+        to: '+6281234567890',
+        message: 'Your receipt',
+        media: { base64: PNG_BASE64, mimetype: 'image/png' },
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.messageId).toBe('media123');
+    expect(client.sendMessage).not.toHaveBeenCalled();
+    expect(client.sendMedia).toHaveBeenCalledWith(
+      '+6281234567890',
+      expect.objectContaining({ base64: PNG_BASE64, mimetype: 'image/png' }),
+      expect.objectContaining({ caption: 'Your receipt' }),
+    );
+  });
+
+  it('should accept media without a text message', async () => {
+    const client = createMockWhatsAppClient();
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', media: { url: 'https://example.com/a.pdf', caption: 'Invoice' } });
+
+    expect(res.status).toBe(200);
+    expect(client.sendMedia.mock.calls[0][2].caption).toBe('Invoice');
+  });
+
+  it('should accept multipart file uploads', async () => {
+    const client = createMockWhatsAppClient();
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .field('to', '+6281234567890')
+      .field('caption', 'Scan')
+      .attach('file', Buffer.from('%PDF-1.4'), { filename: 'scan.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(200);
+    const [to, media, opts] = client.sendMedia.mock.calls[0];
+    expect(to).toBe('+6281234567890');
+    expect(Buffer.isBuffer(media.buffer)).toBe(true);
+    expect(media.filename).toBe('scan.pdf');
+    expect(media.mimetype).toBe('application/pdf');
+    expect(opts.caption).toBe('Scan');
+  });
+
+  it('should reject unknown media types', async () => {
+    const client = createMockWhatsAppClient();
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', media: { base64: PNG_BASE64, type: 'sticker' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid media type');
+  });
+
+  it('should return 400 when media cannot be resolved', async () => {
+    const client = createMockWhatsAppClient({
+      sendMedia: vi.fn(() => Promise.reject(new MediaError('Invalid base64 media data'))),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', media: { base64: '!!!' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid media');
+    expect(res.body.message).toBe('Invalid base64 media data');
+  });
+
+  it('should send locations, contact cards and polls', async () => {
+    const client = createMockWhatsAppClient({
+      sendRichMessage: vi.fn(() => Promise.resolve({ key: { id: 'poll123' } })),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+    const poll = { question: 'Pickup time?', options: ['Morning', 'Afternoon'] };
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', type: 'poll', poll });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, messageId: 'poll123', to: '6281234567890' });
+    expect(client.sendRichMessage).toHaveBeenCalledWith('6281234567890', 'poll', poll, { replyToMessageId: undefined });
+    expect(client.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for invalid rich payloads', async () => {
+    const client = createMockWhatsAppClient({
+      sendRichMessage: vi.fn(() => Promise.reject(new RichMessageError('"location.latitude" must be a number between -90 and 90'))),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', type: 'location', location: { latitude: 123, longitude: 0 } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid location');
+  });
+});
+
+// =============================================================================
+// SEND ERROR TESTS
+// =============================================================================
+
+describe('Send Errors', () => {
+  const quietErrors = new ErrorHandler();
+  quietErrors.log = () => {};
+
+  const sendWithError = async (error) => {
+    const client = createMockWhatsAppClient({ sendMessage: vi.fn(() => Promise.reject(error)) });
+    const app = createApiServer(client, { apiSecret: 'test-secret', errorHandler: quietErrors });
+
+    return request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', message: 'Hello' });
+  };
+
+  it('should return 429 with waitMs and Retry-After for rate limits', async () => {
+    const res = await sendWithError(new RateLimitError('Rate limit: Too fast. Wait 5 seconds.', {
+      code: 'RATE_LIMITED',
+      limitType: 'interval',
+      waitMs: 4200,
+    }));
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('5');
+    expect(res.body).toMatchObject({
+      success: false,
+      code: 'RATE_LIMITED',
+      limitType: 'interval',
+      waitMs: 4200,
+      retryAfter: 5,
+    });
+  });
+
+  it.each([
+    [new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' }), 503, 'NOT_CONNECTED'],
+    [new AntiBanError('Ban protection: hibernating', { code: 'HIBERNATION', riskLevel: 'critical' }), 423, 'HIBERNATION'],
+    [new BlockedError('Contact has blocked this number', { code: 'CONTACT_BLOCKED' }), 409, 'CONTACT_BLOCKED'],
+  ])('should map typed errors to their status %#', async (error, status, code) => {
+    const res = await sendWithError(error);
+
+    expect(res.status).toBe(status);
+    expect(res.body).toMatchObject({ success: false, code, error: error.message });
+  });
+
+  it('should keep 500 for untyped errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await sendWithError(new Error('boom'));
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, error: 'boom' });
+
+    vi.restoreAllMocks();
+  });
+});
+
+// =============================================================================
+// IDEMPOTENCY TESTS
+// =============================================================================
+
+describe('Idempotency Keys', () => {
+  const setup = (overrides = {}) => {
+    const client = createMockWhatsAppClient({ idempotencyStore: new IdempotencyStore(), ...overrides });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+    const post = (path, key, body) => {
+      const req = request(app).post(path).set('Authorization', 'Bearer test-secret');
+      if (key !== undefined) req.set('Idempotency-Key', key);
+      return req.send(body);
+    };
+    return { client, post };
+  };
+
+  it('should send once and replay the stored response', async () => {
+    const { client, post } = setup();
+    const body = { to: '6281234567890', message: 'Hello' };
+
+    const first = await post('/api/send', 'order-42', body);
+    const repeat = await post('/api/send', 'order-42', body);
+
+    expect(repeat.status).toBe(200);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(client.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should send every request without a key', async () => {
+    const { client, post } = setup();
+
+    await post('/api/send', undefined, { to: '6281234567890', message: 'Hello' });
+    await post('/api/send', undefined, { to: '6281234567890', message: 'Hello' });
+
+    expect(client.sendMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject a key reused with a different body', async () => {
+    const { post } = setup();
+
+    await post('/api/send', 'order-42', { to: '6281234567890', message: 'Hello' });
+    const res = await post('/api/send', 'order-42', { to: '6281234567890', message: 'Bye' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('Idempotency conflict');
+  });
+
+  it('should reject a repeat while the first request is running', async () => {
+    let finish;
+    const { post } = setup({
+      sendMessage: vi.fn(() => new Promise(resolve => { finish = resolve; })),
+    });
+    const body = { to: '6281234567890', message: 'Hello' };
+
+    const first = post('/api/send', 'order-42', body).then(res => res);
+    await vi.waitFor(() => expect(finish).toBeDefined());
+
+    const repeat = await post('/api/send', 'order-42', body);
+    expect(repeat.status).toBe(409);
+
+    finish({ key: { id: 'msg123' } });
+    expect((await first).status).toBe(200);
+  });
+
+  it('should keep the key when the client gives up before the send finishes', async () => {
+    let finish;
+    const { client, post } = setup({
+      sendMessage: vi.fn(() => new Promise(resolve => { finish = resolve; })),
+    });
+    const body = { to: '6281234567890', message: 'Hello' };
+
+    await expect(post('/api/send', 'order-42', body).timeout(50)).rejects.toThrow(/timeout/i);
+    await vi.waitFor(() => expect(finish).toBeDefined());
+
+    expect((await post('/api/send', 'order-42', body)).status).toBe(409);
+
+    finish({ key: { id: 'msg123' } });
+    await vi.waitFor(() => expect(client.idempotencyStore.get('order-42')).not.toBeNull());
+    const retry = await post('/api/send', 'order-42', body);
+
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.messageId).toBe('msg123');
+    expect(client.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should let a failed request be retried with the same key', async () => {
+    const sendMessage = vi.fn()
+      .mockRejectedValueOnce(new RateLimitError('Rate limit', { code: 'RATE_LIMITED', waitMs: 1000 }))
+      .mockResolvedValueOnce({ key: { id: 'msg123' } });
+    const { post } = setup({ sendMessage });
+    const body = { to: '6281234567890', message: 'Hello' };
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect((await post('/api/send', 'order-42', body)).status).toBe(429);
+    warn.mockRestore();
+
+    const retry = await post('/api/send', 'order-42', body);
+    expect(retry.status).toBe(200);
+    expect(sendMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should apply to the persistent queue', async () => {
+    const enqueue = vi.fn(() => 'pq_1');
+    const { post } = setup({ persistentQueue: { enqueue, getStats: vi.fn(() => ({ pending: 1 })) } });
+    const body = { to: '6281234567890', message: 'Hello' };
+
+    await post('/api/persistent-queue', 'batch-7', body);
+    const repeat = await post('/api/persistent-queue', 'batch-7', body);
+
+    expect(repeat.body.queuedMessageId).toBe('pq_1');
+    expect(enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject overlong keys', async () => {
+    const { post } = setup();
+
+    const res = await post('/api/send', 'x'.repeat(256), { to: '6281234567890', message: 'Hello' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+// =============================================================================
+// ASYNC SEND TESTS
+// =============================================================================
+
+describe('Async Send', () => {
+  const tracked = { id: 'msg_0123456789abcdef', to: '6281234567890', status: 'queued', history: [] };
+
+  it('should answer 202 with the bridge message ID', async () => {
+    const client = createMockWhatsAppClient({ sendAsync: vi.fn(() => Promise.resolve(tracked)) });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', message: 'Hello', async: true });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({
+      success: true,
+      id: tracked.id,
+      status: 'queued',
+      statusUrl: `/api/messages/${tracked.id}`,
+    });
+    expect(client.sendAsync).toHaveBeenCalledWith('6281234567890', { text: 'Hello', media: null, rich: null, replyToMessageId: undefined });
+    expect(client.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('should still reject failed pre-send checks', async () => {
+    const client = createMockWhatsAppClient({
+      sendAsync: vi.fn(() => Promise.reject(new ConnectionError('WhatsApp not connected', { code: 'NOT_CONNECTED' }))),
+    });
+    const quietErrors = new ErrorHandler();
+    quietErrors.log = () => {};
+    const app = createApiServer(client, { apiSecret: 'test-secret', errorHandler: quietErrors });
+
+    const res = await request(app)
+      .post('/api/send')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ to: '6281234567890', message: 'Hello', async: true });
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('NOT_CONNECTED');
+  });
+
+  it('should return the message lifecycle', async () => {
+    const client = createMockWhatsAppClient({
+      getMessageStatus: vi.fn(id => (id === tracked.id ? { ...tracked, status: 'delivered' } : null)),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const found = await request(app)
+      .get(`/api/messages/${tracked.id}`)
+      .set('Authorization', 'Bearer test-secret');
+    const missing = await request(app)
+      .get('/api/messages/msg_missing')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(found.status).toBe(200);
+    expect(found.body.status).toBe('delivered');
+    expect(missing.status).toBe(404);
+  });
+});
+
+// =============================================================================
+// MESSAGE HISTORY TESTS
+// =============================================================================
+
+describe('Message History', () => {
+  it('should pass the parsed filter to the client', async () => {
+    const page = { messages: [{ id: 'msg_1', direction: 'outbound' }], total: 1, limit: 20, offset: 0, hasMore: false };
+    const client = createMockWhatsAppClient({ queryMessages: vi.fn(() => page) });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/messages')
+      .query({ contact: '+62 811-1', direction: 'outbound', status: 'failed', from: '1700000000000', limit: '20' })
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(page);
+    expect(client.queryMessages).toHaveBeenCalledWith({
+      contact: '+628111',
+      direction: 'outbound',
+      status: 'failed',
+      from: 1700000000000,
+      to: null,
+      limit: 20,
+      offset: 0,
+    });
+  });
+
+  it('should reject invalid filters', async () => {
+    const client = createMockWhatsAppClient({ queryMessages: vi.fn() });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/messages?direction=sideways')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('"direction"');
+    expect(client.queryMessages).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// MESSAGE ACTION TESTS
+// =============================================================================
+
+describe('Message Actions', () => {
+  it('should react, edit and delete', async () => {
+    const client = createMockWhatsAppClient({
+      reactToMessage: vi.fn((id, emoji) => Promise.resolve({ messageId: 'WA1', emoji })),
+      editMessage: vi.fn((id, text) => Promise.resolve({ messageId: 'WA1', text })),
+      revokeMessage: vi.fn(() => Promise.resolve({ messageIds: ['WA1'] })),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const react = await request(app)
+      .post('/api/messages/msg_1/react')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ emoji: '👍' });
+    const edit = await request(app)
+      .patch('/api/messages/msg_1')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ text: 'Fixed' });
+    const revoke = await request(app)
+      .delete('/api/messages/msg_1')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(react.body).toEqual({ success: true, messageId: 'WA1', emoji: '👍' });
+    expect(edit.body).toEqual({ success: true, messageId: 'WA1', text: 'Fixed' });
+    expect(revoke.body).toEqual({ success: true, messageIds: ['WA1'] });
+    expect(client.reactToMessage).toHaveBeenCalledWith('msg_1', '👍');
+  });
+
+  it('should map action errors to their status', async () => {
+    const client = createMockWhatsAppClient({
+      editMessage: vi.fn(() => Promise.reject(new MessageActionError('Message is too old to be edited', 409))),
+      revokeMessage: vi.fn(() => Promise.reject(new MessageActionError('Message not found', 404))),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const edit = await request(app)
+      .patch('/api/messages/msg_1')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ text: 'Late' });
+    const revoke = await request(app)
+      .delete('/api/messages/unknown')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(edit.status).toBe(409);
+    expect(edit.body.error).toBe('Message is too old to be edited');
+    expect(revoke.status).toBe(404);
+  });
+
+  it('should mark a chat as read', async () => {
+    const client = createMockWhatsAppClient({
+      markChatRead: vi.fn(() => Promise.resolve({ chat: '+6281234567890', read: 3 })),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/chats/6281234567890@s.whatsapp.net/read')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, chat: '+6281234567890', read: 3 });
+    expect(client.markChatRead).toHaveBeenCalledWith('6281234567890@s.whatsapp.net');
+  });
+});
+
+// =============================================================================
+// GROUP TESTS
+// =============================================================================
+
+describe('Groups', () => {
+  it('should create a group with 201', async () => {
+    const group = { id: '120363012345678901@g.us', subject: 'Support', participants: [] };
+    const client = createMockWhatsAppClient({ createGroup: vi.fn(() => Promise.resolve(group)) });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/groups')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ subject: 'Support', participants: ['+6281234567890'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ success: true, group });
+    expect(client.createGroup).toHaveBeenCalledWith('Support', ['+6281234567890']);
+  });
+
+  it('should update participants with per-phone results', async () => {
+    const results = [{ phone: '+6281234567890', success: false, status: 403 }];
+    const client = createMockWhatsAppClient({ updateGroupParticipants: vi.fn(() => Promise.resolve(results)) });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/groups/120363012345678901/participants')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ action: 'add', participants: ['+6281234567890'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, action: 'add', results });
+    expect(client.updateGroupParticipants).toHaveBeenCalledWith('120363012345678901', ['+6281234567890'], 'add');
+  });
+
+  it('should map group errors to their status', async () => {
+    const client = createMockWhatsAppClient({
+      getGroup: vi.fn(() => Promise.reject(new GroupError('Group not found', 404))),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/groups/120363012345678901@g.us')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Group not found');
+  });
+
+  it('should return 429 with Retry-After for group action limits', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const client = createMockWhatsAppClient({
+      revokeGroupInviteLink: vi.fn(() => Promise.reject(new RateLimitError('Group limit', {
+        code: 'GROUP_ACTION_LIMIT',
+        limitType: 'group_settings_hourly',
+        waitMs: 120000,
+      }))),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .delete('/api/groups/120363012345678901/invite')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('120');
+    expect(res.body.code).toBe('GROUP_ACTION_LIMIT');
+    warn.mockRestore();
+  });
+});
+
+// =============================================================================
+// CONTACT TESTS
+// =============================================================================
+
+describe('Contacts', () => {
+  it('should check numbers with counts', async () => {
+    const results = [
+      { phone: '+6281234567890', exists: true, jid: '6281234567890@s.whatsapp.net', cached: false },
+      { phone: '+6289876543210', exists: false, jid: null, cached: true },
+    ];
+    const client = createMockWhatsAppClient({ checkContacts: vi.fn(() => Promise.resolve(results)) });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/contacts/check')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ phones: ['+6281234567890', '+6289876543210'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ results, onWhatsApp: 1, cached: 1 });
+  });
+
+  it('should map contact errors to their status', async () => {
+    const client = createMockWhatsAppClient({
+      checkContacts: vi.fn(() => Promise.reject(new ContactError('At most 50 phone numbers per request'))),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/contacts/check')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ phones: [] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should fetch a profile, optionally skipping the cache', async () => {
+    const client = createMockWhatsAppClient({
+      getContact: vi.fn(phone => Promise.resolve({ phone, exists: true, about: 'Available', cached: false })),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/contacts/+6281234567890?refresh=true')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body.about).toBe('Available');
+    expect(client.getContact).toHaveBeenCalledWith('+6281234567890', { refresh: true });
+  });
+});
+
+// =============================================================================
+// CAMPAIGN TESTS
+// =============================================================================
+
+describe('Campaigns', () => {
+  const campaign = { id: 'camp_1', name: 'Sale', status: 'running', total: 2, counts: { pending: 2 } };
+
+  it('should create a campaign with 201', async () => {
+    const client = createMockWhatsAppClient({ campaigns: { create: vi.fn(() => campaign) } });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+    const body = { name: 'Sale', text: 'Hi {name}', recipients: [{ phone: '+6281234567890', variables: { name: 'Sari' } }] };
+
+    const res = await request(app)
+      .post('/api/campaigns')
+      .set('Authorization', 'Bearer test-secret')
+      .send(body);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ success: true, campaign });
+    expect(client.campaigns.create).toHaveBeenCalledWith(body);
+  });
+
+  it('should pause, resume and cancel', async () => {
+    const campaigns = {
+      pause: vi.fn(() => ({ ...campaign, status: 'paused' })),
+      resume: vi.fn(() => campaign),
+      cancel: vi.fn(() => ({ ...campaign, status: 'cancelled' })),
+    };
+    const app = createApiServer(createMockWhatsAppClient({ campaigns }), { apiSecret: 'test-secret' });
+
+    for (const [action, status] of [['pause', 'paused'], ['resume', 'running'], ['cancel', 'cancelled']]) {
+      const res = await request(app)
+        .post(`/api/campaigns/camp_1/${action}`)
+        .set('Authorization', 'Bearer test-secret');
+
+      expect(res.status).toBe(200);
+      expect(res.body.campaign.status).toBe(status);
+      expect(campaigns[action]).toHaveBeenCalledWith('camp_1');
+    }
+  });
+
+  it('should pass recipient filters through', async () => {
+    const page = { recipients: [], total: 0, limit: 10, offset: 0, hasMore: false };
+    const client = createMockWhatsAppClient({ campaigns: { getRecipients: vi.fn(() => page) } });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/campaigns/camp_1/recipients?status=failed&limit=10')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(page);
+    expect(client.campaigns.getRecipients).toHaveBeenCalledWith('camp_1', { status: 'failed', limit: '10' });
+  });
+
+  it('should map campaign errors to their status', async () => {
+    const client = createMockWhatsAppClient({
+      campaigns: { resume: vi.fn(() => { throw new CampaignError('Campaign is running', 409); }) },
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/campaigns/camp_1/resume')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Campaign is running');
+  });
+});
+
+// =============================================================================
+// CONSENT TESTS
+// =============================================================================
+
+describe('Consent', () => {
+  const record = { phone: '+6281234567890', status: 'opted_in', optInSource: 'checkout-form' };
+
+  it('should list consent records by status', async () => {
+    const client = createMockWhatsAppClient({ consent: { list: vi.fn(() => [record]) } });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/consent?status=opted_in')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ contacts: [record], total: 1 });
+    expect(client.consent.list).toHaveBeenCalledWith({ status: 'opted_in' });
+  });
+
+  it('should return 404 for contacts without consent records', async () => {
+    const client = createMockWhatsAppClient({ consent: { get: vi.fn(() => null) } });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/consent/6281234567890')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should record an opt-in with its source and time', async () => {
+    const client = createMockWhatsAppClient({ consent: { optIn: vi.fn(() => ({ record, changed: true })) } });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/consent/6281234567890/opt-in')
+      .set('Authorization', 'Bearer test-secret')
+      .send({ source: 'checkout-form', at: '2024-03-01T10:00:00Z' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, changed: true, consent: record });
+    expect(client.consent.optIn).toHaveBeenCalledWith('6281234567890', { source: 'checkout-form', at: '2024-03-01T10:00:00Z' });
+  });
+
+  it('should map consent errors to their status', async () => {
+    const client = createMockWhatsAppClient({
+      consent: { optOut: vi.fn(() => { throw new ConsentError('Invalid phone number "123"'); }) },
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .post('/api/consent/123/opt-out')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid phone number "123"');
+  });
+});
+
+// =============================================================================
+// MEDIA DOWNLOAD TESTS
+// =============================================================================
+
+describe('Media Download', () => {
+  it('should stream stored media with headers', async () => {
+    const client = createMockWhatsAppClient({
+      getMedia: vi.fn(() => Promise.resolve({
+        buffer: Buffer.from('%PDF-1.4'),
+        mimetype: 'application/pdf',
+        filename: 'invoice.pdf',
+        sha256: 'abc123',
+      })),
+    });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/media/MSG1')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('application/pdf');
+    expect(res.headers['content-disposition']).toContain('invoice.pdf');
+    expect(res.headers['x-media-sha256']).toBe('abc123');
+    expect(res.body.toString()).toBe('%PDF-1.4');
+    expect(client.getMedia).toHaveBeenCalledWith('MSG1');
+  });
+
+  it('should return 404 for unknown media', async () => {
+    const client = createMockWhatsAppClient({ getMedia: vi.fn(() => Promise.resolve(null)) });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app)
+      .get('/api/media/NOPE')
+      .set('Authorization', 'Bearer test-secret');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Media not found');
+  });
+
+  it('should require authentication', async () => {
+    const client = createMockWhatsAppClient({ getMedia: vi.fn() });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app).get('/api/media/MSG1');
+
+    expect(res.status).toBe(401);
+    expect(client.getMedia).not.toHaveBeenCalled();
+  });
+});
+
 // =============================================================================
 // HEALTH ENDPOINT TESTS
 // =============================================================================
@@ -207,6 +1031,46 @@ describe('Health Endpoints', () => {
   });
 });
 
+// =============================================================================
+// METRICS TESTS
+// =============================================================================
+
+describe('Metrics', () => {
+  const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+  it('should serve Prometheus text without auth by default', async () => {
+    const client = createMockWhatsAppClient({ isConnected: true, stats: { messagesSent: 3 } });
+    const app = createApiServer(client, { apiSecret: 'test-secret' });
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('wa2bridge_messages_sent_total{session="default"} 3');
+  });
+
+  it('should require basic auth when configured', async () => {
+    const app = createApiServer(createMockWhatsAppClient(), {
+      apiSecret: 'test-secret',
+      metricsAuth: { username: 'prometheus', password: 'scrape-secret' },
+    });
+
+    const missing = await request(app).get('/metrics');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Basic realm="metrics"');
+
+    const bearer = await request(app).get('/metrics').set('Authorization', 'Bearer test-secret');
+    expect(bearer.status).toBe(401);
+
+    const wrong = await request(app).get('/metrics').set('Authorization', basic('prometheus', 'nope'));
+    expect(wrong.status).toBe(401);
+
+    const ok = await request(app).get('/metrics').set('Authorization', basic('prometheus', 'scrape-secret'));
+    expect(ok.status).toBe(200);
+    expect(ok.text).toContain('# TYPE wa2bridge_connected gauge');
+  });
+});
+
 // =============================================================================
 // ERROR HANDLER TESTS
 // =============================================================================
@@ -421,3 +1285,195 @@ describe('IP Rate Limiting', () => {
     expect(lastRes.headers['retry-after']).toBeDefined();
   });
 });
+
+// =============================================================================
+// API SECURITY TESTS
+// =============================================================================
+
+describe('API Security', () => {
+  const auth = (req) => req.set('Authorization', 'Bearer test-secret');
+
+  it('should temporarily ban an IP after repeated failed auth', async () => {
+    const auditLogger = new AuditLogger();
+    const app = createApiServer(createMockWhatsAppClient(), { apiSecret: 'test-secret', auditLogger });
+
+    for (let i = 0; i < 5; i++) {
+      const res = await request(app).get('/api/status').set('Authorization', 'Bearer wrong');
+      expect(res.status).toBe(401);
+    }
+
+    const banned = await auth(request(app).get('/api/status'));
+    expect(banned.status).toBe(403);
+    expect(banned.body.message).toContain('Temporarily blocked');
+
+    expect(auditLogger.getFailedAuths()).toHaveLength(5);
+    expect(auditLogger.getSecurityEvents()[0].event).toBe('ip_temp_banned');
+  });
+
+  it('should block blacklisted IPs but not health checks', async () => {
+    const ipWhitelist = new IPWhitelist({ blacklist: ['127.0.0.1'] });
+    const app = createApiServer(createMockWhatsAppClient(), { ipWhitelist });
+
+    expect((await request(app).get('/api/qr')).status).toBe(403);
+    expect((await request(app).get('/health')).status).toBe(200);
+  });
+
+  it('should audit every API call with its decision', async () => {
+    const auditLogger = new AuditLogger();
+    const app = createApiServer(createMockWhatsAppClient(), { apiSecret: 'test-secret', auditLogger });
+
+    await auth(request(app).get('/api/status'));
+    await request(app).get('/api/status');
+
+    // Most recent first
+    const calls = auditLogger.getLogs({ type: 'api_call' });
+    expect(calls.map(c => [c.path, c.statusCode, c.decision])).toEqual([
+      ['/api/status', 401, 'unauthorized'],
+      ['/api/status', 200, 'allowed'],
+    ]);
+  });
+
+  it('should apply per-endpoint limits changed at runtime', async () => {
+    const apiRateLimiter = new APIRateLimiter();
+    const app = createApiServer(createMockWhatsAppClient(), { apiSecret: 'test-secret', apiRateLimiter });
+
+    const set = await auth(request(app).put('/api/security/rate-limiter/limits'))
+      .send({ endpoint: '/api/qr', windowMs: 60000, max: 2 });
+    expect(set.status).toBe(200);
+    expect(set.body.endpointLimits['/api/qr']).toEqual({ windowMs: 60000, max: 2 });
+
+    const first = await auth(request(app).get('/api/qr'));
+    expect(first.headers['x-ratelimit-limit']).toBe('2');
+    expect(first.headers['x-ratelimit-remaining']).toBe('1');
+    await auth(request(app).get('/api/qr'));
+    expect((await auth(request(app).get('/api/qr'))).status).toBe(429);
+
+    // Other endpoints keep the default budget
+    expect((await auth(request(app).get('/api/status'))).status).toBe(200);
+
+    const removed = await auth(request(app).delete('/api/security/rate-limiter/limits?endpoint=/api/qr'));
+    expect(removed.body.endpointLimits['/api/qr']).toBeUndefined();
+    apiRateLimiter.destroy();
+  });
+
+  it('should validate rate limit changes', async () => {
+    const app = createApiServer(createMockWhatsAppClient(), { apiSecret: 'test-secret' });
+
+    const res = await auth(request(app).put('/api/security/rate-limiter/limits'))
+      .send({ endpoint: '/api/send', windowMs: 10, max: 5 });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('"windowMs"');
+
+    const missing = await auth(request(app).delete('/api/security/rate-limiter/limits?endpoint=/api/nope'));
+    expect(missing.status).toBe(404);
+  });
+});
+
+// =============================================================================
+// WEBHOOK ENDPOINT TESTS
+// =============================================================================
+
+describe('Webhook Endpoints', () => {
+  const createApp = () => {
+    const client = createMockWhatsAppClient({ webhookEmitter: new WebhookEventEmitter({}) });
+    return { client, app: createApiServer(client, { apiSecret: 'test-secret' }) };
+  };
+  const auth = (req) => req.set('Authorization', 'Bearer test-secret');
+
+  it('should create, list, update and delete endpoints', async () => {
+    const { app } = createApp();
+
+    const created = await auth(request(app).post('/api/webhooks/endpoints'))
+      .send({ url: 'https://ops.example.com/hook', events: ['antiban.*'], secret: 'endpoint-secret-123456' });
+    expect(created.status).toBe(201);
+    expect(created.body.endpoint.secret).toBeUndefined();
+    const id = created.body.endpoint.id;
+
+    const list = await auth(request(app).get('/api/webhooks/endpoints'));
+    expect(list.body.endpoints.map(e => e.id)).toEqual([id]);
+
+    const updated = await auth(request(app).patch(`/api/webhooks/endpoints/${id}`)).send({ enabled: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.endpoint.enabled).toBe(false);
+
+    const removed = await auth(request(app).delete(`/api/webhooks/endpoints/${id}`));
+    expect(removed.status).toBe(200);
+
+    const missing = await auth(request(app).get(`/api/webhooks/endpoints/${id}`));
+    expect(missing.status).toBe(404);
+  });
+
+  it('should validate endpoint input', async () => {
+    const { app } = createApp();
+
+    const noUrl = await auth(request(app).post('/api/webhooks/endpoints')).send({ events: ['*'] });
+    expect(noUrl.status).toBe(400);
+    expect(noUrl.body.error).toBe('Missing "url"');
+
+    const badEvents = await auth(request(app).post('/api/webhooks/endpoints'))
+      .send({ url: 'https://a.example.com', events: ['nope.*'] });
+    expect(badEvents.status).toBe(400);
+    expect(badEvents.body.error).toContain('Unknown event types');
+  });
+
+  it('should 404 when updating or testing unknown endpoints', async () => {
+    const { app } = createApp();
+
+    expect((await auth(request(app).patch('/api/webhooks/endpoints/ep_nope')).send({})).status).toBe(404);
+    expect((await auth(request(app).post('/api/webhooks/endpoints/ep_nope/test'))).status).toBe(404);
+  });
+});
+
+describe('Webhook Dead Letters', () => {
+  const createApp = () => {
+    const webhookEmitter = new WebhookEventEmitter({});
+    webhookEmitter.deadLetters.add({ eventId: 'evt_1', event: 'message.sent', reason: 'client_error', statusCode: 422, payload: { a: 1 } });
+    webhookEmitter.deadLetters.add({ eventId: 'evt_2', event: 'antiban.warning', reason: 'max_attempts', statusCode: 503, payload: { b: 2 } });
+    const client = createMockWhatsAppClient({ webhookEmitter });
+    return { client, app: createApiServer(client, { apiSecret: 'test-secret' }) };
+  };
+  const auth = (req) => req.set('Authorization', 'Bearer test-secret');
+
+  it('should list with filters and inspect one entry', async () => {
+    const { app } = createApp();
+
+    const list = await auth(request(app).get('/api/webhooks/dead-letters?status=422'));
+    expect(list.status).toBe(200);
+    expect(list.body.deadLetters).toHaveLength(1);
+    expect(list.body.deadLetters[0].payload).toBeUndefined();
+    expect(list.body.stats.total).toBe(2);
+
+    const detail = await auth(request(app).get(`/api/webhooks/dead-letters/${list.body.deadLetters[0].id}`));
+    expect(detail.body.payload).toEqual({ a: 1 });
+  });
+
+  it('should reject invalid filters', async () => {
+    const { app } = createApp();
+
+    const res = await auth(request(app).get('/api/webhooks/dead-letters?since=soon'));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('"since"');
+  });
+
+  it('should purge by filter and delete single entries', async () => {
+    const { app, client } = createApp();
+    const [latest] = client.webhookEmitter.listDeadLetters();
+
+    const purged = await auth(request(app).delete('/api/webhooks/dead-letters?event=message.*'));
+    expect(purged.body).toEqual({ success: true, purged: 1 });
+
+    expect((await auth(request(app).delete(`/api/webhooks/dead-letters/${latest.id}`))).status).toBe(200);
+    expect((await auth(request(app).delete(`/api/webhooks/dead-letters/${latest.id}`))).status).toBe(404);
+  });
+
+  it('should 409 when replaying without a webhook URL', async () => {
+    const { app, client } = createApp();
+    const [latest] = client.webhookEmitter.listDeadLetters();
+
+    const res = await auth(request(app).post(`/api/webhooks/dead-letters/${latest.id}/replay`));
+    expect(res.status).toBe(409);
+
+    const bulk = await auth(request(app).post('/api/webhooks/dead-letters/replay')).send({ ids: 'all' });
+    expect(bulk.status).toBe(400);
+  });
+});
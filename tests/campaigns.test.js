@@ -0,0 +1,276 @@
+/**
+ * Campaign Tests
+ *
+ * Tests for broadcast campaigns:
+ * - Recipient and template validation
+ * - Pacing within rate limiter and contact warmup budgets
+ * - Opt-outs, failures and deferred sends
+ * - Pause, resume and cancel
+ * - Per-recipient status reports and persistence
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { CampaignError, CampaignManager, validateRecipients } from '../src/campaigns.js';
+import { MessageTemplates, MessageRateLimiter, ContactWarmup } from '../src/anti-ban.js';
+import { RateLimitError } from '../src/errors.js';
+import { JsonFileStorage } from '../src/storage.js';
+
+const logger = { info() {}, warn() {}, debug() {} };
+
+describe('validateRecipients', () => {
+  it('should accept phone numbers and recipients with variables, dropping duplicates', () => {
+    expect(validateRecipients([
+      '6281234567890',
+      { phone: '+6289876543210', variables: { name: 'Budi' } },
+      { phone: '6281234567890@s.whatsapp.net', variables: { name: 'Again' } },
+    ])).toEqual([
+      { phone: '+6281234567890', variables: {} },
+      { phone: '+6289876543210', variables: { name: 'Budi' } },
+    ]);
+  });
+
+  it('should require every template variable', () => {
+    expect(() => validateRecipients([{ phone: '+6281234567890', variables: { name: 'Sari' } }], ['name', 'order']))
+      .toThrow('"recipients[0]" is missing template variables: order');
+  });
+
+  it('should reject invalid lists', () => {
+    expect(() => validateRecipients([])).toThrow(CampaignError);
+    expect(() => validateRecipients(['12345'])).toThrow('Invalid phone number in "recipients[0]"');
+    expect(() => validateRecipients([{ phone: '+6281234567890', variables: { name: {} } }])).toThrow(CampaignError);
+  });
+});
+
+describe('CampaignManager', () => {
+  let tempDir;
+  let storage;
+  let templates;
+
+  const createManager = (options = {}) => new CampaignManager({
+    storage,
+    templates,
+    logger,
+    send: vi.fn(async (phone) => `msg_${phone.slice(-4)}`),
+    ...options,
+  });
+
+  const recipients = [
+    { phone: '+6281234567890', variables: { name: 'Sari' } },
+    { phone: '+6289876543210', variables: { name: 'Budi' } },
+  ];
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-campaigns-'));
+    storage = new JsonFileStorage({ dir: tempDir });
+    templates = new MessageTemplates({ storage });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    it('should copy a stored template and count recipients', () => {
+      templates.create('promo', 'Hi {name}, the sale starts today');
+      const campaign = createManager().create({ name: 'Sale', template: 'promo', recipients });
+
+      expect(campaign).toMatchObject({
+        name: 'Sale',
+        template: 'promo',
+        content: 'Hi {name}, the sale starts today',
+        status: 'running',
+        total: 2,
+        counts: { pending: 2, sent: 0, skipped_opted_out: 0 },
+      });
+      expect(campaign.id).toMatch(/^camp_/);
+      expect(campaign.recipients).toBeUndefined();
+    });
+
+    it('should reject unknown templates and ambiguous content', () => {
+      const manager = createManager();
+
+      expect(() => manager.create({ name: 'Sale', template: 'missing', recipients }))
+        .toThrow(expect.objectContaining({ statusCode: 404 }));
+      expect(() => manager.create({ name: 'Sale', recipients })).toThrow('Provide either "template"');
+      expect(() => manager.create({ name: 'Sale', text: 'Hi', template: 'promo', recipients })).toThrow(CampaignError);
+      expect(() => manager.create({ text: 'Hi', recipients })).toThrow('"name"');
+      expect(() => manager.create({ name: 'Sale', text: 'Hi', recipients, startAt: 'soon' })).toThrow('"startAt"');
+    });
+  });
+
+  describe('pacing', () => {
+    it('should send one rendered message per tick until the campaign completes', async () => {
+      const manager = createManager();
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      expect(await manager.tick()).toBe(true);
+      expect(manager.send).toHaveBeenCalledWith('+6281234567890', 'Hi Sari!');
+      expect(manager.get(id).counts).toMatchObject({ pending: 1, sent: 1 });
+
+      await manager.tick();
+      expect(manager.send).toHaveBeenLastCalledWith('+6289876543210', 'Hi Budi!');
+      expect(manager.get(id)).toMatchObject({ status: 'completed', nextSendAt: null });
+      expect(await manager.tick()).toBe(false);
+    });
+
+    it('should wait for the rate limiter before sending again', async () => {
+      const rateLimiter = new MessageRateLimiter({ storage, accountAgeWeeks: 8 });
+      const manager = createManager({ rateLimiter });
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      await manager.tick();
+      rateLimiter.recordSend();
+
+      expect(await manager.tick()).toBe(false);
+      expect(manager.send).toHaveBeenCalledTimes(1);
+      expect(manager.waitUntil).toBeGreaterThan(Date.now());
+      expect(manager.get(id).nextSendAt).toBe(manager.waitUntil);
+    });
+
+    it('should skip past contacts over their warmup budget', async () => {
+      const contactWarmup = new ContactWarmup({ storage });
+      contactWarmup.recordContact('+6281234567890');
+      contactWarmup.recordContact('+6281234567890');
+      const manager = createManager({ contactWarmup });
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      await manager.tick();
+
+      expect(manager.send).toHaveBeenCalledWith('+6289876543210', 'Hi Budi!');
+      const { recipients: [deferred] } = manager.getRecipients(id, { status: 'pending' });
+      expect(deferred.phone).toBe('+6281234567890');
+      expect(manager.get(id).status).toBe('running');
+    });
+
+    it('should wait for startAt', async () => {
+      const manager = createManager();
+      manager.create({ name: 'Sale', text: 'Hi {name}!', recipients, startAt: Date.now() + 60000 });
+
+      expect(await manager.tick()).toBe(false);
+      expect(manager.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recipient outcomes', () => {
+    it('should skip opted-out recipients', async () => {
+      const manager = createManager({ isOptedOut: phone => phone === '+6281234567890' });
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      await manager.tick();
+
+      expect(manager.send).toHaveBeenCalledTimes(1);
+      expect(manager.get(id)).toMatchObject({
+        status: 'completed',
+        counts: { skipped_opted_out: 1, sent: 1 },
+      });
+    });
+
+    it('should fail recipients on send errors but defer on limits', async () => {
+      const send = vi.fn()
+        .mockRejectedValueOnce(new RateLimitError('Rate limit', { code: 'RATE_LIMITED', waitMs: 60000 }))
+        .mockRejectedValueOnce(new Error('Socket closed'));
+      const manager = createManager({ send });
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      await manager.tick();
+      expect(manager.get(id).counts.pending).toBe(2);
+      expect(manager.waitUntil).toBeGreaterThan(Date.now() + 50000);
+
+      manager.waitUntil = 0;
+      await manager.tick();
+      const { recipients: [failed] } = manager.getRecipients(id, { status: 'failed' });
+      expect(failed).toMatchObject({ phone: '+6281234567890', error: 'Socket closed' });
+    });
+
+    it('should report delivered and read from the message lifecycle', async () => {
+      const manager = createManager();
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      await manager.tick();
+      await manager.tick();
+      expect(manager.recordMessageStatus('msg_7890', 'delivered')).toBe(true);
+      expect(manager.recordMessageStatus('msg_7890', 'read')).toBe(true);
+      expect(manager.recordMessageStatus('msg_7890', 'delivered')).toBe(false);
+      manager.recordMessageStatus('msg_3210', 'delivered');
+      expect(manager.recordMessageStatus('msg_other', 'read')).toBe(false);
+
+      expect(manager.get(id).counts).toMatchObject({ sent: 0, delivered: 1, read: 1 });
+      const page = manager.getRecipients(id, { status: 'read' });
+      expect(page).toMatchObject({ total: 1, hasMore: false });
+      expect(page.recipients[0]).toMatchObject({ phone: '+6281234567890', messageId: 'msg_7890' });
+    });
+
+    it('should not look up message statuses when reporting', async () => {
+      const getMessageStatus = vi.fn(() => null);
+      const manager = createManager({ getMessageStatus });
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+      await manager.tick();
+      getMessageStatus.mockClear();
+
+      manager.get(id);
+      manager.list();
+      manager.getRecipients(id);
+      manager.pause(id);
+
+      expect(getMessageStatus).not.toHaveBeenCalled();
+    });
+
+    it('should pick up receipts that arrived while sending', async () => {
+      const manager = createManager({ getMessageStatus: () => ({ status: 'delivered' }) });
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      await manager.tick();
+
+      expect(manager.get(id).counts).toMatchObject({ sent: 0, delivered: 1 });
+    });
+
+    it('should validate report filters', () => {
+      const manager = createManager();
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      expect(manager.getRecipients(id, { limit: '1' })).toMatchObject({ total: 2, hasMore: true });
+      expect(() => manager.getRecipients(id, { status: 'bounced' })).toThrow('"status" must be one of');
+      expect(() => manager.getRecipients('camp_missing')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+
+  describe('pause, resume and cancel', () => {
+    it('should not send while paused', async () => {
+      const manager = createManager();
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      expect(manager.pause(id).status).toBe('paused');
+      await manager.tick();
+      expect(manager.send).not.toHaveBeenCalled();
+
+      expect(manager.resume(id).status).toBe('running');
+      await manager.tick();
+      expect(manager.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject transitions that do not apply with 409', () => {
+      const manager = createManager();
+      const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+
+      expect(() => manager.resume(id)).toThrow(expect.objectContaining({ statusCode: 409 }));
+      expect(manager.cancel(id)).toMatchObject({ status: 'cancelled', counts: { pending: 2 } });
+      expect(() => manager.pause(id)).toThrow('Campaign is cancelled');
+    });
+  });
+
+  it('should keep campaigns across restarts', async () => {
+    const manager = createManager();
+    const { id } = manager.create({ name: 'Sale', text: 'Hi {name}!', recipients });
+    await manager.tick();
+
+    const restored = createManager();
+    expect(restored.get(id).counts).toMatchObject({ pending: 1, sent: 1 });
+    restored.recordMessageStatus('msg_7890', 'failed');
+    expect(restored.get(id).counts).toMatchObject({ sent: 0, failed: 1 });
+    expect(restored.getStats()).toMatchObject({ total: 1, byStatus: { running: 1 } });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Consent Tests
+ *
+ * Tests for the consent registry:
+ * - Opt-out and opt-in keyword matching
+ * - Opt-in source and time, opt-out records
+ * - Change notifications
+ * - Persistence
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { ConsentError, ConsentRegistry, normalizeKeyword } from '../src/consent.js';
+import { JsonFileStorage } from '../src/storage.js';
+
+describe('keywords', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ConsentRegistry();
+  });
+
+  it('should ignore case, punctuation and emoji', () => {
+    expect(normalizeKeyword('  Stop!! 🙏 ')).toBe('stop');
+    expect(normalizeKeyword('BATAL   langganan.')).toBe('batal langganan');
+  });
+
+  it('should match whole-message opt-out and opt-in keywords in English and Indonesian', () => {
+    expect(registry.matchKeyword('STOP')).toEqual({ action: 'opt_out', keyword: 'stop' });
+    expect(registry.matchKeyword('Berhenti')).toEqual({ action: 'opt_out', keyword: 'berhenti' });
+    expect(registry.matchKeyword('unsubscribe.')).toEqual({ action: 'opt_out', keyword: 'unsubscribe' });
+    expect(registry.matchKeyword('mulai')).toEqual({ action: 'opt_in', keyword: 'mulai' });
+    expect(registry.matchKeyword('Start')).toEqual({ action: 'opt_in', keyword: 'start' });
+  });
+
+  it('should not match keywords inside longer messages', () => {
+    expect(registry.matchKeyword('please stop the order')).toBeNull();
+    expect(registry.matchKeyword('kapan mulai pengiriman?')).toBeNull();
+    expect(registry.matchKeyword('')).toBeNull();
+  });
+
+  it('should accept custom keywords', () => {
+    const custom = new ConsentRegistry({ optOutKeywords: ['Keluar'] });
+    expect(custom.matchKeyword('keluar')).toEqual({ action: 'opt_out', keyword: 'keluar' });
+    expect(custom.matchKeyword('stop')).toBeNull();
+  });
+});
+
+describe('ConsentRegistry', () => {
+  let tempDir;
+  let storage;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-consent-'));
+    storage = new JsonFileStorage({ dir: tempDir });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record the opt-in source and time', () => {
+    const registry = new ConsentRegistry({ storage });
+    const { record, changed } = registry.optIn('6281234567890', { source: 'checkout-form', at: '2024-03-01T10:00:00Z' });
+
+    expect(changed).toBe(true);
+    expect(record).toMatchObject({
+      phone: '+6281234567890',
+      status: 'opted_in',
+      optInSource: 'checkout-form',
+      optedInAt: Date.parse('2024-03-01T10:00:00Z'),
+      optedOutAt: null,
+    });
+  });
+
+  it('should keep the opt-in when a contact opts out', () => {
+    const registry = new ConsentRegistry({ storage });
+    registry.optIn('+6281234567890', { source: 'checkout-form' });
+    const { record } = registry.optOut('+6281234567890@s.whatsapp.net', { source: 'keyword', keyword: 'stop' });
+
+    expect(record).toMatchObject({ status: 'opted_out', optInSource: 'checkout-form', optOutSource: 'keyword', keyword: 'stop' });
+    expect(registry.isOptedOut('6281234567890@s.whatsapp.net')).toBe(true);
+    expect(registry.isOptedOut('+6289876543210')).toBe(false);
+    expect(registry.isOptedOut('120363012345678901@g.us')).toBe(false);
+  });
+
+  it('should notify only when the status changes', () => {
+    const onChange = vi.fn();
+    const registry = new ConsentRegistry({ storage, onChange });
+
+    registry.optOut('+6281234567890');
+    expect(registry.optOut('+6281234567890').changed).toBe(false);
+    registry.optIn('+6281234567890');
+
+    expect(onChange.mock.calls.map(([record]) => record.status)).toEqual(['opted_out', 'opted_in']);
+  });
+
+  it('should reject invalid phones, sources and future times', () => {
+    const registry = new ConsentRegistry({ storage });
+
+    expect(() => registry.optIn('12345')).toThrow(ConsentError);
+    expect(() => registry.optIn('+6281234567890', { source: 'x'.repeat(101) })).toThrow('"source"');
+    expect(() => registry.optIn('+6281234567890', { at: Date.now() + 60000 })).toThrow('"at"');
+    expect(() => registry.list({ status: 'unknown' })).toThrow('"status" must be one of');
+  });
+
+  it('should list records by status and keep them across restarts', () => {
+    const registry = new ConsentRegistry({ storage });
+    registry.optIn('+6281234567890');
+    registry.optOut('+6289876543210');
+
+    const restored = new ConsentRegistry({ storage });
+    expect(restored.list({ status: 'opted_out' }).map(record => record.phone)).toEqual(['+6289876543210']);
+    expect(restored.get('+6281234567890').status).toBe('opted_in');
+    expect(restored.get('+6281111111111')).toBeNull();
+    expect(restored.getStats()).toEqual({ optedIn: 1, optedOut: 1 });
+  });
+});
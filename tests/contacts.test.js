@@ -0,0 +1,57 @@
+/**
+ * Contact Tests
+ *
+ * Tests for contact lookup helpers:
+ * - Phone list validation
+ * - About text and business profile formatting
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+  ContactError,
+  MAX_CHECK_BATCH,
+  validatePhones,
+  formatStatus,
+  formatBusinessProfile,
+} from '../src/contacts.js';
+
+describe('validatePhones', () => {
+  it('should accept phone numbers and drop duplicates', () => {
+    expect(validatePhones(['+6281234567890', '6281234567890@s.whatsapp.net', '+6281234567890']))
+      .toEqual(['+6281234567890', '6281234567890@s.whatsapp.net']);
+  });
+
+  it.each([
+    [[], '"phones"'],
+    ['+6281234567890', '"phones"'],
+    [['123'], 'Invalid phone number'],
+    [Array.from({ length: MAX_CHECK_BATCH + 1 }, (_, i) => `+62812345${String(i).padStart(5, '0')}`), 'At most 50'],
+  ])('should reject invalid lists %#', (phones, message) => {
+    expect(() => validatePhones(phones)).toThrow(ContactError);
+    expect(() => validatePhones(phones)).toThrow(message);
+  });
+});
+
+describe('formatStatus', () => {
+  it('should handle object and list results', () => {
+    const setAt = new Date('2026-01-01T00:00:00Z');
+
+    expect(formatStatus({ status: 'Available', setAt })).toEqual({ about: 'Available', aboutSetAt: setAt.getTime() });
+    expect(formatStatus([{ status: { status: 'Busy', setAt } }])).toEqual({ about: 'Busy', aboutSetAt: setAt.getTime() });
+    expect(formatStatus(null)).toEqual({ about: null, aboutSetAt: null });
+  });
+});
+
+describe('formatBusinessProfile', () => {
+  it('should format business profiles and skip personal accounts', () => {
+    expect(formatBusinessProfile({ description: 'Bakery', category: 'Food', website: 'https://example.com' })).toEqual({
+      description: 'Bakery',
+      category: 'Food',
+      email: null,
+      websites: ['https://example.com'],
+      address: null,
+    });
+    expect(formatBusinessProfile(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Error Tests
+ *
+ * Tests for the typed error hierarchy:
+ * - Status codes and machine-readable codes
+ * - waitMs / retryAfter on rate limits
+ * - Express middleware responses with Retry-After
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+
+import {
+  WA2BridgeError,
+  RateLimitError,
+  ConnectionError,
+  AntiBanError,
+  BlockedError,
+  SendError,
+  ErrorHandler,
+} from '../src/errors.js';
+
+// =============================================================================
+// ERROR CLASSES
+// =============================================================================
+
+describe('typed errors', () => {
+  it.each([
+    [new ConnectionError(), 503, 'CONNECTION_ERROR'],
+    [new BlockedError(), 409, 'BLOCKED_ERROR'],
+    [new AntiBanError(), 423, 'ANTIBAN_ERROR'],
+    [new RateLimitError(), 429, 'RATE_LIMIT_ERROR'],
+    [new SendError(), 500, 'SEND_ERROR'],
+  ])('should default status and code %#', (error, statusCode, code) => {
+    expect(error).toBeInstanceOf(WA2BridgeError);
+    expect(error).toMatchObject({ statusCode, code });
+  });
+
+  it('should derive retryAfter from waitMs', () => {
+    const error = new RateLimitError('Rate limit: Too fast', { code: 'RATE_LIMITED', limitType: 'interval', waitMs: 2500 });
+
+    expect(error.toJSON()).toMatchObject({
+      error: 'Rate limit: Too fast',
+      code: 'RATE_LIMITED',
+      statusCode: 429,
+      limitType: 'interval',
+      waitMs: 2500,
+      retryAfter: 3,
+    });
+  });
+
+  it('should omit retryAfter when unknown', () => {
+    expect(new AntiBanError('Ban protection', { code: 'HIBERNATION' }).toJSON()).not.toHaveProperty('retryAfter');
+  });
+
+  it('should keep the cause of wrapped errors', () => {
+    const cause = new Error('socket closed');
+    expect(new SendError(cause.message, { cause }).cause).toBe(cause);
+  });
+});
+
+// =============================================================================
+// EXPRESS MIDDLEWARE
+// =============================================================================
+
+describe('ErrorHandler.expressMiddleware', () => {
+  const createApp = (error) => {
+    const app = express();
+    app.get('/fail', (req, res, next) => next(error));
+    app.use(new ErrorHandler().expressMiddleware());
+    return app;
+  };
+
+  it('should respond with the status, body and Retry-After', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await request(createApp(new RateLimitError('Rate limit', { waitMs: 60000 }))).get('/fail');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('60');
+    expect(res.body).toMatchObject({ success: false, code: 'RATE_LIMIT_ERROR', retryAfter: 60 });
+
+    vi.restoreAllMocks();
+  });
+
+  it('should not set Retry-After without a delay', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await request(createApp(new BlockedError('Blocked', { phone: '+628111' }))).get('/fail');
+
+    expect(res.status).toBe(409);
+    expect(res.headers['retry-after']).toBeUndefined();
+    expect(res.body.phone).toBe('+628111');
+
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Fake Socket Tests
+ *
+ * Tests for the offline backend (WA_BACKEND=fake):
+ * - QR and pairing, auto-pair and reconnects
+ * - Inbound messages in Baileys shape
+ * - Receipts, disconnects and queued send failures
+ * - /api/_sim/* control routes
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+
+import { WhatsAppSimulator, SimulatorError } from '../src/fake-socket.js';
+import { createApiServer } from '../src/api.js';
+
+// Socket events fire on the next turn, after connect() has attached listeners
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+const connect = async (simulator) => {
+  const socket = simulator.createSocket();
+  const updates = [];
+  socket.ev.on('connection.update', update => updates.push(update));
+  await nextTurn();
+  return { socket, updates };
+};
+
+describe('WhatsAppSimulator', () => {
+  let simulator;
+
+  beforeEach(() => {
+    simulator = new WhatsAppSimulator();
+  });
+
+  describe('pairing', () => {
+    it('should show a QR code until paired', async () => {
+      const { socket, updates } = await connect(simulator);
+
+      expect(updates).toEqual([{ qr: expect.stringMatching(/^sim-qr-/) }]);
+      expect(simulator.connected).toBe(false);
+      await expect(socket.sendMessage('6281234567890@s.whatsapp.net', { text: 'Hi' })).rejects.toThrow('Connection Closed');
+
+      simulator.pair({ phone: '+6281111111111', name: 'Shop' });
+      expect(updates.at(-1)).toEqual({ connection: 'open' });
+      expect(socket.user).toEqual({ id: '6281111111111:1@s.whatsapp.net', name: 'Shop' });
+      expect(() => simulator.pair()).toThrow('already paired');
+    });
+
+    it('should open right away with autoPair or once paired', async () => {
+      const auto = await connect(new WhatsAppSimulator({ autoPair: true }));
+      expect(auto.updates).toEqual([{ connection: 'open' }]);
+
+      await connect(simulator);
+      simulator.pair();
+      simulator.disconnect('connection_lost');
+
+      // The reconnect finds the session still paired
+      const reconnected = await connect(simulator);
+      expect(reconnected.updates).toEqual([{ connection: 'open' }]);
+    });
+  });
+
+  describe('once connected', () => {
+    let socket;
+    let updates;
+
+    beforeEach(async () => {
+      simulator = new WhatsAppSimulator({ autoPair: true });
+      ({ socket, updates } = await connect(simulator));
+    });
+
+    it('should deliver incoming messages as Baileys notify upserts', () => {
+      const upsert = vi.fn();
+      socket.ev.on('messages.upsert', upsert);
+
+      const direct = simulator.receiveMessage({ from: '+6281234567890', text: 'Halo', pushName: 'Sari' });
+      const inGroup = simulator.receiveMessage({
+        from: '6289876543210',
+        text: '@bot ping',
+        groupJid: '120363012345678901@g.us',
+        replyTo: 'ABC123',
+      });
+
+      expect(direct).toMatchObject({
+        key: { remoteJid: '6281234567890@s.whatsapp.net', fromMe: false },
+        message: { conversation: 'Halo' },
+        pushName: 'Sari',
+      });
+      expect(inGroup.key).toMatchObject({ remoteJid: '120363012345678901@g.us', participant: '6289876543210@s.whatsapp.net' });
+      expect(inGroup.message.extendedTextMessage.contextInfo.stanzaId).toBe('ABC123');
+      expect(upsert).toHaveBeenCalledWith({ messages: [direct], type: 'notify' });
+      expect(() => simulator.receiveMessage({ from: '123', text: 'x' })).toThrow(SimulatorError);
+    });
+
+    it('should log sends and emit receipts for them', async () => {
+      const result = await socket.sendMessage('6281234567890@s.whatsapp.net', { text: 'Hi' });
+      const update = vi.fn();
+      socket.ev.on('messages.update', update);
+
+      simulator.receipt(result.key.id, 'read');
+
+      expect(update).toHaveBeenCalledWith([{
+        key: { remoteJid: '6281234567890@s.whatsapp.net', fromMe: true, id: result.key.id },
+        update: { status: 4 },
+      }]);
+      expect(simulator.getState().sent[0]).toMatchObject({ id: result.key.id, type: 'text', text: 'Hi', status: 'read' });
+      expect(() => simulator.receipt('unknown', 'read')).toThrow(expect.objectContaining({ statusCode: 404 }));
+      expect(() => simulator.receipt(result.key.id, 'seen')).toThrow('"status" must be one of');
+    });
+
+    it('should fail the requested number of sends', async () => {
+      simulator.failSends({ count: 2, error: 'Not acceptable' });
+      const to = '6281234567890@s.whatsapp.net';
+
+      await expect(socket.sendMessage(to, { text: '1' })).rejects.toThrow('Not acceptable');
+      await expect(socket.sendMessage(to, { text: '2' })).rejects.toThrow('Not acceptable');
+      await expect(socket.sendMessage(to, { text: '3' })).resolves.toMatchObject({ key: { fromMe: true } });
+      expect(() => simulator.failSends({ count: 0 })).toThrow('"count"');
+    });
+
+    it('should close with the Baileys status code and unpair on logout', () => {
+      simulator.disconnect('logged_out');
+
+      const close = updates.at(-1);
+      expect(close.connection).toBe('close');
+      expect(close.lastDisconnect.error.output.statusCode).toBe(401);
+      expect(simulator.getState()).toMatchObject({ paired: false, connected: false });
+      expect(() => simulator.disconnect()).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+});
+
+describe('/api/_sim', () => {
+  const auth = (req) => req.set('Authorization', 'Bearer test-secret');
+
+  it('should drive the session simulator', async () => {
+    const sim = new WhatsAppSimulator();
+    const socket = sim.createSocket();
+    await nextTurn();
+    const app = createApiServer({ sim, getStatus: () => ({}) }, { apiSecret: 'test-secret' });
+
+    const paired = await auth(request(app).post('/api/_sim/pair')).send({ phone: '6281111111111' });
+    expect(paired.status).toBe(200);
+    expect(paired.body.state).toMatchObject({ paired: true, connected: true, phone: '6281111111111' });
+
+    const upsert = vi.fn();
+    socket.ev.on('messages.upsert', upsert);
+    const received = await auth(request(app).post('/api/_sim/messages'))
+      .send({ from: '+6281234567890', text: 'STOP', push_name: 'Budi' });
+    expect(received.status).toBe(200);
+    expect(upsert.mock.calls[0][0].messages[0]).toMatchObject({ key: { id: received.body.messageId }, pushName: 'Budi' });
+
+    const receipt = await auth(request(app).post('/api/_sim/receipts')).send({ message_id: 'nope', status: 'read' });
+    expect(receipt.status).toBe(404);
+
+    const state = await auth(request(app).get('/api/_sim'));
+    expect(state.body.sent).toEqual([]);
+  });
+
+  it('should return 404 without the fake backend', async () => {
+    const app = createApiServer({ getStatus: () => ({}) }, { apiSecret: 'test-secret' });
+
+    const res = await auth(request(app).post('/api/_sim/messages')).send({ from: '+6281234567890', text: 'Hi' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Simulator not enabled');
+  });
+});
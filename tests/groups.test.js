@@ -0,0 +1,98 @@
+/**
+ * Group Tests
+ *
+ * Tests for group management helpers:
+ * - Group JID detection and normalization
+ * - Subject, description and participant validation
+ * - Metadata and participant result formatting
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+  GroupError,
+  isGroupJid,
+  normalizeGroupJid,
+  validateSubject,
+  validateDescription,
+  validateParticipants,
+  formatGroup,
+  formatParticipantResults,
+} from '../src/groups.js';
+
+describe('group JIDs', () => {
+  it('should recognise current and legacy group JIDs', () => {
+    expect(isGroupJid('120363012345678901@g.us')).toBe(true);
+    expect(isGroupJid('6281234567890-1612345678@g.us')).toBe(true);
+    expect(isGroupJid('6281234567890@s.whatsapp.net')).toBe(false);
+    expect(isGroupJid('+6281234567890')).toBe(false);
+  });
+
+  it('should normalize route parameters', () => {
+    expect(normalizeGroupJid('120363012345678901')).toBe('120363012345678901@g.us');
+    expect(normalizeGroupJid('120363012345678901@g.us')).toBe('120363012345678901@g.us');
+    expect(() => normalizeGroupJid('6281234567890@s.whatsapp.net')).toThrow(GroupError);
+  });
+});
+
+describe('group validation', () => {
+  it('should require a subject up to 100 characters', () => {
+    expect(validateSubject('  Support  ')).toBe('Support');
+    expect(() => validateSubject('')).toThrow('Missing "subject"');
+    expect(() => validateSubject('x'.repeat(101))).toThrow(GroupError);
+  });
+
+  it('should allow clearing the description', () => {
+    expect(validateDescription('')).toBe('');
+    expect(() => validateDescription(42)).toThrow(GroupError);
+  });
+
+  it('should require phone numbers and drop duplicates', () => {
+    expect(validateParticipants(['+6281234567890', '+6281234567890'])).toEqual(['+6281234567890']);
+    expect(() => validateParticipants([])).toThrow(GroupError);
+    expect(() => validateParticipants(['120363012345678901@g.us'])).toThrow('Invalid participant');
+  });
+});
+
+describe('group formatting', () => {
+  const metadata = {
+    id: '120363012345678901@g.us',
+    subject: 'Support',
+    desc: 'Order help',
+    owner: '6281234567890@s.whatsapp.net',
+    creation: 1700000000,
+    announce: true,
+    participants: [
+      { id: '6281234567890@s.whatsapp.net', admin: 'superadmin' },
+      { id: '6289876543210@s.whatsapp.net', admin: null },
+    ],
+  };
+
+  it('should format metadata with participants', () => {
+    expect(formatGroup(metadata)).toEqual({
+      id: '120363012345678901@g.us',
+      subject: 'Support',
+      description: 'Order help',
+      owner: '+6281234567890',
+      createdAt: 1700000000000,
+      size: 2,
+      announce: true,
+      restrict: false,
+      participants: [
+        { phone: '+6281234567890', admin: 'superadmin' },
+        { phone: '+6289876543210', admin: null },
+      ],
+    });
+    expect(formatGroup(metadata, { participants: false })).not.toHaveProperty('participants');
+  });
+
+  it('should format participant results', () => {
+    expect(formatParticipantResults([
+      { jid: '6281234567890@s.whatsapp.net', status: '200' },
+      { jid: '6289876543210@s.whatsapp.net', status: '403' },
+    ])).toEqual([
+      { phone: '+6281234567890', success: true, status: 200 },
+      { phone: '+6289876543210', success: false, status: 403 },
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Idempotency Tests
+ *
+ * Tests for Idempotency-Key handling:
+ * - Key validation and request fingerprints
+ * - Replay, in-progress and reused-key conflicts
+ * - TTL expiry and persistence across restarts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  IdempotencyStore,
+  IdempotencyError,
+  fingerprintRequest,
+} from '../src/idempotency.js';
+import { JsonFileStorage } from '../src/storage.js';
+
+const send = (body) => fingerprintRequest({ method: 'POST', path: '/api/send', body });
+
+describe('fingerprintRequest', () => {
+  it('should differ by path, body and file', () => {
+    const body = { to: '+628111', message: 'hi' };
+
+    expect(send(body)).toBe(send({ ...body }));
+    expect(send(body)).not.toBe(send({ ...body, message: 'yo' }));
+    expect(send(body)).not.toBe(fingerprintRequest({ method: 'POST', path: '/api/queue', body }));
+    expect(fingerprintRequest({ method: 'POST', path: '/api/send', body, file: Buffer.from('a') }))
+      .not.toBe(fingerprintRequest({ method: 'POST', path: '/api/send', body, file: Buffer.from('b') }));
+  });
+});
+
+describe('IdempotencyStore', () => {
+  let tempDir;
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-idempotency-'));
+    storage = new JsonFileStorage({ dir: tempDir });
+    store = new IdempotencyStore({ storage });
+  });
+
+  afterEach(() => {
+    store.destroy();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it.each([[''], ['   '], ['x'.repeat(256)]])('should reject invalid keys %#', (key) => {
+    expect(() => IdempotencyStore.validateKey(key)).toThrow(IdempotencyError);
+  });
+
+  it('should replay a completed request', () => {
+    const fingerprint = send({ to: '+628111' });
+
+    expect(store.begin('key-1', fingerprint)).toBeNull();
+    store.complete('key-1', 200, { success: true, messageId: 'ABC' });
+
+    expect(store.begin('key-1', fingerprint)).toMatchObject({ statusCode: 200, body: { messageId: 'ABC' } });
+    expect(store.getStats()).toMatchObject({ stored: 1, replayed: 1, keys: 1 });
+  });
+
+  it('should refuse a key while its request is running', () => {
+    store.begin('key-1', send({}));
+
+    expect(() => store.begin('key-1', send({}))).toThrow(expect.objectContaining({ statusCode: 409 }));
+
+    store.release('key-1');
+    expect(store.begin('key-1', send({}))).toBeNull();
+  });
+
+  it('should refuse a key reused for a different request', () => {
+    store.begin('key-1', send({ message: 'a' }));
+    store.complete('key-1', 200, {});
+
+    expect(() => store.begin('key-1', send({ message: 'b' }))).toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+
+  it('should forget keys after the TTL', () => {
+    store.begin('key-1', send({}));
+    store.complete('key-1', 200, {});
+    store.entries.get('key-1').expiresAt = Date.now() - 1;
+
+    expect(store.cleanup()).toBe(1);
+    expect(store.begin('key-1', send({}))).toBeNull();
+  });
+
+  it('should persist completed requests across restarts', () => {
+    store.begin('key-1', send({}));
+    store.complete('key-1', 200, { success: true });
+    store.begin('key-2', send({}));
+
+    const restored = new IdempotencyStore({ storage: new JsonFileStorage({ dir: tempDir }) });
+
+    expect(restored.get('key-1')).toMatchObject({ statusCode: 200, body: { success: true } });
+    expect(restored.begin('key-2', send({}))).toBeNull();
+    restored.destroy();
+  });
+});
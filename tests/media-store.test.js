@@ -0,0 +1,110 @@
+/**
+ * Media Store Tests
+ *
+ * Tests for the received-media store:
+ * - Storage and retrieval by message ID
+ * - SHA-256 deduplication
+ * - TTL expiry and cleanup
+ * - Size caps and eviction
+ * - Persistence across restarts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, existsSync, readdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { MediaStore } from '../src/media-store.js';
+
+describe('MediaStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-media-'));
+  });
+
+  afterEach(() => {
+    store?.destroy();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const mediaFiles = () => readdirSync(join(tempDir, 'media'));
+
+  it('should store and read media by message ID', () => {
+    store = new MediaStore({ sessionsDir: tempDir });
+    const entry = store.put('MSG1', Buffer.from('hello'), { type: 'document', mimetype: 'text/plain', filename: 'a.txt' });
+
+    expect(entry.sha256).toMatch(/^[a-f0-9]{64}$/);
+    expect(existsSync(join(tempDir, 'media', entry.sha256))).toBe(true);
+
+    const read = store.read('MSG1');
+    expect(read.buffer.toString()).toBe('hello');
+    expect(read.mimetype).toBe('text/plain');
+    expect(read.filename).toBe('a.txt');
+    expect(store.read('UNKNOWN')).toBeNull();
+  });
+
+  it('should store identical content once', () => {
+    store = new MediaStore({ sessionsDir: tempDir });
+    const a = store.put('MSG1', Buffer.from('same'));
+    const b = store.put('MSG2', Buffer.from('same'));
+
+    expect(a.sha256).toBe(b.sha256);
+    expect(mediaFiles()).toHaveLength(1);
+    expect(store.getStats()).toMatchObject({ entries: 2, files: 1, totalBytes: 4, deduplicated: 1 });
+
+    // File survives until the last reference is removed
+    store.delete('MSG1');
+    expect(mediaFiles()).toHaveLength(1);
+    store.delete('MSG2');
+    expect(mediaFiles()).toHaveLength(0);
+  });
+
+  it('should expire entries after the TTL', async () => {
+    store = new MediaStore({ sessionsDir: tempDir, ttlMs: 20 });
+    store.put('MSG1', Buffer.from('short lived'));
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+
+    expect(store.cleanup()).toBe(1);
+    expect(store.get('MSG1')).toBeNull();
+    expect(mediaFiles()).toHaveLength(0);
+  });
+
+  it('should remove orphaned files on cleanup', () => {
+    store = new MediaStore({ sessionsDir: tempDir });
+    store.put('MSG1', Buffer.from('kept'));
+    writeFileSync(join(tempDir, 'media', 'f'.repeat(64)), 'orphan');
+
+    store.cleanup();
+    expect(mediaFiles()).toHaveLength(1);
+  });
+
+  it('should reject files above the per-file cap', () => {
+    store = new MediaStore({ sessionsDir: tempDir, maxFileBytes: 4 });
+    expect(store.put('MSG1', Buffer.from('too large'))).toBeNull();
+    expect(store.getStats().rejected).toBe(1);
+  });
+
+  it('should evict oldest entries to stay under the total cap', () => {
+    store = new MediaStore({ sessionsDir: tempDir, maxTotalBytes: 10 });
+    store.put('OLD', Buffer.from('aaaaaa'));
+    store.put('NEW', Buffer.from('bbbbbb'));
+
+    expect(store.has('OLD')).toBe(false);
+    expect(store.has('NEW')).toBe(true);
+    expect(store.getStats().totalBytes).toBe(6);
+    expect(mediaFiles()).toHaveLength(1);
+  });
+
+  it('should persist the index across restarts', () => {
+    store = new MediaStore({ sessionsDir: tempDir });
+    store.put('MSG1', Buffer.from('persisted'), { mimetype: 'text/plain' });
+    store.destroy();
+
+    store = new MediaStore({ sessionsDir: tempDir });
+    expect(store.read('MSG1').buffer.toString()).toBe('persisted');
+    expect(existsSync(join(tempDir, '.media-store.json'))).toBe(true);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Media Tests
+ *
+ * Tests for outbound media helpers:
+ * - Mimetype and media type detection
+ * - Base64 / data URI decoding
+ * - URL download with size caps
+ * - Private address and redirect checks for URLs
+ * - Baileys content building
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+
+import {
+  MediaError,
+  mimetypeFromFilename,
+  detectMediaType,
+  decodeBase64Media,
+  isPrivateAddress,
+  resolveMedia,
+  buildMediaContent,
+  estimateRecordingDuration,
+} from '../src/media.js';
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// =============================================================================
+// TYPE DETECTION
+// =============================================================================
+
+describe('Media type detection', () => {
+  it('should map mimetypes to WhatsApp media types', () => {
+    expect(detectMediaType('image/jpeg')).toBe('image');
+    expect(detectMediaType('video/mp4')).toBe('video');
+    expect(detectMediaType('audio/ogg; codecs=opus')).toBe('audio');
+    expect(detectMediaType('application/pdf')).toBe('document');
+    expect(detectMediaType(undefined)).toBe('document');
+  });
+
+  it('should send GIFs as video with gif playback', () => {
+    expect(detectMediaType('image/gif')).toBe('video');
+    const content = buildMediaContent({ type: 'video', buffer: PNG_BYTES, mimetype: 'image/gif' });
+    expect(content.gifPlayback).toBe(true);
+  });
+
+  it('should guess mimetype from filename or URL path', () => {
+    expect(mimetypeFromFilename('invoice.PDF')).toBe('application/pdf');
+    expect(mimetypeFromFilename('https://cdn.example.com/a/photo.jpg?x=1')).toBe('image/jpeg');
+    expect(mimetypeFromFilename('noextension')).toBeNull();
+  });
+});
+
+// =============================================================================
+// SOURCE RESOLUTION
+// =============================================================================
+
+describe('Media source resolution', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      if (req.url === '/photo.png' || req.url === '/a%E0.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(PNG_BYTES);
+      }
+      if (req.url === '/redirect/photo.png') {
+        res.writeHead(302, { Location: '/photo.png' });
+        return res.end();
+      }
+      if (req.url === '/redirect/metadata') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      if (req.url === '/big.bin') {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        return res.end(Buffer.alloc(2048));
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  // The test server is on loopback, which only allowlisted hosts may use
+  const local = { allowedHosts: ['127.0.0.1'] };
+
+  it('should decode raw base64 and data URIs', () => {
+    const raw = decodeBase64Media(PNG_BYTES.toString('base64'));
+    expect(raw.buffer.equals(PNG_BYTES)).toBe(true);
+    expect(raw.mimetype).toBeNull();
+
+    const uri = decodeBase64Media(`data:image/png;base64,${PNG_BYTES.toString('base64')}`);
+    expect(uri.mimetype).toBe('image/png');
+    expect(uri.buffer.equals(PNG_BYTES)).toBe(true);
+  });
+
+  it('should reject malformed base64', () => {
+    expect(() => decodeBase64Media('not base64!!')).toThrow(MediaError);
+  });
+
+  it('should resolve base64 with filename-based mimetype', async () => {
+    const media = await resolveMedia({ base64: PNG_BYTES.toString('base64'), filename: 'photo.png' });
+    expect(media.type).toBe('image');
+    expect(media.mimetype).toBe('image/png');
+    expect(media.size).toBe(PNG_BYTES.length);
+  });
+
+  it('should download media from a URL', async () => {
+    const media = await resolveMedia({ url: `${baseUrl}/photo.png` }, local);
+    expect(media.type).toBe('image');
+    expect(media.mimetype).toBe('image/png');
+    expect(media.filename).toBe('photo.png');
+    expect(media.buffer.equals(PNG_BYTES)).toBe(true);
+  });
+
+  it('should keep a malformed percent-escape in the file name', async () => {
+    const media = await resolveMedia({ url: `${baseUrl}/a%E0.png` }, local);
+    expect(media.filename).toBe('a%E0.png');
+    expect(media.mimetype).toBe('image/png');
+  });
+
+  it('should fail on HTTP errors and non-http URLs', async () => {
+    // Without the upstream status, so the bridge can't be used to probe other hosts
+    await expect(resolveMedia({ url: `${baseUrl}/missing.png` }, local)).rejects.toThrow(/^Media download failed$/);
+    await expect(resolveMedia({ url: 'file:///etc/passwd' })).rejects.toThrow(MediaError);
+  });
+
+  it('should enforce size caps per media type', async () => {
+    await expect(resolveMedia(
+      { url: `${baseUrl}/big.bin`, type: 'image' },
+      { maxBytes: 1024, maxDocumentBytes: 1024, ...local },
+    )).rejects.toThrow('too large');
+
+    const doc = await resolveMedia(
+      { url: `${baseUrl}/big.bin` },
+      { maxBytes: 1024, maxDocumentBytes: 4096, ...local },
+    );
+    expect(doc.type).toBe('document');
+  });
+
+  it('should refuse URLs on private addresses', async () => {
+    for (const url of [
+      `${baseUrl}/photo.png`,
+      `http://localhost:${server.address().port}/photo.png`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.8/photo.png',
+      'http://[::ffff:127.0.0.1]/photo.png',
+      'http://[fd00::1]/photo.png',
+    ]) {
+      await expect(resolveMedia({ url })).rejects.toThrow('Media URL must point to a public address');
+    }
+  });
+
+  it('should check every redirect hop', async () => {
+    const media = await resolveMedia({ url: `${baseUrl}/redirect/photo.png` }, local);
+    expect(media.buffer.equals(PNG_BYTES)).toBe(true);
+
+    await expect(resolveMedia({ url: `${baseUrl}/redirect/metadata` }, local))
+      .rejects.toThrow('Media URL must point to a public address');
+  });
+
+  it('should tell public and private addresses apart', () => {
+    expect(['8.8.8.8', '172.32.0.1', '2606:4700::1111'].map(isPrivateAddress)).toEqual([false, false, false]);
+    expect(['127.0.0.1', '192.168.1.10', '100.64.0.1', '::1', 'fe80::1', '::ffff:10.0.0.1', 'not-an-ip'].map(isPrivateAddress))
+      .toEqual([true, true, true, true, true, true, true]);
+  });
+
+  it('should require exactly one source', async () => {
+    await expect(resolveMedia({ mimetype: 'image/png' })).rejects.toThrow('requires one of');
+    await expect(resolveMedia({ base64: 'AAAA', url: `${baseUrl}/photo.png` })).rejects.toThrow('only one');
+  });
+
+  it('should reject unknown media types', async () => {
+    await expect(resolveMedia({ base64: 'AAAA', type: 'sticker' })).rejects.toThrow('Invalid media type');
+  });
+});
+
+// =============================================================================
+// CONTENT BUILDING
+// =============================================================================
+
+describe('Media content building', () => {
+  it('should build image content with caption', () => {
+    const content = buildMediaContent(
+      { type: 'image', buffer: PNG_BYTES, mimetype: 'image/png' },
+      { caption: 'Look' },
+    );
+    expect(content.image).toBe(PNG_BYTES);
+    expect(content.caption).toBe('Look');
+  });
+
+  it('should build documents with a filename', () => {
+    const content = buildMediaContent({ type: 'document', buffer: PNG_BYTES, mimetype: 'application/pdf', filename: 'a.pdf' });
+    expect(content.document).toBe(PNG_BYTES);
+    expect(content.fileName).toBe('a.pdf');
+  });
+
+  it('should drop captions for audio and support voice notes', () => {
+    const content = buildMediaContent(
+      { type: 'audio', buffer: PNG_BYTES, mimetype: 'audio/ogg' },
+      { caption: 'ignored', ptt: true },
+    );
+    expect(content.audio).toBe(PNG_BYTES);
+    expect(content.ptt).toBe(true);
+    expect(content.caption).toBeUndefined();
+  });
+
+  it('should clamp recording duration estimates', () => {
+    expect(estimateRecordingDuration(100)).toBe(2000);
+    expect(estimateRecordingDuration(20000)).toBe(10000);
+    expect(estimateRecordingDuration(10 * 1024 * 1024)).toBe(20000);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Message Action Tests
+ *
+ * Tests for reacting to, editing, deleting and reading messages:
+ * - Reaction and edit validation
+ * - Chat parameters
+ * - Baileys keys from the message history
+ * - Edit and delete windows
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+  MessageActionError,
+  EDIT_WINDOW_MS,
+  REVOKE_WINDOW_MS,
+  validateReaction,
+  validateEditText,
+  normalizeChat,
+  messageKeys,
+  checkOwnMessage,
+} from '../src/message-actions.js';
+
+const sent = (fields = {}) => ({
+  id: 'msg_1',
+  direction: 'outbound',
+  to: '+6281234567890',
+  type: 'text',
+  whatsappMessageIds: ['WA1'],
+  revokedAt: null,
+  createdAt: 1000,
+  history: [{ status: 'queued', at: 1000 }, { status: 'sent', at: 5000 }],
+  ...fields,
+});
+
+describe('validateReaction', () => {
+  it('should accept a single emoji or an empty removal', () => {
+    expect(validateReaction('👍')).toBe('👍');
+    expect(validateReaction('❤️')).toBe('❤️');
+    expect(validateReaction('👍🏽')).toBe('👍🏽');
+    expect(validateReaction('🇮🇩')).toBe('🇮🇩');
+    expect(validateReaction('')).toBe('');
+  });
+
+  it('should reject text and several emoji', () => {
+    for (const emoji of ['ok', '👍👍', undefined, 5]) {
+      expect(() => validateReaction(emoji)).toThrow(MessageActionError);
+    }
+  });
+});
+
+describe('validateEditText', () => {
+  it('should require non-empty text within the length limit', () => {
+    expect(validateEditText('Fixed')).toBe('Fixed');
+    expect(() => validateEditText('  ')).toThrow('Missing "text"');
+    expect(() => validateEditText('x'.repeat(4097))).toThrow('at most 4096');
+  });
+});
+
+describe('normalizeChat', () => {
+  it('should accept phone numbers, user JIDs and group JIDs', () => {
+    expect(normalizeChat('+62 812-3456-7890')).toBe('+6281234567890');
+    expect(normalizeChat('6281234567890@s.whatsapp.net')).toBe('+6281234567890');
+    expect(normalizeChat('120363012345678901@g.us')).toBe('120363012345678901@g.us');
+    expect(() => normalizeChat('status@broadcast')).toThrow(MessageActionError);
+  });
+});
+
+describe('messageKeys', () => {
+  it('should build keys for sent messages, one per part', () => {
+    expect(messageKeys(sent({ whatsappMessageIds: ['WA1', 'WA2'] }))).toEqual([
+      { remoteJid: '6281234567890@s.whatsapp.net', id: 'WA1', fromMe: true },
+      { remoteJid: '6281234567890@s.whatsapp.net', id: 'WA2', fromMe: true },
+    ]);
+  });
+
+  it('should include the sender of received group messages', () => {
+    const received = {
+      direction: 'inbound',
+      from: '120363012345678901@g.us',
+      participant: '+628111222333',
+      whatsappMessageIds: ['WA9'],
+    };
+    expect(messageKeys(received)).toEqual([{
+      remoteJid: '120363012345678901@g.us',
+      id: 'WA9',
+      fromMe: false,
+      participant: '628111222333@s.whatsapp.net',
+    }]);
+  });
+});
+
+describe('checkOwnMessage', () => {
+  const statusOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error.statusCode;
+    }
+    return null;
+  };
+
+  it('should only allow our own, sent messages', () => {
+    expect(statusOf(() => checkOwnMessage(sent(), 'edit', 6000))).toBeNull();
+    expect(statusOf(() => checkOwnMessage(sent({ direction: 'inbound' }), 'revoke', 6000))).toBe(403);
+    expect(statusOf(() => checkOwnMessage(sent({ whatsappMessageIds: [] }), 'revoke', 6000))).toBe(409);
+    expect(statusOf(() => checkOwnMessage(sent({ revokedAt: 5500 }), 'revoke', 6000))).toBe(409);
+  });
+
+  it('should not edit split or media messages', () => {
+    expect(statusOf(() => checkOwnMessage(sent({ whatsappMessageIds: ['WA1', 'WA2'] }), 'edit', 6000))).toBe(409);
+    expect(statusOf(() => checkOwnMessage(sent({ whatsappMessageIds: ['WA1', 'WA2'] }), 'revoke', 6000))).toBeNull();
+    expect(statusOf(() => checkOwnMessage(sent({ type: 'image' }), 'edit', 6000))).toBe(409);
+  });
+
+  it('should enforce the windows from the time the message was sent', () => {
+    expect(statusOf(() => checkOwnMessage(sent(), 'edit', 5000 + EDIT_WINDOW_MS))).toBeNull();
+    expect(() => checkOwnMessage(sent(), 'edit', 5001 + EDIT_WINDOW_MS)).toThrow('too old to be edited');
+    expect(statusOf(() => checkOwnMessage(sent(), 'revoke', 5000 + REVOKE_WINDOW_MS))).toBeNull();
+    expect(statusOf(() => checkOwnMessage(sent(), 'revoke', 5001 + REVOKE_WINDOW_MS))).toBe(409);
+  });
+});
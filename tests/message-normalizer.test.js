@@ -0,0 +1,209 @@
+/**
+ * Message Normalizer Tests
+ *
+ * Tests for incoming message normalization:
+ * - Text, media, sticker, location, contact and poll payloads
+ * - Ephemeral / view-once unwrapping
+ * - Protocol messages are ignored
+ * - Reactions, edits and deletes
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+  unwrapMessage,
+  normalizeMessage,
+  normalizeMessageUpdate,
+  summarizeMessage,
+} from '../src/message-normalizer.js';
+
+const wrap = (content) => ({
+  key: { id: 'ABC', remoteJid: '6281234567890@s.whatsapp.net', fromMe: false },
+  message: content,
+});
+
+describe('Message normalization', () => {
+  it('should normalize plain and extended text', () => {
+    expect(normalizeMessage(wrap({ conversation: 'Halo' }))).toMatchObject({
+      type: 'text',
+      text: 'Halo',
+      hasMedia: false,
+    });
+
+    const reply = normalizeMessage(wrap({
+      extendedTextMessage: { text: 'Yes', contextInfo: { stanzaId: 'Q1' } },
+    }));
+    expect(reply.text).toBe('Yes');
+    expect(reply.quotedMessageId).toBe('Q1');
+  });
+
+  it('should keep mentions and the quoted sender', () => {
+    const normalized = normalizeMessage(wrap({
+      extendedTextMessage: {
+        text: '@6281 can you check?',
+        contextInfo: {
+          stanzaId: 'Q1',
+          participant: '6281@s.whatsapp.net',
+          mentionedJid: ['6281@s.whatsapp.net', '6282@s.whatsapp.net'],
+        },
+      },
+    }));
+
+    expect(normalized.mentionedJids).toEqual(['6281@s.whatsapp.net', '6282@s.whatsapp.net']);
+    expect(normalized.quotedParticipant).toBe('6281@s.whatsapp.net');
+    expect(normalizeMessage(wrap({ conversation: 'Halo' }))).toMatchObject({ mentionedJids: [], quotedParticipant: null });
+  });
+
+  it('should normalize images with caption, size and thumbnail', () => {
+    const normalized = normalizeMessage(wrap({
+      imageMessage: {
+        caption: 'Receipt',
+        mimetype: 'image/jpeg',
+        fileLength: { toNumber: () => 2048 },
+        width: 640,
+        height: 480,
+        jpegThumbnail: new Uint8Array([1, 2, 3]),
+      },
+    }));
+
+    expect(normalized).toMatchObject({
+      type: 'image',
+      text: 'Receipt',
+      caption: 'Receipt',
+      hasMedia: true,
+      mimetype: 'image/jpeg',
+      size: 2048,
+      width: 640,
+      thumbnail: Buffer.from([1, 2, 3]).toString('base64'),
+    });
+  });
+
+  it('should normalize voice notes and documents', () => {
+    const voice = normalizeMessage(wrap({
+      audioMessage: { mimetype: 'audio/ogg; codecs=opus', seconds: 7, ptt: true, fileLength: 5000 },
+    }));
+    expect(voice).toMatchObject({ type: 'audio', ptt: true, duration: 7, size: 5000, text: '' });
+
+    const doc = normalizeMessage(wrap({
+      documentWithCaptionMessage: {
+        message: {
+          documentMessage: { fileName: 'invoice.pdf', mimetype: 'application/pdf', caption: 'Invoice' },
+        },
+      },
+    }));
+    expect(doc).toMatchObject({ type: 'document', filename: 'invoice.pdf', caption: 'Invoice' });
+  });
+
+  it('should normalize stickers', () => {
+    const sticker = normalizeMessage(wrap({ stickerMessage: { mimetype: 'image/webp', isAnimated: true } }));
+    expect(sticker).toMatchObject({ type: 'sticker', hasMedia: true, animated: true });
+  });
+
+  it('should normalize locations', () => {
+    const normalized = normalizeMessage(wrap({
+      locationMessage: { degreesLatitude: -6.2, degreesLongitude: 106.8, name: 'Monas' },
+    }));
+    expect(normalized.type).toBe('location');
+    expect(normalized.location).toEqual({
+      latitude: -6.2,
+      longitude: 106.8,
+      name: 'Monas',
+      address: null,
+      url: null,
+      live: false,
+    });
+
+    const live = normalizeMessage(wrap({ liveLocationMessage: { degreesLatitude: 1, degreesLongitude: 2 } }));
+    expect(live.location.live).toBe(true);
+  });
+
+  it('should normalize single and multiple contact cards', () => {
+    const vcard = 'BEGIN:VCARD\nVERSION:3.0\nFN:Budi\nEND:VCARD';
+    const single = normalizeMessage(wrap({ contactMessage: { displayName: 'Budi', vcard } }));
+    expect(single.type).toBe('contact');
+    expect(single.contacts).toEqual([{ name: 'Budi', vcard }]);
+
+    const multi = normalizeMessage(wrap({
+      contactsArrayMessage: { contacts: [{ displayName: 'A', vcard }, { displayName: 'B', vcard }] },
+    }));
+    expect(multi.contacts).toHaveLength(2);
+  });
+
+  it('should unwrap ephemeral and view-once messages', () => {
+    const { viewOnce, ephemeral, content } = unwrapMessage({
+      ephemeralMessage: {
+        message: { viewOnceMessageV2: { message: { imageMessage: { mimetype: 'image/jpeg' } } } },
+      },
+    });
+    expect(viewOnce).toBe(true);
+    expect(ephemeral).toBe(true);
+    expect(content.imageMessage).toBeDefined();
+  });
+
+  it('should normalize polls', () => {
+    const normalized = normalizeMessage(wrap({
+      pollCreationMessageV3: {
+        name: 'Lunch?',
+        options: [{ optionName: 'Yes' }, { optionName: 'No' }],
+        selectableOptionsCount: 1,
+      },
+    }));
+    expect(normalized).toMatchObject({
+      type: 'poll',
+      text: 'Lunch?',
+      poll: { question: 'Lunch?', options: ['Yes', 'No'], selectableCount: 1 },
+    });
+  });
+
+  it('should ignore protocol and key distribution messages', () => {
+    expect(normalizeMessage(wrap({ protocolMessage: { type: 0 } }))).toBeNull();
+    expect(normalizeMessage(wrap({ senderKeyDistributionMessage: { groupId: 'x' } }))).toBeNull();
+    expect(normalizeMessage(wrap(null))).toBeNull();
+  });
+
+  it('should pick the content next to signalling keys', () => {
+    const normalized = normalizeMessage(wrap({
+      senderKeyDistributionMessage: { groupId: 'x' },
+      messageContextInfo: {},
+      conversation: 'Hi group',
+    }));
+    expect(normalized.text).toBe('Hi group');
+  });
+
+  it('should report unknown content types', () => {
+    const normalized = normalizeMessage(wrap({ buttonsResponseMessage: { selectedButtonId: '1' } }));
+    expect(normalized.type).toBe('unknown');
+    expect(normalized.rawType).toBe('buttonsResponseMessage');
+  });
+
+  it('should summarize messages for memory and logs', () => {
+    expect(summarizeMessage(normalizeMessage(wrap({ conversation: 'Hi' })))).toBe('Hi');
+    expect(summarizeMessage(normalizeMessage(wrap({ imageMessage: { caption: 'Cat' } })))).toBe('[image] Cat');
+    expect(summarizeMessage(normalizeMessage(wrap({ stickerMessage: {} })))).toBe('[sticker]');
+  });
+});
+
+describe('Message updates', () => {
+  it('should read reactions, including removals', () => {
+    expect(normalizeMessageUpdate(wrap({ reactionMessage: { key: { id: 'M1' }, text: '👍' } })))
+      .toEqual({ kind: 'reaction', messageId: 'M1', emoji: '👍' });
+    expect(normalizeMessageUpdate(wrap({ reactionMessage: { key: { id: 'M1' }, text: '' } })).emoji).toBe('');
+  });
+
+  it('should read deletes and edits', () => {
+    expect(normalizeMessageUpdate(wrap({ protocolMessage: { type: 0, key: { id: 'M1' } } })))
+      .toEqual({ kind: 'revoke', messageId: 'M1' });
+
+    const edit = {
+      protocolMessage: { type: 14, key: { id: 'M2' }, editedMessage: { conversation: 'Fixed typo' } },
+    };
+    expect(normalizeMessageUpdate(wrap(edit))).toEqual({ kind: 'edit', messageId: 'M2', text: 'Fixed typo' });
+    expect(normalizeMessageUpdate(wrap({ editedMessage: { message: edit } })).messageId).toBe('M2');
+  });
+
+  it('should leave other messages to normalizeMessage', () => {
+    expect(normalizeMessageUpdate(wrap({ conversation: 'Hi' }))).toBeNull();
+    expect(normalizeMessageUpdate(wrap({ protocolMessage: { type: 3, key: { id: 'M1' } } }))).toBeNull();
+    expect(normalizeMessageUpdate(wrap(null))).toBeNull();
+  });
+});
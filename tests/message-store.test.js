@@ -0,0 +1,197 @@
+/**
+ * Message Store Tests
+ *
+ * Tests for the persistent message history:
+ * - Query parameter parsing
+ * - Inbound/outbound records folded with their status transitions
+ * - Filters and pagination
+ * - Status updates by WhatsApp ID after a restart
+ * - Edits and deletes
+ * - Lookups of recent messages without reading the history
+ * - Retention
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  MessageStore,
+  MessageStoreError,
+  normalizeContact,
+  parseMessageFilter,
+} from '../src/message-store.js';
+import { DeliveryTracker } from '../src/anti-ban.js';
+import { JsonFileStorage } from '../src/storage.js';
+
+// =============================================================================
+// FILTERS
+// =============================================================================
+
+describe('parseMessageFilter', () => {
+  it('should normalize contacts', () => {
+    expect(normalizeContact('6281234@s.whatsapp.net')).toBe('+6281234');
+    expect(normalizeContact('+62 812-34')).toBe('+6281234');
+    expect(normalizeContact('120363@g.us')).toBe('120363@g.us');
+  });
+
+  it('should apply defaults', () => {
+    expect(parseMessageFilter({})).toEqual({ from: null, to: null, limit: 50, offset: 0 });
+    expect(parseMessageFilter({ to: '2026-01-01T00:00:00Z' }).to).toBe(Date.parse('2026-01-01T00:00:00Z'));
+  });
+
+  it.each([
+    [{ direction: 'both' }, '"direction"'],
+    [{ status: 'lost' }, '"status"'],
+    [{ from: 'yesterday' }, '"from"'],
+    [{ limit: '501' }, '"limit"'],
+    [{ offset: '-1' }, '"offset"'],
+  ])('should reject invalid filters %#', (input, message) => {
+    expect(() => parseMessageFilter(input)).toThrow(MessageStoreError);
+    expect(() => parseMessageFilter(input)).toThrow(message);
+  });
+});
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+describe('MessageStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-messages-'));
+    store = new MessageStore({ storage: new JsonFileStorage({ dir: tempDir }) });
+  });
+
+  afterEach(() => {
+    store.destroy();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const outbound = (id, fields = {}) => store.recordOutbound({ id, contact: '+628111', text: 'hi', ...fields });
+
+  it('should fold status transitions into the message', () => {
+    outbound('msg_1');
+    store.recordStatus('msg_1', 'sent');
+    store.linkWhatsappId('msg_1', 'WA1');
+    store.recordStatus('msg_1', 'read');
+    store.recordStatus('msg_1', 'delivered'); // late receipt, ignored
+
+    expect(store.get('msg_1')).toMatchObject({
+      direction: 'outbound',
+      to: '+628111',
+      status: 'read',
+      whatsappMessageIds: ['WA1'],
+    });
+    expect(store.get('WA1').history.map(h => h.status)).toEqual(['queued', 'sent', 'read']);
+  });
+
+  it('should keep failures with their reason', () => {
+    outbound('msg_1');
+    store.recordStatus('msg_1', 'failed', { error: 'socket closed', errorCode: 'SEND_FAILED' });
+
+    expect(store.get('msg_1')).toMatchObject({ status: 'failed', error: 'socket closed', errorCode: 'SEND_FAILED' });
+  });
+
+  it('should filter and paginate newest first', () => {
+    const now = Date.now();
+    outbound('msg_1', { timestamp: now - 3000 });
+    outbound('msg_2', { timestamp: now - 2000, contact: '+628222' });
+    store.recordInbound({ whatsappMessageId: 'WA9', contact: '628111@s.whatsapp.net', text: 'yo', timestamp: now - 1000 });
+    store.recordStatus('msg_1', 'failed', { error: 'x' });
+
+    expect(store.query({ contact: '+628111' }).messages.map(m => m.id)).toEqual(['WA9', 'msg_1']);
+    expect(store.query({ direction: 'inbound' }).messages[0]).toMatchObject({ from: '+628111', status: 'received' });
+    expect(store.query({ status: 'failed' }).messages.map(m => m.id)).toEqual(['msg_1']);
+    expect(store.query({ from: now - 2500, to: now - 1500 }).messages.map(m => m.id)).toEqual(['msg_2']);
+    expect(store.query({ limit: 2, offset: 1 })).toMatchObject({ total: 3, hasMore: false, messages: [{ id: 'msg_2' }, { id: 'msg_1' }] });
+    expect(store.query({ limit: 1 }).hasMore).toBe(true);
+  });
+
+  it('should map WhatsApp status updates after a restart', () => {
+    outbound('msg_1');
+    store.linkWhatsappId('msg_1', 'WA1');
+
+    const restored = new MessageStore({ storage: new JsonFileStorage({ dir: tempDir }) });
+    restored.recordWhatsappStatus('WA1', 'delivered');
+
+    expect(restored.get('msg_1').status).toBe('delivered');
+    expect(restored.recordWhatsappStatus('WA_unknown', 'read')).toBeNull();
+    restored.destroy();
+  });
+
+  it('should record DeliveryTracker transitions', () => {
+    const tracker = new DeliveryTracker({
+      onTransition: (record, entry) => store.recordStatus(record.id, entry.status, { at: entry.at, error: entry.reason }),
+    });
+    const tracked = tracker.track('+628111');
+    outbound(tracked.id);
+
+    tracker.advance(tracked.id, 'typing');
+    tracker.recordSent('WA1', '+628111', tracked.id);
+    tracker.updateStatus('WA1', 'failed');
+
+    expect(store.get(tracked.id).history.map(h => h.status)).toEqual(['queued', 'typing', 'sent', 'failed']);
+    tracker.destroy();
+  });
+
+  it('should look up recent messages without reading the history', () => {
+    outbound('msg_1');
+    store.linkWhatsappId('msg_1', 'WA1');
+    store.recordStatus('msg_1', 'delivered');
+
+    const restored = new MessageStore({ storage: new JsonFileStorage({ dir: tempDir }) });
+    const query = vi.spyOn(restored.storage, 'query');
+
+    expect(restored.get('WA1')).toEqual(store.get('msg_1'));
+    expect(restored.get('msg_1').history.map(h => h.status)).toEqual(['queued', 'delivered']);
+    expect(query).not.toHaveBeenCalled();
+
+    // Callers get a copy
+    restored.get('msg_1').history.push({ status: 'read' });
+    expect(restored.get('msg_1').history).toHaveLength(2);
+
+    // Messages no longer indexed still come from storage
+    restored.recent.clear();
+    expect(restored.get('msg_1').status).toBe('delivered');
+    expect(query).toHaveBeenCalledOnce();
+    restored.destroy();
+  });
+
+  it('should apply edits and deletes by either ID', () => {
+    outbound('msg_1');
+    store.linkWhatsappId('msg_1', 'WA1');
+    store.recordInbound({ whatsappMessageId: 'WA9', contact: '628111@s.whatsapp.net', text: 'typo' });
+
+    store.recordChange('msg_1', 'edit', { text: 'hello', at: 1000 });
+    store.recordChange('WA9', 'revoke', { at: 2000 });
+
+    expect(store.get('WA1')).toMatchObject({ text: 'hello', editedAt: 1000, revokedAt: null });
+    expect(store.get('WA9')).toMatchObject({ text: 'typo', editedAt: null, revokedAt: 2000 });
+    expect(store.recordChange('WA_unknown', 'revoke')).toBeNull();
+  });
+
+  it('should tell messages received from a contact apart', () => {
+    outbound('msg_1');
+    store.linkWhatsappId('msg_1', 'WA1');
+    store.recordInbound({ whatsappMessageId: 'WA9', contact: '628111@s.whatsapp.net', text: 'STOP' });
+
+    expect(store.isInboundFrom('WA9', '+628111')).toBe(true);
+    expect(store.isInboundFrom('WA9', '628111@s.whatsapp.net')).toBe(true);
+    expect(store.isInboundFrom('WA9', '+628222')).toBe(false);
+    expect(store.isInboundFrom('WA1', '+628111')).toBe(false);
+    expect(store.isInboundFrom('made-up', '+628111')).toBe(false);
+  });
+
+  it('should prune messages past the retention', () => {
+    store.retentionMs = 1000;
+    outbound('msg_1');
+    store.storage.append('messages', { kind: 'message', id: 'msg_old', direction: 'outbound', contact: '+628111', status: 'queued', createdAt: 0 }, 0);
+
+    expect(store.cleanup()).toBe(1);
+    expect(store.query().total).toBe(1);
+  });
+});
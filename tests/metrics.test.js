@@ -0,0 +1,153 @@
+/**
+ * Metrics Tests
+ *
+ * Tests for the Prometheus /metrics output:
+ * - Histogram buckets
+ * - Text format (HELP/TYPE, labels, escaping)
+ * - Per-session collection from the anti-ban components
+ * - Webhook delivery latency
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+import { Histogram, MetricsWriter, collectSessionMetrics, renderMetrics } from '../src/metrics.js';
+import { MessageRateLimiter, BanWarningSystem, WebhookManager, ReconnectionManager } from '../src/anti-ban.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+describe('Histogram', () => {
+  it('should count observations cumulatively per bucket', () => {
+    const histogram = new Histogram([0.1, 1, 5]);
+    histogram.observe(0.05);
+    histogram.observe(0.5);
+    histogram.observe(10);
+
+    expect(histogram.snapshot()).toEqual({
+      buckets: [{ le: 0.1, count: 1 }, { le: 1, count: 2 }, { le: 5, count: 2 }],
+      sum: 10.55,
+      count: 3,
+    });
+  });
+});
+
+describe('MetricsWriter', () => {
+  it('should group samples under one HELP and TYPE per family', () => {
+    const text = new MetricsWriter()
+      .counter('wa2bridge_messages_sent_total', 'Messages sent', { session: 'a' }, 3)
+      .counter('wa2bridge_messages_sent_total', 'Messages sent', { session: 'b' }, 0)
+      .gauge('wa2bridge_sessions', 'Registered sessions', {}, 2)
+      .render();
+
+    expect(text).toBe([
+      '# HELP wa2bridge_messages_sent_total Messages sent',
+      '# TYPE wa2bridge_messages_sent_total counter',
+      'wa2bridge_messages_sent_total{session="a"} 3',
+      'wa2bridge_messages_sent_total{session="b"} 0',
+      '# HELP wa2bridge_sessions Registered sessions',
+      '# TYPE wa2bridge_sessions gauge',
+      'wa2bridge_sessions 2',
+      '',
+    ].join('\n'));
+  });
+
+  it('should escape label values', () => {
+    const text = new MetricsWriter().gauge('x', 'X', { endpoint: 'a"b\\c\nd' }, 1).render();
+    expect(text).toContain('x{endpoint="a\\"b\\\\c\\nd"} 1');
+  });
+
+  it('should render histograms with +Inf, sum and count', () => {
+    const histogram = new Histogram([0.5]);
+    histogram.observe(0.2);
+    histogram.observe(2);
+    const text = new MetricsWriter().histogram('latency_seconds', 'Latency', { session: 'a' }, histogram.snapshot()).render();
+
+    expect(text).toContain('# TYPE latency_seconds histogram');
+    expect(text).toContain('latency_seconds_bucket{session="a",le="0.5"} 1');
+    expect(text).toContain('latency_seconds_bucket{session="a",le="+Inf"} 2');
+    expect(text).toContain('latency_seconds_sum{session="a"} 2.2');
+    expect(text).toContain('latency_seconds_count{session="a"} 2');
+  });
+});
+
+describe('collectSessionMetrics', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const createClient = (overrides = {}) => ({
+    isConnected: true,
+    qrCode: null,
+    stats: { messagesSent: 7, messagesReceived: 4, messagesFailed: 1 },
+    rateLimiter: new MessageRateLimiter({ accountAgeWeeks: 1 }),
+    banWarning: new BanWarningSystem({ onWarning() {}, onCritical() {} }),
+    reconnectionManager: new ReconnectionManager(),
+    ...overrides,
+  });
+
+  it('should report messages, rate-limit headroom and ban risk', () => {
+    const client = createClient();
+    client.rateLimiter.recordSend();
+    client.banWarning.currentLevel = 'high';
+
+    const writer = new MetricsWriter();
+    collectSessionMetrics(writer, 'sales', client);
+    const text = writer.render();
+
+    expect(text).toContain('wa2bridge_messages_sent_total{session="sales"} 7');
+    expect(text).toContain('wa2bridge_messages_failed_total{session="sales"} 1');
+    expect(text).toContain('wa2bridge_rate_limit_limit{session="sales",window="hourly"} 5');
+    expect(text).toContain('wa2bridge_rate_limit_remaining{session="sales",window="hourly"} 4');
+    expect(text).toContain('wa2bridge_ban_risk_level{session="sales"} 2');
+    expect(text).toContain('wa2bridge_connection_state{session="sales",state="connected"} 1');
+    expect(text).toContain('wa2bridge_connection_state{session="sales",state="disconnected"} 0');
+  });
+
+  it('should report reconnect attempts while disconnected', () => {
+    const client = createClient({ isConnected: false });
+    client.reconnectionManager.getNextDelay();
+    client.reconnectionManager.getNextDelay();
+
+    const writer = new MetricsWriter();
+    collectSessionMetrics(writer, 'default', client);
+    const text = writer.render();
+
+    expect(text).toContain('wa2bridge_connected{session="default"} 0');
+    expect(text).toContain('wa2bridge_connection_state{session="default",state="disconnected"} 1');
+    expect(text).toContain('wa2bridge_reconnect_attempts{session="default"} 2');
+  });
+
+  it('should report webhook deliveries and attempt latency per endpoint', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200 })));
+    const manager = new WebhookManager({ webhookUrl: 'http://localhost/hook', logger });
+    await manager.send({ event: 'message.received' });
+
+    const client = createClient({
+      webhookEmitter: {
+        manager,
+        endpoints: new Map(),
+        stats: { byType: { 'message.received': 1 } },
+        deadLetters: { entries: [] },
+      },
+    });
+    const writer = new MetricsWriter();
+    collectSessionMetrics(writer, 'default', client);
+    const text = writer.render();
+
+    expect(text).toContain('wa2bridge_webhook_events_total{session="default",event="message.received"} 1');
+    expect(text).toContain('wa2bridge_webhook_deliveries_total{session="default",endpoint="default",result="success"} 1');
+    expect(text).toContain('wa2bridge_webhook_delivery_duration_seconds_count{session="default",endpoint="default"} 1');
+    expect(text).toContain('wa2bridge_webhook_dead_letters{session="default"} 0');
+  });
+
+  it('should label every session and add process metrics once', () => {
+    const text = renderMetrics([
+      { sessionId: 'default', client: createClient() },
+      { sessionId: 'sales', client: createClient({ isConnected: false }) },
+    ]);
+
+    expect(text).toContain('wa2bridge_sessions 2');
+    expect(text).toContain('wa2bridge_connected{session="default"} 1');
+    expect(text).toContain('wa2bridge_connected{session="sales"} 0');
+    expect(text.match(/# TYPE wa2bridge_process_resident_memory_bytes/g)).toHaveLength(1);
+  });
+});
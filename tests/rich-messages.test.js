@@ -0,0 +1,206 @@
+/**
+ * Rich Message Tests
+ *
+ * Tests for location, contact card, poll and template sends:
+ * - Payload validation
+ * - Baileys content and vCards
+ * - Poll vote decoding and tallies
+ * - Poll persistence
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createHash } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  RichMessageError,
+  validateLocation,
+  validateContactCards,
+  validatePoll,
+  validateTemplate,
+  buildVcard,
+  buildRichMessage,
+  decodePollVote,
+  PollStore,
+} from '../src/rich-messages.js';
+import { JsonFileStorage } from '../src/storage.js';
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+describe('validateLocation', () => {
+  it('should accept coordinates as numbers or numeric strings', () => {
+    expect(validateLocation({ latitude: '-6.2088', longitude: 106.8456, name: 'Pickup' })).toEqual({
+      latitude: -6.2088,
+      longitude: 106.8456,
+      name: 'Pickup',
+      address: null,
+    });
+  });
+
+  it('should reject missing or out-of-range coordinates', () => {
+    expect(() => validateLocation({ latitude: 91, longitude: 0 })).toThrow('"location.latitude"');
+    expect(() => validateLocation({ latitude: 0, longitude: -181 })).toThrow('"location.longitude"');
+    expect(() => validateLocation({ latitude: 0 })).toThrow(RichMessageError);
+    expect(() => validateLocation(null)).toThrow(RichMessageError);
+  });
+});
+
+describe('validateContactCards', () => {
+  it('should accept one card or a list', () => {
+    expect(validateContactCards({ name: 'Budi', phone: '62 898-7654-3210' })).toEqual([
+      { name: 'Budi', phone: '+6289876543210', organization: null, email: null },
+    ]);
+    expect(validateContactCards([
+      { name: 'Budi', phone: '+6289876543210' },
+      { name: 'Sari', phone: '+6281234567890' },
+    ])).toHaveLength(2);
+  });
+
+  it('should name the invalid card', () => {
+    expect(() => validateContactCards({ phone: '+6289876543210' })).toThrow('Missing "contact.name"');
+    expect(() => validateContactCards([{ name: 'Budi', phone: '+6289876543210' }, { name: 'Sari', phone: 'n/a' }]))
+      .toThrow('"contact[1].phone"');
+    expect(() => validateContactCards([])).toThrow(RichMessageError);
+  });
+});
+
+describe('validatePoll', () => {
+  it('should default to a single choice', () => {
+    expect(validatePoll({ question: ' Pickup time? ', options: ['Morning', 'Afternoon'] })).toEqual({
+      question: 'Pickup time?',
+      options: ['Morning', 'Afternoon'],
+      selectableCount: 1,
+    });
+  });
+
+  it('should reject too few, duplicate or over-selectable options', () => {
+    expect(() => validatePoll({ question: 'Q', options: ['Only'] })).toThrow('2-12 options');
+    expect(() => validatePoll({ question: 'Q', options: ['A', 'A'] })).toThrow('unique');
+    expect(() => validatePoll({ question: 'Q', options: ['A', 'B'], selectableCount: 3 })).toThrow('between 1 and 2');
+    expect(() => validatePoll({ options: ['A', 'B'] })).toThrow('"poll.question"');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('should accept a name, language and components', () => {
+    const components = [{ type: 'body', parameters: [{ type: 'text', text: 'INV-1024' }] }];
+    expect(validateTemplate({ name: 'order_shipped', language: 'en_US', components })).toEqual({
+      name: 'order_shipped',
+      language: 'en_US',
+      components,
+    });
+    expect(validateTemplate({ name: 'hello_world', language: 'id' }).components).toEqual([]);
+  });
+
+  it('should reject bad names, languages and components', () => {
+    expect(() => validateTemplate({ name: 'Order Shipped', language: 'id' })).toThrow('"template.name"');
+    expect(() => validateTemplate({ name: 'hello_world', language: 'english' })).toThrow('"template.language"');
+    expect(() => validateTemplate({ name: 'hello_world', language: 'id', components: [{}] })).toThrow('"type"');
+    expect(() => validateTemplate(null)).toThrow(RichMessageError);
+  });
+});
+
+// =============================================================================
+// CONTENT
+// =============================================================================
+
+describe('buildRichMessage', () => {
+  it('should build location content', () => {
+    const rich = buildRichMessage('location', { latitude: -6.2, longitude: 106.8, name: 'Depot', address: 'Jl. Sudirman 1' });
+    expect(rich.content).toEqual({
+      location: { degreesLatitude: -6.2, degreesLongitude: 106.8, name: 'Depot', address: 'Jl. Sudirman 1' },
+    });
+    expect(rich.text).toBe('Depot, Jl. Sudirman 1');
+  });
+
+  it('should build contact cards with a WhatsApp ID', () => {
+    const rich = buildRichMessage('contact', { name: 'Budi; Tech', phone: '+6289876543210', organization: 'Acme' });
+    expect(rich.content.contacts.displayName).toBe('Budi; Tech');
+    expect(rich.content.contacts.contacts[0].vcard).toBe(buildVcard({
+      name: 'Budi; Tech',
+      phone: '+6289876543210',
+      organization: 'Acme',
+    }));
+    expect(rich.content.contacts.contacts[0].vcard).toContain('FN:Budi\\; Tech');
+    expect(rich.content.contacts.contacts[0].vcard).toContain('waid=6289876543210:+6289876543210');
+  });
+
+  it('should build polls with a secret to decode votes', () => {
+    const rich = buildRichMessage('poll', { question: 'Pickup time?', options: ['Morning', 'Afternoon'] });
+    expect(rich.content.poll).toMatchObject({ name: 'Pickup time?', values: ['Morning', 'Afternoon'], selectableCount: 1 });
+    expect(rich.content.poll.messageSecret).toHaveLength(32);
+    expect(Buffer.from(rich.poll.secret, 'base64').equals(rich.content.poll.messageSecret)).toBe(true);
+  });
+
+  it('should build template content with the language code', () => {
+    const rich = buildRichMessage('template', { name: 'hello_world', language: 'en_US' });
+    expect(rich.content).toEqual({ template: { name: 'hello_world', language: { code: 'en_US' } } });
+    expect(rich.text).toBe('hello_world');
+  });
+
+  it('should reject unknown types', () => {
+    expect(() => buildRichMessage('sticker', {})).toThrow('"type" must be one of');
+  });
+});
+
+describe('decodePollVote', () => {
+  it('should map option hashes to option names', () => {
+    const poll = { options: ['Morning', 'Afternoon', 'Evening'] };
+    expect(decodePollVote(poll, [sha256('Evening'), sha256('Morning')])).toEqual(['Morning', 'Evening']);
+    expect(decodePollVote(poll, [sha256('Unknown')])).toEqual([]);
+    expect(decodePollVote(poll)).toEqual([]);
+  });
+});
+
+// =============================================================================
+// POLL STORE
+// =============================================================================
+
+describe('PollStore', () => {
+  let tempDir;
+  let storage;
+
+  const poll = () => buildRichMessage('poll', { question: 'Pickup time?', options: ['Morning', 'Afternoon'] }).poll;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-polls-'));
+    storage = new JsonFileStorage({ dir: tempDir });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should count the latest vote of each voter', () => {
+    const store = new PollStore({ storage });
+    store.add('WA1', { ...poll(), to: '+628111' });
+
+    store.recordVote('WA1', '+628111', ['Morning']);
+    store.recordVote('WA1', '+628222', ['Morning']);
+    expect(store.recordVote('WA1', '+628111', ['Afternoon'])).toEqual({ Morning: 1, Afternoon: 1 });
+    expect(store.recordVote('WA1', '+628222', [])).toEqual({ Morning: 0, Afternoon: 1 });
+    expect(store.recordVote('WA_unknown', '+628111', ['Morning'])).toBeNull();
+  });
+
+  it('should rebuild the creation message after a restart', () => {
+    const sent = poll();
+    new PollStore({ storage }).add('WA1', sent);
+
+    const message = new PollStore({ storage }).getCreationMessage('WA1');
+    expect(message.messageContextInfo.messageSecret.toString('base64')).toBe(sent.secret);
+    expect(message.pollCreationMessage.options).toEqual([{ optionName: 'Morning' }, { optionName: 'Afternoon' }]);
+    expect(new PollStore({ storage }).getCreationMessage('WA_unknown')).toBeUndefined();
+  });
+
+  it('should forget polls past the TTL', () => {
+    new PollStore({ storage }).add('WA1', poll());
+
+    expect(new PollStore({ storage, ttlMs: -1 }).get('WA1')).toBeNull();
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Session Pool Tests
+ *
+ * Tests for multi-session support:
+ * - Session creation, validation and per-session directories
+ * - Start / stop / delete lifecycle
+ * - Registry persistence across restarts
+ * - API routing of /api/sessions/:sessionId/* to the session's client
+ * - Per-session /metrics labels
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, existsSync, mkdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import request from 'supertest';
+
+import { SessionPool, DEFAULT_SESSION_ID } from '../src/session-pool.js';
+import { createApiServer } from '../src/api.js';
+
+// Minimal stand-in for WhatsAppClient
+const createFakeClient = (config = {}) => ({
+  config,
+  sessionId: config.sessionId || DEFAULT_SESSION_ID,
+  webhookUrl: config.webhookUrl || null,
+  isConnected: false,
+  phoneNumber: null,
+  userName: null,
+  qrCode: null,
+  connect: vi.fn(async function () { this.isConnected = true; }),
+  stop: vi.fn(async function () { this.isConnected = false; }),
+  disconnect: vi.fn(async function () { this.isConnected = false; }),
+  destroy: vi.fn(),
+  getStatus: vi.fn(function () {
+    return { session: this.sessionId, connected: this.isConnected, rateLimits: {}, banWarning: {} };
+  }),
+  sendMessage: vi.fn(() => Promise.resolve({ key: { id: `msg-${config.sessionId || 'default'}` } })),
+});
+
+describe('SessionPool', () => {
+  let tempDir;
+  let baseDir;
+  let pool;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-sessions-'));
+    baseDir = join(tempDir, 'sessions');
+    pool = new SessionPool({ baseDir, createClient: createFakeClient });
+    pool.addDefault(createFakeClient());
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should give each session its own directory and config', () => {
+    const info = pool.create('sales', { webhookUrl: 'http://sales/hook', accountAgeWeeks: 8, bogus: 1 });
+
+    expect(info).toMatchObject({ id: 'sales', running: false, webhookUrl: 'http://sales/hook', accountAgeWeeks: 8 });
+    expect(existsSync(join(baseDir, 'sales'))).toBe(true);
+
+    const client = pool.getClient('sales');
+    expect(client.config).toMatchObject({
+      sessionId: 'sales',
+      sessionsDir: join(baseDir, 'sales'),
+      backupDir: join(tempDir, 'session-backups', 'sales'),
+      webhookUrl: 'http://sales/hook',
+    });
+    expect(client.config.bogus).toBeUndefined();
+    expect(pool.sessionDir(DEFAULT_SESSION_ID)).toBe(baseDir);
+  });
+
+  it('should reject invalid, reserved and duplicate IDs', () => {
+    expect(() => pool.create('bad id')).toThrow('Invalid session ID');
+    expect(() => pool.create('default')).toThrow('Invalid session ID');
+    expect(() => pool.create('media')).toThrow('Invalid session ID');
+    pool.create('ops');
+    expect(() => pool.create('ops')).toThrow('already exists');
+  });
+
+  it('should start and stop sessions', async () => {
+    pool.create('ops');
+
+    const started = await pool.start('ops');
+    expect(started).toMatchObject({ running: true, connected: true });
+
+    const stopped = await pool.stop('ops');
+    expect(stopped).toMatchObject({ running: false, connected: false, autoStart: false });
+    expect(pool.getClient('ops').stop).toHaveBeenCalled();
+    expect(pool.getClient('ops').disconnect).not.toHaveBeenCalled();
+  });
+
+  it('should delete a session and its stored state', async () => {
+    pool.create('temp');
+    await pool.start('temp');
+    const client = pool.getClient('temp');
+    const backupDir = join(tempDir, 'session-backups', 'temp');
+    mkdirSync(backupDir, { recursive: true });
+    writeFileSync(join(baseDir, 'temp', 'creds.json'), '{}');
+
+    await pool.delete('temp');
+
+    expect(client.disconnect).toHaveBeenCalled();
+    expect(client.destroy).toHaveBeenCalled();
+    expect(pool.has('temp')).toBe(false);
+    expect(existsSync(join(baseDir, 'temp'))).toBe(false);
+    expect(existsSync(backupDir)).toBe(false);
+  });
+
+  it('should refuse to delete the default session', async () => {
+    await expect(pool.delete(DEFAULT_SESSION_ID)).rejects.toThrow('cannot be deleted');
+  });
+
+  it('should restore named sessions from the registry', () => {
+    pool.create('a', { webhookUrl: 'http://a/hook' });
+    pool.create('b', { autoStart: false });
+
+    const restored = new SessionPool({ baseDir, createClient: createFakeClient });
+    expect(restored.list().map(s => s.id).sort()).toEqual(['a', 'b']);
+    expect(restored.getInfo('a').webhookUrl).toBe('http://a/hook');
+    expect(restored.getInfo('b').autoStart).toBe(false);
+  });
+
+  it('should start only auto-start sessions', async () => {
+    pool.create('on');
+    pool.create('off', { autoStart: false });
+
+    await pool.startAll();
+
+    expect(pool.getClient(DEFAULT_SESSION_ID).connect).toHaveBeenCalled();
+    expect(pool.getClient('on').connect).toHaveBeenCalled();
+    expect(pool.getClient('off').connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('Session API', () => {
+  let tempDir;
+  let pool;
+  let app;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-sessions-api-'));
+    pool = new SessionPool({ baseDir: join(tempDir, 'sessions'), createClient: createFakeClient });
+    const defaultClient = pool.addDefault(createFakeClient());
+    app = createApiServer(defaultClient, { apiSecret: 'test-secret', sessionPool: pool });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const auth = (req) => req.set('Authorization', 'Bearer test-secret');
+
+  it('should create, list, stop and delete sessions', async () => {
+    const created = await auth(request(app).post('/api/sessions'))
+      .send({ id: 'sales', webhookUrl: 'http://sales/hook' });
+    expect(created.status).toBe(201);
+    expect(created.body.session).toMatchObject({ id: 'sales', running: true });
+
+    const list = await auth(request(app).get('/api/sessions'));
+    expect(list.body.sessions.map(s => s.id)).toEqual(['default', 'sales']);
+
+    const stopped = await auth(request(app).post('/api/sessions/sales/stop'));
+    expect(stopped.body.session.running).toBe(false);
+
+    const deleted = await auth(request(app).delete('/api/sessions/sales'));
+    expect(deleted.status).toBe(200);
+    expect(pool.has('sales')).toBe(false);
+  });
+
+  it('should validate session creation', async () => {
+    expect((await auth(request(app).post('/api/sessions')).send({})).status).toBe(400);
+    expect((await auth(request(app).post('/api/sessions')).send({ id: '../etc' })).status).toBe(400);
+    expect((await auth(request(app).post('/api/sessions')).send({ id: 'x', webhookUrl: 'ftp://x' })).status).toBe(400);
+
+    await auth(request(app).post('/api/sessions')).send({ id: 'dup', start: false });
+    expect((await auth(request(app).post('/api/sessions')).send({ id: 'dup' })).status).toBe(409);
+  });
+
+  it('should route session-scoped endpoints to the session client', async () => {
+    await auth(request(app).post('/api/sessions')).send({ id: 'sales' });
+
+    const res = await auth(request(app).post('/api/sessions/sales/send'))
+      .send({ to: '+6281234567890', message: 'Hi' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.messageId).toBe('msg-sales');
+    expect(pool.getClient('sales').sendMessage).toHaveBeenCalled();
+    expect(pool.getClient('default').sendMessage).not.toHaveBeenCalled();
+
+    const status = await auth(request(app).get('/api/sessions/sales/status'));
+    expect(status.body.session).toBe('sales');
+  });
+
+  it('should return 404 for unknown sessions', async () => {
+    const scoped = await auth(request(app).get('/api/sessions/nope/status'));
+    expect(scoped.status).toBe(404);
+    expect(scoped.body.error).toBe('Session not found');
+
+    const details = await auth(request(app).post('/api/sessions/nope/start'));
+    expect(details.status).toBe(404);
+  });
+
+  it('should return 400 for malformed session IDs', async () => {
+    const res = await auth(request(app).get('/api/sessions/%E0/status'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid session ID');
+  });
+
+  it('should label /metrics by session', async () => {
+    await auth(request(app).post('/api/sessions')).send({ id: 'sales' });
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('wa2bridge_sessions 2');
+    expect(res.text).toContain('wa2bridge_connected{session="default"} 0');
+    expect(res.text).toContain('wa2bridge_connected{session="sales"} 1');
+  });
+
+  it('should not delete the default session', async () => {
+    const res = await auth(request(app).delete('/api/sessions/default'));
+    expect(res.status).toBe(400);
+  });
+
+  it('should report multi-session as disabled without a pool', async () => {
+    const single = createApiServer(createFakeClient(), { apiSecret: 'test-secret' });
+    const res = await auth(request(single).get('/api/sessions'));
+    expect(res.status).toBe(501);
+
+    // The default session is still addressable by name
+    const status = await auth(request(single).get('/api/sessions/default/status'));
+    expect(status.status).toBe(200);
+  });
+});
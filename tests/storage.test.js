@@ -0,0 +1,326 @@
+/**
+ * Storage Tests
+ *
+ * Tests for the pluggable state storage:
+ * - Documents (load/save) with atomic JSON writes
+ * - Append-only collections (append/query/prune)
+ * - SQLite driver and import of existing JSON documents
+ * - Anti-ban modules persisting through storage
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, existsSync, readdirSync, readFileSync, writeFileSync, appendFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  JsonFileStorage,
+  SqliteStorage,
+  StorageError,
+  createStorage,
+  openStorage,
+  getStorage,
+  closeStorage,
+} from '../src/storage.js';
+import { AuditLogger, ContactWarmup } from '../src/anti-ban.js';
+
+const drivers = [
+  ['json', dir => new JsonFileStorage({ dir })],
+  ['sqlite', dir => new SqliteStorage({ dir })],
+];
+
+// =============================================================================
+// SHARED DRIVER BEHAVIOR
+// =============================================================================
+
+describe.each(drivers)('%s driver', (driver, create) => {
+  let tempDir;
+  let storage;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), `wa2bridge-storage-${driver}-`));
+    storage = create(tempDir);
+  });
+
+  afterEach(() => {
+    storage.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save and load documents', () => {
+    expect(storage.load('state')).toBeNull();
+
+    storage.save('state', { count: 1, list: ['a'] });
+    storage.save('state', { count: 2, list: ['a', 'b'] });
+
+    expect(storage.load('state')).toEqual({ count: 2, list: ['a', 'b'] });
+  });
+
+  it('should remove documents', () => {
+    storage.save('state', { count: 1 });
+    storage.remove('state');
+
+    expect(storage.load('state')).toBeNull();
+  });
+
+  it('should reject invalid names', () => {
+    expect(() => storage.save('../escape', {})).toThrow(StorageError);
+    expect(() => storage.append('a b', {})).toThrow(StorageError);
+  });
+
+  it('should append and query records most recent first', () => {
+    storage.append('events', { type: 'a', n: 1 }, 1000);
+    storage.append('events', { type: 'b', n: 2 }, 2000);
+    storage.append('events', { type: 'a', n: 3 }, 3000);
+
+    expect(storage.count('events')).toBe(3);
+    expect(storage.query('events').map(r => r.n)).toEqual([3, 2, 1]);
+    expect(storage.query('events', { limit: 2 }).map(r => r.n)).toEqual([3, 2]);
+    expect(storage.query('events', { since: 2000 }).map(r => r.n)).toEqual([3, 2]);
+    expect(storage.query('events', { until: 2000 }).map(r => r.n)).toEqual([2, 1]);
+    expect(storage.query('events', { where: { type: 'a' } }).map(r => r.n)).toEqual([3, 1]);
+  });
+
+  it('should keep collections separate', () => {
+    storage.append('one', { n: 1 });
+    storage.append('two', { n: 2 });
+
+    expect(storage.query('one')).toEqual([{ n: 1 }]);
+    expect(storage.count('two')).toBe(1);
+  });
+
+  it('should prune by count and age', () => {
+    for (let i = 1; i <= 5; i++) {
+      storage.append('events', { n: i }, i * 1000);
+    }
+
+    expect(storage.prune('events', { keep: 3 })).toBe(2);
+    expect(storage.query('events').map(r => r.n)).toEqual([5, 4, 3]);
+
+    expect(storage.prune('events', { before: 5000 })).toBe(2);
+    expect(storage.query('events').map(r => r.n)).toEqual([5]);
+  });
+
+  it('should clear a collection', () => {
+    storage.append('events', { n: 1 });
+    storage.clear('events');
+
+    expect(storage.count('events')).toBe(0);
+  });
+
+  it('should persist across instances', () => {
+    storage.save('state', { ok: true });
+    storage.append('events', { n: 1 });
+    storage.close();
+
+    storage = create(tempDir);
+    expect(storage.load('state')).toEqual({ ok: true });
+    expect(storage.query('events')).toEqual([{ n: 1 }]);
+  });
+});
+
+// =============================================================================
+// JSON DRIVER
+// =============================================================================
+
+describe('JsonFileStorage', () => {
+  let tempDir;
+  let storage;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-storage-json-'));
+    storage = new JsonFileStorage({ dir: tempDir });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should use the existing dotfile layout', () => {
+    storage.save('contact-warmup', { contacts: {} });
+    storage.append('audit-logs', { type: 'system' });
+
+    expect(existsSync(join(tempDir, '.contact-warmup.json'))).toBe(true);
+    expect(existsSync(join(tempDir, '.audit-logs.jsonl'))).toBe(true);
+  });
+
+  it('should not leave temp files after saving', () => {
+    storage.save('state', { count: 1 });
+
+    expect(readdirSync(tempDir)).toEqual(['.state.json']);
+  });
+
+  it('should append without rewriting earlier records', () => {
+    storage.append('events', { n: 1 });
+    const before = readFileSync(join(tempDir, '.events.jsonl'), 'utf-8');
+
+    storage.append('events', { n: 2 });
+    const after = readFileSync(join(tempDir, '.events.jsonl'), 'utf-8');
+
+    expect(after.startsWith(before)).toBe(true);
+    expect(after.trim().split('\n')).toHaveLength(2);
+  });
+
+  it('should skip a torn last line', () => {
+    storage.append('events', { n: 1 });
+    appendFileSync(join(tempDir, '.events.jsonl'), '{"ts":1,"data":{"n"');
+
+    expect(storage.query('events')).toEqual([{ n: 1 }]);
+  });
+});
+
+// =============================================================================
+// SQLITE DRIVER
+// =============================================================================
+
+describe('SqliteStorage', () => {
+  let tempDir;
+  let storage;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-storage-sqlite-'));
+  });
+
+  afterEach(() => {
+    storage?.close();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should store everything in one database file', () => {
+    storage = new SqliteStorage({ dir: tempDir });
+    storage.save('state', { ok: true });
+
+    expect(existsSync(join(tempDir, 'wa2bridge.db'))).toBe(true);
+    expect(existsSync(join(tempDir, '.state.json'))).toBe(false);
+  });
+
+  it('should import existing JSON documents on first load', () => {
+    writeFileSync(join(tempDir, '.contact-warmup.json'), JSON.stringify({ contacts: { a: 1 } }));
+    storage = new SqliteStorage({ dir: tempDir });
+
+    expect(storage.load('contact-warmup')).toEqual({ contacts: { a: 1 } });
+
+    // Later saves win over the old file
+    storage.save('contact-warmup', { contacts: { b: 2 } });
+    expect(storage.load('contact-warmup')).toEqual({ contacts: { b: 2 } });
+  });
+
+  it('should look up collection records by ID through an index', () => {
+    storage = new SqliteStorage({ dir: tempDir });
+    storage.append('messages', { kind: 'message', id: 'msg_1' });
+    storage.append('messages', { kind: 'message', id: 'msg_2' });
+
+    const plan = storage.db.prepare(
+      "EXPLAIN QUERY PLAN SELECT data FROM records WHERE collection = ? AND json_extract(data, '$.id') IS ?",
+    ).all('messages', 'msg_1');
+
+    expect(plan.map(step => step.detail).join()).toContain('records_collection_id');
+    expect(storage.query('messages', { where: { id: 'msg_2' } })).toEqual([{ kind: 'message', id: 'msg_2' }]);
+  });
+
+  it('should match booleans in queries', () => {
+    storage = new SqliteStorage({ dir: tempDir });
+    storage.append('auth', { success: true });
+    storage.append('auth', { success: false });
+
+    expect(storage.query('auth', { where: { success: false } })).toEqual([{ success: false }]);
+  });
+});
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+describe('storage registry', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-storage-registry-'));
+  });
+
+  afterEach(() => {
+    closeStorage(tempDir);
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should share one instance per directory', () => {
+    const storage = openStorage(tempDir, { driver: 'sqlite' });
+
+    expect(getStorage(tempDir)).toBe(storage);
+    expect(getStorage(join(tempDir, '.'))).toBe(storage);
+    expect(storage.driver).toBe('sqlite');
+  });
+
+  it('should return null without a directory', () => {
+    expect(getStorage(undefined)).toBeNull();
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => createStorage({ driver: 'redis', dir: tempDir })).toThrow(StorageError);
+  });
+});
+
+// =============================================================================
+// MODULE INTEGRATION
+// =============================================================================
+
+describe('anti-ban modules on storage', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-storage-modules-'));
+  });
+
+  afterEach(() => {
+    closeStorage(tempDir);
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it.each(['json', 'sqlite'])('should restore ContactWarmup state (%s)', (driver) => {
+    openStorage(tempDir, { driver });
+
+    const warmup = new ContactWarmup({ sessionsDir: tempDir });
+    warmup.recordContact('628111');
+
+    const restored = new ContactWarmup({ sessionsDir: tempDir });
+    expect(restored.contacts.has('628111')).toBe(true);
+  });
+
+  it.each(['json', 'sqlite'])('should append audit logs and restore them (%s)', (driver) => {
+    openStorage(tempDir, { driver });
+
+    const logger = new AuditLogger({ sessionsDir: tempDir });
+    logger.logSystem('first');
+    logger.logAuth('api_key', '1.2.3.4', false);
+
+    const restored = new AuditLogger({ sessionsDir: tempDir });
+    expect(restored.getLogs().map(l => l.type)).toEqual(['auth', 'system']);
+    expect(restored.getFailedAuths()).toHaveLength(1);
+  });
+
+  it('should trim stored audit logs to maxLogs', () => {
+    openStorage(tempDir, { driver: 'sqlite' });
+    const logger = new AuditLogger({ sessionsDir: tempDir, maxLogs: 10 });
+
+    for (let i = 0; i < 25; i++) {
+      logger.logSystem(`event-${i}`);
+    }
+
+    const count = getStorage(tempDir).count('audit-logs');
+    expect(count).toBeGreaterThanOrEqual(10);
+    expect(count).toBeLessThanOrEqual(11);
+    expect(logger.getLogs()[0].event).toBe('event-24');
+  });
+
+  it('should migrate the old audit log document', () => {
+    writeFileSync(join(tempDir, '.audit-logs.json'), JSON.stringify({
+      logs: [{ id: 'x', timestamp: new Date().toISOString(), type: 'system', event: 'legacy' }],
+    }));
+
+    const logger = new AuditLogger({ sessionsDir: tempDir });
+
+    expect(logger.getLogs()[0].event).toBe('legacy');
+    expect(existsSync(join(tempDir, '.audit-logs.json'))).toBe(false);
+    expect(existsSync(join(tempDir, '.audit-logs.jsonl'))).toBe(true);
+  });
+});
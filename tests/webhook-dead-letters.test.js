@@ -0,0 +1,239 @@
+/**
+ * Webhook Dead Letter Tests
+ *
+ * Tests for failed webhook deliveries:
+ * - Client errors and exhausted retries moved to the dead letters
+ * - Listing with filters, inspection of the last response
+ * - Replay (single and bulk) and purge
+ * - Persistence across restarts
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  WebhookDeadLetterStore,
+  DeadLetterError,
+  parseDeadLetterFilter,
+} from '../src/webhook-dead-letters.js';
+import { WebhookEventEmitter } from '../src/webhook-events.js';
+import { JsonFileStorage } from '../src/storage.js';
+
+const quietLogger = { error() {}, warn() {}, info() {} };
+
+// =============================================================================
+// FILTERS
+// =============================================================================
+
+describe('parseDeadLetterFilter', () => {
+  it('should parse query strings', () => {
+    expect(parseDeadLetterFilter({ event: 'message.*', status: '422', since: '1700000000000', limit: '5' })).toEqual({
+      event: 'message.*',
+      status: 422,
+      since: 1700000000000,
+      until: null,
+      limit: 5,
+    });
+  });
+
+  it('should accept ISO dates', () => {
+    expect(parseDeadLetterFilter({ until: '2026-01-01T00:00:00Z' }).until).toBe(Date.parse('2026-01-01T00:00:00Z'));
+  });
+
+  it.each([
+    [{ status: 'abc' }, '"status"'],
+    [{ since: 'yesterday' }, '"since"'],
+    [{ reason: 'timeout' }, '"reason"'],
+    [{ limit: '0' }, '"limit"'],
+  ])('should reject invalid filters %#', (input, message) => {
+    expect(() => parseDeadLetterFilter(input)).toThrow(DeadLetterError);
+    expect(() => parseDeadLetterFilter(input)).toThrow(message);
+  });
+});
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+describe('WebhookDeadLetterStore', () => {
+  let tempDir;
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-dead-letters-'));
+    storage = new JsonFileStorage({ dir: tempDir });
+    store = new WebhookDeadLetterStore({ storage });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const add = (fields) => store.add({ eventId: 'evt_1', reason: 'client_error', payload: { a: 1 }, ...fields });
+
+  it('should list most recent first without payloads', () => {
+    add({ event: 'message.received' });
+    add({ event: 'antiban.warning', responseBody: 'bad' });
+
+    const list = store.list();
+    expect(list.map(e => e.event)).toEqual(['antiban.warning', 'message.received']);
+    expect(list[0].payload).toBeUndefined();
+    expect(list[0].responseBody).toBeUndefined();
+    expect(store.get(list[0].id).responseBody).toBe('bad');
+  });
+
+  it('should filter by event, endpoint, status and time', () => {
+    add({ event: 'message.received', statusCode: 422 });
+    add({ event: 'message.sent', statusCode: 500, endpoint: 'ep_1' });
+    add({ event: 'connection.open', statusCode: 422 });
+
+    expect(store.list({ event: 'message.*' })).toHaveLength(2);
+    expect(store.list({ endpoint: 'ep_1' }).map(e => e.event)).toEqual(['message.sent']);
+    expect(store.list({ status: 422 })).toHaveLength(2);
+    expect(store.list({ since: Date.now() + 1000 })).toHaveLength(0);
+    expect(store.list({ limit: 1 })).toHaveLength(1);
+  });
+
+  it('should purge matching entries', () => {
+    add({ event: 'message.received' });
+    add({ event: 'antiban.warning' });
+
+    expect(store.purge({ event: 'antiban.*' })).toBe(1);
+    expect(store.purge()).toBe(1);
+    expect(store.list()).toEqual([]);
+  });
+
+  it('should drop the oldest entries over maxEntries', () => {
+    store.maxEntries = 2;
+    add({ event: 'message.received' });
+    add({ event: 'message.sent' });
+    add({ event: 'message.failed' });
+
+    expect(store.list().map(e => e.event)).toEqual(['message.failed', 'message.sent']);
+  });
+
+  it('should persist across restarts', () => {
+    const { id } = add({ event: 'message.received' });
+
+    const restored = new WebhookDeadLetterStore({ storage: new JsonFileStorage({ dir: tempDir }) });
+    expect(restored.get(id)).toMatchObject({ event: 'message.received', payload: { a: 1 } });
+  });
+});
+
+// =============================================================================
+// EMITTER INTEGRATION
+// =============================================================================
+
+describe('WebhookEventEmitter dead letters', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let status;
+  let emitter;
+
+  beforeEach(async () => {
+    requests = [];
+    status = 200;
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) });
+        res.statusCode = status;
+        res.end(status >= 400 ? '{"error":"rejected"}' : '');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    emitter?.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should dead-letter client errors with the response body', async () => {
+    status = 422;
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, logger: quietLogger });
+
+    const result = await emitter.emit('message.sent', { to: '+628111' });
+
+    const [entry] = emitter.listDeadLetters();
+    expect(entry).toMatchObject({
+      eventId: result.eventId,
+      event: 'message.sent',
+      endpoint: 'default',
+      reason: 'client_error',
+      statusCode: 422,
+      attempts: 1,
+    });
+    expect(emitter.getDeadLetter(entry.id).responseBody).toBe('{"error":"rejected"}');
+    expect(emitter.getDeadLetter(entry.id).payload.data).toEqual({ to: '+628111' });
+  });
+
+  it('should dead-letter queue items after the last attempt', async () => {
+    status = 503;
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, logger: quietLogger });
+    emitter.manager.maxRetries = 1;
+    emitter.manager.maxQueueAttempts = 1;
+
+    await emitter.emit('connection.open', {});
+    emitter.manager.stopRetryTimer();
+    await emitter.processRetries();
+
+    expect(emitter.listDeadLetters({ reason: 'max_attempts' })).toEqual([
+      expect.objectContaining({ event: 'connection.open', statusCode: 503, attempts: 1 }),
+    ]);
+    expect(emitter.getPendingRetries()).toEqual([]);
+  });
+
+  it('should replay with the original event ID and remove on success', async () => {
+    status = 400;
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, logger: quietLogger });
+    const { eventId } = await emitter.emit('message.sent', { to: '+628111' });
+    const [{ id }] = emitter.listDeadLetters();
+
+    const failed = await emitter.replayDeadLetter(id);
+    expect(failed).toMatchObject({ success: false, status: 400 });
+    expect(emitter.getDeadLetter(id).replays).toBe(1);
+
+    status = 200;
+    const replayed = await emitter.replayDeadLetter(id);
+
+    expect(replayed).toMatchObject({ id, eventId, success: true, status: 200 });
+    expect(requests.at(-1).headers['x-wa2bridge-event-id']).toBe(eventId);
+    expect(emitter.listDeadLetters()).toEqual([]);
+  });
+
+  it('should replay in bulk by filter or IDs', async () => {
+    status = 410;
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, logger: quietLogger });
+    await emitter.emit('message.sent', {});
+    await emitter.emit('message.failed', {});
+    await emitter.emit('antiban.warning', {});
+
+    status = 200;
+    expect(await emitter.replayDeadLetters({ event: 'message.*' })).toMatchObject({ replayed: 2, delivered: 2, failed: 0 });
+
+    const [{ id }] = emitter.listDeadLetters();
+    expect(await emitter.replayDeadLetters({}, [id, 'dl_missing'])).toMatchObject({ replayed: 1, delivered: 1 });
+  });
+
+  it('should refuse to replay to a removed endpoint', async () => {
+    status = 404;
+    emitter = new WebhookEventEmitter({ logger: quietLogger });
+    const endpoint = emitter.addEndpoint({ url: `${baseUrl}/ops` });
+    await emitter.emit('antiban.warning', {});
+
+    const [entry] = emitter.listDeadLetters();
+    expect(entry.endpoint).toBe(endpoint.id);
+
+    emitter.removeEndpoint(endpoint.id);
+    await expect(emitter.replayDeadLetter(entry.id)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(emitter.replayDeadLetter('dl_missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
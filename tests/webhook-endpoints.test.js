@@ -0,0 +1,221 @@
+/**
+ * Webhook Endpoint Tests
+ *
+ * Tests for multiple webhook endpoints:
+ * - Event filter patterns
+ * - Endpoint CRUD and validation
+ * - Persistence across restarts
+ * - Fan-out to matching endpoints with per-endpoint secret and headers
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  WebhookEventEmitter,
+  WebhookEndpointError,
+  matchesEventFilter,
+} from '../src/webhook-events.js';
+import { verifyWebhookSignature } from '../src/webhook-signature.js';
+
+// =============================================================================
+// EVENT FILTERS
+// =============================================================================
+
+describe('matchesEventFilter', () => {
+  it('should match everything with an empty filter or "*"', () => {
+    expect(matchesEventFilter([], 'message.received')).toBe(true);
+    expect(matchesEventFilter(undefined, 'antiban.warning')).toBe(true);
+    expect(matchesEventFilter(['*'], 'connection.open')).toBe(true);
+  });
+
+  it('should match exact types and groups', () => {
+    const filter = ['message.received', 'antiban.*'];
+
+    expect(matchesEventFilter(filter, 'message.received')).toBe(true);
+    expect(matchesEventFilter(filter, 'antiban.hibernation')).toBe(true);
+    expect(matchesEventFilter(filter, 'message.sent')).toBe(false);
+    expect(matchesEventFilter(filter, 'connection.open')).toBe(false);
+  });
+});
+
+// =============================================================================
+// ENDPOINT REGISTRY
+// =============================================================================
+
+describe('WebhookEventEmitter endpoints', () => {
+  let tempDir;
+  let emitter;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-endpoints-'));
+    emitter = new WebhookEventEmitter({ sessionsDir: tempDir });
+  });
+
+  afterEach(() => {
+    emitter.destroy();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should add an endpoint with defaults', () => {
+    const endpoint = emitter.addEndpoint({ url: 'https://ops.example.com/hook', events: ['antiban.*'] });
+
+    expect(endpoint).toMatchObject({
+      url: 'https://ops.example.com/hook',
+      events: ['antiban.*'],
+      enabled: true,
+      headers: {},
+      retry: {},
+      signed: false,
+    });
+    expect(endpoint.id).toMatch(/^ep_[0-9a-f]{12}$/);
+    expect(emitter.listEndpoints()).toHaveLength(1);
+  });
+
+  it('should never expose the secret', () => {
+    const endpoint = emitter.addEndpoint({ url: 'https://a.example.com', secret: 'endpoint-secret-123456' });
+
+    expect(endpoint.secret).toBeUndefined();
+    expect(endpoint.signed).toBe(true);
+    expect(endpoint.hasOwnSecret).toBe(true);
+  });
+
+  it.each([
+    [{}, '"url"'],
+    [{ url: 'ftp://a' }, '"url"'],
+    [{ url: 'https://a', events: ['message.nope'] }, 'Unknown event types'],
+    [{ url: 'https://a', events: 'message.*' }, '"events"'],
+    [{ url: 'https://a', secret: 'short' }, '"secret"'],
+    [{ url: 'https://a', headers: { 'X-WA2Bridge-Signature': 'x' } }, 'reserved'],
+    [{ url: 'https://a', headers: { 'Bad Header': 'x' } }, 'Invalid header'],
+    [{ url: 'https://a', retry: { maxRetries: 50 } }, '"retry.maxRetries"'],
+    [{ url: 'https://a', enabled: 'yes' }, '"enabled"'],
+  ])('should reject invalid input %#', (input, message) => {
+    expect(() => emitter.addEndpoint(input)).toThrow(WebhookEndpointError);
+    expect(() => emitter.addEndpoint(input)).toThrow(message);
+  });
+
+  it('should update only the given fields', () => {
+    const { id } = emitter.addEndpoint({ url: 'https://a.example.com', events: ['message.*'] });
+
+    const updated = emitter.updateEndpoint(id, { enabled: false, retry: { maxRetries: 2 } });
+
+    expect(updated).toMatchObject({ url: 'https://a.example.com', events: ['message.*'], enabled: false });
+    expect(emitter.endpoints.get(id).manager.maxRetries).toBe(2);
+  });
+
+  it('should 404 on unknown endpoints', () => {
+    expect(() => emitter.updateEndpoint('ep_missing', {})).toThrow(expect.objectContaining({ statusCode: 404 }));
+    expect(emitter.removeEndpoint('ep_missing')).toBe(false);
+    expect(emitter.getEndpoint('ep_missing')).toBeNull();
+  });
+
+  it('should persist endpoints across restarts', () => {
+    const { id } = emitter.addEndpoint({
+      url: 'https://a.example.com',
+      events: ['connection.*'],
+      secret: 'endpoint-secret-123456',
+      headers: { 'X-Team': 'ops' },
+    });
+    emitter.destroy();
+
+    emitter = new WebhookEventEmitter({ sessionsDir: tempDir });
+
+    expect(emitter.getEndpoint(id)).toMatchObject({ events: ['connection.*'], headers: { 'X-Team': 'ops' }, hasOwnSecret: true });
+    expect(emitter.endpoints.get(id).manager.webhookSecret).toBe('endpoint-secret-123456');
+  });
+
+  it('should remove endpoints', () => {
+    const { id } = emitter.addEndpoint({ url: 'https://a.example.com' });
+
+    expect(emitter.removeEndpoint(id)).toBe(true);
+
+    emitter = new WebhookEventEmitter({ sessionsDir: tempDir });
+    expect(emitter.listEndpoints()).toEqual([]);
+  });
+});
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+describe('WebhookEventEmitter fan-out', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let emitter;
+
+  beforeEach(async () => {
+    requests = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body });
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    emitter?.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should deliver each event only to matching endpoints', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/default`, webhookSecret: 'global-secret-123456' });
+    emitter.subscriptions = new Set(['message.received']);
+    emitter.addEndpoint({ url: `${baseUrl}/ops`, events: ['antiban.*', 'connection.*'] });
+    emitter.addEndpoint({ url: `${baseUrl}/off`, enabled: false });
+
+    const message = await emitter.emit('message.received', { from: '+628111' });
+    const warning = await emitter.emit('antiban.warning', { level: 'high' });
+
+    expect(message.deliveries.map(d => d.endpoint)).toEqual(['default']);
+    expect(warning.deliveries).toHaveLength(1);
+    expect(requests.map(r => r.path)).toEqual(['/default', '/ops']);
+  });
+
+  it('should report not_subscribed when nothing matches', async () => {
+    emitter = new WebhookEventEmitter({});
+    emitter.addEndpoint({ url: `${baseUrl}/ops`, events: ['antiban.*'] });
+
+    expect(await emitter.emit('message.sent', {})).toEqual({ sent: false, reason: 'not_subscribed' });
+  });
+
+  it('should sign with the endpoint secret and send its headers', async () => {
+    emitter = new WebhookEventEmitter({ webhookSecret: 'global-secret-123456' });
+    emitter.addEndpoint({
+      url: `${baseUrl}/ops`,
+      secret: 'endpoint-secret-123456',
+      headers: { 'X-Team': 'ops' },
+    });
+
+    await emitter.emit('connection.open', { phone: '628111' });
+
+    const { headers, body } = requests[0];
+    expect(headers['x-team']).toBe('ops');
+    expect(verifyWebhookSignature({
+      secret: 'endpoint-secret-123456',
+      body,
+      signature: headers['x-wa2bridge-signature'],
+      timestamp: headers['x-wa2bridge-timestamp'],
+    })).toBe(true);
+  });
+
+  it('should send test events regardless of filter', async () => {
+    emitter = new WebhookEventEmitter({});
+    const { id } = emitter.addEndpoint({ url: `${baseUrl}/ops`, events: ['antiban.*'], enabled: false });
+
+    const result = await emitter.testEndpoint(id);
+
+    expect(result).toMatchObject({ endpoint: id, success: true, status: 200 });
+    expect(JSON.parse(requests[0].body).event).toBe('webhook.test');
+    expect(emitter.getEndpoint(id).stats.delivered).toBe(1);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Webhook Pipeline Tests
+ *
+ * Tests for the single webhook delivery path:
+ * - v1 (legacy) and v2 (envelope) payload formats
+ * - One delivery per event and target
+ * - Shared retry queue and delivery stats
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  WebhookEventEmitter,
+  WebhookEndpointError,
+  formatPayload,
+} from '../src/webhook-events.js';
+
+const quietLogger = { error() {}, warn() {}, info() {} };
+
+// =============================================================================
+// PAYLOAD FORMATS
+// =============================================================================
+
+describe('formatPayload', () => {
+  const event = {
+    id: 'evt_1',
+    event: 'message.received',
+    session: 'default',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    data: { from: '+628111', message: 'hi', message_id: 'ABC', timestamp: 1700000000 },
+  };
+
+  it('should flatten message.received for v1', () => {
+    expect(formatPayload(event, 'v1')).toEqual({
+      id: 'evt_1',
+      event: 'message.received',
+      session: 'default',
+      from: '+628111',
+      message: 'hi',
+      message_id: 'ABC',
+      timestamp: 1700000000,
+    });
+  });
+
+  it('should keep the envelope for v2 and for other events', () => {
+    expect(formatPayload(event, 'v2')).toBe(event);
+    expect(formatPayload({ ...event, event: 'message.sent' }, 'v1')).toMatchObject({ data: event.data });
+  });
+});
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+describe('WebhookEventEmitter pipeline', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let status;
+  let tempDir;
+  let emitter;
+
+  beforeEach(async () => {
+    requests = [];
+    status = 200;
+    tempDir = mkdtempSync(join(tmpdir(), 'wa2bridge-pipeline-'));
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, body: JSON.parse(body) });
+        res.statusCode = status;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    emitter?.destroy();
+    await new Promise(resolve => server.close(resolve));
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should send each incoming message once in the legacy format by default', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, sessionsDir: tempDir });
+
+    await emitter.messageReceived({ from: '+628111', message: 'hi', messageId: 'ABC', timestamp: 1 });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body).toMatchObject({ event: 'message.received', from: '+628111', message_id: 'ABC', type: 'text' });
+    expect(requests[0].body.data).toBeUndefined();
+  });
+
+  it('should include group context', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook` });
+
+    await emitter.messageReceived({ from: '+628111', message: 'hi', messageId: 'ABC' });
+    await emitter.messageReceived({
+      from: '+628111',
+      message: '@628999 hi',
+      messageId: 'DEF',
+      groupId: '120363012345678901@g.us',
+      participant: '+628111',
+      mentions: ['+628999'],
+      isMentioned: true,
+    });
+
+    expect(requests[0].body).toMatchObject({ group_id: null, participant: null, mentions: [], is_mentioned: false });
+    expect(requests[1].body).toMatchObject({
+      group_id: '120363012345678901@g.us',
+      participant: '+628111',
+      mentions: ['+628999'],
+      is_mentioned: true,
+      is_reply_to_me: false,
+    });
+  });
+
+  it('should send reactions, edits and deletes', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook` });
+
+    await emitter.messageReaction({ from: '+628111', messageId: 'ABC', emoji: '', timestamp: 1 });
+    await emitter.messageEdited({ from: '+628111', messageId: 'ABC', text: 'Fixed', groupId: '120363012345678901@g.us', participant: '+628111' });
+    await emitter.messageRevoked({ from: '+628111', messageId: 'ABC' });
+
+    expect(requests.map(r => r.body.event)).toEqual(['message.reaction', 'message.edited', 'message.revoked']);
+    expect(requests[0].body.data).toMatchObject({ message_id: 'ABC', emoji: '', removed: true, group_id: null });
+    expect(requests[1].body.data).toMatchObject({ message: 'Fixed', group_id: '120363012345678901@g.us', participant: '+628111' });
+  });
+
+  it('should send consent changes as contact events', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook` });
+
+    await emitter.contactOptedOut({ phone: '+628111', optOutSource: 'keyword', keyword: 'berhenti', optedOutAt: 1 });
+    await emitter.contactOptedIn({ phone: '+628111', optInSource: 'checkout-form', optedInAt: 2 });
+
+    expect(requests.map(r => r.body.event)).toEqual(['contact.opted_out', 'contact.opted_in']);
+    expect(requests[0].body.data).toMatchObject({ phone: '+628111', source: 'keyword', keyword: 'berhenti', opted_out_at: 1 });
+    expect(requests[1].body.data).toMatchObject({ phone: '+628111', source: 'checkout-form', opted_in_at: 2 });
+  });
+
+  it('should send envelopes with payloadVersion v2', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, payloadVersion: 'v2' });
+
+    await emitter.messageReceived({ from: '+628111', message: 'hi', messageId: 'ABC' });
+
+    expect(requests[0].body).toMatchObject({ event: 'message.received', data: { from: '+628111', message_id: 'ABC' } });
+  });
+
+  it('should use the payload version of each endpoint', async () => {
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/default` });
+    emitter.addEndpoint({ url: `${baseUrl}/v2`, events: ['message.*'] });
+    emitter.addEndpoint({ url: `${baseUrl}/v1`, events: ['message.*'], payloadVersion: 'v1' });
+
+    await emitter.messageReceived({ from: '+628111', message: 'hi', messageId: 'ABC' });
+
+    const byPath = Object.fromEntries(requests.map(r => [r.path, r.body]));
+    expect(byPath['/default'].from).toBe('+628111');
+    expect(byPath['/v1'].from).toBe('+628111');
+    expect(byPath['/v2'].data.from).toBe('+628111');
+  });
+
+  it('should reject unknown payload versions', () => {
+    expect(() => new WebhookEventEmitter({ payloadVersion: 'v3' })).toThrow(WebhookEndpointError);
+
+    emitter = new WebhookEventEmitter({});
+    expect(() => emitter.addEndpoint({ url: baseUrl, payloadVersion: 'v3' })).toThrow('"payloadVersion"');
+  });
+
+  it('should queue failures once and report them in the shared stats', async () => {
+    status = 503;
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, sessionsDir: tempDir, logger: quietLogger });
+    emitter.manager.maxRetries = 1;
+    emitter.manager.baseDelay = 1;
+
+    const result = await emitter.messageReceived({ from: '+628111', message: 'hi', messageId: 'ABC' });
+    emitter.manager.stopRetryTimer();
+
+    expect(result.deliveries[0]).toMatchObject({ success: false, queued: true });
+    expect(emitter.getPendingRetries()).toEqual([
+      expect.objectContaining({ endpoint: 'default', eventId: result.eventId, event: 'message.received', attempts: 0 }),
+    ]);
+    expect(emitter.getStats().delivery).toMatchObject({ failed: 1, queued: 1, failedQueueSize: 1 });
+
+    status = 200;
+    expect(await emitter.processRetries()).toEqual({ processed: 1, delivered: 1, remaining: 0 });
+    expect(emitter.getStats().delivery).toMatchObject({ delivered: 1, retried: 1, failedQueueSize: 0 });
+    expect(new Set(requests.map(r => r.body.id))).toEqual(new Set([result.eventId]));
+  });
+
+  it('should retry endpoint queues too', async () => {
+    status = 500;
+    emitter = new WebhookEventEmitter({ sessionsDir: tempDir, logger: quietLogger });
+    const { id } = emitter.addEndpoint({ url: `${baseUrl}/ops`, retry: { maxRetries: 1, baseDelay: 100 } });
+
+    await emitter.emit('antiban.warning', { level: 'high' });
+    emitter.endpoints.get(id).manager.stopRetryTimer();
+
+    expect(emitter.getPendingRetries().map(p => p.endpoint)).toEqual([id]);
+
+    status = 200;
+    expect(await emitter.processRetries()).toMatchObject({ delivered: 1, remaining: 0 });
+  });
+
+  it('should drop deliveries after the last queue attempt', async () => {
+    status = 500;
+    emitter = new WebhookEventEmitter({ webhookUrl: `${baseUrl}/hook`, logger: quietLogger });
+    emitter.manager.maxRetries = 1;
+    emitter.manager.maxQueueAttempts = 2;
+
+    await emitter.emit('message.sent', { to: '+628111' });
+    emitter.manager.stopRetryTimer();
+
+    await emitter.processRetries();
+    expect(emitter.getPendingRetries()).toHaveLength(1);
+
+    await emitter.processRetries();
+    expect(emitter.getPendingRetries()).toHaveLength(0);
+    expect(emitter.getStats().delivery.permanentlyFailed).toBe(1);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Webhook Signature Tests
+ *
+ * Tests for signed webhook delivery:
+ * - HMAC-SHA256 signing and verification
+ * - Timestamp tolerance (replay window)
+ * - WebhookManager headers, event IDs and no API secret leakage
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  EVENT_ID_HEADER,
+  generateEventId,
+  signPayload,
+  buildWebhookHeaders,
+  verifyWebhookSignature,
+} from '../src/webhook-signature.js';
+import { WebhookManager } from '../src/anti-ban.js';
+import { WebhookEventEmitter } from '../src/webhook-events.js';
+
+const SECRET = 'test-webhook-secret-1234';
+
+// =============================================================================
+// SIGNING AND VERIFICATION
+// =============================================================================
+
+describe('signPayload', () => {
+  it('should sign timestamp and body with HMAC-SHA256', () => {
+    const body = '{"event":"message.received"}';
+    const expected = createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload(SECRET, 1700000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  it('should give the same result for strings and buffers', () => {
+    const body = '{"a":1}';
+    expect(signPayload(SECRET, 1, Buffer.from(body))).toBe(signPayload(SECRET, 1, body));
+  });
+});
+
+describe('generateEventId', () => {
+  it('should generate unique prefixed IDs', () => {
+    const a = generateEventId();
+    const b = generateEventId();
+
+    expect(a).toMatch(/^evt_[0-9a-f-]{36}$/);
+    expect(a).not.toBe(b);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  const body = '{"event":"message.received","data":{"message":"hi"}}';
+  const now = 1700000000 * 1000;
+  const timestamp = '1700000000';
+  const signature = signPayload(SECRET, timestamp, body);
+
+  it('should accept a valid signature', () => {
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature, timestamp, now })).toBe(true);
+  });
+
+  it('should reject a tampered body', () => {
+    expect(verifyWebhookSignature({ secret: SECRET, body: body.replace('hi', 'yo'), signature, timestamp, now })).toBe(false);
+  });
+
+  it('should reject the wrong secret', () => {
+    expect(verifyWebhookSignature({ secret: 'other-secret', body, signature, timestamp, now })).toBe(false);
+  });
+
+  it('should reject a changed timestamp', () => {
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature, timestamp: '1700000001', now })).toBe(false);
+  });
+
+  it('should reject signatures outside the tolerance window', () => {
+    const later = now + 301 * 1000;
+
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature, timestamp, now: later })).toBe(false);
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature, timestamp, now: later, toleranceSeconds: 600 })).toBe(true);
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature, timestamp, now: later, toleranceSeconds: 0 })).toBe(true);
+  });
+
+  it('should reject missing or malformed input', () => {
+    expect(verifyWebhookSignature({ secret: SECRET, body, timestamp, now })).toBe(false);
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature: 'sha256=abc', timestamp, now })).toBe(false);
+    expect(verifyWebhookSignature({ secret: SECRET, body, signature, timestamp: 'soon', now })).toBe(false);
+    expect(verifyWebhookSignature({ body, signature, timestamp, now })).toBe(false);
+  });
+});
+
+describe('buildWebhookHeaders', () => {
+  it('should include signature, timestamp and event ID', () => {
+    const headers = buildWebhookHeaders({ body: '{}', eventId: 'evt_1', secret: SECRET, timestamp: 42 });
+
+    expect(headers[EVENT_ID_HEADER]).toBe('evt_1');
+    expect(headers[TIMESTAMP_HEADER]).toBe('42');
+    expect(headers[SIGNATURE_HEADER]).toBe(signPayload(SECRET, 42, '{}'));
+  });
+
+  it('should omit the signature without a secret', () => {
+    const headers = buildWebhookHeaders({ body: '{}', eventId: 'evt_1' });
+
+    expect(headers[SIGNATURE_HEADER]).toBeUndefined();
+    expect(headers[EVENT_ID_HEADER]).toBe('evt_1');
+  });
+});
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+describe('signed webhook delivery', () => {
+  let server;
+  let url;
+  let requests;
+  let status;
+
+  beforeEach(async () => {
+    requests = [];
+    status = 200;
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = status;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should send verifiable signed requests without a bearer token', async () => {
+    const manager = new WebhookManager({ webhookUrl: url, webhookSecret: SECRET, logger: { error() {} } });
+
+    const result = await manager.send({ hello: 'world' });
+
+    expect(result.success).toBe(true);
+    expect(requests).toHaveLength(1);
+
+    const { headers, body } = requests[0];
+    expect(headers.authorization).toBeUndefined();
+    expect(headers['x-wa2bridge-event-id']).toBe(result.eventId);
+    expect(verifyWebhookSignature({
+      secret: SECRET,
+      body,
+      signature: headers['x-wa2bridge-signature'],
+      timestamp: headers['x-wa2bridge-timestamp'],
+    })).toBe(true);
+  });
+
+  it('should keep the event ID across retries', async () => {
+    status = 503;
+    const manager = new WebhookManager({ webhookUrl: url, webhookSecret: SECRET, maxRetries: 2, baseDelay: 1 });
+
+    const result = await manager.send({ n: 1 });
+    manager.stopRetryTimer();
+
+    expect(result.queued).toBe(true);
+    expect(requests).toHaveLength(2);
+    expect(new Set(requests.map(r => r.headers['x-wa2bridge-event-id']))).toEqual(new Set([result.eventId]));
+
+    status = 200;
+    await manager.processFailedQueue();
+    expect(requests[2].headers['x-wa2bridge-event-id']).toBe(result.eventId);
+  });
+
+  it('should put the event ID in the emitter envelope', async () => {
+    const emitter = new WebhookEventEmitter({ webhookUrl: url, webhookSecret: SECRET, sessionId: 'sales' });
+
+    const result = await emitter.emit('message.sent', { to: '+628111' });
+
+    const payload = JSON.parse(requests[0].body);
+    expect(payload).toMatchObject({ id: result.eventId, event: 'message.sent', session: 'sales' });
+    expect(requests[0].headers['x-wa2bridge-event-id']).toBe(result.eventId);
+  });
+});
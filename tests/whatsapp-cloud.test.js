@@ -0,0 +1,390 @@
+/**
+ * WhatsApp Cloud API Tests
+ *
+ * Tests for the Cloud API backend (WA_BACKEND=cloud) against a local mock
+ * of the Graph API:
+ * - Connecting with the token and phone number ID
+ * - Text, reply, media, template and read sends
+ * - Inbound webhook messages and status callbacks
+ * - Signed /webhooks/cloud receiver
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import multer from 'multer';
+import request from 'supertest';
+import { createHmac } from 'crypto';
+
+import {
+  CloudApiSocket,
+  GraphApiError,
+  verifyCloudSignature,
+  toBaileysMessage,
+  createCloudSocket,
+} from '../src/whatsapp-cloud.js';
+import { buildRichMessage } from '../src/rich-messages.js';
+import { createApiServer } from '../src/api.js';
+import { IPWhitelist, APIRateLimiter } from '../src/anti-ban.js';
+
+const PHONE_NUMBER_ID = '109876543210';
+const TOKEN = 'test-token';
+const APP_SECRET = 'app-secret-123';
+
+const sign = (body) => `sha256=${createHmac('sha256', APP_SECRET).update(body).digest('hex')}`;
+
+// =============================================================================
+// MOCK GRAPH API
+// =============================================================================
+
+async function startGraphApi() {
+  const graph = { requests: [], uploads: [], nextId: 1 };
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${TOKEN}`) {
+      return res.status(401).json({ error: { message: 'Invalid OAuth access token', type: 'OAuthException', code: 190 } });
+    }
+    next();
+  });
+
+  app.get(`/v21.0/${PHONE_NUMBER_ID}`, (req, res) => {
+    res.json({ id: PHONE_NUMBER_ID, display_phone_number: '+62 811-1111-111', verified_name: 'Acme Shop' });
+  });
+
+  app.post(`/v21.0/${PHONE_NUMBER_ID}/media`, multer({ storage: multer.memoryStorage() }).single('file'), (req, res) => {
+    graph.uploads.push({ type: req.body.type, size: req.file.size, filename: req.file.originalname });
+    res.json({ id: 'media-1' });
+  });
+
+  app.post(`/v21.0/${PHONE_NUMBER_ID}/messages`, (req, res) => {
+    graph.requests.push(req.body);
+    if (req.body.to === '620000000000') {
+      return res.status(400).json({ error: { message: 'Invalid parameter', code: 131009, error_data: { details: 'Recipient not on WhatsApp' } } });
+    }
+    res.json({ messaging_product: 'whatsapp', messages: [{ id: `wamid.${graph.nextId++}` }] });
+  });
+
+  app.get('/v21.0/media-in', (req, res) => {
+    res.json({ id: 'media-in', url: `${graph.baseUrl}/files/media-in`, mime_type: 'image/jpeg' });
+  });
+  app.get('/files/media-in', (req, res) => res.type('image/jpeg').send(Buffer.from('jpeg-bytes')));
+
+  graph.server = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  graph.baseUrl = `http://127.0.0.1:${graph.server.address().port}`;
+  return graph;
+}
+
+// Open socket, or the close update when the check fails
+async function connect(graph, options = {}) {
+  const socket = new CloudApiSocket({ accessToken: TOKEN, phoneNumberId: PHONE_NUMBER_ID, apiUrl: graph.baseUrl, ...options });
+  const updates = [];
+  socket.ev.on('connection.update', update => updates.push(update));
+  await socket._connect();
+  return { socket, updates };
+}
+
+const inboundValue = (overrides = {}) => ({
+  messaging_product: 'whatsapp',
+  metadata: { display_phone_number: '628111111111', phone_number_id: PHONE_NUMBER_ID },
+  contacts: [{ profile: { name: 'Sari' }, wa_id: '6281234567890' }],
+  messages: [{ from: '6281234567890', id: 'wamid.in1', timestamp: '1767225600', type: 'text', text: { body: 'Halo' } }],
+  ...overrides,
+});
+
+// =============================================================================
+// SOCKET
+// =============================================================================
+
+describe('CloudApiSocket', () => {
+  let graph;
+
+  beforeEach(async () => {
+    graph = await startGraphApi();
+  });
+
+  afterEach(() => new Promise(resolve => graph.server.close(resolve)));
+
+  it('should open as the registered number', async () => {
+    const { socket, updates } = await connect(graph);
+
+    expect(updates).toEqual([{ connection: 'open' }]);
+    expect(socket.user).toEqual({ id: '628111111111:0@s.whatsapp.net', name: 'Acme Shop' });
+  });
+
+  it('should close as logged out when the token is rejected', async () => {
+    const { socket, updates } = await connect(graph, { accessToken: 'expired' });
+
+    expect(updates).toHaveLength(1);
+    expect(updates[0].connection).toBe('close');
+    expect(updates[0].lastDisconnect.error.output.statusCode).toBe(401);
+    await expect(socket.sendMessage('6281234567890@s.whatsapp.net', { text: 'Hi' })).rejects.toThrow('Connection Closed');
+  });
+
+  it('should open on the next turn when created by the factory', async () => {
+    const { socket } = createCloudSocket({ cloud: { accessToken: TOKEN, phoneNumberId: PHONE_NUMBER_ID, apiUrl: graph.baseUrl } });
+    const opened = new Promise(resolve => socket.ev.on('connection.update', resolve));
+
+    expect(await opened).toEqual({ connection: 'open' });
+    socket.end();
+  });
+
+  it('should send text and replies as Cloud API messages', async () => {
+    const { socket } = await connect(graph);
+
+    const sent = await socket.sendMessage('6281234567890@s.whatsapp.net', { text: 'Order https://acme.test/o/1' });
+    await socket.sendMessage('6281234567890@s.whatsapp.net', { text: 'Yes' }, { quoted: { key: { id: 'wamid.in1' } } });
+
+    expect(sent.key).toEqual({ remoteJid: '6281234567890@s.whatsapp.net', fromMe: true, id: 'wamid.1' });
+    expect(graph.requests[0]).toEqual({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: '6281234567890',
+      type: 'text',
+      text: { body: 'Order https://acme.test/o/1', preview_url: true },
+    });
+    expect(graph.requests[1]).toMatchObject({ context: { message_id: 'wamid.in1' }, text: { body: 'Yes', preview_url: false } });
+  });
+
+  it('should upload media before sending it', async () => {
+    const { socket } = await connect(graph);
+
+    await socket.sendMessage('6281234567890@s.whatsapp.net', {
+      document: Buffer.from('%PDF-1.4'),
+      mimetype: 'application/pdf',
+      fileName: 'invoice.pdf',
+      caption: 'Invoice',
+    });
+
+    expect(graph.uploads).toEqual([{ type: 'application/pdf', size: 8, filename: 'invoice.pdf' }]);
+    expect(graph.requests[0]).toMatchObject({
+      type: 'document',
+      document: { id: 'media-1', caption: 'Invoice', filename: 'invoice.pdf' },
+    });
+  });
+
+  it('should send templates, locations and contact cards', async () => {
+    const { socket } = await connect(graph);
+    const to = '6281234567890@s.whatsapp.net';
+    const components = [{ type: 'body', parameters: [{ type: 'text', text: 'INV-1024' }] }];
+
+    await socket.sendMessage(to, buildRichMessage('template', { name: 'order_shipped', language: 'id', components }).content);
+    await socket.sendMessage(to, buildRichMessage('location', { latitude: -6.2, longitude: 106.8, name: 'Depot' }).content);
+    await socket.sendMessage(to, buildRichMessage('contact', { name: 'Budi', phone: '+6289876543210', organization: 'Acme' }).content);
+
+    expect(graph.requests[0]).toMatchObject({
+      type: 'template',
+      template: { name: 'order_shipped', language: { code: 'id' }, components },
+    });
+    expect(graph.requests[1].location).toEqual({ latitude: -6.2, longitude: 106.8, name: 'Depot' });
+    expect(graph.requests[2].contacts).toEqual([{
+      name: { formatted_name: 'Budi', first_name: 'Budi' },
+      phones: [{ phone: '+6289876543210', type: 'CELL', wa_id: '6289876543210' }],
+      org: { company: 'Acme' },
+    }]);
+  });
+
+  it('should surface Graph API errors and reject what the Cloud API lacks', async () => {
+    const { socket } = await connect(graph);
+
+    const failed = socket.sendMessage('620000000000@s.whatsapp.net', { text: 'Hi' });
+    await expect(failed).rejects.toThrow(GraphApiError);
+    await expect(failed).rejects.toMatchObject({ message: 'Recipient not on WhatsApp', statusCode: 400, code: 131009 });
+    await expect(socket.sendMessage('120363012345678901@g.us', { text: 'Hi' })).rejects.toThrow('Groups are not supported');
+    await expect(socket.sendMessage('6281234567890@s.whatsapp.net', { delete: { id: 'x' } })).rejects.toThrow('not supported');
+  });
+
+  it('should mark inbound messages read', async () => {
+    const { socket } = await connect(graph);
+
+    await socket.readMessages([
+      { remoteJid: '6281234567890@s.whatsapp.net', id: 'wamid.in1', fromMe: false },
+      { remoteJid: '6281234567890@s.whatsapp.net', id: 'wamid.1', fromMe: true },
+    ]);
+
+    expect(graph.requests).toEqual([{ messaging_product: 'whatsapp', status: 'read', message_id: 'wamid.in1' }]);
+  });
+
+  it('should download inbound media through its media ID', async () => {
+    const { socket } = await connect(graph);
+    const message = toBaileysMessage({
+      from: '6281234567890',
+      id: 'wamid.in2',
+      timestamp: '1767225600',
+      type: 'image',
+      image: { id: 'media-in', mime_type: 'image/jpeg', caption: 'Receipt' },
+    });
+
+    const buffer = await socket.downloadMedia(message);
+
+    expect(message.message.imageMessage).toMatchObject({ caption: 'Receipt', mimetype: 'image/jpeg' });
+    expect(buffer.toString()).toBe('jpeg-bytes');
+  });
+});
+
+// =============================================================================
+// WEBHOOK PAYLOADS
+// =============================================================================
+
+describe('CloudApiSocket.receiveWebhook', () => {
+  it('should emit inbound messages as notify upserts', () => {
+    const socket = new CloudApiSocket({ accessToken: TOKEN, phoneNumberId: PHONE_NUMBER_ID });
+    const upsert = vi.fn();
+    socket.ev.on('messages.upsert', upsert);
+
+    const counts = socket.receiveWebhook(inboundValue({
+      messages: [
+        { from: '6281234567890', id: 'wamid.in1', timestamp: '1767225600', type: 'text', text: { body: 'Halo' } },
+        {
+          from: '6281234567890',
+          id: 'wamid.in2',
+          timestamp: '1767225601',
+          type: 'button',
+          button: { text: 'Track order' },
+          context: { from: '628111111111', id: 'wamid.1' },
+        },
+        { from: '6281234567890', id: 'wamid.in3', timestamp: '1767225602', type: 'unsupported' },
+      ],
+    }));
+
+    expect(counts).toEqual({ messages: 2, statuses: 0 });
+    const { messages, type } = upsert.mock.calls[0][0];
+    expect(type).toBe('notify');
+    expect(messages[0]).toEqual({
+      key: { remoteJid: '6281234567890@s.whatsapp.net', fromMe: false, id: 'wamid.in1' },
+      message: { conversation: 'Halo' },
+      pushName: 'Sari',
+      messageTimestamp: 1767225600,
+    });
+    expect(messages[1].message.extendedTextMessage).toEqual({
+      text: 'Track order',
+      contextInfo: { stanzaId: 'wamid.1', participant: '628111111111@s.whatsapp.net' },
+    });
+  });
+
+  it('should map status callbacks to receipts', () => {
+    const socket = new CloudApiSocket({ accessToken: TOKEN, phoneNumberId: PHONE_NUMBER_ID });
+    const update = vi.fn();
+    socket.ev.on('messages.update', update);
+
+    const counts = socket.receiveWebhook(inboundValue({
+      contacts: undefined,
+      messages: undefined,
+      statuses: [
+        { id: 'wamid.1', status: 'delivered', timestamp: '1767225600', recipient_id: '6281234567890' },
+        { id: 'wamid.2', status: 'failed', timestamp: '1767225600', recipient_id: '6281234567890' },
+        { id: 'wamid.3', status: 'deleted', timestamp: '1767225600', recipient_id: '6281234567890' },
+      ],
+    }));
+
+    expect(counts).toEqual({ messages: 0, statuses: 2 });
+    expect(update).toHaveBeenCalledWith([
+      { key: { remoteJid: '6281234567890@s.whatsapp.net', fromMe: true, id: 'wamid.1' }, update: { status: 3 } },
+      { key: { remoteJid: '6281234567890@s.whatsapp.net', fromMe: true, id: 'wamid.2' }, update: { status: 0 } },
+    ]);
+  });
+});
+
+describe('verifyCloudSignature', () => {
+  it('should accept only the app secret HMAC of the raw body', () => {
+    const body = Buffer.from('{"object":"whatsapp_business_account"}');
+
+    expect(verifyCloudSignature(body, sign(body), APP_SECRET)).toBe(true);
+    expect(verifyCloudSignature(body, sign(body), 'other-secret')).toBe(false);
+    expect(verifyCloudSignature(body, sign(body).slice(0, -2), APP_SECRET)).toBe(false);
+    expect(verifyCloudSignature(body, undefined, APP_SECRET)).toBe(false);
+  });
+});
+
+// =============================================================================
+// /webhooks/cloud
+// =============================================================================
+
+describe('/webhooks/cloud', () => {
+  const cloudWebhook = { appSecret: APP_SECRET, verifyToken: 'verify-me' };
+  let socket;
+  let app;
+
+  beforeEach(() => {
+    socket = new CloudApiSocket({ accessToken: TOKEN, phoneNumberId: PHONE_NUMBER_ID });
+    const client = { backend: 'cloud', cloud: { phoneNumberId: PHONE_NUMBER_ID }, socket, getStatus: () => ({}) };
+    app = createApiServer(client, { apiSecret: 'test-secret', cloudWebhook });
+  });
+
+  const post = (payload, signature) => {
+    const body = JSON.stringify(payload);
+    return request(app).post('/webhooks/cloud')
+      .set('Content-Type', 'application/json')
+      .set('X-Hub-Signature-256', signature ?? sign(body))
+      .send(body);
+  };
+
+  it('should answer the subscription check with the verify token', async () => {
+    const ok = await request(app).get('/webhooks/cloud')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '1158201444' });
+    const wrong = await request(app).get('/webhooks/cloud')
+      .query({ 'hub.mode': 'subscribe', 'hub.verify_token': 'nope', 'hub.challenge': '1158201444' });
+
+    expect(ok.status).toBe(200);
+    expect(ok.text).toBe('1158201444');
+    expect(wrong.status).toBe(403);
+  });
+
+  it('should hand signed changes to the session of their phone number', async () => {
+    const upsert = vi.fn();
+    socket.ev.on('messages.upsert', upsert);
+
+    const res = await post({
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'waba-1',
+        changes: [
+          { field: 'messages', value: inboundValue() },
+          { field: 'messages', value: inboundValue({ metadata: { phone_number_id: 'someone-else' } }) },
+        ],
+      }],
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, messages: 1, statuses: 0, ignored: 1 });
+    expect(upsert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject bad signatures', async () => {
+    const upsert = vi.fn();
+    socket.ev.on('messages.upsert', upsert);
+
+    const res = await post({ entry: [{ changes: [{ field: 'messages', value: inboundValue() }] }], forged: true }, 'sha256=00');
+
+    expect(res.status).toBe(401);
+    expect(upsert).not.toHaveBeenCalled();
+  });
+
+  it('should let signed webhooks past the IP whitelist and per-IP limits', async () => {
+    const ipWhitelist = new IPWhitelist({ enabled: true, whitelist: ['10.0.0.5'] });
+    // Localhost is always whitelisted; take it out so the test client is blocked
+    ipWhitelist.whitelist.delete('127.0.0.1');
+    ipWhitelist.whitelist.delete('::1');
+    const apiRateLimiter = new APIRateLimiter();
+    apiRateLimiter.setEndpointLimit('default', 60000, 1);
+    const client = { backend: 'cloud', cloud: { phoneNumberId: PHONE_NUMBER_ID }, socket, getStatus: () => ({}) };
+    app = createApiServer(client, { apiSecret: 'test-secret', cloudWebhook, ipWhitelist, apiRateLimiter });
+
+    const payload = { entry: [{ changes: [{ field: 'messages', value: inboundValue() }] }] };
+    expect((await post(payload)).status).toBe(200);
+    expect((await post(payload)).status).toBe(200);
+    expect((await request(app).get('/api/status')).status).toBe(403);
+    apiRateLimiter.destroy();
+  });
+
+  it('should return 404 when not enabled', async () => {
+    const plain = createApiServer({ getStatus: () => ({}) }, { apiSecret: 'test-secret' });
+
+    const res = await request(plain).get('/webhooks/cloud').query({ 'hub.mode': 'subscribe' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Cloud API webhooks not enabled');
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * whatsapp-web.js Backend Tests
+ *
+ * Tests for the WA_BACKEND=webjs adapter and backend selection:
+ * - Connection events in Baileys form
+ * - Incoming messages, receipts, reactions and poll votes
+ * - Outbound content and message actions
+ * - Groups and lookups
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+
+import { WebjsSocket, toBaileysMessage, serializeKey, toWebjsId, fromWebjsId } from '../src/whatsapp-webjs.js';
+import { createSocket, disconnectReasonName } from '../src/transport.js';
+import { WhatsAppSimulator } from '../src/fake-socket.js';
+import { normalizeMessage, normalizeMessageUpdate } from '../src/message-normalizer.js';
+import { decodePollVote } from '../src/rich-messages.js';
+
+// Stand-ins for the whatsapp-web.js classes the adapter builds
+class MessageMedia {
+  constructor(mimetype, data, filename) {
+    Object.assign(this, { mimetype, data, filename });
+  }
+}
+class Location {
+  constructor(latitude, longitude, options) {
+    Object.assign(this, { latitude, longitude, options });
+  }
+}
+class Poll {
+  constructor(pollName, pollOptions, options) {
+    Object.assign(this, { pollName, pollOptions, options });
+  }
+}
+
+const ME = '6281111111111';
+const CONTACT = '6281234567890';
+
+const createClient = () => {
+  const client = new EventEmitter();
+  client.info = { wid: { user: ME }, pushname: 'Shop' };
+  client.sendMessage = vi.fn(async () => ({ id: { id: '3EB0SENT' }, timestamp: 1700000000 }));
+  client.getMessageById = vi.fn();
+  client.destroy = vi.fn(async () => {});
+  return client;
+};
+
+const incoming = (overrides = {}) => ({
+  id: { id: 'ABC123', remote: `${CONTACT}@c.us`, fromMe: false },
+  from: `${CONTACT}@c.us`,
+  fromMe: false,
+  type: 'chat',
+  body: 'Halo',
+  timestamp: 1700000000,
+  _data: { notifyName: 'Sari' },
+  ...overrides,
+});
+
+describe('IDs', () => {
+  it('should map Baileys JIDs to whatsapp-web.js IDs and back', () => {
+    expect(toWebjsId(`${CONTACT}:3@s.whatsapp.net`)).toBe(`${CONTACT}@c.us`);
+    expect(toWebjsId('120363012345678901@g.us')).toBe('120363012345678901@g.us');
+    expect(fromWebjsId({ _serialized: `${CONTACT}@c.us` })).toBe(`${CONTACT}@s.whatsapp.net`);
+  });
+
+  it('should serialize message keys', () => {
+    expect(serializeKey({ remoteJid: `${CONTACT}@s.whatsapp.net`, fromMe: true, id: 'X1' })).toBe(`true_${CONTACT}@c.us_X1`);
+    expect(serializeKey({ remoteJid: '1203@g.us', fromMe: false, id: 'X2', participant: `${CONTACT}@s.whatsapp.net` }))
+      .toBe(`false_1203@g.us_X2_${CONTACT}@c.us`);
+  });
+});
+
+describe('toBaileysMessage', () => {
+  it('should convert text, replies and mentions', () => {
+    const plain = toBaileysMessage(incoming());
+    expect(plain).toEqual({
+      key: { remoteJid: `${CONTACT}@s.whatsapp.net`, fromMe: false, id: 'ABC123' },
+      message: { conversation: 'Halo' },
+      pushName: 'Sari',
+      messageTimestamp: 1700000000,
+    });
+
+    const reply = toBaileysMessage(incoming({
+      id: { id: 'DEF456', remote: '120363012345678901@g.us' },
+      author: `${CONTACT}@c.us`,
+      hasQuotedMsg: true,
+      mentionedIds: [`${ME}@c.us`],
+      _data: { quotedStanzaID: '3EB0SENT', quotedParticipant: `${ME}@c.us` },
+    }));
+    expect(reply.key.participant).toBe(`${CONTACT}@s.whatsapp.net`);
+    expect(normalizeMessage(reply)).toMatchObject({
+      type: 'text',
+      text: 'Halo',
+      quotedMessageId: '3EB0SENT',
+      quotedParticipant: `${ME}@s.whatsapp.net`,
+      mentionedJids: [`${ME}@s.whatsapp.net`],
+    });
+  });
+
+  it('should convert media, locations and contact cards', () => {
+    const voice = toBaileysMessage(incoming({ type: 'ptt', body: '', duration: '4', _data: { mimetype: 'audio/ogg', size: 8000 } }));
+    expect(normalizeMessage(voice)).toMatchObject({ type: 'audio', hasMedia: true, ptt: true, mimetype: 'audio/ogg', size: 8000, duration: 4 });
+
+    const location = toBaileysMessage(incoming({ type: 'location', location: { latitude: '-6.2', longitude: '106.8', name: 'Monas' } }));
+    expect(normalizeMessage(location).location).toMatchObject({ latitude: -6.2, longitude: 106.8, name: 'Monas' });
+
+    const card = toBaileysMessage(incoming({ type: 'vcard', vCards: ['BEGIN:VCARD\nFN:Budi\nEND:VCARD'] }));
+    expect(normalizeMessage(card).contacts).toEqual([{ name: 'Budi', vcard: 'BEGIN:VCARD\nFN:Budi\nEND:VCARD' }]);
+
+    expect(toBaileysMessage(incoming({ type: 'e2e_notification' }))).toBeNull();
+  });
+});
+
+describe('WebjsSocket', () => {
+  let client;
+  let socket;
+  let updates;
+
+  beforeEach(() => {
+    client = createClient();
+    socket = new WebjsSocket(client, { MessageMedia, Location, Poll });
+    updates = [];
+    socket.ev.on('connection.update', update => updates.push(update));
+  });
+
+  describe('connection', () => {
+    it('should report QR codes, then open with the account as user', () => {
+      client.emit('qr', 'qr-code');
+      client.emit('ready');
+
+      expect(updates).toEqual([{ qr: 'qr-code' }, { connection: 'open' }]);
+      expect(socket.user).toEqual({ id: `${ME}:0@s.whatsapp.net`, name: 'Shop' });
+    });
+
+    it('should close once with Baileys status codes', () => {
+      client.emit('ready');
+      client.emit('disconnected', 'LOGOUT');
+      client.emit('disconnected', 'NAVIGATION');
+
+      expect(updates).toHaveLength(2);
+      const statusCode = updates[1].lastDisconnect.error.output.statusCode;
+      expect(disconnectReasonName(statusCode)).toBe('Logged Out');
+      expect(client.destroy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse to send before the client is ready', async () => {
+      await expect(socket.sendMessage(`${CONTACT}@s.whatsapp.net`, { text: 'Hi' })).rejects.toThrow('Connection Closed');
+    });
+  });
+
+  describe('once ready', () => {
+    beforeEach(() => {
+      client.emit('ready');
+    });
+
+    it('should emit incoming messages as notify upserts', () => {
+      const upsert = vi.fn();
+      socket.ev.on('messages.upsert', upsert);
+
+      client.emit('message', incoming());
+
+      expect(upsert).toHaveBeenCalledWith({ messages: [toBaileysMessage(incoming())], type: 'notify' });
+    });
+
+    it('should turn acks on sent messages into receipts', () => {
+      const update = vi.fn();
+      socket.ev.on('messages.update', update);
+
+      client.emit('message_ack', incoming({ fromMe: true, id: { id: '3EB0SENT', remote: `${CONTACT}@c.us` } }), 3);
+      client.emit('message_ack', incoming(), 3);
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update).toHaveBeenCalledWith([{
+        key: { remoteJid: `${CONTACT}@s.whatsapp.net`, fromMe: true, id: '3EB0SENT' },
+        update: { status: 4 },
+      }]);
+    });
+
+    it('should emit reactions and deletes as message updates', () => {
+      const upsert = vi.fn();
+      socket.ev.on('messages.upsert', upsert);
+
+      client.emit('message_reaction', {
+        id: { id: 'R1', fromMe: false },
+        msgId: { id: '3EB0SENT', remote: `${CONTACT}@c.us`, fromMe: true },
+        reaction: '👍',
+        senderId: `${CONTACT}@c.us`,
+        timestamp: 1700000000,
+      });
+      client.emit('message_revoke_everyone', incoming({ type: 'revoked' }), incoming());
+
+      const [reaction, revoke] = upsert.mock.calls.map(([{ messages }]) => normalizeMessageUpdate(messages[0]));
+      expect(reaction).toEqual({ kind: 'reaction', messageId: '3EB0SENT', emoji: '👍' });
+      expect(revoke).toEqual({ kind: 'revoke', messageId: 'ABC123' });
+    });
+
+    it('should emit poll votes with hashed options', () => {
+      const update = vi.fn();
+      socket.ev.on('messages.update', update);
+
+      client.emit('vote_update', {
+        voter: `${CONTACT}@c.us`,
+        selectedOptions: [{ name: 'Sore', localId: 1 }],
+        parentMessage: { id: { id: 'POLL1', remote: `${CONTACT}@c.us` } },
+        interractedAtTs: 1700000000000,
+      });
+
+      const [[[{ key, update: { pollUpdates: [vote] } }]]] = update.mock.calls;
+      expect(key).toEqual({ remoteJid: `${CONTACT}@s.whatsapp.net`, fromMe: true, id: 'POLL1' });
+      expect(vote.pollUpdateMessageKey.participant).toBe(`${CONTACT}@s.whatsapp.net`);
+      expect(decodePollVote({ options: ['Pagi', 'Sore'] }, vote.vote.selectedOptions)).toEqual(['Sore']);
+      expect(Buffer.from(vote.vote.selectedOptions[0]).toString('hex')).toBe(createHash('sha256').update('Sore').digest('hex'));
+    });
+
+    it('should send text replies and media', async () => {
+      const to = `${CONTACT}@s.whatsapp.net`;
+      const quoted = { key: { remoteJid: to, fromMe: false, id: 'ABC123' } };
+
+      const result = await socket.sendMessage(to, { text: 'Hi' }, { quoted });
+      await socket.sendMessage(to, { image: Buffer.from('img'), mimetype: 'image/png', caption: 'Look' });
+
+      expect(result).toMatchObject({ key: { remoteJid: to, fromMe: true, id: '3EB0SENT' } });
+      expect(client.sendMessage).toHaveBeenNthCalledWith(1, `${CONTACT}@c.us`, 'Hi', { quotedMessageId: `false_${CONTACT}@c.us_ABC123` });
+      const [, media, options] = client.sendMessage.mock.calls[1];
+      expect(media).toEqual(new MessageMedia('image/png', Buffer.from('img').toString('base64'), undefined));
+      expect(options).toMatchObject({ caption: 'Look', sendMediaAsDocument: false });
+    });
+
+    it('should send locations and polls, and only one contact card', async () => {
+      const to = `${CONTACT}@s.whatsapp.net`;
+
+      await socket.sendMessage(to, { location: { degreesLatitude: -6.2, degreesLongitude: 106.8, name: 'Monas' } });
+      await socket.sendMessage(to, { poll: { name: 'Kapan?', values: ['Pagi', 'Sore'], selectableCount: 1 } });
+
+      expect(client.sendMessage.mock.calls[0][1]).toEqual(new Location(-6.2, 106.8, { name: 'Monas', address: undefined }));
+      expect(client.sendMessage.mock.calls[1][1]).toEqual(new Poll('Kapan?', ['Pagi', 'Sore'], { allowMultipleAnswers: false }));
+      await expect(socket.sendMessage(to, { contacts: { contacts: [{ vcard: 'a' }, { vcard: 'b' }] } }))
+        .rejects.toThrow('one contact card');
+    });
+
+    it('should react to, edit and delete earlier messages', async () => {
+      const message = { react: vi.fn(), edit: vi.fn(), delete: vi.fn() };
+      client.getMessageById.mockResolvedValue(message);
+      const key = { remoteJid: `${CONTACT}@s.whatsapp.net`, fromMe: true, id: '3EB0SENT' };
+
+      await socket.sendMessage(key.remoteJid, { react: { text: '🙏', key } });
+      await socket.sendMessage(key.remoteJid, { text: 'Fixed', edit: key });
+      await socket.sendMessage(key.remoteJid, { delete: key });
+
+      expect(client.getMessageById).toHaveBeenCalledWith(`true_${CONTACT}@c.us_3EB0SENT`);
+      expect(message.react).toHaveBeenCalledWith('🙏');
+      expect(message.edit).toHaveBeenCalledWith('Fixed');
+      expect(message.delete).toHaveBeenCalledWith(true);
+      expect(client.sendMessage).not.toHaveBeenCalled();
+
+      client.getMessageById.mockResolvedValue(null);
+      await expect(socket.sendMessage(key.remoteJid, { delete: key })).rejects.toThrow('not found');
+    });
+
+    it('should map presence and lookups', async () => {
+      const chat = { sendStateTyping: vi.fn(), clearState: vi.fn() };
+      client.getChatById = vi.fn(async () => chat);
+      client.isRegisteredUser = vi.fn(async id => id === `${CONTACT}@c.us`);
+
+      await socket.sendPresenceUpdate('composing', `${CONTACT}@s.whatsapp.net`);
+      await socket.sendPresenceUpdate('paused', `${CONTACT}@s.whatsapp.net`);
+      const results = await socket.onWhatsApp(`${CONTACT}@s.whatsapp.net`, '6289999999999@s.whatsapp.net');
+
+      expect(chat.sendStateTyping).toHaveBeenCalled();
+      expect(chat.clearState).toHaveBeenCalled();
+      expect(results).toEqual([
+        { jid: `${CONTACT}@s.whatsapp.net`, exists: true },
+        { jid: '6289999999999@s.whatsapp.net', exists: false },
+      ]);
+    });
+
+    it('should return group metadata in Baileys form', async () => {
+      client.getChatById = vi.fn(async () => ({
+        isGroup: true,
+        id: { _serialized: '120363012345678901@g.us' },
+        name: 'Pelanggan',
+        description: 'Info',
+        owner: { _serialized: `${ME}@c.us` },
+        createdAt: new Date(1700000000000),
+        groupMetadata: { announce: true },
+        participants: [
+          { id: { _serialized: `${ME}@c.us` }, isAdmin: true, isSuperAdmin: true },
+          { id: { _serialized: `${CONTACT}@c.us` }, isAdmin: false, isSuperAdmin: false },
+        ],
+        removeParticipants: vi.fn(async () => ({ status: 200 })),
+      }));
+
+      const metadata = await socket.groupMetadata('120363012345678901@g.us');
+      const results = await socket.groupParticipantsUpdate('120363012345678901@g.us', [`${CONTACT}@s.whatsapp.net`], 'remove');
+
+      expect(metadata).toEqual({
+        id: '120363012345678901@g.us',
+        subject: 'Pelanggan',
+        desc: 'Info',
+        owner: `${ME}@s.whatsapp.net`,
+        creation: 1700000000,
+        announce: true,
+        restrict: false,
+        participants: [
+          { id: `${ME}@s.whatsapp.net`, admin: 'superadmin' },
+          { id: `${CONTACT}@s.whatsapp.net`, admin: null },
+        ],
+      });
+      expect(results).toEqual([{ jid: `${CONTACT}@s.whatsapp.net`, status: '200' }]);
+    });
+  });
+});
+
+describe('createSocket', () => {
+  it('should hand out simulator sockets for the fake backend', async () => {
+    const simulator = new WhatsAppSimulator();
+    const { socket } = await createSocket('fake', { simulator });
+
+    expect(simulator.socket).toBe(socket);
+  });
+});
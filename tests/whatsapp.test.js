@@ -0,0 +1,188 @@
+/**
+ * WhatsApp Client Tests
+ *
+ * Tests for WhatsAppClient running on the offline backend (WA_BACKEND=fake),
+ * with the full send pipeline above the socket:
+ * - Backend selection
+ * - Async sends within the rate limits
+ * - Opt-out enforcement and replies
+ * - Campaign receipts
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import WhatsAppClient from '../src/whatsapp.js';
+import { WhatsAppSimulator } from '../src/fake-socket.js';
+import { CloudApiSocket } from '../src/whatsapp-cloud.js';
+import { RichMessageError } from '../src/rich-messages.js';
+
+// Socket events fire on the next turn, after connect() has attached listeners
+const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+const CONTACT = '+6281234567890';
+
+// The human simulation takes a few seconds per send
+const waitForStatus = (client, id, status) => vi.waitFor(
+  () => expect(client.getMessageStatus(id).status).toBe(status),
+  { timeout: 10000, interval: 50 },
+);
+
+describe('WhatsAppClient', () => {
+  let sessionsDir;
+  let clients;
+
+  const createClient = (options = {}) => {
+    const client = new WhatsAppClient({
+      backend: 'fake',
+      simAutoPair: true,
+      sessionsDir,
+      backupDir: `${sessionsDir}-backups`,
+      logLevel: 'silent',
+      messageDelay: 1,
+      ...options,
+    });
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(() => {
+    sessionsDir = mkdtempSync(join(tmpdir(), 'wa2bridge-client-'));
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const client of clients) {
+      await client.stop();
+      client.destroy();
+    }
+    rmSync(sessionsDir, { recursive: true, force: true });
+    rmSync(`${sessionsDir}-backups`, { recursive: true, force: true });
+  });
+
+  const connectClient = async (options) => {
+    const client = createClient(options);
+    await client.connect();
+    await nextTurn();
+    return client;
+  };
+
+  describe('backends', () => {
+    it('should connect the fake backend to its simulator', async () => {
+      const client = await connectClient();
+
+      expect(client.sim).toBeInstanceOf(WhatsAppSimulator);
+      expect(client.isConnected).toBe(true);
+      expect(client.getStatus()).toMatchObject({ backend: 'fake', connected: true, phone: '6280000000001' });
+    });
+
+    it('should use a Cloud API socket for the cloud backend', async () => {
+      const client = createClient({
+        backend: 'cloud',
+        cloud: { accessToken: 'token', phoneNumberId: '109876543210', apiUrl: 'http://127.0.0.1:9' },
+      });
+
+      await client.connect();
+
+      expect(client.sim).toBeNull();
+      expect(client.socket).toBeInstanceOf(CloudApiSocket);
+      expect(client.socket.phoneNumberId).toBe('109876543210');
+    });
+
+    it('should refuse templates on backends without them', () => {
+      const template = { name: 'order_shipped', language: 'id' };
+
+      expect(() => createClient({ backend: 'webjs' })._buildRichMessage('template', template))
+        .toThrow(RichMessageError);
+      expect(createClient()._buildRichMessage('template', template).content.template.name).toBe('order_shipped');
+    });
+  });
+
+  describe('async sends', () => {
+    it('should space back-to-back sends by the minimum interval', async () => {
+      const client = await connectClient();
+      const { minIntervalMs } = client.rateLimiter.getLimits();
+
+      const first = await client.sendAsync(CONTACT, { text: 'First' });
+      const burst = client.sendAsync('+6289876543210', { text: 'Second' });
+
+      await expect(burst).rejects.toMatchObject({ code: 'RATE_LIMITED', limitType: 'interval' });
+      await waitForStatus(client, first.id, 'sent');
+      expect(client.sim.getState().sent).toHaveLength(1);
+
+      // Delivery restarts the interval; once it has passed the next send goes out
+      expect(Date.now() - client.rateLimiter.lastMessageTime).toBeLessThan(minIntervalMs);
+      client.rateLimiter.lastMessageTime -= minIntervalMs;
+      const second = await client.sendAsync('+6289876543210', { text: 'Second' });
+      await waitForStatus(client, second.id, 'sent');
+      expect(client.sim.getState().sent).toHaveLength(2);
+    }, 20000);
+
+    it('should count accepted sends against the hourly limit once', async () => {
+      const client = await connectClient();
+      const { hourly } = client.rateLimiter.getLimits();
+      client.rateLimiter.hourlyCount = hourly - 1;
+
+      const last = await client.sendAsync(CONTACT, { text: 'Last one this hour' });
+      expect(client.rateLimiter.hourlyCount).toBe(hourly);
+
+      client.rateLimiter.lastMessageTime = 0;
+      await expect(client.sendAsync('+6289876543210', { text: 'Over' }))
+        .rejects.toMatchObject({ code: 'RATE_LIMITED', limitType: 'hourly' });
+
+      await waitForStatus(client, last.id, 'sent');
+      expect(client.rateLimiter.hourlyCount).toBe(hourly);
+      expect(client.sim.getState().sent.map(sent => sent.id)).toEqual(client.getMessageStatus(last.id).whatsappMessageIds);
+    }, 20000);
+  });
+
+  describe('opted-out contacts', () => {
+    let client;
+
+    beforeEach(async () => {
+      client = await connectClient();
+      client.consent.optOut(CONTACT);
+    });
+
+    it('should refuse sends, also with a made-up reply_to', async () => {
+      await expect(client.sendMessage(CONTACT, 'Promo')).rejects.toMatchObject({ code: 'CONTACT_OPTED_OUT' });
+      await expect(client.sendMessage(CONTACT, 'Promo', '3EB0FAKE00000000'))
+        .rejects.toMatchObject({ code: 'CONTACT_OPTED_OUT' });
+      await expect(client.sendAsync(CONTACT, { text: 'Promo', replyToMessageId: '3EB0FAKE00000000' }))
+        .rejects.toMatchObject({ code: 'CONTACT_OPTED_OUT' });
+      expect(client.sim.getState().sent).toEqual([]);
+    });
+
+    it('should allow replies to a message the contact sent', async () => {
+      const other = client.sim.receiveMessage({ from: '+6289876543210', text: 'Halo' });
+      const received = client.sim.receiveMessage({ from: CONTACT, text: 'Where is my order?' });
+      await vi.waitFor(() => expect(client.messageStore.isInboundFrom(received.key.id, CONTACT)).toBe(true));
+
+      await expect(client.sendMessage(CONTACT, 'Promo', other.key.id)).rejects.toMatchObject({ code: 'CONTACT_OPTED_OUT' });
+      const result = await client.sendMessage(CONTACT, 'On its way', received.key.id);
+
+      // Inbound messages may get a random reaction; only count real sends
+      const messages = client.sim.getState().sent.filter(sent => sent.type !== 'react');
+      expect(messages.map(sent => sent.id)).toEqual([result.key.id]);
+    }, 20000);
+  });
+
+  describe('campaigns', () => {
+    it('should take delivery receipts from the message lifecycle', async () => {
+      const client = await connectClient();
+      const { id } = client.campaigns.create({ name: 'Sale', text: 'Hi {name}!', recipients: [{ phone: CONTACT, variables: { name: 'Sari' } }] });
+
+      expect(await client.campaigns.tick()).toBe(true);
+      const [sent] = client.sim.getState().sent;
+      const { recipients: [recipient] } = client.campaigns.getRecipients(id);
+      expect(client.getMessageStatus(recipient.messageId).whatsappMessageIds).toEqual([sent.id]);
+
+      client.sim.receipt(sent.id, 'delivered');
+      await vi.waitFor(() => expect(client.campaigns.get(id).counts).toMatchObject({ sent: 0, delivered: 1 }));
+      client.sim.receipt(sent.id, 'read');
+      await vi.waitFor(() => expect(client.campaigns.get(id).counts).toMatchObject({ delivered: 0, read: 1 }));
+    }, 20000);
+  });
+});
@@ -16,12 +16,82 @@
 
 /** Request body for POST /api/send */
 export interface SendMessageRequest {
-  /** WhatsApp phone number (e.g., "+6281234567890" or "6281234567890@s.whatsapp.net") */
+  /** WhatsApp phone number (e.g., "+6281234567890" or "6281234567890@s.whatsapp.net") or group JID ("120363...@g.us") */
   to: string;
-  /** Message text content */
-  message: string;
+  /** Message text content (caption fallback when media is present) */
+  message?: string;
   /** Optional message ID to reply to */
   reply_to?: string;
+  /** Optional media attachment (JSON requests; multipart uses a "file" field) */
+  media?: MediaPayload;
+  /** Answer 202 after the pre-send checks and send in the background */
+  async?: boolean;
+  /** Send a location, contact card(s), poll or template instead of text (JSON requests) */
+  type?: RichMessageType;
+  /** Required with type "location" */
+  location?: LocationPayload;
+  /** Required with type "contact": one card or up to 10 */
+  contact?: ContactCardPayload | ContactCardPayload[];
+  /** Required with type "poll" */
+  poll?: PollPayload;
+  /** Required with type "template" (WA_BACKEND=cloud) */
+  template?: TemplatePayload;
+}
+
+export type RichMessageType = 'location' | 'contact' | 'poll' | 'template';
+
+export interface LocationPayload {
+  /** -90 to 90 */
+  latitude: number;
+  /** -180 to 180 */
+  longitude: number;
+  name?: string;
+  address?: string;
+}
+
+export interface ContactCardPayload {
+  name: string;
+  phone: string;
+  organization?: string;
+  email?: string;
+}
+
+export interface PollPayload {
+  question: string;
+  /** 2-12 unique options */
+  options: string[];
+  /** How many options a voter may pick (default 1) */
+  selectableCount?: number;
+}
+
+export interface TemplatePayload {
+  /** Approved template name (lowercase letters, digits, underscores) */
+  name: string;
+  /** Template language code, e.g. "id" or "en_US" */
+  language: string;
+  /** Up to 10 header, body and button components as in the Cloud API */
+  components?: Array<{ type: string; [key: string]: unknown }>;
+}
+
+/** Outbound media type */
+export type MediaType = 'image' | 'video' | 'audio' | 'document';
+
+/** Media attachment for POST /api/send. Provide exactly one of url or base64. */
+export interface MediaPayload {
+  /** http(s) URL to download the file from */
+  url?: string;
+  /** Base64 contents, raw or as a data URI */
+  base64?: string;
+  /** MIME type (detected if omitted) */
+  mimetype?: string;
+  /** File name shown for documents */
+  filename?: string;
+  /** Caption (ignored for audio) */
+  caption?: string;
+  /** Force the media type (detected from mimetype if omitted) */
+  type?: MediaType;
+  /** Send audio as a voice note */
+  ptt?: boolean;
 }
 
 /** Response from POST /api/send */
@@ -32,8 +102,188 @@ export interface SendMessageResponse {
   error?: string;
 }
 
+/** 202 response from POST /api/send with async: true */
+export interface AsyncSendResponse {
+  success: true;
+  /** Bridge message ID */
+  id: string;
+  status: 'queued';
+  to: string;
+  /** GET this for the lifecycle */
+  statusUrl: string;
+}
+
+export type MessageLifecycleStatus = 'queued' | 'typing' | 'sent' | 'delivered' | 'read' | 'failed';
+
+/** Response from GET /api/messages/:messageId */
+export interface MessageLifecycle {
+  id: string;
+  to: string;
+  type: string;
+  status: MessageLifecycleStatus;
+  /** One per part for split messages */
+  whatsappMessageIds: string[];
+  error: string | null;
+  errorCode: string | null;
+  createdAt: number;
+  updatedAt: number;
+  history: Array<{ status: MessageLifecycleStatus; at: number; reason?: string }>;
+}
+
+/** Group from /api/groups */
+export interface Group {
+  /** Group JID, e.g. "120363012345678901@g.us" */
+  id: string;
+  subject: string;
+  description: string;
+  owner: string | null;
+  /** Unix ms */
+  createdAt: number | null;
+  size: number;
+  /** Only admins can send */
+  announce: boolean;
+  /** Only admins can edit group info */
+  restrict: boolean;
+  /** Omitted in GET /api/groups */
+  participants?: Array<{ phone: string; admin: 'admin' | 'superadmin' | null }>;
+}
+
+export type GroupParticipantAction = 'add' | 'remove' | 'promote' | 'demote';
+
+/** Response from POST /api/groups/:groupId/participants */
+export interface GroupParticipantsResponse {
+  success: true;
+  action: GroupParticipantAction;
+  results: Array<{ phone: string; success: boolean; status: number }>;
+}
+
+/** Response from /api/groups/:groupId/invite */
+export interface GroupInvite {
+  groupId: string;
+  code: string;
+  link: string;
+}
+
+/** One number from POST /api/contacts/check */
+export interface ContactCheckResult {
+  /** "+<digits>" */
+  phone: string;
+  exists: boolean;
+  jid: string | null;
+  /** Answered from the cache (not counted against lookup limits) */
+  cached: boolean;
+}
+
+/** Response from POST /api/contacts/check */
+export interface ContactCheckResponse {
+  results: ContactCheckResult[];
+  onWhatsApp: number;
+  cached: number;
+}
+
+export interface BusinessProfile {
+  description: string | null;
+  category: string | null;
+  email: string | null;
+  websites: string[];
+  address: string | null;
+}
+
+/** Response from GET /api/contacts/:phone */
+export interface ContactProfile extends ContactCheckResult {
+  /** Null when hidden by privacy settings or not set */
+  profilePictureUrl: string | null;
+  about: string | null;
+  /** Unix ms */
+  aboutSetAt: number | null;
+  /** Null for personal accounts */
+  business: BusinessProfile | null;
+  /** Unix ms */
+  fetchedAt: number;
+}
+
+export type MessageDirection = 'inbound' | 'outbound';
+
+export type MessageHistoryStatus = MessageLifecycleStatus | 'received';
+
+/** A stored message from GET /api/messages */
+export interface HistoryMessage {
+  /** Bridge message ID (outbound) or WhatsApp message ID (inbound) */
+  id: string;
+  direction: MessageDirection;
+  /** "+<digits>" or group JID */
+  contact: string;
+  /** Outbound only */
+  to?: string;
+  /** Inbound only */
+  from?: string;
+  /** Sender of inbound group messages */
+  participant?: string | null;
+  type: string;
+  /** Text or caption */
+  text: string;
+  /** Quoted message ID */
+  replyTo: string | null;
+  status: MessageHistoryStatus;
+  whatsappMessageIds: string[];
+  error: string | null;
+  errorCode: string | null;
+  /** Unix ms of the last edit */
+  editedAt: number | null;
+  /** Unix ms of the delete for everyone */
+  revokedAt: number | null;
+  createdAt: number;
+  updatedAt: number;
+  history: Array<{ status: MessageHistoryStatus; at: number; reason?: string }>;
+}
+
+/** Body for POST /api/messages/:id/react ("" removes the reaction) */
+export interface ReactRequest {
+  emoji: string;
+}
+
+/** Body for PATCH /api/messages/:id */
+export interface EditMessageRequest {
+  text: string;
+}
+
+/** Response of POST /api/chats/:jid/read */
+export interface MarkChatReadResponse {
+  success: boolean;
+  /** "+<digits>" or group JID */
+  chat: string;
+  /** Messages marked read */
+  read: number;
+}
+
+/** Query for GET /api/messages */
+export interface MessageHistoryQuery {
+  contact?: string;
+  direction?: MessageDirection;
+  status?: MessageHistoryStatus;
+  /** Unix ms or ISO date */
+  from?: number | string;
+  to?: number | string;
+  /** Default 50, max 500 */
+  limit?: number;
+  offset?: number;
+}
+
+/** Response from GET /api/messages */
+export interface MessageHistoryResponse {
+  messages: HistoryMessage[];
+  total: number;
+  limit: number;
+  offset: number;
+  hasMore: boolean;
+}
+
 /** Response from GET /api/status */
 export interface StatusResponse {
+  /** Session name ("default" unless using /api/sessions/:sessionId/status) */
+  session: string;
+  /** Socket behind the session (WA_BACKEND); 'fake' is the simulator */
+  backend: 'baileys' | 'webjs' | 'cloud' | 'fake';
   connected: boolean;
   phone: string | null;
   name: string | null;
@@ -42,6 +292,8 @@ export interface StatusResponse {
   stats?: {
     messagesSent: number;
     messagesReceived: number;
+    /** Sends WhatsApp refused (SEND_FAILED) */
+    messagesFailed: number;
   };
   rateLimits?: RateLimitStatus;
   banWarning?: BanWarningStatus;
@@ -359,6 +611,166 @@ export interface ScheduledStats {
   nextScheduled: ScheduledMessage | null;
 }
 
+// =============================================================================
+// CAMPAIGN TYPES
+// =============================================================================
+
+export type CampaignStatus = 'running' | 'paused' | 'cancelled' | 'completed';
+
+export type CampaignRecipientStatus = 'pending' | 'sent' | 'delivered' | 'read' | 'failed' | 'skipped_opted_out';
+
+/** Request body for POST /api/campaigns (either template or text) */
+export interface CreateCampaignRequest {
+  name: string;
+  /** Stored template name */
+  template?: string;
+  /** Inline template content */
+  text?: string;
+  /** Phone numbers, or recipients with every template variable (max 5000) */
+  recipients: Array<string | { phone: string; variables?: Record<string, string | number> }>;
+  /** Don't send before (Unix ms or ISO date) */
+  startAt?: number | string;
+}
+
+/** Campaign with recipient counts (GET /api/campaigns/:id) */
+export interface Campaign {
+  id: string;
+  name: string;
+  template: string | null;
+  /** Template content as of creation */
+  content: string;
+  status: CampaignStatus;
+  startAt: number | null;
+  createdAt: number;
+  updatedAt: number;
+  finishedAt: number | null;
+  total: number;
+  counts: Record<CampaignRecipientStatus, number>;
+  /** Earliest next send (Unix ms), null unless running with pending recipients */
+  nextSendAt: number | null;
+}
+
+/** One recipient from GET /api/campaigns/:id/recipients */
+export interface CampaignRecipient {
+  phone: string;
+  variables: Record<string, string | number>;
+  status: CampaignRecipientStatus;
+  /** Bridge message ID, see GET /api/messages/:id */
+  messageId: string | null;
+  error: string | null;
+  updatedAt: number;
+}
+
+/** Response from GET /api/campaigns/:id/recipients */
+export interface CampaignRecipientsResponse {
+  recipients: CampaignRecipient[];
+  total: number;
+  limit: number;
+  offset: number;
+  hasMore: boolean;
+}
+
+// =============================================================================
+// CONSENT TYPES
+// =============================================================================
+
+export type ConsentStatus = 'opted_in' | 'opted_out';
+
+/** Consent of one contact (GET /api/consent/:phone) */
+export interface ConsentRecord {
+  phone: string;
+  status: ConsentStatus;
+  /** When consent was given (Unix ms) */
+  optedInAt: number | null;
+  optInSource: string | null;
+  optedOutAt: number | null;
+  optOutSource: string | null;
+  /** Opt-out keyword the contact sent */
+  keyword: string | null;
+  updatedAt: number;
+}
+
+/** Request body for POST /api/consent/:phone/opt-in (opt-out takes only source) */
+export interface ConsentRequest {
+  /** Where consent was given (default 'api') */
+  source?: string;
+  /** When consent was given (Unix ms or ISO date, default now) */
+  at?: number | string;
+}
+
+/** Response from POST /api/consent/:phone/opt-in and opt-out */
+export interface ConsentResponse {
+  success: boolean;
+  /** Whether the status changed (webhooks are only sent then) */
+  changed: boolean;
+  consent: ConsentRecord;
+}
+
+// =============================================================================
+// SIMULATOR TYPES (WA_BACKEND=fake)
+// =============================================================================
+
+export type SimReceiptStatus = 'sent' | 'delivered' | 'read' | 'played' | 'failed';
+
+export type SimDisconnectReason =
+  | 'connection_closed'
+  | 'connection_lost'
+  | 'connection_replaced'
+  | 'logged_out'
+  | 'bad_session'
+  | 'restart_required';
+
+/** A message the bridge sent to the simulator */
+export interface SimSentMessage {
+  /** WhatsApp message ID, used for POST /api/_sim/receipts */
+  id: string;
+  jid: string;
+  /** Baileys content key (text, image, react, poll, ...) */
+  type: string;
+  text: string | null;
+  /** WhatsApp ID of the quoted message */
+  quoted: string | null;
+  status: SimReceiptStatus;
+  at: number;
+}
+
+/** Response from GET /api/_sim */
+export interface SimState {
+  paired: boolean;
+  connected: boolean;
+  qr: string | null;
+  phone: string | null;
+  name: string | null;
+  /** Sends that will still fail */
+  pendingFailures: number;
+  /** Last 50 sends, newest first */
+  sent: SimSentMessage[];
+}
+
+/** Request body for POST /api/_sim/messages */
+export interface SimMessageRequest {
+  from: string;
+  text: string;
+  push_name?: string;
+  /** Deliver in a group, from `from` */
+  group_jid?: string;
+  /** WhatsApp ID of a quoted message */
+  reply_to?: string;
+}
+
+/** Request body for POST /api/_sim/receipts */
+export interface SimReceiptRequest {
+  message_id: string;
+  status: SimReceiptStatus;
+}
+
+/** Request body for POST /api/_sim/failures */
+export interface SimFailuresRequest {
+  /** Number of sends to fail (default 1, max 100) */
+  count?: number;
+  error?: string;
+}
+
 // =============================================================================
 // WEBHOOK TYPES
 // =============================================================================
@@ -379,6 +791,10 @@ export type WebhookEventType =
   | 'message.delivered'
   | 'message.read'
   | 'message.failed'
+  | 'message.reaction'
+  | 'message.edited'
+  | 'message.revoked'
+  | 'message.poll_vote'
   | 'presence.online'
   | 'presence.offline'
   | 'presence.typing'
@@ -390,6 +806,8 @@ export type WebhookEventType =
   | 'contact.profile_update'
   | 'contact.blocked'
   | 'contact.unblocked'
+  | 'contact.opted_out'
+  | 'contact.opted_in'
   | 'status.view'
   | 'status.reaction'
   | 'antiban.warning'
@@ -397,24 +815,274 @@ export type WebhookEventType =
   | 'antiban.rate_limit'
   | 'webhook.test';
 
-/** Webhook payload base */
+/** Webhook body format: v1 = legacy flat message.received body, v2 = envelope */
+export type WebhookPayloadVersion = 'v1' | 'v2';
+
+/** Webhook payload base (v2 envelope) */
 export interface WebhookPayload {
+  /** Unique event ID, also sent as X-WA2Bridge-Event-Id (stable across retries) */
+  id: string;
   event: WebhookEventType;
+  /** Session that produced the event ("default" in single-session installs) */
+  session: string;
   timestamp: number;
   data: Record<string, unknown>;
 }
 
+/** Headers sent with every webhook delivery */
+export interface WebhookSignatureHeaders {
+  /** `sha256=<hex>` HMAC of `<timestamp>.<raw body>` with WEBHOOK_SECRET (omitted when no secret is set) */
+  'X-WA2Bridge-Signature'?: string;
+  /** Unix seconds when this attempt was signed */
+  'X-WA2Bridge-Timestamp': string;
+  'X-WA2Bridge-Event-Id': string;
+}
+
+/** Body for POST/PATCH /api/webhooks/endpoints */
+export interface WebhookEndpointInput {
+  url?: string;
+  /** Event types or `group.*` patterns; empty = all events */
+  events?: Array<WebhookEventType | `${string}.*` | '*'>;
+  /** Signing secret (min 16 chars); null/omitted = WEBHOOK_SECRET */
+  secret?: string | null;
+  headers?: Record<string, string>;
+  retry?: {
+    maxRetries?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+  };
+  /** Default 'v2' */
+  payloadVersion?: WebhookPayloadVersion;
+  enabled?: boolean;
+  description?: string | null;
+}
+
+/** Registered webhook endpoint (secret never included) */
+export interface WebhookEndpoint extends Omit<WebhookEndpointInput, 'secret'> {
+  id: string;
+  url: string;
+  events: string[];
+  enabled: boolean;
+  signed: boolean;
+  hasOwnSecret: boolean;
+  createdAt: number;
+  updatedAt: number;
+  stats: {
+    delivered: number;
+    failed: number;
+    lastDeliveryAt: number | null;
+    lastError: string | null;
+    failedQueueSize: number;
+  };
+}
+
+/** Failed webhook delivery kept for inspection and replay */
+export interface WebhookDeadLetter {
+  id: string;
+  eventId: string;
+  event: WebhookEventType | null;
+  /** 'default' (WEBHOOK_URL) or an endpoint ID */
+  endpoint: string;
+  reason: 'client_error' | 'max_attempts';
+  attempts: number;
+  /** HTTP status of the last attempt (null for network errors) */
+  statusCode: number | null;
+  error: string | null;
+  /** Only returned by GET /api/webhooks/dead-letters/:id */
+  responseBody?: string | null;
+  /** Only returned by GET /api/webhooks/dead-letters/:id */
+  payload?: Record<string, unknown>;
+  firstFailedAt: number | null;
+  deadAt: number;
+  replays: number;
+  lastReplayAt: number | null;
+}
+
+/** Query for listing, purging and bulk-replaying dead letters */
+export interface WebhookDeadLetterFilter {
+  /** Event type or `group.*` */
+  event?: string;
+  endpoint?: string;
+  status?: number;
+  reason?: 'client_error' | 'max_attempts';
+  /** Unix ms or ISO date */
+  since?: number | string;
+  until?: number | string;
+  limit?: number;
+}
+
+/** Options for verifyWebhookSignature() from `wa2bridge/webhook-signature` */
+export interface VerifyWebhookSignatureOptions {
+  secret: string;
+  /** Raw request body exactly as received */
+  body: string | Buffer;
+  signature: string;
+  timestamp: string | number;
+  /** Max signature age in seconds (default 300, 0 disables) */
+  toleranceSeconds?: number;
+  /** Current time in ms (testing) */
+  now?: number;
+}
+
+/** Normalized incoming message type */
+export type IncomingMessageType =
+  | 'text'
+  | 'image'
+  | 'video'
+  | 'audio'
+  | 'document'
+  | 'sticker'
+  | 'location'
+  | 'contact'
+  | 'poll'
+  | 'unknown';
+
+/** Location shared in an incoming message */
+export interface MessageLocation {
+  latitude: number;
+  longitude: number;
+  name: string | null;
+  address: string | null;
+  url: string | null;
+  live: boolean;
+}
+
+/** Poll in an incoming message */
+export interface MessagePoll {
+  question: string;
+  options: string[];
+  /** 0 = any number of options */
+  selectableCount: number;
+}
+
+/** Contact card shared in an incoming message */
+export interface MessageContactCard {
+  name: string | null;
+  vcard: string | null;
+}
+
+/** Incoming message normalized by src/message-normalizer.js */
+export interface NormalizedMessage {
+  type: IncomingMessageType;
+  /** Text body or media caption ('' when absent) */
+  text: string;
+  caption: string | null;
+  hasMedia: boolean;
+  mimetype: string | null;
+  size: number | null;
+  filename: string | null;
+  /** Audio/video length in seconds */
+  duration: number | null;
+  width: number | null;
+  height: number | null;
+  /** Base64 JPEG thumbnail */
+  thumbnail: string | null;
+  /** Audio sent as a voice note */
+  ptt: boolean;
+  animated?: boolean;
+  location: MessageLocation | null;
+  contacts: MessageContactCard[] | null;
+  poll: MessagePoll | null;
+  quotedMessageId: string | null;
+  /** Sender JID of the quoted message */
+  quotedParticipant: string | null;
+  /** JIDs @mentioned in the text */
+  mentionedJids: string[];
+  viewOnce: boolean;
+  ephemeral: boolean;
+  /** Baileys content key for unknown types */
+  rawType?: string;
+}
+
 /** Message received webhook data */
 export interface MessageReceivedData {
   from: string;
-  text: string;
-  messageId: string;
-  isGroup: boolean;
-  groupId?: string;
-  quotedMessage?: {
-    id: string;
-    text: string;
-  };
+  message: string;
+  message_id: string;
+  timestamp: number;
+  type: IncomingMessageType;
+  caption: string | null;
+  has_media: boolean;
+  mimetype: string | null;
+  size: number | null;
+  filename: string | null;
+  duration: number | null;
+  ptt: boolean;
+  thumbnail: string | null;
+  /** Relative URL for GET /api/media/:messageId (null without media) */
+  media_url: string | null;
+  location: MessageLocation | null;
+  contacts: MessageContactCard[] | null;
+  poll: MessagePoll | null;
+  quoted_message_id: string | null;
+  view_once: boolean;
+  /** Group JID for group messages, null in 1:1 chats */
+  group_id: string | null;
+  /** Sender in group chats ("from" is the same phone) */
+  participant: string | null;
+  /** @mentioned contacts ("+<digits>", or the JID when not a phone) */
+  mentions: string[];
+  /** This number was @mentioned */
+  is_mentioned: boolean;
+  /** The message quotes one of ours */
+  is_reply_to_me: boolean;
+  should_reply: boolean;
+  reply_probability: number;
+  is_forward: boolean;
+  forward_count: number;
+}
+
+/** Group context shared by message.reaction, message.edited and message.revoked */
+export interface MessageUpdateData {
+  from: string;
+  /** The reacted, edited or deleted message */
+  message_id: string;
+  group_id: string | null;
+  participant: string | null;
+  timestamp: number;
+}
+
+/** message.reaction webhook data */
+export interface MessageReactionData extends MessageUpdateData {
+  emoji: string;
+  /** The sender removed their reaction (emoji is "") */
+  removed: boolean;
+}
+
+/** message.edited webhook data */
+export interface MessageEditedData extends MessageUpdateData {
+  /** New text */
+  message: string;
+}
+
+/** message.revoked webhook data */
+export type MessageRevokedData = MessageUpdateData;
+
+/** message.poll_vote webhook data (votes on polls sent by this number) */
+export interface MessagePollVoteData extends MessageUpdateData {
+  question: string;
+  /** Empty when the voter withdrew their vote */
+  selected_options: string[];
+  /** Current votes per option */
+  votes: Record<string, number>;
+}
+
+/** contact.opted_out webhook data */
+export interface ContactOptedOutData {
+  phone: string;
+  /** 'keyword' for STOP/BERHENTI replies, else as given to /api/consent */
+  source: string;
+  keyword: string | null;
+  opted_out_at: number;
+  timestamp: number;
+}
+
+/** contact.opted_in webhook data */
+export interface ContactOptedInData {
+  phone: string;
+  source: string;
+  opted_in_at: number;
+  timestamp: number;
 }
 
 /** Message sent webhook data */
@@ -444,8 +1112,21 @@ export interface IPWhitelistStatus {
   enabled: boolean;
   whitelist: string[];
   blacklist: string[];
+  /** IPs blocked after too many failed Bearer attempts */
+  tempBanned: string[];
 }
 
+/** Body for PUT /api/security/rate-limiter/limits */
+export interface EndpointRateLimit {
+  /** `/api/...` path or "default" */
+  endpoint: string;
+  windowMs: number;
+  max: number;
+}
+
+/** Outcome recorded with every audited API call */
+export type APICallDecision = 'allowed' | 'unauthorized' | 'ip_blocked' | 'rate_limited';
+
 /** Audit log entry */
 export interface AuditLogEntry {
   id: string;
@@ -498,6 +1179,45 @@ export interface SessionBackupInfo {
   latestBackup: string | null;
 }
 
+/** Session info from GET /api/sessions */
+export interface SessionInfo {
+  id: string;
+  running: boolean;
+  connected: boolean;
+  phone: string | null;
+  name: string | null;
+  hasQr: boolean;
+  autoStart: boolean;
+  webhookUrl: string | null;
+  accountAgeWeeks: number | null;
+  createdAt: number | null;
+}
+
+/** Request body for POST /api/sessions */
+export interface CreateSessionRequest {
+  /** Session name: 1-32 letters, digits, "_" or "-" */
+  id: string;
+  /** Start (connect) immediately (default true) */
+  start?: boolean;
+  /** Webhook URL for this session (defaults to WEBHOOK_URL) */
+  webhookUrl?: string;
+  accountAgeWeeks?: number;
+  activeHoursStart?: number;
+  activeHoursEnd?: number;
+  messageDelay?: number;
+  typingDelay?: number;
+}
+
+/** State storage driver (STORAGE_DRIVER) */
+export type StorageDriver = 'json' | 'sqlite';
+
+/** Storage in use by a session (`storage` in the anti-ban status) */
+export interface StorageInfo {
+  driver: StorageDriver;
+  /** Sessions directory (json) or database file (sqlite) */
+  location: string;
+}
+
 // =============================================================================
 // CONVERSATION MEMORY TYPES
 // =============================================================================
@@ -533,3 +1253,44 @@ export interface ValidationError extends APIError {
   field: string;
   message: string;
 }
+
+/** Idempotency-Key statistics (status.idempotency) */
+export interface IdempotencyStats {
+  stored: number;
+  replayed: number;
+  conflicts: number;
+  keys: number;
+  inProgress: number;
+  ttlMs: number;
+}
+
+/** Machine-readable codes for send failures */
+export type SendErrorCode =
+  | 'NOT_CONNECTED'       // 503
+  | 'CONTACT_BLOCKED'     // 409
+  | 'CONTACT_OPTED_OUT'   // 409
+  | 'HIBERNATION'         // 423
+  | 'BAN_RISK_CRITICAL'   // 423
+  | 'RATE_LIMITED'        // 429
+  | 'CONTACT_WARMUP'      // 429
+  | 'GROUP_ACTION_LIMIT'  // 429
+  | 'LOOKUP_LIMIT'        // 429
+  | 'SEND_FAILED';        // 500
+
+/** Typed error response (src/errors.js) */
+export interface TypedErrorResponse extends APIError {
+  success: false;
+  code: SendErrorCode | string;
+  statusCode: number;
+  context: Record<string, unknown>;
+  /** Seconds, same as the Retry-After header */
+  retryAfter?: number;
+  timestamp: string;
+  /** Rate limits */
+  waitMs?: number;
+  limitType?: 'hourly' | 'daily' | 'interval' | 'contact_warmup';
+  /** Ban protection */
+  riskLevel?: WarningLevel;
+  /** Blocked contact */
+  phone?: string;
+}